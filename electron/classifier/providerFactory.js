@@ -5,11 +5,30 @@
 
 const { parseEmailWithLLM } = require('../llm/llmEngine');
 
+// Applicant tracking and assessment platforms; their mail is job-related even when the LLM fails.
+// The pre-LLM gate (electron/email-gate.js) never filters senders on these domains.
+const ATS_DOMAINS = [
+  'myworkday.com',
+  'otp.workday.com',
+  'hackerrank.com',
+  'codility.com',
+  'greenhouse.io',
+  'lever.co',
+  'bamboohr.com',
+  'smartrecruiters.com',
+  'icims.com',
+  'taleo.net',
+  'successfactors.com'
+];
+
 /**
  * @typedef {Object} EmailInput
  * @property {string} subject - Email subject line
  * @property {string} plaintext - Email plain text content
  * @property {string} [fromAddress] - Email from address
+ * @property {Array<{name: string, description: string}>} [stages] - Stages the status is picked from
+ * @property {Array<Object>} [examples] - Corrected few-shot examples (PromptManager.selectFewShots)
+ * @property {'two-stage'|'unified'|'auto'} [mode] - LLM pipeline; 'auto' follows ONLYJOBS_USE_TWO_STAGE
  */
 
 /**
@@ -17,8 +36,10 @@ const { parseEmailWithLLM } = require('../llm/llmEngine');
  * @property {boolean} is_job_related - Whether email is job-related
  * @property {string|null} company - Extracted company name
  * @property {string|null} position - Extracted position title
- * @property {"Applied"|"Interview"|"Declined"|"Offer"|null} status - Job application status
- * @property {number} [confidence] - Confidence score (0-1)
+ * @property {string|null} status - Stage name from the stage catalogue (see electron/job-stages.js)
+ * @property {number|null} [confidence] - Confidence score (0-1), null when the backend gave no token probabilities
+ * @property {Object<string, number>|null} [agreement] - Per-field confidence: the share of samples agreeing with
+ *   the answer, or without sampling the probability of the value's tokens
  * @property {string} [decisionPath] - Decision path for debugging
  * @property {string[]} [notes] - Processing notes
  */
@@ -36,7 +57,10 @@ async function classifyWithCleanLLM(input) {
       subject: input.subject || '',
       plaintext: input.plaintext || '',
       from: input.fromAddress || input.from || '',
-      headers: input.headers || {}
+      headers: input.headers || {},
+      stages: input.stages,
+      examples: input.examples,
+      mode: input.mode === 'auto' ? undefined : input.mode
     });
     
     // Convert to expected format and add metadata
@@ -45,9 +69,10 @@ async function classifyWithCleanLLM(input) {
       company: result.company,
       position: result.position,
       status: result.status,
-      confidence: result.is_job_related ? 0.9 : 0.1, // LLM gives high confidence
-      decisionPath: 'llm_json_schema',
-      notes: ['clean_llm_with_json_schema']
+      confidence: result.confidence ?? null, // Sample agreement or token probability; null when unknown
+      agreement: result.agreement ?? null,
+      decisionPath: result.parse_failed ? 'llm_parse_failed' : 'llm_json_schema',
+      notes: [result.parse_failed ? 'llm_invalid_json' : 'clean_llm_with_json_schema']
     };
     
   } catch (error) {
@@ -55,27 +80,13 @@ async function classifyWithCleanLLM(input) {
     
     // Enhanced fallback with rule-based patterns
     const jobRelatedPatterns = [
-      // Workday and ATS systems
-      /@myworkday\.com/i,
-      /@otp\.workday\.com/i,
+      // Workday and other ATS systems, coding platforms
+      ...ATS_DOMAINS.map(domain => new RegExp(`@${domain.replace(/\./g, '\\.')}`, 'i')),
       /your\s+one-time\s+passcode/i,
       /verification\s+code.*workday/i,
-      
-      // Coding platforms
-      /@hackerrank\.com/i,
-      /@codility\.com/i,
       /coding\s+(challenge|assessment|test)/i,
       /technical\s+(assessment|interview|challenge)/i,
       
-      // Other ATS systems
-      /@greenhouse\.io/i,
-      /@lever\.co/i,
-      /@bamboohr\.com/i,
-      /@smartrecruiters\.com/i,
-      /@icims\.com/i,
-      /@taleo\.net/i,
-      /@successfactors\.com/i,
-      
       // Job-related keywords
       /application\s+(received|submitted|status)/i,
       /thank\s+you\s+for\s+(applying|your\s+application)/i,
@@ -126,16 +137,18 @@ function getProvider() {
 
 /**
  * Legacy getClassifierProvider for backwards compatibility
+ * @param {'two-stage'|'unified'|'auto'} [mode='auto'] - LLM pipeline (see TWO_STAGE_LLM_ARCHITECTURE.md)
  * @returns {{parse: Function}} Provider with parse method
  */
-function getClassifierProvider() {
+function getClassifierProvider(mode = 'auto') {
   const provider = getProvider();
   return {
-    parse: provider
+    parse: (input) => provider({ mode, ...input })
   };
 }
 
 module.exports = {
+  ATS_DOMAINS,
   getProvider,
   getClassifierProvider,
   classifyWithCleanLLM
@@ -0,0 +1,132 @@
+/**
+ * Correction Store
+ *
+ * Company, position and status corrections made by the user, kept with the
+ * email they were made for and what the pipeline had produced. Written when a
+ * job is edited (db:update-job) or a review is corrected, and read back by
+ * PromptManager.selectFewShots as examples for similar emails.
+ *
+ * One row per email: a later correction of the same email replaces the corrected
+ * values but keeps the model output from the first one.
+ */
+
+const { senderDomain } = require('./email-gate');
+
+const SNIPPET_LENGTH = 600;
+const CORRECTED_FIELDS = ['company', 'position', 'status'];
+
+// Extracted email text starts with From/Subject lines; the example keeps only the body
+function stripHeaders(content) {
+  return (content || '').replace(/^(?:(?:From|Subject):[^\n]*\n)+\n?/i, '');
+}
+
+function pick(values) {
+  return Object.fromEntries(CORRECTED_FIELDS.map(field => [field, values?.[field] ?? null]));
+}
+
+class CorrectionStore {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Store a correction. Nothing is stored when no field actually changed.
+   *
+   * @param {object} correction
+   * @param {string|null} correction.jobId
+   * @param {string} correction.gmailMessageId
+   * @param {string} correction.accountEmail
+   * @param {string} correction.from
+   * @param {string} correction.subject
+   * @param {string} correction.content - email text; only the start is kept
+   * @param {object} correction.modelOutput - { company, position, status } the pipeline produced
+   * @param {object} correction.corrected - { company, position, status } after the correction
+   * @param {'job_edit'|'review'} correction.source
+   * @returns {boolean} whether a correction was stored
+   */
+  record({ jobId = null, gmailMessageId, accountEmail, from, subject, content, modelOutput, corrected, source }) {
+    const before = pick(modelOutput);
+    const after = pick(corrected);
+    if (CORRECTED_FIELDS.every(field => before[field] === after[field])) {
+      return false;
+    }
+    this.db.prepare(`
+      INSERT INTO classification_corrections
+        (job_id, gmail_message_id, account_email, sender_domain, from_address, subject, body_snippet,
+         model_output, corrected, source, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+      ON CONFLICT(gmail_message_id, account_email) DO UPDATE SET
+        job_id = excluded.job_id, corrected = excluded.corrected, source = excluded.source, created_at = CURRENT_TIMESTAMP
+    `).run(jobId, gmailMessageId, accountEmail, senderDomain(from), from || null, subject || null,
+      stripHeaders(content).slice(0, SNIPPET_LENGTH), JSON.stringify(before), JSON.stringify(after), source);
+    return true;
+  }
+
+  /**
+   * Store the correction behind a job edit, against the job's latest email and
+   * what the classifier answered for it (job_emails.classification). Jobs entered
+   * by hand, and emails attached before that answer was kept, are skipped.
+   *
+   * Only the fields the edit set count as corrected, so a status the app moved on
+   * its own (e.g. to Ghosted) isn't taken for one.
+   *
+   * @param {string} jobId
+   * @param {object} after - job row after the edit
+   * @param {string[]} editedFields - fields the edit set
+   */
+  recordJobEdit(jobId, after, editedFields) {
+    const email = this.db.prepare(`
+      SELECT gmail_message_id, account_email, from_address, subject, raw_content, content_snippet, classification
+      FROM job_emails WHERE job_id = ?
+      ORDER BY email_date DESC, id DESC LIMIT 1
+    `).get(jobId);
+    if (!email || !email.classification) return false;
+
+    const modelOutput = JSON.parse(email.classification);
+    const earlier = this.db.prepare('SELECT corrected FROM classification_corrections WHERE gmail_message_id = ? AND account_email = ?')
+      .get(email.gmail_message_id, email.account_email);
+    const corrected = { ...(earlier ? JSON.parse(earlier.corrected) : pick(modelOutput)) };
+    for (const field of CORRECTED_FIELDS.filter(name => editedFields.includes(name))) {
+      corrected[field] = after[field] ?? null;
+    }
+    return this.record({
+      jobId,
+      gmailMessageId: email.gmail_message_id,
+      accountEmail: email.account_email,
+      from: email.from_address,
+      subject: email.subject,
+      content: email.raw_content || email.content_snippet,
+      modelOutput,
+      corrected,
+      source: 'job_edit'
+    });
+  }
+
+  /**
+   * Most recent corrections, with model_output and corrected parsed
+   *
+   * @param {object} [options]
+   * @param {number} [options.limit=200]
+   */
+  list({ limit = 200 } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM classification_corrections
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `).all(Math.max(1, Math.min(1000, Number(limit) || 200)))
+      .map(row => ({ ...row, model_output: JSON.parse(row.model_output), corrected: JSON.parse(row.corrected) }));
+  }
+
+  count() {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM classification_corrections').get().count;
+  }
+
+  clear() {
+    return this.db.prepare('DELETE FROM classification_corrections').run().changes;
+  }
+}
+
+module.exports = { CorrectionStore };
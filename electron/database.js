@@ -0,0 +1,186 @@
+/**
+ * Database
+ *
+ * Where jobs.db lives and the one connection to it that every main-process
+ * module shares. Modules take the connection from here (or from a caller that
+ * got it here) instead of opening their own, so they all read and write the
+ * same file on every platform.
+ *
+ * The file is in Electron's userData directory, or at ONLYJOBS_DB_PATH when
+ * that is set. The connection runs in WAL mode, so a read doesn't wait for a
+ * sync that is writing, and waits up to BUSY_TIMEOUT_MS for a lock held by
+ * another connection (a script, or a second window) instead of failing at once.
+ * Opening it brings the schema up to date (electron/migrations), as far as the
+ * secret store allows; migrateDatabase() goes on once the store is available.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations } = require('./migrations');
+
+// Electron names the userData directory after productName in package.json
+const PRODUCT_NAME = 'OnlyJobs Desktop';
+const BUSY_TIMEOUT_MS = 5000;
+// GmailMultiAuth used to keep accounts in a jobs.db of its own here, on every platform
+const LEGACY_ACCOUNTS_DB = path.join(os.homedir(), 'Library', 'Application Support', 'onlyjobs-desktop', 'jobs.db');
+
+let connection = null;
+
+/**
+ * Electron's userData directory, or where Electron would put it when running
+ * outside the app (scripts, ELECTRON_RUN_AS_NODE)
+ */
+function getUserDataDir() {
+  try {
+    const { app } = require('electron');
+    if (app && typeof app.getPath === 'function') {
+      return app.getPath('userData');
+    }
+  } catch (error) {
+    // Not running inside Electron
+  }
+
+  const home = os.homedir();
+  if (process.platform === 'darwin') {
+    return path.join(home, 'Library', 'Application Support', PRODUCT_NAME);
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), PRODUCT_NAME);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), PRODUCT_NAME);
+}
+
+/**
+ * Path of jobs.db: ONLYJOBS_DB_PATH when set, otherwise jobs.db in userData
+ */
+function getDbPath() {
+  const override = process.env.ONLYJOBS_DB_PATH;
+  if (override && override.trim().length > 0) {
+    return path.resolve(override.trim());
+  }
+  return path.join(getUserDataDir(), 'jobs.db');
+}
+
+/**
+ * Open a connection with the app's settings: WAL, the busy timeout and an
+ * up-to-date schema. The connection is the caller's to close.
+ *
+ * @param {string} [dbPath] - getDbPath() by default
+ * @param {object} [options]
+ * @param {boolean} [options.migrate=true] - false to open the file as it is
+ * @param {boolean} [options.readonly=false] - open an existing file without writing to it, nor migrating it
+ * @param {object} [options.secrets] - the SecretStore credentials are moved to (migration 016)
+ */
+function openDatabase(dbPath = getDbPath(), { migrate = true, readonly = false, secrets = null } = {}) {
+  if (readonly) {
+    return new Database(dbPath, { timeout: BUSY_TIMEOUT_MS, readonly: true, fileMustExist: true });
+  }
+  if (dbPath !== ':memory:') {
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+  }
+  const db = new Database(dbPath, { timeout: BUSY_TIMEOUT_MS });
+  try {
+    db.pragma('journal_mode = WAL');
+    if (migrate) {
+      runMigrations(db, { dbPath, context: { secrets } });
+    }
+  } catch (error) {
+    // Leave the file alone until the next attempt rather than run on a half-migrated schema
+    db.close();
+    throw error;
+  }
+  return db;
+}
+
+/**
+ * Copy Gmail accounts from GmailMultiAuth's old database, the first time the
+ * app's database has none, so they don't have to be connected again. Their
+ * tokens go to the secret store once jobs.db no longer holds tokens; until the
+ * store is available the import waits.
+ */
+function importLegacyAccounts(db, dbPath, secrets) {
+  if (path.resolve(dbPath) === LEGACY_ACCOUNTS_DB || !fs.existsSync(LEGACY_ACCOUNTS_DB)) return;
+  if (db.prepare('SELECT COUNT(*) AS count FROM gmail_accounts').get().count > 0) return;
+
+  try {
+    db.prepare('ATTACH DATABASE ? AS legacy').run(LEGACY_ACCOUNTS_DB);
+    try {
+      const legacyColumns = db.prepare('PRAGMA legacy.table_info(gmail_accounts)').all().map(col => col.name);
+      const mainColumns = db.prepare('PRAGMA main.table_info(gmail_accounts)').all().map(col => col.name);
+      const columns = mainColumns.filter(name => legacyColumns.includes(name));
+      if (!columns.includes('email')) return;
+
+      const tokensToStore = legacyColumns.includes('refresh_token') && !mainColumns.includes('refresh_token');
+      if (tokensToStore && !secrets.isAvailable()) return;
+
+      db.transaction(() => {
+        const list = columns.join(', ');
+        const result = db.prepare(`INSERT OR IGNORE INTO main.gmail_accounts (${list}) SELECT ${list} FROM legacy.gmail_accounts`).run();
+        if (tokensToStore) {
+          const accounts = db.prepare('SELECT email, access_token, refresh_token FROM legacy.gmail_accounts WHERE refresh_token IS NOT NULL').all();
+          for (const account of accounts) {
+            secrets.set(`gmail:${account.email}`, JSON.stringify({ access_token: account.access_token, refresh_token: account.refresh_token }));
+          }
+        }
+        if (result.changes > 0) {
+          console.log(`📥 Imported ${result.changes} Gmail account(s) from ${LEGACY_ACCOUNTS_DB}`);
+        }
+      })();
+    } finally {
+      db.exec('DETACH DATABASE legacy');
+    }
+  } catch (error) {
+    console.error('Error importing Gmail accounts from the old database:', error);
+  }
+}
+
+/**
+ * The shared connection to jobs.db, opened on first use
+ */
+function getDb() {
+  if (!connection) {
+    const dbPath = getDbPath();
+    console.log('🗄️ Opening database at:', dbPath);
+    connection = openDatabase(dbPath, { secrets: getSecrets() });
+    importLegacyAccounts(connection, dbPath, getSecrets());
+  }
+  return connection;
+}
+
+/**
+ * Run the migrations that were waiting for the secret store, and the legacy
+ * account import, on the shared connection
+ */
+function migrateDatabase() {
+  const db = getDb();
+  const dbPath = getDbPath();
+  const result = runMigrations(db, { dbPath, context: { secrets: getSecrets() } });
+  importLegacyAccounts(db, dbPath, getSecrets());
+  return result;
+}
+
+// Required on use: electron/secrets.js resolves its directory with getUserDataDir
+function getSecrets() {
+  return require('./secrets').getSecretStore();
+}
+
+/**
+ * Close the shared connection, e.g. when the app quits; the next getDb() opens it again
+ */
+function closeDb() {
+  if (connection) {
+    connection.close();
+    connection = null;
+  }
+}
+
+module.exports = {
+  getDb,
+  closeDb,
+  migrateDatabase,
+  openDatabase,
+  getDbPath,
+  getUserDataDir
+};
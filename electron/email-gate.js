@@ -0,0 +1,184 @@
+/**
+ * Email Gate
+ *
+ * Cheap, deterministic checks that run before the LLM and drop mail that is
+ * clearly not about a job application: newsletters, receipts, social
+ * notifications. Rules, in order:
+ *
+ * 1. Sender on an ATS domain (see providerFactory.js) → always classify
+ * 2. Sender domain in `skipDomains` → skip
+ * 3. A `jobKeywords` word in the subject or body → classify
+ * 4. Gmail category label in `skipCategories` (Promotions, Social, Forums) → skip
+ * 5. Bulk mail: `Precedence: bulk|list|junk`, `List-Unsubscribe` or `List-Id` → skip
+ * 6. Anything else → classify
+ *
+ * Every decision is written to `email_gate_decisions`, so filtered mail can be
+ * reviewed for job emails the gate should have let through.
+ */
+
+const { ATS_DOMAINS } = require('./classifier/providerFactory');
+
+const DEFAULT_FILTERS = {
+  enabled: true,
+  skipDomains: ['amazon.com', 'facebook.com', 'twitter.com'],
+  jobKeywords: ['position', 'interview', 'application', 'offer'],
+  skipCategories: ['CATEGORY_PROMOTIONS', 'CATEGORY_SOCIAL', 'CATEGORY_FORUMS'],
+  skipBulk: true
+};
+
+const BULK_PRECEDENCE = /^(bulk|list|junk)$/i;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function senderDomain(from) {
+  const match = /@([^\s>]+)/.exec(from || '');
+  return match ? match[1].toLowerCase().replace(/[.>]+$/, '') : null;
+}
+
+// example.com matches mail from example.com and any subdomain of it
+function matchDomain(domain, list) {
+  if (!domain) return null;
+  return list.find(entry => {
+    const candidate = String(entry).trim().toLowerCase().replace(/^@/, '');
+    return candidate && (domain === candidate || domain.endsWith(`.${candidate}`));
+  }) || null;
+}
+
+function findHeader(headers, name) {
+  const header = headers.find(h => h.name && h.name.toLowerCase() === name);
+  return header ? header.value : null;
+}
+
+class EmailGate {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   * @param {object} deps
+   * @param {() => object} deps.getFilters - current emailFilters setting, merged over DEFAULT_FILTERS
+   */
+  constructor(db, { getFilters }) {
+    this.db = db;
+    this.getFilters = getFilters;
+  }
+
+  filters() {
+    return { ...DEFAULT_FILTERS, ...(this.getFilters() || {}) };
+  }
+
+  /**
+   * Decide whether a message needs the LLM. Doesn't touch the database.
+   *
+   * @param {object} email - Gmail-shaped message
+   * @param {object} fields
+   * @param {string} fields.from
+   * @param {string} fields.subject
+   * @param {string} fields.content - extracted plain text
+   * @returns {{decision: 'skip'|'classify', rule: string, detail: string|null}}
+   */
+  evaluate(email, { from = '', subject = '', content = '' } = {}) {
+    const filters = this.filters();
+    if (!filters.enabled) {
+      return { decision: 'classify', rule: 'disabled', detail: null };
+    }
+
+    const domain = senderDomain(from);
+    const atsDomain = matchDomain(domain, ATS_DOMAINS);
+    if (atsDomain) {
+      return { decision: 'classify', rule: 'ats_domain', detail: atsDomain };
+    }
+
+    const skipDomain = matchDomain(domain, filters.skipDomains || []);
+    if (skipDomain) {
+      return { decision: 'skip', rule: 'skip_domain', detail: skipDomain };
+    }
+
+    const text = `${subject}\n${content}`;
+    const keyword = (filters.jobKeywords || []).find(word =>
+      String(word).trim() && new RegExp(`\\b${escapeRegExp(String(word).trim())}\\b`, 'i').test(text));
+    if (keyword) {
+      return { decision: 'classify', rule: 'job_keyword', detail: keyword };
+    }
+
+    const category = (email.labelIds || []).find(label => (filters.skipCategories || []).includes(label));
+    if (category) {
+      return { decision: 'skip', rule: 'gmail_category', detail: category };
+    }
+
+    if (filters.skipBulk) {
+      const headers = email.payload?.headers || [];
+      const precedence = (findHeader(headers, 'precedence') || '').trim();
+      if (BULK_PRECEDENCE.test(precedence)) {
+        return { decision: 'skip', rule: 'bulk_precedence', detail: `Precedence: ${precedence}` };
+      }
+      const listHeader = ['list-unsubscribe', 'list-id'].find(name => findHeader(headers, name));
+      if (listHeader) {
+        return { decision: 'skip', rule: 'mailing_list', detail: listHeader === 'list-id' ? 'List-Id' : 'List-Unsubscribe' };
+      }
+    }
+
+    return { decision: 'classify', rule: 'no_match', detail: null };
+  }
+
+  /**
+   * Evaluate a message and record the decision
+   */
+  check(email, accountEmail, fields = {}) {
+    const result = this.evaluate(email, fields);
+    this.db.prepare(`
+      INSERT OR REPLACE INTO email_gate_decisions
+        (gmail_message_id, account_email, decision, rule, detail, from_address, subject, decided_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    `).run(email.id, accountEmail, result.decision, result.rule, result.detail,
+      fields.from || null, fields.subject || null);
+    return result;
+  }
+
+  /**
+   * Recorded decisions, newest first
+   *
+   * @param {object} [options]
+   * @param {'skip'|'classify'} [options.decision]
+   * @param {string} [options.rule]
+   * @param {number} [options.limit=100]
+   */
+  list({ decision, rule, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (decision) {
+      conditions.push('decision = ?');
+      params.push(decision);
+    }
+    if (rule) {
+      conditions.push('rule = ?');
+      params.push(rule);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`
+      SELECT * FROM email_gate_decisions ${where}
+      ORDER BY decided_at DESC, rowid DESC
+      LIMIT ?
+    `).all(...params, Math.max(1, Math.min(1000, Number(limit) || 100)));
+  }
+
+  /**
+   * Decision counts per rule
+   * @returns {{skipped: number, classified: number, rules: Array<{decision: string, rule: string, count: number}>}}
+   */
+  stats() {
+    const rules = this.db.prepare(`
+      SELECT decision, rule, COUNT(*) AS count
+      FROM email_gate_decisions
+      GROUP BY decision, rule
+      ORDER BY count DESC
+    `).all();
+    const total = (decision) => rules.filter(r => r.decision === decision).reduce((sum, r) => sum + r.count, 0);
+    return { skipped: total('skip'), classified: total('classify'), rules };
+  }
+
+  clear() {
+    return this.db.prepare('DELETE FROM email_gate_decisions').run().changes;
+  }
+}
+
+module.exports = { EmailGate, DEFAULT_FILTERS, senderDomain };
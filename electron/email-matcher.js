@@ -1,190 +1,160 @@
 /**
  * Email Matching and Job Application Grouping System
- * 
- * This module handles matching related emails to track job application journeys
+ *
+ * Links every job-related email to a row in `jobs` through the normalized
+ * `job_emails` table, matching related emails to the same application by
+ * thread, company domain + title, and fuzzy company/title similarity.
  */
 
-const Database = require('better-sqlite3');
-const path = require('path');
+// How far apart two emails about the same company and role may be
+const MATCH_WINDOW_DAYS = 90;
 
 class EmailMatcher {
-  constructor(dbPath) {
-    this.db = new Database(dbPath || path.join(__dirname, '../jobs.db'));
-    this.initializeDatabase();
-  }
-
-  initializeDatabase() {
-    // Enhanced schema with relationship tracking
-    this.db.exec(`
-      CREATE TABLE IF NOT EXISTS job_applications (
-        job_id TEXT PRIMARY KEY,
-        user_id TEXT NOT NULL,
-        thread_id TEXT,
-        company TEXT,
-        company_domain TEXT,
-        job_title TEXT,
-        normalized_job_title TEXT,
-        location TEXT,
-        status TEXT,
-        first_contact_date DATETIME,
-        last_contact_date DATETIME,
-        email_count INTEGER DEFAULT 1,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-
-      CREATE TABLE IF NOT EXISTS job_emails (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        job_id TEXT NOT NULL,
-        email_id TEXT UNIQUE NOT NULL,
-        gmail_thread_id TEXT,
-        subject TEXT,
-        from_address TEXT,
-        email_date DATETIME,
-        detected_status TEXT,
-        content_snippet TEXT,
-        raw_content TEXT,
-        is_primary_email BOOLEAN DEFAULT 0,
-        FOREIGN KEY (job_id) REFERENCES job_applications (job_id)
-      );
-
-      CREATE TABLE IF NOT EXISTS job_status_history (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        job_id TEXT NOT NULL,
-        status TEXT NOT NULL,
-        email_id TEXT,
-        change_date DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (job_id) REFERENCES job_applications (job_id)
-      );
-
-      -- Indexes for performance
-      CREATE INDEX IF NOT EXISTS idx_thread_id ON job_applications(thread_id);
-      CREATE INDEX IF NOT EXISTS idx_company_domain ON job_applications(company_domain);
-      CREATE INDEX IF NOT EXISTS idx_normalized_title ON job_applications(normalized_job_title);
-      CREATE INDEX IF NOT EXISTS idx_gmail_thread ON job_emails(gmail_thread_id);
-    `);
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   * @param {import('./job-timeline').JobTimeline} timeline - status events for each job
+   * @param {import('./job-stages').JobStageCatalog} stages - maps detected statuses to stages
+   */
+  constructor(db, timeline, stages) {
+    this.db = db;
+    this.timeline = timeline;
+    this.stages = stages;
   }
 
   /**
-   * Process a new email and match it to existing job applications
+   * Record a job-related email: attach it to the matching job, or create a new job.
+   *
+   * @param {object} emailData - { id, threadId, accountEmail, subject, from, date, snippet, content }
+   * @param {object} classification - { company, position, status, confidence, source, decisionVersion }; source
+   *   is the status event source, 'manual' when a person supplied the status (default 'automatic'), and
+   *   decisionVersion the DECISION_VERSION that produced the answer
+   * @returns {{ jobId: string, created: boolean, duplicate: boolean, status: string }}
    */
-  async processEmail(emailData, classificationResult) {
-    const {
-      id: email_id,
-      threadId: thread_id,
-      subject,
-      from,
-      date,
-      snippet,
-      content
-    } = emailData;
-
-    const {
-      company,
-      job_title,
-      location,
-      status,
-      confidence
-    } = classificationResult;
+  recordEmail(emailData, classification) {
+    const { id, threadId, accountEmail, subject, from, date, snippet, content } = emailData;
+    const company = classification.company || 'Unknown';
+    const position = classification.position || 'Unknown Position';
+    const status = this.stages.resolve(classification.status);
 
     // Extract company domain for better matching
-    const company_domain = this.extractCompanyDomain(from);
-    const normalized_job_title = this.normalizeJobTitle(job_title);
-
-    // Try to find existing job application
-    let jobId = await this.findMatchingJob({
-      thread_id,
-      company,
-      company_domain,
-      normalized_job_title,
-      email_date: date
-    });
+    const companyDomain = this.extractCompanyDomain(from);
+    const normalizedPosition = this.normalizeJobTitle(position);
+
+    const record = this.db.transaction(() => {
+      const existing = this.db.prepare('SELECT job_id FROM job_emails WHERE gmail_message_id = ? AND account_email = ?')
+        .get(id, accountEmail);
+      if (existing) {
+        return { jobId: existing.job_id, created: false, duplicate: true, status: this.getJobStatus(existing.job_id) };
+      }
 
-    if (jobId) {
-      // Update existing job
-      await this.updateJobApplication(jobId, {
-        status,
-        last_contact_date: date,
-        email_count: this.db.prepare('SELECT email_count FROM job_applications WHERE job_id = ?').get(jobId).email_count + 1
-      });
-    } else {
-      // Create new job application
-      jobId = await this.createJobApplication({
-        thread_id,
+      // Try to find existing job application
+      let jobId = this.findMatchingJob({
+        accountEmail,
+        threadId,
         company,
-        company_domain,
-        job_title,
-        normalized_job_title,
-        location,
+        companyDomain,
+        normalizedPosition,
+        emailDate: date
+      });
+      const created = !jobId;
+
+      if (created) {
+        jobId = this.createJob({
+          gmailMessageId: id,
+          accountEmail,
+          threadId,
+          company,
+          position,
+          companyDomain,
+          normalizedPosition,
+          status,
+          date,
+          from,
+          snippet,
+          decisionVersion: classification.decisionVersion
+        });
+      }
+
+      this.addEmailToJob(jobId, {
+        gmail_message_id: id,
+        account_email: accountEmail,
+        thread_id: threadId,
+        subject,
+        from_address: from,
+        email_date: date,
+        detected_status: status,
+        classification: { company: classification.company || null, position: classification.position || null, status },
+        content_snippet: snippet,
+        raw_content: content,
+        is_primary_email: created,
+        decision_version: classification.decisionVersion
+      });
+
+      this.timeline.recordEvent(jobId, {
         status,
-        first_contact_date: date,
-        last_contact_date: date
+        source: classification.source || 'automatic',
+        gmailMessageId: id,
+        accountEmail,
+        detectedStatus: classification.status || null,
+        confidence: classification.confidence,
+        occurredAt: date
       });
-    }
+      this.refreshJobSummary(jobId);
 
-    // Add email to job
-    await this.addEmailToJob(jobId, {
-      email_id,
-      gmail_thread_id: thread_id,
-      subject,
-      from_address: from,
-      email_date: date,
-      detected_status: status,
-      content_snippet: snippet,
-      raw_content: content,
-      is_primary_email: !jobId // First email is primary
+      return { jobId, created, duplicate: false, status: this.getJobStatus(jobId) };
     });
 
-    // Update status history
-    await this.addStatusHistory(jobId, status, email_id);
-
-    return jobId;
+    return record();
   }
 
   /**
    * Find matching job application using multiple strategies
    */
-  async findMatchingJob({ thread_id, company, company_domain, normalized_job_title, email_date }) {
-    // Strategy 1: Gmail Thread ID (most reliable)
-    if (thread_id) {
+  findMatchingJob({ accountEmail, threadId, company, companyDomain, normalizedPosition, emailDate }) {
+    // Strategy 1: Thread ID (most reliable); thread IDs are only unique within a mailbox
+    if (threadId) {
       const threadMatch = this.db.prepare(`
-        SELECT DISTINCT ja.job_id 
-        FROM job_applications ja
-        JOIN job_emails je ON ja.job_id = je.job_id
-        WHERE je.gmail_thread_id = ?
+        SELECT job_id
+        FROM job_emails
+        WHERE thread_id = ? AND account_email = ?
         LIMIT 1
-      `).get(thread_id);
-      
+      `).get(threadId, accountEmail);
+
       if (threadMatch) return threadMatch.job_id;
     }
 
-    // Strategy 2: Company + Job Title matching (within 90 days)
-    if (company && normalized_job_title) {
+    const windowStart = `-${MATCH_WINDOW_DAYS} days`;
+    const windowEnd = `+${MATCH_WINDOW_DAYS} days`;
+
+    // Strategy 2: Company domain + normalized job title, close to this email's date
+    if (companyDomain && normalizedPosition) {
       const companyJobMatch = this.db.prepare(`
-        SELECT job_id 
-        FROM job_applications 
-        WHERE company_domain = ? 
-        AND normalized_job_title = ?
-        AND datetime(last_contact_date) > datetime(?, '-90 days')
+        SELECT id
+        FROM jobs
+        WHERE company_domain = ?
+        AND normalized_position = ?
+        AND account_email = ?
+        AND date(COALESCE(last_contact_date, applied_date)) BETWEEN date(?, ?) AND date(?, ?)
         ORDER BY last_contact_date DESC
         LIMIT 1
-      `).get(company_domain, normalized_job_title, email_date);
-      
-      if (companyJobMatch) return companyJobMatch.job_id;
+      `).get(companyDomain, normalizedPosition, accountEmail, emailDate, windowStart, emailDate, windowEnd);
+
+      if (companyJobMatch) return companyJobMatch.id;
     }
 
     // Strategy 3: Fuzzy matching on company name and similar job titles
-    if (company) {
+    if (company && company !== 'Unknown') {
       const fuzzyMatch = this.db.prepare(`
-        SELECT job_id, job_title,
-          (CASE 
+        SELECT id, position,
+          (CASE
             WHEN company = ? THEN 1.0
             WHEN company LIKE ? THEN 0.8
             ELSE 0.5
           END) as company_score
-        FROM job_applications
+        FROM jobs
         WHERE (company = ? OR company LIKE ? OR company_domain = ?)
-        AND datetime(last_contact_date) > datetime(?, '-90 days')
+        AND account_email = ?
+        AND date(COALESCE(last_contact_date, applied_date)) BETWEEN date(?, ?) AND date(?, ?)
         ORDER BY company_score DESC, last_contact_date DESC
         LIMIT 5
       `).all(
@@ -192,14 +162,16 @@ class EmailMatcher {
         `%${company}%`,
         company,
         `%${company}%`,
-        company_domain,
-        email_date
+        companyDomain,
+        accountEmail,
+        emailDate, windowStart,
+        emailDate, windowEnd
       );
 
       // Check job title similarity
       for (const match of fuzzyMatch) {
-        if (this.calculateTitleSimilarity(match.job_title, normalized_job_title) > 0.7) {
-          return match.job_id;
+        if (this.calculateTitleSimilarity(match.position, normalizedPosition) > 0.7) {
+          return match.id;
         }
       }
     }
@@ -211,12 +183,14 @@ class EmailMatcher {
    * Extract company domain from email address
    */
   extractCompanyDomain(fromEmail) {
+    if (!fromEmail) return null;
+
     // Extract email from "Name <email@domain.com>" format
     const emailMatch = fromEmail.match(/<(.+)>/) || [null, fromEmail];
     const email = emailMatch[1];
-    
+
     if (!email) return null;
-    
+
     const domain = email.split('@')[1];
     if (!domain) return null;
 
@@ -225,16 +199,16 @@ class EmailMatcher {
     if (excludeDomains.includes(domain.toLowerCase())) return null;
 
     // Extract company name from domain (e.g., 'mail.company.com' -> 'company.com')
-    const parts = domain.split('.');
+    const parts = domain.toLowerCase().split('.');
     if (parts.length > 2) {
       // Check for known subdomains
       const subdomains = ['mail', 'email', 'careers', 'jobs', 'recruiting', 'hire'];
-      if (subdomains.includes(parts[0].toLowerCase())) {
+      if (subdomains.includes(parts[0])) {
         return parts.slice(1).join('.');
       }
     }
 
-    return domain;
+    return parts.join('.');
   }
 
   /**
@@ -250,6 +224,7 @@ class EmailMatcher {
       .replace(/\b(i{1,3}|iv|v|vi{1,3}|ix|x)\b/g, '') // Remove roman numerals
       .replace(/\b\d+\b/g, '') // Remove numbers
       .replace(/[^\w\s]/g, '') // Remove special characters
+      .replace(/\s+/g, ' ')
       .trim();
   }
 
@@ -268,141 +243,108 @@ class EmailMatcher {
     // Token-based similarity
     const tokens1 = new Set(norm1.split(' '));
     const tokens2 = new Set(norm2.split(' '));
-    
+
     const intersection = new Set([...tokens1].filter(x => tokens2.has(x)));
     const union = new Set([...tokens1, ...tokens2]);
-    
+
     return intersection.size / union.size;
   }
 
   /**
-   * Create a new job application
+   * Create a new job from its first email
    */
-  async createJobApplication(data) {
+  createJob(data) {
     const jobId = `job_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    
-    const stmt = this.db.prepare(`
-      INSERT INTO job_applications (
-        job_id, user_id, thread_id, company, company_domain,
-        job_title, normalized_job_title, location, status,
-        first_contact_date, last_contact_date, email_count
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    stmt.run(
+
+    this.db.prepare(`
+      INSERT INTO jobs (
+        id, gmail_message_id, company, position, status, applied_date,
+        account_email, from_address, notes, thread_id, company_domain,
+        normalized_position, last_contact_date, email_count, decision_version
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?)
+    `).run(
       jobId,
-      data.user_id || 'default',
-      data.thread_id,
+      data.gmailMessageId,
       data.company,
-      data.company_domain,
-      data.job_title,
-      data.normalized_job_title,
-      data.location,
+      data.position,
       data.status,
-      data.first_contact_date,
-      data.last_contact_date,
-      1
+      data.date,
+      data.accountEmail,
+      data.from,
+      data.snippet || '',
+      data.threadId,
+      data.companyDomain,
+      data.normalizedPosition,
+      data.date,
+      data.decisionVersion || null
     );
 
     return jobId;
   }
 
-  /**
-   * Update existing job application
-   */
-  async updateJobApplication(jobId, updates) {
-    const setClause = Object.keys(updates)
-      .map(key => `${key} = ?`)
-      .join(', ');
-    
-    const stmt = this.db.prepare(`
-      UPDATE job_applications 
-      SET ${setClause}, updated_at = CURRENT_TIMESTAMP
-      WHERE job_id = ?
-    `);
+  getJobStatus(jobId) {
+    const job = this.db.prepare('SELECT status FROM jobs WHERE id = ?').get(jobId);
+    return job ? job.status : null;
+  }
 
-    stmt.run(...Object.values(updates), jobId);
+  // Recompute the per-job email count and latest contact date from job_emails
+  refreshJobSummary(jobId) {
+    this.db.prepare(`
+      UPDATE jobs SET
+        email_count = (SELECT COUNT(*) FROM job_emails WHERE job_id = ?),
+        last_contact_date = COALESCE((SELECT MAX(email_date) FROM job_emails WHERE job_id = ?), last_contact_date, applied_date),
+        thread_id = COALESCE(thread_id, (SELECT thread_id FROM job_emails WHERE job_id = ? AND thread_id IS NOT NULL ORDER BY email_date LIMIT 1)),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(jobId, jobId, jobId, jobId);
   }
 
   /**
    * Add email to job application
    */
-  async addEmailToJob(jobId, emailData) {
-    const stmt = this.db.prepare(`
+  addEmailToJob(jobId, emailData) {
+    return this.db.prepare(`
       INSERT OR IGNORE INTO job_emails (
-        job_id, email_id, gmail_thread_id, subject,
-        from_address, email_date, detected_status,
-        content_snippet, raw_content, is_primary_email
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
-
-    stmt.run(
+        job_id, gmail_message_id, account_email, thread_id, subject,
+        from_address, email_date, detected_status, classification,
+        content_snippet, raw_content, is_primary_email, decision_version
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
       jobId,
-      emailData.email_id,
-      emailData.gmail_thread_id,
-      emailData.subject,
-      emailData.from_address,
-      emailData.email_date,
-      emailData.detected_status,
-      emailData.content_snippet,
-      emailData.raw_content,
-      emailData.is_primary_email ? 1 : 0
+      emailData.gmail_message_id,
+      emailData.account_email,
+      emailData.thread_id || null,
+      emailData.subject || null,
+      emailData.from_address || null,
+      emailData.email_date || null,
+      emailData.detected_status || null,
+      emailData.classification ? JSON.stringify(emailData.classification) : null,
+      emailData.content_snippet || null,
+      emailData.raw_content || null,
+      emailData.is_primary_email ? 1 : 0,
+      emailData.decision_version || null
     );
   }
 
   /**
-   * Add status change to history
-   */
-  async addStatusHistory(jobId, status, emailId) {
-    const stmt = this.db.prepare(`
-      INSERT INTO job_status_history (job_id, status, email_id)
-      VALUES (?, ?, ?)
-    `);
-
-    stmt.run(jobId, status, emailId);
-  }
-
-  /**
-   * Get complete job application with all related emails
+   * All emails of a job, oldest first
    */
-  getJobWithEmails(jobId) {
-    const job = this.db.prepare(`
-      SELECT * FROM job_applications WHERE job_id = ?
-    `).get(jobId);
-
-    if (!job) return null;
-
-    job.emails = this.db.prepare(`
-      SELECT * FROM job_emails 
-      WHERE job_id = ? 
-      ORDER BY email_date ASC
-    `).all(jobId);
-
-    job.status_history = this.db.prepare(`
-      SELECT * FROM job_status_history 
-      WHERE job_id = ? 
-      ORDER BY change_date ASC
+  getJobEmails(jobId) {
+    return this.db.prepare(`
+      SELECT * FROM job_emails
+      WHERE job_id = ?
+      ORDER BY email_date ASC, id ASC
     `).all(jobId);
-
-    return job;
   }
 
-  /**
-   * Get all jobs for a user with email counts
-   */
-  getUserJobs(userId) {
-    return this.db.prepare(`
-      SELECT 
-        ja.*,
-        COUNT(je.email_id) as total_emails,
-        MAX(je.email_date) as latest_email_date
-      FROM job_applications ja
-      LEFT JOIN job_emails je ON ja.job_id = je.job_id
-      WHERE ja.user_id = ?
-      GROUP BY ja.job_id
-      ORDER BY ja.last_contact_date DESC
-    `).all(userId);
+  deleteJob(jobId) {
+    const remove = this.db.transaction(() => {
+      this.db.prepare('DELETE FROM job_status_events WHERE job_id = ?').run(jobId);
+      this.db.prepare('DELETE FROM job_emails WHERE job_id = ?').run(jobId);
+      return this.db.prepare('DELETE FROM jobs WHERE id = ?').run(jobId);
+    });
+    return remove();
   }
 }
 
-module.exports = EmailMatcher;
\ No newline at end of file
+module.exports = EmailMatcher;
@@ -0,0 +1,267 @@
+/**
+ * Follow-up Rules Engine
+ *
+ * Flags applications that have gone quiet and reminds the user to follow up.
+ * Two rules run after every sync and once a day:
+ *
+ * - No response: a job still in an Applied stage with no email for
+ *   `noResponseDays` moves to the `noResponseStage` stage (Ghosted by default).
+ * - Interview follow-up: `interviewFollowUpDays` after an interview email, a
+ *   reminder comes due unless the job has heard back since.
+ *
+ * Reminders are kept in the `reminders` table and can be snoozed or dismissed.
+ */
+
+const EventEmitter = require('events');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000;
+
+// Interview emails older than this when first seen don't get a reminder, so the first
+// run over years of history doesn't produce a pile of stale ones
+const INTERVIEW_LOOKBACK_DAYS = 7;
+
+const DEFAULT_RULES = {
+  enabled: true,
+  noResponseDays: 21,
+  noResponseStage: 'Ghosted',
+  interviewFollowUpDays: 3
+};
+
+class FollowUpEngine extends EventEmitter {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   * @param {object} deps
+   * @param {import('./job-stages').JobStageCatalog} deps.stages
+   * @param {import('./job-timeline').JobTimeline} deps.timeline
+   * @param {() => object} deps.getRules - current rule settings, merged over DEFAULT_RULES
+   */
+  constructor(db, { stages, timeline, getRules }) {
+    super();
+    this.db = db;
+    this.stages = stages;
+    this.timeline = timeline;
+    this.getRules = getRules;
+    this.timer = null;
+  }
+
+  rules() {
+    return { ...DEFAULT_RULES, ...(this.getRules() || {}) };
+  }
+
+  /**
+   * Run once a day, starting shortly after launch
+   */
+  start() {
+    this.stop();
+    const tick = (delayMs) => {
+      this.timer = setTimeout(() => {
+        try {
+          this.run();
+        } catch (error) {
+          console.error('FollowUpEngine: Daily run failed:', error);
+        }
+        tick(DAY_MS);
+      }, delayMs);
+    };
+    tick(STARTUP_DELAY_MS);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Apply the rules and fire reminders that have come due.
+   * Emits 'run-complete' with the result; `due` holds the reminders that fired.
+   *
+   * @returns {{ markedNoResponse: number, scheduled: number, resolved: number, due: object[] }}
+   */
+  run(now = new Date()) {
+    const rules = this.rules();
+    if (!rules.enabled) {
+      return { markedNoResponse: 0, scheduled: 0, resolved: 0, due: [] };
+    }
+
+    const nowIso = now.toISOString();
+    const result = this.db.transaction(() => ({
+      markedNoResponse: this.markNoResponse(rules, nowIso),
+      scheduled: this.scheduleInterviewFollowUps(rules, now),
+      resolved: this.resolveAnswered(),
+      due: this.fireDue(nowIso)
+    }))();
+
+    if (result.markedNoResponse || result.scheduled || result.due.length) {
+      console.log(`FollowUpEngine: ${result.markedNoResponse} jobs without response, ${result.scheduled} follow-ups scheduled, ${result.due.length} reminders due`);
+    }
+    this.emit('run-complete', result);
+    return result;
+  }
+
+  // Jobs in an Applied stage with no email or status change for noResponseDays. Status
+  // changes count so that moving a job back to Applied by hand restarts the wait.
+  markNoResponse(rules, nowIso) {
+    const days = Number(rules.noResponseDays);
+    if (!days || days <= 0) return 0;
+
+    const targetStage = this.stages.has(rules.noResponseStage) ? rules.noResponseStage : null;
+    const appliedStages = this.stages.list()
+      .filter(stage => stage.coarse_status === 'Applied' && !stage.is_terminal && stage.name !== targetStage)
+      .map(stage => stage.name);
+    if (appliedStages.length === 0) return 0;
+
+    const quietJobs = this.db.prepare(`
+      SELECT j.id, j.company, j.position, (
+        SELECT value FROM (
+          SELECT email_date AS value FROM job_emails WHERE job_id = j.id
+          UNION ALL SELECT occurred_at FROM job_status_events WHERE job_id = j.id
+          UNION ALL SELECT j.last_contact_date
+          UNION ALL SELECT j.applied_date
+        )
+        WHERE value IS NOT NULL
+        ORDER BY julianday(value) DESC
+        LIMIT 1
+      ) AS last_activity
+      FROM jobs j
+      WHERE j.status IN (${appliedStages.map(() => '?').join(', ')})
+        AND last_activity IS NOT NULL
+        AND julianday(?) - julianday(last_activity) >= ?
+    `).all(...appliedStages, nowIso, days);
+
+    const addReminder = this.db.prepare(`
+      INSERT OR IGNORE INTO reminders (job_id, kind, source_key, message, due_at)
+      VALUES (?, 'no_response', ?, ?, ?)
+    `);
+
+    for (const job of quietJobs) {
+      if (targetStage) {
+        this.timeline.recordEvent(job.id, {
+          status: targetStage,
+          source: 'automatic',
+          detectedStatus: 'no_response',
+          occurredAt: nowIso
+        });
+      }
+      // Keyed on the last activity so the same silence is only reported once
+      addReminder.run(job.id, String(job.last_activity),
+        `No response from ${job.company} about ${job.position} in ${days} days`, nowIso);
+    }
+    return quietJobs.length;
+  }
+
+  // A reminder for every recent interview email
+  scheduleInterviewFollowUps(rules, now) {
+    const days = Number(rules.interviewFollowUpDays);
+    if (!days || days <= 0) return 0;
+
+    const interviewStages = this.stages.list()
+      .filter(stage => stage.coarse_status === 'Interviewed')
+      .map(stage => stage.name);
+    if (interviewStages.length === 0) return 0;
+
+    const since = new Date(now.getTime() - (days + INTERVIEW_LOOKBACK_DAYS) * DAY_MS).toISOString();
+    const events = this.db.prepare(`
+      SELECT e.id, e.job_id, e.status, e.occurred_at, j.company, j.position
+      FROM job_status_events e
+      JOIN jobs j ON j.id = e.job_id
+      WHERE e.source = 'automatic'
+        AND e.gmail_message_id IS NOT NULL
+        AND e.status IN (${interviewStages.map(() => '?').join(', ')})
+        AND julianday(e.occurred_at) >= julianday(?)
+    `).all(...interviewStages, since);
+
+    const addReminder = this.db.prepare(`
+      INSERT OR IGNORE INTO reminders (job_id, kind, source_key, message, due_at)
+      VALUES (?, 'interview_follow_up', ?, ?, ?)
+    `);
+
+    let scheduled = 0;
+    for (const event of events) {
+      const dueAt = new Date(new Date(event.occurred_at).getTime() + days * DAY_MS).toISOString();
+      const message = `Follow up with ${event.company} about ${event.position} (${event.status})`;
+      scheduled += addReminder.run(event.job_id, `event:${event.id}`, message, dueAt).changes;
+    }
+    return scheduled;
+  }
+
+  // Interview follow-ups are moot once the company has written again or the job is closed
+  resolveAnswered() {
+    const open = this.db.prepare(`
+      SELECT r.id, r.job_id, j.status, e.occurred_at AS trigger_at,
+        (SELECT MAX(je.email_date) FROM job_emails je WHERE je.job_id = r.job_id) AS last_email
+      FROM reminders r
+      JOIN jobs j ON j.id = r.job_id
+      LEFT JOIN job_status_events e ON 'event:' || e.id = r.source_key
+      WHERE r.kind = 'interview_follow_up' AND r.status IN ('pending', 'snoozed')
+    `).all();
+
+    const resolve = this.db.prepare("UPDATE reminders SET status = 'resolved', updated_at = CURRENT_TIMESTAMP WHERE id = ?");
+    let resolved = 0;
+    for (const reminder of open) {
+      const heardBack = reminder.trigger_at && reminder.last_email &&
+        new Date(reminder.last_email).getTime() > new Date(reminder.trigger_at).getTime();
+      if (heardBack || this.stages.isTerminal(reminder.status)) {
+        resolve.run(reminder.id);
+        resolved++;
+      }
+    }
+    return resolved;
+  }
+
+  fireDue(nowIso) {
+    const due = this.db.prepare(`
+      SELECT * FROM reminders
+      WHERE (status = 'pending' AND julianday(due_at) <= julianday(?))
+         OR (status = 'snoozed' AND julianday(snoozed_until) <= julianday(?))
+      ORDER BY due_at ASC
+    `).all(nowIso, nowIso);
+
+    const markNotified = this.db.prepare(`
+      UPDATE reminders SET status = 'notified', notified_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    for (const reminder of due) {
+      markNotified.run(nowIso, reminder.id);
+    }
+    return due;
+  }
+
+  /**
+   * Reminders for the UI, soonest first. Dismissed and resolved ones only on request.
+   */
+  list({ includeClosed = false } = {}) {
+    return this.db.prepare(`
+      SELECT r.*, j.company, j.position, j.status AS job_status
+      FROM reminders r
+      JOIN jobs j ON j.id = r.job_id
+      ${includeClosed ? '' : "WHERE r.status IN ('pending', 'notified', 'snoozed')"}
+      ORDER BY COALESCE(r.snoozed_until, r.due_at) ASC
+    `).all();
+  }
+
+  snooze(id, days = 1) {
+    const until = new Date(Date.now() + Math.max(Number(days) || 1, 0) * DAY_MS).toISOString();
+    const result = this.db.prepare(`
+      UPDATE reminders SET status = 'snoozed', snoozed_until = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status IN ('pending', 'notified', 'snoozed')
+    `).run(until, id);
+    if (result.changes === 0) {
+      throw new Error('Reminder not found or already closed');
+    }
+    return until;
+  }
+
+  dismiss(id) {
+    const result = this.db.prepare(`
+      UPDATE reminders SET status = 'dismissed', updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(id);
+    if (result.changes === 0) {
+      throw new Error('Reminder not found');
+    }
+  }
+}
+
+module.exports = FollowUpEngine;
+module.exports.DEFAULT_RULES = DEFAULT_RULES;
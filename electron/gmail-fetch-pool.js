@@ -0,0 +1,143 @@
+/**
+ * Concurrent Gmail message fetching
+ *
+ * Fetches full messages through a bounded pool of workers instead of one
+ * request at a time. Rate limit responses (429 / userRateLimitExceeded) and
+ * transient server errors are retried with exponential backoff, and every
+ * retry is reported so callers can surface it.
+ */
+
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const DEFAULT_MAX_DELAY_MS = 32000;
+
+const RATE_LIMIT_REASONS = ['userRateLimitExceeded', 'rateLimitExceeded'];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getStatus(error) {
+  const status = Number(error.response?.status || error.status || error.code);
+  return Number.isNaN(status) ? null : status;
+}
+
+function getReason(error) {
+  const errors = error.errors || error.response?.data?.error?.errors || [];
+  return errors[0]?.reason || null;
+}
+
+function isRateLimited(error) {
+  const status = getStatus(error);
+  return status === 429 || (status === 403 && RATE_LIMIT_REASONS.includes(getReason(error)));
+}
+
+function isRetryable(error) {
+  const status = getStatus(error);
+  return isRateLimited(error) ||
+    (status !== null && status >= 500) ||
+    TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+// Honour a Retry-After header when Gmail sends one, otherwise back off exponentially with jitter
+function getRetryDelay(error, attempt, baseDelayMs, maxDelayMs) {
+  const headers = error.response?.headers;
+  const retryAfter = Number(typeof headers?.get === 'function' ? headers.get('retry-after') : headers?.['retry-after']);
+  if (retryAfter > 0) {
+    return Math.min(retryAfter * 1000, maxDelayMs);
+  }
+  const exponential = baseDelayMs * Math.pow(2, attempt - 1);
+  return Math.min(exponential + Math.random() * baseDelayMs, maxDelayMs);
+}
+
+/**
+ * Fetch full messages with at most `concurrency` requests in flight.
+ *
+ * Returns messages in the same order as messageIds. Messages deleted since they
+ * were listed (404) are reported in `missing`; messages that still fail after
+ * all retries are reported in `failed`. A rate limit pauses every worker, since
+ * Gmail quotas are per user rather than per request.
+ */
+async function fetchMessagesConcurrently(gmail, messageIds, options = {}) {
+  const {
+    concurrency = DEFAULT_CONCURRENCY,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    maxDelayMs = DEFAULT_MAX_DELAY_MS,
+    format = 'full',
+    onRetry = null
+  } = options;
+
+  const results = new Array(messageIds.length).fill(null);
+  const missing = [];
+  const failed = [];
+  const retries = {};
+  let pausedUntil = 0;
+  let nextIndex = 0;
+
+  const fetchOne = async (messageId) => {
+    for (let attempt = 1; ; attempt++) {
+      const wait = pausedUntil - Date.now();
+      if (wait > 0) {
+        await sleep(wait);
+      }
+
+      try {
+        // The client's built-in retry would hide rate limits from us, so retry here instead
+        const response = await gmail.users.messages.get(
+          { userId: 'me', id: messageId, format },
+          { retry: false }
+        );
+        return response.data;
+      } catch (error) {
+        if (getStatus(error) === 404) {
+          missing.push(messageId);
+          return null;
+        }
+
+        if (!isRetryable(error) || attempt > maxRetries) {
+          failed.push({ id: messageId, error: error.message, attempts: attempt });
+          return null;
+        }
+
+        const delayMs = getRetryDelay(error, attempt, baseDelayMs, maxDelayMs);
+        const reason = getReason(error) || String(getStatus(error) || error.code || 'error');
+        if (isRateLimited(error)) {
+          pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+        }
+
+        retries[messageId] = attempt;
+        if (onRetry) {
+          onRetry({ messageId, attempt, delayMs: Math.round(delayMs), reason });
+        }
+        await sleep(delayMs);
+      }
+    }
+  };
+
+  const worker = async () => {
+    while (nextIndex < messageIds.length) {
+      const index = nextIndex++;
+      results[index] = await fetchOne(messageIds[index]);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, messageIds.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return {
+    messages: results.filter(Boolean),
+    missing,
+    failed,
+    retries,
+    totalRetries: Object.values(retries).reduce((sum, count) => sum + count, 0)
+  };
+}
+
+module.exports = {
+  fetchMessagesConcurrently,
+  isRateLimited,
+  DEFAULT_CONCURRENCY
+};
@@ -1,10 +1,10 @@
 const { google } = require('googleapis');
-const Database = require('better-sqlite3');
 const EventEmitter = require('events');
 const http = require('http');
 const url = require('url');
-const path = require('path');
-const os = require('os');
+const { fetchMessagesConcurrently, DEFAULT_CONCURRENCY } = require('./gmail-fetch-pool');
+const { getDb } = require('./database');
+const { getSecretStore } = require('./secrets');
 
 // Handle electron imports gracefully
 let shell;
@@ -30,29 +30,10 @@ class GmailMultiAuth extends EventEmitter {
   constructor() {
     super();
     
-    // Initialize database
-    try {
-      const appDir = path.join(os.homedir(), 'Library', 'Application Support', 'onlyjobs-desktop');
-      const dbPath = path.join(appDir, 'jobs.db');
-      
-      // Ensure directory exists
-      const fs = require('fs');
-      if (!fs.existsSync(appDir)) {
-        fs.mkdirSync(appDir, { recursive: true });
-        console.log('GmailMultiAuth: Created app directory:', appDir);
-      }
-      
-      console.log('GmailMultiAuth: Initializing database at:', dbPath);
-      this.db = new Database(dbPath);
-      
-      // Initialize gmail_accounts table schema
-      this.initializeDatabaseSchema();
-      
-      console.log('GmailMultiAuth: Database initialized successfully');
-    } catch (error) {
-      console.error('GmailMultiAuth: Failed to initialize database:', error);
-      throw error;
-    }
+    // The app's shared connection; gmail_accounts is created with the rest of the schema
+    this.db = getDb();
+    // OAuth tokens are kept in the secret store, not in gmail_accounts
+    this.secrets = getSecretStore();
     
     // Gmail OAuth configuration - Using the same Desktop OAuth credentials
     this.clientId = process.env.GOOGLE_OAUTH_CLIENT_ID || '17718847205-getvrh47jb81e0c2png9bv00jn3a9tpi.apps.googleusercontent.com';
@@ -69,32 +50,12 @@ class GmailMultiAuth extends EventEmitter {
     
     // OAuth clients per account
     this.oauthClients = new Map();
-  }
-  
-  // Initialize database schema for gmail_accounts table
-  initializeDatabaseSchema() {
-    try {
-      this.db.exec(`
-        -- Gmail accounts table for multi-account support
-        CREATE TABLE IF NOT EXISTS gmail_accounts (
-          id TEXT,
-          email TEXT PRIMARY KEY,
-          display_name TEXT,
-          access_token TEXT,
-          refresh_token TEXT,
-          token_expiry TIMESTAMP,
-          sync_enabled BOOLEAN DEFAULT 1,
-          is_active BOOLEAN DEFAULT 1,
-          last_sync TIMESTAMP,
-          connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-        );
-      `);
-      console.log('GmailMultiAuth: Database schema initialized');
-    } catch (error) {
-      console.error('GmailMultiAuth: Error initializing database schema:', error);
-      throw error;
-    }
+    
+    // Maximum concurrent messages.get requests per account
+    this.fetchConcurrency = Number(process.env.ONLYJOBS_GMAIL_FETCH_CONCURRENCY) || DEFAULT_CONCURRENCY;
+    
+    // Point the Gmail client at another server (e.g. scripts/mockGmailServer.js) for testing
+    this.gmailRootUrl = process.env.ONLYJOBS_GMAIL_API_URL || null;
   }
   
   // Get or create OAuth client for an account
@@ -115,12 +76,13 @@ class GmailMultiAuth extends EventEmitter {
         this.redirectUri
       );
       
-      // Load tokens from database
+      // Load tokens from the secret store
       const account = this.getAccount(email);
-      if (account && account.access_token) {
+      const tokens = account ? this.getTokens(email) : null;
+      if (tokens && tokens.access_token) {
         client.setCredentials({
-          access_token: account.access_token,
-          refresh_token: account.refresh_token,
+          access_token: tokens.access_token,
+          refresh_token: tokens.refresh_token,
           expiry_date: account.token_expiry
         });
       }
@@ -131,11 +93,11 @@ class GmailMultiAuth extends EventEmitter {
     return this.oauthClients.get(email);
   }
   
-  // Get all connected accounts
+  // Get all connected accounts, without tokens
   getAllAccounts() {
     try {
       const stmt = this.db.prepare('SELECT * FROM gmail_accounts WHERE is_active = 1 ORDER BY connected_at DESC');
-      return stmt.all();
+      return stmt.all().map(({ access_token, refresh_token, ...account }) => account);
     } catch (error) {
       console.error('GmailMultiAuth: Error getting accounts:', error);
       // Return empty array if table doesn't exist yet
@@ -149,31 +111,58 @@ class GmailMultiAuth extends EventEmitter {
     return stmt.get(email);
   }
   
-  // Save account to database
+  // Save account to database, and its tokens to the secret store
   saveAccount(email, tokens) {
     const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO gmail_accounts (id, email, access_token, refresh_token, token_expiry)
-      VALUES (?, ?, ?, ?, ?)
+      INSERT OR REPLACE INTO gmail_accounts (id, email, token_expiry)
+      VALUES (?, ?, ?)
     `);
     
     const accountId = `gmail_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    stmt.run(
-      accountId,
-      email,
-      tokens.access_token,
-      tokens.refresh_token,
-      tokens.expiry_date
-    );
+    this.db.transaction(() => {
+      stmt.run(accountId, email, tokens.expiry_date);
+      this.saveTokens(email, tokens);
+    })();
     
     return accountId;
   }
   
+  // Whether gmail_accounts still holds the tokens: migration 016 is waiting for the secret store
+  tokensInDatabase() {
+    return this.db.prepare('PRAGMA table_info(gmail_accounts)').all().some(col => col.name === 'refresh_token');
+  }
+  
+  // OAuth tokens of an account, or null; throws SecretsLockedError while the vault is locked
+  getTokens(email) {
+    if (this.tokensInDatabase()) {
+      const row = this.db.prepare('SELECT access_token, refresh_token FROM gmail_accounts WHERE email = ?').get(email);
+      return row && (row.access_token || row.refresh_token) ? row : null;
+    }
+    const stored = this.secrets.get(`gmail:${email}`);
+    return stored ? JSON.parse(stored) : null;
+  }
+  
+  saveTokens(email, tokens) {
+    if (this.tokensInDatabase()) {
+      this.db.prepare('UPDATE gmail_accounts SET access_token = ?, refresh_token = ? WHERE email = ?')
+        .run(tokens.access_token, tokens.refresh_token, email);
+      return;
+    }
+    this.secrets.set(`gmail:${email}`, JSON.stringify({
+      access_token: tokens.access_token,
+      refresh_token: tokens.refresh_token
+    }));
+  }
+  
   // Remove account
   removeAccount(email) {
     try {
       const stmt = this.db.prepare('UPDATE gmail_accounts SET is_active = 0 WHERE email = ?');
       stmt.run(email);
       this.oauthClients.delete(email);
+      if (!this.tokensInDatabase()) {
+        this.secrets.delete(`gmail:${email}`);
+      }
     } catch (error) {
       console.error('GmailMultiAuth: Error removing account:', error);
     }
@@ -219,8 +208,7 @@ class GmailMultiAuth extends EventEmitter {
           this.saveAccount(data.email, tokens);
           
           resolve({
-            email: data.email,
-            tokens: tokens
+            email: data.email
           });
         } catch (error) {
           reject(error);
@@ -346,13 +334,150 @@ class GmailMultiAuth extends EventEmitter {
     }
   }
   
+  // Refresh the access token for an account and persist the new credentials
+  async refreshAccountTokens(email, oauth2Client) {
+    const tokens = this.getTokens(email);
+    if (!tokens || !tokens.refresh_token) return;
+    
+    try {
+      const { credentials } = await oauth2Client.refreshAccessToken();
+      this.saveTokens(email, {
+        access_token: credentials.access_token,
+        refresh_token: credentials.refresh_token || tokens.refresh_token
+      });
+      this.db.prepare('UPDATE gmail_accounts SET token_expiry = ? WHERE email = ?').run(credentials.expiry_date, email);
+    } catch (error) {
+      console.error(`Failed to refresh token for ${email}:`, error);
+    }
+  }
+  
+  // Get an authenticated Gmail API client for an account
+  async getGmailClient(email) {
+    const oauth2Client = this.getOAuthClient(email);
+    await this.refreshAccountTokens(email, oauth2Client);
+    const options = { version: 'v1', auth: oauth2Client };
+    if (this.gmailRootUrl) {
+      options.rootUrl = this.gmailRootUrl;
+    }
+    return google.gmail(options);
+  }
+  
+  // Get the stored Gmail history ID for an account (null until the first full sync)
+  getHistoryId(email) {
+    const account = this.getAccount(email);
+    return account ? account.history_id || null : null;
+  }
+  
+  // Persist the Gmail history ID that the next incremental sync should start from.
+  // Callers save this only after the returned messages have been processed so
+  // that an interrupted sync does not skip past unprocessed mail.
+  saveHistoryId(email, historyId) {
+    if (!historyId) return;
+    const stmt = this.db.prepare(`
+      UPDATE gmail_accounts
+      SET history_id = ?, listing_page_token = NULL, listing_query = NULL, listing_history_id = NULL
+      WHERE email = ?
+    `);
+    stmt.run(String(historyId), email);
+  }
+  
+  // A full listing that stopped at the sync's limit: the page the next sync
+  // continues from, its query, and the history ID saved once it is done
+  getListingProgress(email) {
+    const account = this.getAccount(email);
+    if (!account || !account.listing_page_token) return null;
+    return {
+      pageToken: account.listing_page_token,
+      query: account.listing_query,
+      historyId: account.listing_history_id
+    };
+  }
+  
+  // The listing goes first: the next sync continues it instead of reading history
+  saveListingProgress(email, { pageToken, query, historyId }) {
+    const stmt = this.db.prepare(`
+      UPDATE gmail_accounts
+      SET history_id = NULL, listing_page_token = ?, listing_query = ?, listing_history_id = ?
+      WHERE email = ?
+    `);
+    stmt.run(pageToken, query || null, historyId ? String(historyId) : null, email);
+  }
+  
+  // Messages whose fetch failed after every retry, for the next sync to fetch again
+  getRetryMessageIds(email) {
+    const account = this.getAccount(email);
+    if (!account || !account.retry_message_ids) return [];
+    try {
+      return JSON.parse(account.retry_message_ids);
+    } catch (error) {
+      return [];
+    }
+  }
+  
+  saveRetryMessageIds(email, messageIds) {
+    const stmt = this.db.prepare('UPDATE gmail_accounts SET retry_message_ids = ? WHERE email = ?');
+    stmt.run(messageIds.length > 0 ? JSON.stringify(messageIds) : null, email);
+  }
+  
+  // Failures are queued as soon as they happen; retried messages leave the queue
+  // only once the sync that fetched them commits (removeRetryMessageIds)
+  addRetryMessageIds(email, messageIds) {
+    const queued = this.getRetryMessageIds(email);
+    this.saveRetryMessageIds(email, [...queued, ...messageIds.filter(id => !queued.includes(id))]);
+  }
+  
+  removeRetryMessageIds(email, messageIds) {
+    if (messageIds.length === 0) return;
+    this.saveRetryMessageIds(email, this.getRetryMessageIds(email).filter(id => !messageIds.includes(id)));
+  }
+  
+  // Fetch full message details for a list of message IDs through a bounded worker pool.
+  // Retries caused by rate limiting are logged and emitted as 'message-retry' events.
+  // Messages that still fail are queued for the next sync (getRetryMessageIds).
+  async fetchFullMessages(gmail, email, messageIds) {
+    const result = await fetchMessagesConcurrently(gmail, messageIds, {
+      concurrency: this.fetchConcurrency,
+      onRetry: ({ messageId, attempt, delayMs, reason }) => {
+        console.log(`GmailMultiAuth: Retrying message ${messageId} for ${email} (attempt ${attempt}, ${reason}) in ${delayMs}ms`);
+        this.emit('message-retry', { email, messageId, attempt, delayMs, reason });
+      }
+    });
+    
+    // Messages can be deleted between listing and fetching
+    for (const messageId of result.missing) {
+      console.log(`GmailMultiAuth: Message ${messageId} no longer exists, skipping`);
+    }
+    for (const failure of result.failed) {
+      console.error(`GmailMultiAuth: Error fetching message ${failure.id} after ${failure.attempts} attempts:`, failure.error);
+    }
+    if (result.failed.length > 0) {
+      this.addRetryMessageIds(email, result.failed.map(failure => failure.id));
+    }
+    
+    // Add account email to each message
+    for (const message of result.messages) {
+      message.accountEmail = email;
+    }
+    
+    return {
+      messages: result.messages,
+      stats: {
+        requested: messageIds.length,
+        fetched: result.messages.length,
+        missing: result.missing.length,
+        failed: result.failed.map(failure => failure.id),
+        retries: result.retries,
+        totalRetries: result.totalRetries
+      }
+    };
+  }
+  
   // Fetch emails from specific account
+  // A historyId continues a listing started earlier, whose history ID was read then
   async fetchEmailsFromAccount(email, options = {}) {
-    const { maxResults = 50, query = '', pageToken = null } = options;
+    const { maxResults = 50, query = '', pageToken = null, historyId: listingHistoryId = null } = options;
     
     try {
-      const oauth2Client = this.getOAuthClient(email);
-      
       // Gmail API has a max of 500 per request, but usually returns 50-100
       // We'll fetch multiple pages if needed to reach the desired maxResults
       const allMessages = [];
@@ -360,25 +485,20 @@ class GmailMultiAuth extends EventEmitter {
       let totalFetched = 0;
       const batchSize = Math.min(maxResults, 100); // Fetch 100 at a time max
       
-      // Check if tokens need refresh
-      const account = this.getAccount(email);
-      if (account && account.refresh_token) {
+      const gmail = await this.getGmailClient(email);
+      
+      // Capture the mailbox history ID before listing so that anything arriving
+      // while this sync runs is picked up by the next incremental sync
+      let historyId = listingHistoryId;
+      if (!historyId) {
         try {
-          const { credentials } = await oauth2Client.refreshAccessToken();
-          // Update tokens in database
-          const updateStmt = this.db.prepare(`
-            UPDATE gmail_accounts 
-            SET access_token = ?, token_expiry = ?
-            WHERE email = ?
-          `);
-          updateStmt.run(credentials.access_token, credentials.expiry_date, email);
+          const { data: profile } = await gmail.users.getProfile({ userId: 'me' });
+          historyId = profile.historyId || null;
         } catch (error) {
-          console.error(`Failed to refresh token for ${email}:`, error);
+          console.error(`GmailMultiAuth: Could not read history ID for ${email}:`, error.message);
         }
       }
       
-      const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
-      
       console.log(`GmailMultiAuth: Fetching up to ${maxResults} emails from ${email}...`);
       console.log(`GmailMultiAuth: Query: "${query}"`);
       
@@ -437,21 +557,7 @@ class GmailMultiAuth extends EventEmitter {
       console.log(`GmailMultiAuth: Total fetched ${allMessages.length} messages from ${email}`);
       
       // Fetch full message details
-      const fullMessages = [];
-      for (const message of allMessages) {
-        try {
-          const fullMessage = await gmail.users.messages.get({
-            userId: 'me',
-            id: message.id,
-            format: 'full'
-          });
-          // Add account email to message
-          fullMessage.data.accountEmail = email;
-          fullMessages.push(fullMessage.data);
-        } catch (error) {
-          console.error(`GmailMultiAuth: Error fetching message ${message.id}:`, error);
-        }
-      }
+      const { messages: fullMessages, stats: fetchStats } = await this.fetchFullMessages(gmail, email, allMessages.map(m => m.id));
       
       // Update last sync time
       const updateStmt = this.db.prepare('UPDATE gmail_accounts SET last_sync = CURRENT_TIMESTAMP WHERE email = ?');
@@ -460,7 +566,10 @@ class GmailMultiAuth extends EventEmitter {
       return {
         messages: fullMessages,
         nextPageToken: currentPageToken,
-        accountEmail: email
+        accountEmail: email,
+        historyId,
+        query: query || 'in:inbox',
+        fetchStats
       };
       
     } catch (error) {
@@ -469,6 +578,143 @@ class GmailMultiAuth extends EventEmitter {
     }
   }
   
+  // Fetch only messages added to the inbox since the given history ID.
+  // Returns { historyExpired: true } when Gmail no longer has history that far back.
+  async fetchHistorySince(email, startHistoryId, options = {}) {
+    const { maxResults = 500 } = options;
+    
+    const gmail = await this.getGmailClient(email);
+    const messageIds = new Set();
+    let latestHistoryId = startHistoryId;
+    let pageToken = null;
+    let truncated = false;
+    
+    console.log(`GmailMultiAuth: Fetching history for ${email} since ${startHistoryId}...`);
+    
+    do {
+      const params = {
+        userId: 'me',
+        startHistoryId,
+        historyTypes: ['messageAdded'],
+        labelId: 'INBOX',
+        maxResults: 500
+      };
+      if (pageToken) {
+        params.pageToken = pageToken;
+      }
+      
+      let response;
+      try {
+        response = await gmail.users.history.list(params);
+      } catch (apiError) {
+        // Gmail keeps roughly a week of history; older IDs come back as 404
+        if (apiError.code === 404) {
+          console.log(`GmailMultiAuth: History ID ${startHistoryId} expired for ${email}`);
+          return { historyExpired: true, messages: [], accountEmail: email };
+        }
+        console.error('GmailMultiAuth: Gmail history API error:', apiError);
+        throw apiError;
+      }
+      
+      for (const record of response.data.history || []) {
+        const added = (record.messagesAdded || [])
+          .map(entry => entry.message && entry.message.id)
+          .filter(id => id && !messageIds.has(id));
+        // Stop before a record that would go past maxResults and resume from it next
+        // time; a single record larger than that is still read whole
+        if (messageIds.size > 0 && messageIds.size + added.length > maxResults) {
+          truncated = true;
+          break;
+        }
+        added.forEach(id => messageIds.add(id));
+        latestHistoryId = record.id;
+      }
+      
+      if (truncated) break;
+      
+      pageToken = response.data.nextPageToken;
+      // The mailbox-wide history ID only applies once every page has been read
+      if (!pageToken && response.data.historyId) {
+        latestHistoryId = response.data.historyId;
+      }
+    } while (pageToken);
+    
+    const ids = Array.from(messageIds);
+    console.log(`GmailMultiAuth: ${ids.length} new messages in history for ${email}`);
+    
+    const { messages: fullMessages, stats: fetchStats } = await this.fetchFullMessages(gmail, email, ids);
+    
+    const updateStmt = this.db.prepare('UPDATE gmail_accounts SET last_sync = CURRENT_TIMESTAMP WHERE email = ?');
+    updateStmt.run(email);
+    
+    return {
+      historyExpired: false,
+      messages: fullMessages,
+      accountEmail: email,
+      historyId: latestHistoryId,
+      fetchStats
+    };
+  }
+  
+  // Sync an account incrementally via the History API when a history ID is stored,
+  // falling back to a full date-window listing on first sync or expired history.
+  // A pageToken continues an earlier full listing page by page, and a listing an
+  // earlier sync stopped at its limit is continued before history is used.
+  async syncAccount(email, options = {}) {
+    const { maxResults = 500, pageSize = maxResults, query = '', fullSync = false, pageToken = null } = options;
+    const storedHistoryId = fullSync || pageToken ? null : this.getHistoryId(email);
+    // Messages an earlier sync failed to fetch come with the first page
+    const retryIds = pageToken ? [] : this.getRetryMessageIds(email);
+    
+    if (storedHistoryId) {
+      const result = await this.fetchHistorySince(email, storedHistoryId, { maxResults });
+      if (!result.historyExpired) {
+        return this.withRetriedMessages(email, { ...result, mode: 'incremental' }, retryIds);
+      }
+      console.log(`GmailMultiAuth: Falling back to full sync for ${email}`);
+    }
+    
+    const listing = fullSync || pageToken ? null : this.getListingProgress(email);
+    if (listing) {
+      console.log(`GmailMultiAuth: Continuing the listing of ${email} an earlier sync stopped at its limit`);
+    }
+    const result = await this.fetchEmailsFromAccount(email, {
+      maxResults: Math.min(maxResults, pageSize),
+      query: listing && listing.query ? listing.query : query,
+      pageToken: listing ? listing.pageToken : pageToken,
+      historyId: listing ? listing.historyId : null
+    });
+    return this.withRetriedMessages(email, { ...result, mode: 'full' }, retryIds);
+  }
+  
+  // Add the queued messages to a sync's result; retriedIds are those that no longer
+  // need retrying, for the caller to dequeue once it has processed them
+  async withRetriedMessages(email, result, retryIds) {
+    const fetchedIds = new Set(result.messages.map(message => message.id));
+    const ids = retryIds.filter(id => !fetchedIds.has(id));
+    if (ids.length === 0) {
+      return { ...result, retriedIds: retryIds };
+    }
+    
+    console.log(`GmailMultiAuth: Fetching ${ids.length} message(s) an earlier sync of ${email} could not`);
+    const gmail = await this.getGmailClient(email);
+    const { messages, stats } = await this.fetchFullMessages(gmail, email, ids);
+    const fetchStats = result.fetchStats || { requested: 0, fetched: 0, missing: 0, failed: [], retries: {}, totalRetries: 0 };
+    return {
+      ...result,
+      messages: [...messages, ...result.messages],
+      retriedIds: retryIds.filter(id => !stats.failed.includes(id)),
+      fetchStats: {
+        requested: fetchStats.requested + stats.requested,
+        fetched: fetchStats.fetched + stats.fetched,
+        missing: fetchStats.missing + stats.missing,
+        failed: [...fetchStats.failed, ...stats.failed],
+        retries: { ...fetchStats.retries, ...stats.retries },
+        totalRetries: fetchStats.totalRetries + stats.totalRetries
+      }
+    };
+  }
+  
   // Fetch emails from all accounts
   async fetchEmailsFromAllAccounts(options = {}) {
     const accounts = this.getAllAccounts();
@@ -0,0 +1,347 @@
+// electron/ics.js
+// Minimal iCalendar (RFC 5545) support: reads the VEVENTs out of calendar invitations
+// attached to interview emails and writes interviews back out as .ics files.
+
+const PRODID = '-//OnlyJobs//Interviews//EN';
+
+// Outlook and Exchange invitations name zones the Windows way
+const WINDOWS_ZONES = {
+  'Pacific Standard Time': 'America/Los_Angeles',
+  'Mountain Standard Time': 'America/Denver',
+  'US Mountain Standard Time': 'America/Phoenix',
+  'Central Standard Time': 'America/Chicago',
+  'Eastern Standard Time': 'America/New_York',
+  'Atlantic Standard Time': 'America/Halifax',
+  'GMT Standard Time': 'Europe/London',
+  'Greenwich Standard Time': 'Atlantic/Reykjavik',
+  'W. Europe Standard Time': 'Europe/Berlin',
+  'Romance Standard Time': 'Europe/Paris',
+  'Central Europe Standard Time': 'Europe/Budapest',
+  'Central European Standard Time': 'Europe/Warsaw',
+  'E. Europe Standard Time': 'Europe/Chisinau',
+  'FLE Standard Time': 'Europe/Kiev',
+  'India Standard Time': 'Asia/Kolkata',
+  'China Standard Time': 'Asia/Shanghai',
+  'Singapore Standard Time': 'Asia/Singapore',
+  'Tokyo Standard Time': 'Asia/Tokyo',
+  'AUS Eastern Standard Time': 'Australia/Sydney',
+  'New Zealand Standard Time': 'Pacific/Auckland',
+  'UTC': 'UTC'
+};
+
+// Abbreviations people (and the LLM) write next to interview times
+const ZONE_ABBREVIATIONS = {
+  PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles',
+  MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver',
+  CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago',
+  ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York',
+  GMT: 'UTC', UTC: 'UTC', Z: 'UTC',
+  BST: 'Europe/London', WET: 'Europe/Lisbon',
+  CET: 'Europe/Paris', CEST: 'Europe/Paris',
+  EET: 'Europe/Athens', EEST: 'Europe/Athens',
+  IST: 'Asia/Kolkata', SGT: 'Asia/Singapore', JST: 'Asia/Tokyo',
+  AEST: 'Australia/Sydney', AEDT: 'Australia/Sydney'
+};
+
+/**
+ * Map a TZID, Windows zone name or abbreviation to an IANA zone Intl understands.
+ * Returns null when the zone is unknown.
+ */
+function resolveTimeZone(name) {
+  if (!name) return null;
+  const trimmed = String(name).trim().replace(/^"|"$/g, '');
+  const candidates = [trimmed, WINDOWS_ZONES[trimmed], ZONE_ABBREVIATIONS[trimmed.toUpperCase()]];
+  // Some producers prefix the IANA name, e.g. /mozilla.org/20050126_1/America/New_York
+  const ianaSuffix = trimmed.match(/([A-Za-z]+\/[A-Za-z_]+(?:\/[A-Za-z_]+)?)$/);
+  if (ianaSuffix) candidates.push(ianaSuffix[1]);
+
+  for (const candidate of candidates) {
+    if (!candidate) continue;
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: candidate });
+      return candidate;
+    } catch (error) {
+      // not a zone Intl knows
+    }
+  }
+  return null;
+}
+
+// Milliseconds the zone is ahead of UTC at the given instant
+function zoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(new Date(timestamp));
+  const get = type => Number(parts.find(part => part.type === type).value);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - timestamp;
+}
+
+/**
+ * Convert a wall-clock time in a zone to a Date. Without a zone the time is taken as
+ * local to this machine (an iCalendar "floating" time).
+ *
+ * @param {{year: number, month: number, day: number, hour?: number, minute?: number, second?: number}} fields - month is 1-based
+ * @param {string|null} timeZone - IANA zone
+ */
+function zonedTimeToDate({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  if (!timeZone) {
+    return new Date(year, month - 1, day, hour, minute, second);
+  }
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let timestamp = wallClock - zoneOffset(wallClock, timeZone);
+  // Second pass for times close to a DST change
+  const corrected = wallClock - zoneOffset(timestamp, timeZone);
+  if (corrected !== timestamp) timestamp = corrected;
+  return new Date(timestamp);
+}
+
+/**
+ * Parse "YYYY-MM-DDTHH:MM[:SS]" (as the LLM returns it) in the given zone
+ */
+function parseLocalDateTime(value, timeZone) {
+  const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+  if (!match) return null;
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const date = zonedTimeToDate({
+    year: Number(year), month: Number(month), day: Number(day),
+    hour: Number(hour), minute: Number(minute), second: Number(second)
+  }, resolveTimeZone(timeZone));
+  return isNaN(date.getTime()) ? null : date;
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+function escapeText(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// "NAME;PARAM=a;PARAM2="x:y":value" → { name, params, value }
+function parseContentLine(line) {
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+  if (separator === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, separator).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+  const params = {};
+  for (const param of rawParams) {
+    const equals = param.indexOf('=');
+    if (equals > 0) {
+      params[param.slice(0, equals).toUpperCase()] = param.slice(equals + 1).replace(/^"|"$/g, '');
+    }
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+}
+
+function parseDateValue(value, params, defaultZone) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const fields = {
+    year: Number(year), month: Number(month), day: Number(day),
+    hour: Number(hour || 0), minute: Number(minute || 0), second: Number(second || 0)
+  };
+
+  if (params.VALUE === 'DATE' || hour === undefined) {
+    return { date: zonedTimeToDate(fields, null), allDay: true, timeZone: null };
+  }
+  if (utc) {
+    return { date: new Date(Date.UTC(fields.year, fields.month - 1, fields.day, fields.hour, fields.minute, fields.second)), allDay: false, timeZone: 'UTC' };
+  }
+  const timeZone = resolveTimeZone(params.TZID) || defaultZone;
+  return { date: zonedTimeToDate(fields, timeZone), allDay: false, timeZone };
+}
+
+// P1DT2H, PT45M, P1W → milliseconds
+function parseDuration(value) {
+  const match = String(value || '').match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+  const [, sign, weeks, days, hours, minutes, seconds] = match;
+  const ms = ((((Number(weeks || 0) * 7 + Number(days || 0)) * 24 + Number(hours || 0)) * 60 + Number(minutes || 0)) * 60 + Number(seconds || 0)) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function parseAddress(property) {
+  if (!property) return null;
+  return {
+    name: property.params.CN || null,
+    email: property.value.replace(/^mailto:/i, '') || null
+  };
+}
+
+const MEETING_URL_PATTERN = /https?:\/\/(?:[\w-]+\.)*(?:zoom\.us|meet\.google\.com|teams\.microsoft\.com|teams\.live\.com|webex\.com|whereby\.com|chime\.aws|bluejeans\.com|gotomeeting\.com|around\.co)\/[^\s<>"')\]]+/i;
+
+/**
+ * First video-call link in a block of text
+ */
+function findMeetingUrl(text) {
+  const match = String(text || '').match(MEETING_URL_PATTERN);
+  return match ? match[0].replace(/[.,;]+$/, '') : null;
+}
+
+/**
+ * Read the events of an iCalendar document.
+ *
+ * @param {string} text
+ * @returns {{method: string|null, events: Array<{uid: string|null, sequence: number, status: string, title: string|null, start: Date, end: Date|null, allDay: boolean, timeZone: string|null, location: string|null, description: string|null, meetingUrl: string|null, organizer: {name: string|null, email: string|null}|null, attendees: Array<{name: string|null, email: string|null}>}>}}
+ */
+function parseIcs(text) {
+  const lines = String(text || '').replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+  const result = { method: null, events: [] };
+  const stack = [];
+  let event = null;
+  let calendarZone = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line.trimEnd());
+    if (!property) continue;
+
+    if (property.name === 'BEGIN') {
+      stack.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') event = { properties: {}, attendees: [] };
+      continue;
+    }
+    if (property.name === 'END') {
+      const component = stack.pop();
+      if (component === 'VEVENT' && event) {
+        result.events.push(event);
+        event = null;
+      }
+      continue;
+    }
+
+    const component = stack[stack.length - 1];
+    if (component === 'VCALENDAR') {
+      if (property.name === 'METHOD') result.method = property.value.toUpperCase();
+      if (property.name === 'X-WR-TIMEZONE') calendarZone = resolveTimeZone(property.value);
+    } else if (component === 'VEVENT' && event) {
+      if (property.name === 'ATTENDEE') event.attendees.push(property);
+      else if (!event.properties[property.name]) event.properties[property.name] = property;
+    }
+  }
+
+  result.events = result.events.map(({ properties, attendees }) => {
+    const text = name => (properties[name] ? unescapeText(properties[name].value) : null);
+    const start = properties.DTSTART && parseDateValue(properties.DTSTART.value, properties.DTSTART.params, calendarZone);
+    if (!start) return null;
+
+    let end = properties.DTEND && parseDateValue(properties.DTEND.value, properties.DTEND.params, calendarZone);
+    if (!end && properties.DURATION) {
+      const duration = parseDuration(properties.DURATION.value);
+      if (duration !== null) end = { date: new Date(start.date.getTime() + duration) };
+    }
+
+    const description = text('DESCRIPTION');
+    const location = text('LOCATION');
+    const meetingUrl = text('X-GOOGLE-CONFERENCE') ||
+      text('X-MICROSOFT-SKYPETEAMSMEETINGURL') ||
+      (properties.URL && findMeetingUrl(properties.URL.value)) ||
+      findMeetingUrl(location) ||
+      findMeetingUrl(description);
+
+    return {
+      uid: text('UID'),
+      sequence: Number(properties.SEQUENCE ? properties.SEQUENCE.value : 0) || 0,
+      status: (text('STATUS') || (result.method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED')).toUpperCase(),
+      title: text('SUMMARY'),
+      start: start.date,
+      end: end ? end.date : null,
+      allDay: start.allDay,
+      timeZone: start.timeZone,
+      location,
+      description,
+      meetingUrl,
+      organizer: parseAddress(properties.ORGANIZER),
+      attendees: attendees.map(parseAddress)
+    };
+  }).filter(Boolean);
+
+  return result;
+}
+
+function formatUtc(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function formatDate(date) {
+  const value = new Date(date);
+  return `${value.getFullYear()}${String(value.getMonth() + 1).padStart(2, '0')}${String(value.getDate()).padStart(2, '0')}`;
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const chunks = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    if (bytes + size > (chunks.length === 0 ? 75 : 74)) {
+      chunks.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  chunks.push(current);
+  return chunks.join('\r\n ');
+}
+
+/**
+ * Write events as an iCalendar document.
+ *
+ * @param {Array<{uid: string, sequence?: number, status?: string, title: string, start: string|Date, end?: string|Date|null, allDay?: boolean, location?: string|null, meetingUrl?: string|null, description?: string|null, updatedAt?: string|Date|null}>} events
+ * @param {{name?: string}} [options]
+ */
+function buildIcs(events, { name = 'OnlyJobs Interviews' } = {}) {
+  const now = formatUtc(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  for (const event of events) {
+    const start = new Date(event.start);
+    const end = event.end ? new Date(event.end) : new Date(start.getTime() + (event.allDay ? 24 * 60 : 60) * 60 * 1000);
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${event.updatedAt ? formatUtc(event.updatedAt) : now}`,
+      event.allDay ? `DTSTART;VALUE=DATE:${formatDate(start)}` : `DTSTART:${formatUtc(start)}`,
+      event.allDay ? `DTEND;VALUE=DATE:${formatDate(end)}` : `DTEND:${formatUtc(end)}`,
+      `SUMMARY:${escapeText(event.title)}`,
+      `SEQUENCE:${event.sequence || 0}`,
+      `STATUS:${(event.status || 'confirmed').toUpperCase()}`
+    );
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.meetingUrl) lines.push(`URL:${event.meetingUrl}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    lines.push('END:VEVENT');
+  }
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  parseIcs,
+  buildIcs,
+  parseLocalDateTime,
+  resolveTimeZone,
+  findMeetingUrl
+};
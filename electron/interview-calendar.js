@@ -0,0 +1,351 @@
+// electron/interview-calendar.js
+// Interviews scheduled in a job's emails. Calendar invitations (text/calendar parts)
+// are read directly; other interview emails go through the LLM. Interviews are kept in
+// the `interviews` table and can be exported as .ics, one event or all of them, or
+// written to a local feed file that calendar apps subscribe to.
+
+const fs = require('fs');
+const { parseIcs, buildIcs, parseLocalDateTime, resolveTimeZone, findMeetingUrl } = require('./ics');
+
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+const CALENDAR_MIME_TYPES = ['text/calendar', 'application/ics'];
+
+function isCalendarPart(part) {
+  return CALENDAR_MIME_TYPES.includes((part.mimeType || '').toLowerCase()) || /\.ics$/i.test(part.filename || '');
+}
+
+// Calendar parts can sit anywhere in a multipart tree
+function collectCalendarParts(part, found = []) {
+  if (!part) return found;
+  if (isCalendarPart(part)) found.push(part);
+  for (const child of part.parts || []) {
+    collectCalendarParts(child, found);
+  }
+  return found;
+}
+
+class InterviewCalendar {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   * @param {object} [options]
+   * @param {(input: object) => Promise<object>} [options.extractInterview] - LLM extraction for emails without an invitation
+   * @param {() => (string|null)} [options.getFeedPath] - feed file to keep up to date, or null when the feed is off
+   */
+  constructor(db, { extractInterview = null, getFeedPath = () => null } = {}) {
+    this.db = db;
+    this.extractInterview = extractInterview;
+    this.getFeedPath = getFeedPath;
+  }
+
+  /**
+   * Find the interviews in one email of a job and store them.
+   *
+   * @param {object} email - Gmail-shaped message
+   * @param {object} context
+   * @param {object} context.job - the jobs row the email belongs to
+   * @param {string} context.accountEmail
+   * @param {string} context.content - plain text used for classification
+   * @param {string} [context.sentAt] - Date header, to resolve relative dates
+   * @param {boolean} [context.useLLM] - ask the LLM when there is no invitation (interview emails)
+   * @param {(messageId: string, attachmentId: string) => Promise<string>} [context.fetchAttachment]
+   * @returns {Promise<object[]>} interviews saved from this email
+   */
+  async extractFromMessage(email, { job, accountEmail, content, sentAt = null, useLLM = false, fetchAttachment = null }) {
+    const saved = [];
+    for (const calendar of await this.readCalendarParts(email, fetchAttachment)) {
+      for (const event of calendar.events) {
+        saved.push(this.saveFromCalendar(event, calendar.method, { job, email, accountEmail }));
+      }
+    }
+    if (saved.length > 0 || !useLLM || !this.extractInterview) {
+      return saved.filter(Boolean);
+    }
+
+    const subject = (email.payload?.headers || []).find(h => h.name === 'Subject')?.value || '';
+    const extracted = await this.extractInterview({ subject, plaintext: content, emailDate: sentAt });
+    if (!extracted || !extracted.has_interview) {
+      return [];
+    }
+
+    const start = parseLocalDateTime(extracted.start, extracted.timezone);
+    if (!start) {
+      return [];
+    }
+    const duration = extracted.duration_minutes > 0 ? extracted.duration_minutes * 60 * 1000 : DEFAULT_DURATION_MS;
+    saved.push(this.upsert({
+      job_id: job.id,
+      uid: `${email.id}@onlyjobs`,
+      sequence: 0,
+      source: 'llm',
+      status: 'confirmed',
+      title: extracted.title || `Interview: ${job.company}`,
+      start_at: start.toISOString(),
+      end_at: new Date(start.getTime() + duration).toISOString(),
+      all_day: 0,
+      timezone: resolveTimeZone(extracted.timezone),
+      location: extracted.location,
+      meeting_url: extracted.meeting_url || findMeetingUrl(content),
+      interviewer: extracted.interviewer,
+      organizer_email: null,
+      description: null,
+      gmail_message_id: email.id,
+      account_email: accountEmail
+    }));
+    return saved.filter(Boolean);
+  }
+
+  async readCalendarParts(email, fetchAttachment) {
+    const calendars = [];
+    for (const part of collectCalendarParts(email.payload)) {
+      try {
+        let data = part.body?.data;
+        if (!data && part.body?.attachmentId && fetchAttachment) {
+          data = await fetchAttachment(email.id, part.body.attachmentId);
+        }
+        if (data) {
+          calendars.push(parseIcs(Buffer.from(data, 'base64').toString('utf-8')));
+        }
+      } catch (error) {
+        console.error(`Could not read calendar part of ${email.id}:`, error.message);
+      }
+    }
+    return calendars;
+  }
+
+  saveFromCalendar(event, method, { job, email, accountEmail }) {
+    const ownAddress = (accountEmail || '').toLowerCase();
+    const interviewer = [event.organizer, ...event.attendees]
+      .filter(person => person && (person.email || '').toLowerCase() !== ownAddress)
+      .map(person => person.name || person.email)
+      .filter((name, index, names) => name && names.indexOf(name) === index)
+      .join(', ');
+
+    const status = method === 'CANCEL' || event.status === 'CANCELLED'
+      ? 'cancelled'
+      : (event.status === 'TENTATIVE' ? 'tentative' : 'confirmed');
+
+    return this.upsert({
+      job_id: job.id,
+      uid: event.uid || `${email.id}-${event.start.getTime()}@onlyjobs`,
+      sequence: event.sequence,
+      source: 'calendar',
+      status,
+      title: event.title || `Interview: ${job.company}`,
+      start_at: event.start.toISOString(),
+      end_at: (event.end || new Date(event.start.getTime() + DEFAULT_DURATION_MS)).toISOString(),
+      all_day: event.allDay ? 1 : 0,
+      timezone: event.timeZone,
+      location: event.location && !/^https?:\/\//i.test(event.location) ? event.location : null,
+      meeting_url: event.meetingUrl,
+      interviewer: interviewer || null,
+      organizer_email: event.organizer ? event.organizer.email : null,
+      description: event.description ? event.description.substring(0, 2000) : null,
+      gmail_message_id: email.id,
+      account_email: accountEmail
+    });
+  }
+
+  /**
+   * Insert an interview or update the one with the same UID. A reschedule (higher
+   * SEQUENCE) always applies; otherwise manual edits are kept.
+   */
+  upsert(row) {
+    const existing = this.db.prepare('SELECT id, sequence, source FROM interviews WHERE uid = ?').get(row.uid);
+    if (existing) {
+      const newer = row.sequence > existing.sequence;
+      if (!newer && (existing.source === 'manual' || row.sequence < existing.sequence)) {
+        return null;
+      }
+      this.db.prepare(`
+        UPDATE interviews SET
+          job_id = @job_id, sequence = @sequence, source = @source, status = @status, title = @title,
+          start_at = @start_at, end_at = @end_at, all_day = @all_day, timezone = @timezone, location = @location,
+          meeting_url = @meeting_url, interviewer = @interviewer, organizer_email = @organizer_email,
+          description = @description, gmail_message_id = @gmail_message_id, account_email = @account_email,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+      `).run({ ...row, id: existing.id });
+      this.writeFeed();
+      return this.get(existing.id);
+    }
+
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO interviews (
+        job_id, uid, sequence, source, status, title, start_at, end_at, all_day, timezone, location,
+        meeting_url, interviewer, organizer_email, description, gmail_message_id, account_email
+      ) VALUES (
+        @job_id, @uid, @sequence, @source, @status, @title, @start_at, @end_at, @all_day, @timezone, @location,
+        @meeting_url, @interviewer, @organizer_email, @description, @gmail_message_id, @account_email
+      )
+    `).run(row);
+    console.log(`📅 Interview found: ${row.title} at ${row.start_at}`);
+    this.writeFeed();
+    return this.get(lastInsertRowid);
+  }
+
+  get(id) {
+    const interview = this.db.prepare(`
+      SELECT i.*, j.company, j.position
+      FROM interviews i
+      JOIN jobs j ON j.id = i.job_id
+      WHERE i.id = ?
+    `).get(id);
+    return interview ? { ...interview, all_day: !!interview.all_day } : null;
+  }
+
+  /**
+   * Interviews by start time, each with the ids of other interviews it overlaps
+   *
+   * @param {object} [filters]
+   * @param {string} [filters.jobId]
+   * @param {boolean} [filters.upcoming] - only interviews that haven't ended
+   * @param {boolean} [filters.includeCancelled]
+   */
+  list({ jobId = null, upcoming = false, includeCancelled = false } = {}) {
+    const conditions = [];
+    const params = [];
+    if (jobId) {
+      conditions.push('i.job_id = ?');
+      params.push(jobId);
+    }
+    if (upcoming) {
+      conditions.push('COALESCE(i.end_at, i.start_at) >= ?');
+      params.push(new Date().toISOString());
+    }
+    if (!includeCancelled) {
+      conditions.push("i.status != 'cancelled'");
+    }
+
+    const interviews = this.db.prepare(`
+      SELECT i.*, j.company, j.position
+      FROM interviews i
+      JOIN jobs j ON j.id = i.job_id
+      ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY i.start_at ASC
+    `).all(...params);
+
+    const active = this.db.prepare("SELECT id, start_at, end_at FROM interviews WHERE status != 'cancelled' AND all_day = 0").all();
+    return interviews.map(interview => ({
+      ...interview,
+      all_day: !!interview.all_day,
+      conflicts: interview.status === 'cancelled' || interview.all_day ? [] : active
+        .filter(other => other.id !== interview.id &&
+          other.start_at < (interview.end_at || interview.start_at) &&
+          interview.start_at < (other.end_at || other.start_at))
+        .map(other => other.id)
+    }));
+  }
+
+  /**
+   * Add an interview by hand or correct one. Edited interviews become manual and
+   * are no longer overwritten by later emails, except a reschedule.
+   */
+  save({ id = null, job_id, title, start_at, end_at = null, all_day = false, timezone = null, location = null, meeting_url = null, interviewer = null, description = null, status = 'confirmed' }) {
+    const start = new Date(start_at);
+    if (isNaN(start.getTime())) {
+      throw new Error('A valid start time is required');
+    }
+    const end = end_at ? new Date(end_at) : new Date(start.getTime() + DEFAULT_DURATION_MS);
+    if (isNaN(end.getTime()) || end < start) {
+      throw new Error('The interview must end after it starts');
+    }
+
+    const fields = {
+      title: (title || '').trim() || 'Interview',
+      start_at: start.toISOString(),
+      end_at: end.toISOString(),
+      all_day: all_day ? 1 : 0,
+      timezone,
+      location,
+      meeting_url,
+      interviewer,
+      description,
+      status
+    };
+
+    if (id) {
+      const result = this.db.prepare(`
+        UPDATE interviews SET
+          title = @title, start_at = @start_at, end_at = @end_at, all_day = @all_day, timezone = @timezone,
+          location = @location, meeting_url = @meeting_url, interviewer = @interviewer, description = @description,
+          status = @status, source = 'manual', updated_at = CURRENT_TIMESTAMP
+        WHERE id = @id
+      `).run({ ...fields, id });
+      if (result.changes === 0) {
+        throw new Error('Interview not found');
+      }
+      this.writeFeed();
+      return this.get(id);
+    }
+
+    if (!job_id || !this.db.prepare('SELECT 1 FROM jobs WHERE id = ?').get(job_id)) {
+      throw new Error('Job not found');
+    }
+    return this.upsert({
+      ...fields,
+      job_id,
+      uid: `manual-${Date.now()}-${Math.random().toString(36).slice(2, 8)}@onlyjobs`,
+      sequence: 0,
+      source: 'manual',
+      organizer_email: null,
+      gmail_message_id: null,
+      account_email: null
+    });
+  }
+
+  delete(id) {
+    const result = this.db.prepare('DELETE FROM interviews WHERE id = ?').run(id);
+    if (result.changes === 0) {
+      throw new Error('Interview not found');
+    }
+    this.writeFeed();
+  }
+
+  /**
+   * iCalendar text for the given interviews, or every interview when ids is empty
+   */
+  toIcs(ids = []) {
+    const interviews = this.list({ includeCancelled: true })
+      .filter(interview => ids.length === 0 || ids.includes(interview.id));
+    return buildIcs(interviews.map(interview => ({
+      uid: interview.uid,
+      sequence: interview.sequence,
+      status: interview.status,
+      title: interview.title,
+      start: interview.start_at,
+      end: interview.end_at,
+      allDay: interview.all_day,
+      location: interview.location,
+      meetingUrl: interview.meeting_url,
+      updatedAt: interview.updated_at ? interview.updated_at.replace(' ', 'T') + (interview.updated_at.includes('T') ? '' : 'Z') : null,
+      description: [
+        `${interview.company} – ${interview.position}`,
+        interview.interviewer ? `With: ${interview.interviewer}` : null,
+        interview.meeting_url ? `Join: ${interview.meeting_url}` : null,
+        interview.description
+      ].filter(Boolean).join('\n\n')
+    })));
+  }
+
+  /**
+   * Rewrite the feed file, when the feed is on. Written to a temporary file first so a
+   * calendar app polling it never reads half a file.
+   */
+  writeFeed() {
+    const feedPath = this.getFeedPath();
+    if (!feedPath) return null;
+    try {
+      const temporaryPath = `${feedPath}.tmp`;
+      fs.writeFileSync(temporaryPath, this.toIcs());
+      fs.renameSync(temporaryPath, feedPath);
+      return feedPath;
+    } catch (error) {
+      console.error('Error writing interview feed:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = {
+  InterviewCalendar
+};
@@ -1,7 +1,6 @@
 const { ipcMain, dialog, shell, Notification, BrowserWindow } = require('electron');
 const path = require('path');
 const fs = require('fs').promises;
-const Database = require('better-sqlite3');
 const Store = require('electron-store').default || require('electron-store');
 const { app } = require('electron');
 const { spawn } = require('child_process');
@@ -13,31 +12,36 @@ const promptManager = new PromptManager();
 
 // LLM-only classification handler (no ML, no keyword fallback)
 const llmHandler = {
-  classifyEmail: async (content) => {
+  // messageId keeps an email's own correction out of its few-shot examples
+  classifyEmail: async (content, { messageId = null } = {}) => {
     console.log('🧠 Using LLM classifier only');
     try {
       // Parse content to extract subject and body
       const lines = content.split('\n');
       const subjectLine = lines.find(line => line.toLowerCase().startsWith('subject:'));
       const subject = subjectLine ? subjectLine.substring(8).trim() : '';
+      const fromLine = lines.find(line => line.toLowerCase().startsWith('from:'));
+      const from = fromLine ? fromLine.substring(5).trim() : '';
       
-      const result = await classifier.parse({ subject, plaintext: content });
+      const stages = getJobStages();
+      const examples = promptManager.selectFewShots({ from, subject, messageId });
+      const result = await classifier.parse({ subject, plaintext: content, from, stages: stages.classifierStages(), examples });
       console.log('LLM classification result:', result);
       
       // Map status to job_type for backward compatibility
       let jobType = null;
       if (result.is_job_related && result.status) {
-        const status = result.status.toLowerCase();
-        if (status.includes('interview')) jobType = 'interview';
-        else if (status.includes('offer')) jobType = 'offer';
-        else if (status.includes('declined') || status.includes('reject')) jobType = 'rejection';
-        else if (status.includes('applied')) jobType = 'application_sent';
+        const coarseStatus = stages.toCoarse(stages.resolve(result.status));
+        if (coarseStatus === 'Interviewed') jobType = 'interview';
+        else if (coarseStatus === 'Offer') jobType = 'offer';
+        else if (coarseStatus === 'Declined') jobType = 'rejection';
         else jobType = 'application_sent';
       }
       
       return {
         ...result,
-        job_type: jobType
+        job_type: jobType,
+        decision_version: await getDecisionVersion()
       };
     } catch (error) {
       console.error('LLM classification error:', error);
@@ -47,7 +51,8 @@ const llmHandler = {
         company: null,
         position: null,
         status: null,
-        job_type: null
+        job_type: null,
+        confidence: 0
       };
     }
   },
@@ -68,300 +73,394 @@ const llmHandler = {
 // Removed old auth-flow - using simplified auth for desktop app
 // const GmailAuth = require('./gmail-auth'); // Removed - using multi-account only
 const GmailMultiAuth = require('./gmail-multi-auth');
-const IntegratedEmailProcessor = require('./integrated-email-processor');
+const EmailMatcher = require('./email-matcher');
+const { JobTimeline } = require('./job-timeline');
+const { JobStageCatalog } = require('./job-stages');
+const SyncJobStore = require('./sync-job-store');
+const SyncScheduler = require('./sync-scheduler');
+const FollowUpEngine = require('./follow-up-engine');
+const { InterviewCalendar } = require('./interview-calendar');
+const { EmailGate, DEFAULT_FILTERS } = require('./email-gate');
+const { ReviewQueue, DEFAULT_CONFIDENCE_THRESHOLD, findReviewReason } = require('./review-queue');
+const { CorrectionStore } = require('./correction-store');
+const { Reprocessor } = require('./reprocessor');
+const { JobSearch } = require('./job-search');
+const { JobQuery } = require('./job-query');
+const { getDb: getDatabase, closeDb, migrateDatabase } = require('./database');
+const { getSecretStore, SecretsLockedError } = require('./secrets');
+const { hasPlaintextSecrets } = require('./migrations/016-secrets-out-of-db');
+const { getHintedStatuses } = require('./llm/rules');
+const { getDecisionVersion } = require('./llm/llmEngine');
+const { CONFIDENCE_SAMPLES } = require('./llm/config');
+const { configureBackend, normalizeBackendConfig, DEFAULT_BACKEND_CONFIG } = require('./llm/backends');
+const { ModelManager } = require('./model-manager');
+const { MailSourceRegistry } = require('./mail-sources');
+const { collectImportFiles, readMailFile, DEFAULT_IMPORT_ACCOUNT, IMPORT_EXTENSIONS } = require('./mail-sources/file-import');
+
+// Messages listed per Gmail page during a full sync; progress is checkpointed after each page
+const SYNC_PAGE_SIZE = 100;
 
 console.log('Loading IPC handlers...');
 
-// Initialize secure storage - defer until needed
+// Settings - defer until needed. The file isn't encrypted: credentials are kept
+// in the secret store (electron/secrets.js), not here
 let store = null;
 function getStore() {
   if (!store) {
-    store = new Store({
-      encryptionKey: 'onlyjobs-desktop-2024' // In production, use a more secure key
-    });
+    store = new Store({ name: 'settings' });
+    importLegacySettings(store);
   }
   return store;
 }
 
+// Earlier versions kept settings in config.json, encrypted with a key written in
+// this file; copy them over once and remove it
+const LEGACY_SETTINGS_KEY = 'onlyjobs-desktop-2024';
+function importLegacySettings(settings) {
+  const legacyPath = path.join(app.getPath('userData'), 'config.json');
+  if (!require('fs').existsSync(legacyPath)) return;
+  try {
+    const legacy = new Store({ encryptionKey: LEGACY_SETTINGS_KEY });
+    if (settings.size === 0) {
+      settings.set(legacy.store);
+    }
+    require('fs').unlinkSync(legacyPath);
+    console.log('⚙️ Moved settings out of the old config.json');
+  } catch (error) {
+    console.error('Error reading the old settings file:', error);
+  }
+}
+
 // Initialize database - defer until needed
 let db = null;
-let initialized = false;
 function getDb() {
   if (!db) {
-    const dbPath = path.join(app.getPath('userData'), 'jobs.db');
-    db = new Database(dbPath);
-    if (!initialized) {
-      initializeDatabase();
-      initialized = true;
-    }
+    // The connection GmailMultiAuth and the sync use too (electron/database.js)
+    db = getDatabase();
+    initializeDatabase();
   }
   return db;
 }
 
-// Initialize database schema
-function initializeDatabase() {
-  // Disable foreign keys during migration
-  getDb().pragma('foreign_keys = OFF');
-  
-  // First ensure the jobs table has all required columns
-  try {
-    const jobsTableInfo = getDb().prepare("PRAGMA table_info(jobs)").all();
-    const hasAccountEmail = jobsTableInfo.some(col => col.name === 'account_email');
-    
-    if (!hasAccountEmail && jobsTableInfo.length > 0) {
-      console.log('Adding missing account_email column to jobs table...');
-      getDb().exec('ALTER TABLE jobs ADD COLUMN account_email TEXT');
-      getDb().exec('ALTER TABLE jobs ADD COLUMN from_address TEXT');
-    }
-  } catch (e) {
-    console.log('Database migration check:', e.message);
+// Send an event to the renderer if a window is open; background syncs may run from the tray
+function sendToRenderer(channel, payload) {
+  const mainWindow = BrowserWindow.getAllWindows()[0];
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
   }
-  
-  try {
-    // First, check if jobs table exists and needs migration
-    const jobsTableExists = getDb().prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='jobs'").get();
-    
-    if (jobsTableExists) {
-      // Check if jobs table needs migration to new schema
-      const jobsTableInfo = getDb().prepare("PRAGMA table_info(jobs)").all();
-      const hasGmailMessageId = jobsTableInfo.some(col => col.name === 'gmail_message_id');
-      const hasAccountEmail = jobsTableInfo.some(col => col.name === 'account_email');
-      const hasFromAddress = jobsTableInfo.some(col => col.name === 'from_address');
-      
-      if (!hasGmailMessageId || !hasAccountEmail || !hasFromAddress) {
-        console.log('Migrating jobs table to new schema...');
-        
-        // Create new jobs table with correct schema
-        getDb().exec(`
-          CREATE TABLE IF NOT EXISTS jobs_new (
-            id TEXT PRIMARY KEY,
-            gmail_message_id TEXT,
-            company TEXT NOT NULL,
-            position TEXT NOT NULL,
-            status TEXT DEFAULT 'Applied' CHECK(status IN ('Applied', 'Interviewed', 'Declined', 'Offer')),
-            applied_date DATE,
-            location TEXT,
-            salary_range TEXT,
-            notes TEXT,
-            ml_confidence REAL,
-            account_email TEXT,
-            from_address TEXT,
-            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-          );
-        `);
-        
-        // Copy only essential data from old table
-        getDb().exec(`
-          INSERT INTO jobs_new (id, company, position, status, applied_date, location, salary_range, notes, ml_confidence, created_at, updated_at, gmail_message_id, account_email, from_address)
-          SELECT 
-            id,
-            company,
-            position,
-            CASE 
-              WHEN status = 'active' THEN 'Applied'
-              WHEN status = 'applied' THEN 'Applied'
-              WHEN status = 'interviewing' THEN 'Interviewed'
-              WHEN status = 'offered' THEN 'Offer'
-              WHEN status = 'rejected' THEN 'Declined'
-              WHEN status = 'withdrawn' THEN 'Declined'
-              ELSE 'Applied'
-            END as status,
-            COALESCE(applied_date, date('now')) as applied_date,
-            location,
-            salary_range,
-            notes,
-            ml_confidence,
-            COALESCE(created_at, datetime('now')) as created_at,
-            COALESCE(updated_at, datetime('now')) as updated_at,
-            'migrated_' || id as gmail_message_id,
-            'unknown' as account_email,
-            'migrated' as from_address
-          FROM jobs;
-        `);
-        
-        // Drop old table and rename new one
-        getDb().exec('DROP TABLE jobs');
-        getDb().exec('ALTER TABLE jobs_new RENAME TO jobs');
-        
-        console.log('Migration completed: Updated jobs table schema');
+}
+
+// Persisted sync runs - created with the database so stale runs are caught at launch
+let syncJobStore = null;
+function getSyncJobStore() {
+  if (!syncJobStore) {
+    syncJobStore = new SyncJobStore(getDb());
+  }
+  return syncJobStore;
+}
+
+// Stage catalogue that jobs.status values come from
+let jobStages = null;
+function getJobStages() {
+  if (!jobStages) {
+    jobStages = new JobStageCatalog(getDb());
+  }
+  return jobStages;
+}
+
+// Status events behind each job's current status
+let jobTimeline = null;
+function getJobTimeline() {
+  if (!jobTimeline) {
+    jobTimeline = new JobTimeline(getDb(), getJobStages());
+  }
+  return jobTimeline;
+}
+
+// Job persistence: jobs + job_emails, with related emails matched to the same job
+let emailMatcher = null;
+function getEmailMatcher() {
+  if (!emailMatcher) {
+    emailMatcher = new EmailMatcher(getDb(), getJobTimeline(), getJobStages());
+  }
+  return emailMatcher;
+}
+
+// Ghosted detection and follow-up reminders - runs after each sync and on a daily timer
+let followUpEngine = null;
+function getFollowUpEngine() {
+  if (!followUpEngine) {
+    followUpEngine = new FollowUpEngine(getDb(), {
+      stages: getJobStages(),
+      timeline: getJobTimeline(),
+      getRules: () => getStore().get('followUpRules', FollowUpEngine.DEFAULT_RULES)
+    });
+    followUpEngine.on('run-complete', ({ due: reminders }) => {
+      sendToRenderer('reminders-updated', { due: reminders.length });
+      if (reminders.length === 0) return;
+      showSystemNotification(
+        reminders.length === 1 ? 'Follow-up reminder' : `${reminders.length} follow-up reminders`,
+        reminders.length === 1 ? reminders[0].message : reminders.slice(0, 3).map(r => r.message).join('\n')
+      );
+    });
+  }
+  return followUpEngine;
+}
+
+// Interviews found in job emails, and the .ics feed file they are mirrored to
+let interviewCalendar = null;
+function getInterviewFeedSettings() {
+  const feed = getStore().get('interviewFeed', {});
+  return {
+    enabled: !!feed.enabled,
+    path: feed.path || path.join(app.getPath('userData'), 'interviews.ics')
+  };
+}
+
+function getInterviewCalendar() {
+  if (!interviewCalendar) {
+    interviewCalendar = new InterviewCalendar(getDb(), {
+      extractInterview: classifier.extractInterview ? (input) => classifier.extractInterview(input) : null,
+      getFeedPath: () => {
+        const feed = getInterviewFeedSettings();
+        return feed.enabled ? feed.path : null;
       }
+    });
+  }
+  return interviewCalendar;
+}
+
+// Pre-LLM filter for obvious non-job mail; decisions are kept for review
+let emailGate = null;
+function getEmailGate() {
+  if (!emailGate) {
+    emailGate = new EmailGate(getDb(), {
+      getFilters: () => getStore().get('emailFilters', DEFAULT_FILTERS)
+    });
+  }
+  return emailGate;
+}
+
+// Uncertain classifications waiting for someone to confirm or correct them
+let reviewQueue = null;
+function getReviewQueue() {
+  if (!reviewQueue) {
+    reviewQueue = new ReviewQueue(getDb(), getEmailMatcher(), getCorrectionStore());
+  }
+  return reviewQueue;
+}
+
+// Corrections made by the user, reused as few-shot examples for similar emails
+let correctionStore = null;
+function getCorrectionStore() {
+  if (!correctionStore) {
+    correctionStore = new CorrectionStore(getDb());
+    promptManager.setCorrectionStore(correctionStore);
+  }
+  return correctionStore;
+}
+
+// Full-text search over jobs and their emails; the FTS indexes need jobs and job_emails first
+let jobSearch = null;
+function getJobSearch() {
+  if (!jobSearch) {
+    getEmailMatcher();
+    jobSearch = new JobSearch(getDb(), getJobStages());
+  }
+  return jobSearch;
+}
+
+// Paged, sorted job lists with facet counts for the dashboards
+let jobQuery = null;
+function getJobQuery() {
+  if (!jobQuery) {
+    jobQuery = new JobQuery(getDb());
+  }
+  return jobQuery;
+}
+
+// Re-classifies stored job emails after a prompt or model change
+let reprocessor = null;
+function getReprocessor() {
+  if (!reprocessor) {
+    getCorrectionStore();
+    reprocessor = new Reprocessor(getDb(), getEmailMatcher(), getJobTimeline(), llmHandler.classifyEmail);
+  }
+  return reprocessor;
+}
+
+// Where prompts run (in-process llama.cpp, an OpenAI-compatible server or Ollama); set from main.js at launch.
+// The server's API key is in the secret store; the settings file holds it only while the store is unavailable
+const LLM_API_KEY_SECRET = 'llm-backend:api-key';
+
+function getLLMBackendSetting() {
+  const setting = { ...DEFAULT_BACKEND_CONFIG, ...getStore().get('llmBackend', {}) };
+  const secrets = getSecretStore();
+  if (secrets.isAvailable()) {
+    setting.apiKey = secrets.get(LLM_API_KEY_SECRET) || setting.apiKey || '';
+  }
+  return setting;
+}
+
+function saveLLMBackendSetting(setting) {
+  const secrets = getSecretStore();
+  const { apiKey, ...rest } = setting;
+  if (!secrets.isAvailable()) {
+    // Never write a new key in plaintext. One saved before the secret store existed
+    // is kept until it can be moved; an empty key leaves a stored one alone
+    const legacyKey = (getStore().get('llmBackend') || {}).apiKey;
+    if (apiKey && apiKey !== legacyKey) {
+      throw new SecretsLockedError('Unlock the credential vault in Settings to save the API key');
     }
-    
-    // Drop old emails table if it exists
-    const stmt = getDb().prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='emails'");
-    const oldEmailsTable = stmt.get();
-    
-    if (oldEmailsTable) {
-      console.log('Removing old emails table...');
-      getDb().exec('DROP TABLE IF EXISTS emails');
-      console.log('Migration completed: Removed old emails table');
+    getStore().set('llmBackend', apiKey ? { ...rest, apiKey } : rest);
+    return;
+  }
+  if (apiKey) {
+    secrets.set(LLM_API_KEY_SECRET, apiKey);
+  } else {
+    secrets.delete(LLM_API_KEY_SECRET);
+  }
+  getStore().set('llmBackend', rest);
+}
+
+// Move credentials still kept in plaintext (jobs.db before migration 016, the
+// API key in settings) once the secret store can take them: at launch, or when
+// the vault is unlocked
+function moveCredentialsToSecretStore() {
+  if (!getSecretStore().isAvailable()) return;
+  try {
+    migrateDatabase();
+    const setting = getStore().get('llmBackend');
+    if (setting && setting.apiKey) {
+      saveLLMBackendSetting(setting);
+      console.log('🔐 Moved the LLM server API key to the secret store');
     }
-    
   } catch (error) {
-    console.error('Migration error:', error);
+    console.error('Error moving credentials to the secret store:', error);
   }
-  
-  // Add missing columns to email_sync table if they don't exist
+}
+
+getSecretStore().on('available', moveCredentialsToSecretStore);
+app.whenReady().then(moveCredentialsToSecretStore);
+
+function applyLLMBackendSetting() {
   try {
-    const emailSyncColumns = getDb().pragma('table_info(email_sync)');
-    const hasAccountEmail = emailSyncColumns.some(col => col.name === 'account_email');
-    
-    if (!hasAccountEmail) {
-      console.log('Adding account_email column to email_sync table...');
-      getDb().exec(`
-        ALTER TABLE email_sync 
-        ADD COLUMN account_email TEXT DEFAULT 'unknown@gmail.com'
-      `);
-      console.log('Added account_email column to email_sync table');
-    }
+    configureBackend(getLLMBackendSetting());
   } catch (error) {
-    console.log('email_sync table migration:', error.message);
+    console.error('Invalid LLM backend setting, keeping the current backend:', error.message);
   }
-  
-  getDb().exec(`
-    -- Gmail accounts table for multi-account support
-    CREATE TABLE IF NOT EXISTS gmail_accounts (
-      id TEXT,
-      email TEXT PRIMARY KEY,
-      display_name TEXT,
-      access_token TEXT,
-      refresh_token TEXT,
-      token_expiry TIMESTAMP,
-      sync_enabled BOOLEAN DEFAULT 1,
-      is_active BOOLEAN DEFAULT 1,
-      last_sync TIMESTAMP,
-      connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    );
+  getModelManager().applyActive();
+}
 
+// Downloaded and imported GGUF models for the llama.cpp backend
+let modelManager = null;
+function getModelManager() {
+  if (!modelManager) {
+    modelManager = new ModelManager({
+      modelsDir: path.join(app.getPath('userData'), 'models'),
+      onProgress: (progress) => sendToRenderer('model-download-progress', progress),
+      onChange: () => sendToRenderer('models-updated')
+    });
+  }
+  return modelManager;
+}
 
-    -- Jobs table (refined)
-    CREATE TABLE IF NOT EXISTS jobs (
-      id TEXT PRIMARY KEY,
-      gmail_message_id TEXT NOT NULL,
-      company TEXT NOT NULL,
-      position TEXT NOT NULL,
-      status TEXT DEFAULT 'Applied' CHECK(status IN ('Applied', 'Interviewed', 'Declined', 'Offer')),
-      applied_date DATE,
-      location TEXT,
-      salary_range TEXT,
-      notes TEXT,
-      ml_confidence REAL,
-      account_email TEXT,
-      from_address TEXT,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      UNIQUE(gmail_message_id, account_email)
-    );
+// Shown only while notifications are enabled in Settings
+function showSystemNotification(title, body) {
+  if (!getStore().get('notifications', true) || !Notification.isSupported()) return;
+  new Notification({ title, body }).show();
+}
 
-    -- Email sync tracking table
-    CREATE TABLE IF NOT EXISTS email_sync (
-      gmail_message_id TEXT,
-      account_email TEXT NOT NULL,
-      processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      is_job_related BOOLEAN DEFAULT 0,
-      PRIMARY KEY (gmail_message_id, account_email)
-    );
+// Gmail and IMAP accounts that a sync iterates over
+let mailSourceRegistry = null;
+function getMailSourceRegistry() {
+  if (!mailSourceRegistry) {
+    mailSourceRegistry = new MailSourceRegistry(getDb(), getGmailMultiAuth, getSecretStore());
+  }
+  return mailSourceRegistry;
+}
 
-    -- Sync status
-    CREATE TABLE IF NOT EXISTS sync_status (
-      id INTEGER PRIMARY KEY CHECK (id = 1),
-      last_fetch_time TIMESTAMP,
-      last_classify_time TIMESTAMP,
-      last_sync_status TEXT,
-      total_emails_fetched INTEGER DEFAULT 0,
-      total_emails_classified INTEGER DEFAULT 0,
-      total_jobs_found INTEGER DEFAULT 0
-    );
-    
-    -- Sync history log table
-    CREATE TABLE IF NOT EXISTS sync_history (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      sync_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      accounts_synced INTEGER,
-      emails_fetched INTEGER,
-      emails_processed INTEGER,
-      emails_classified INTEGER,
-      jobs_found INTEGER,
-      new_jobs INTEGER,
-      updated_jobs INTEGER,
-      duration_ms INTEGER,
-      status TEXT,
-      error_message TEXT
-    );
+// Tidy up after the last launch; opening the database brought its schema up to date
+function initializeDatabase() {
+  // Registers the correction store with the prompt manager for few-shot examples
+  getCorrectionStore();
 
-    -- Indexes for performance
-    CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs(company);
-    CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
-    CREATE INDEX IF NOT EXISTS idx_jobs_gmail_id ON jobs(gmail_message_id);
-    CREATE INDEX IF NOT EXISTS idx_jobs_account ON jobs(account_email);
-    CREATE INDEX IF NOT EXISTS idx_email_sync_account ON email_sync(account_email);
+  // A sync run still marked running belongs to a previous launch that never finished
+  try {
+    getSyncJobStore().markInterruptedRuns();
+  } catch (error) {
+    console.error('Error recording interrupted sync runs:', error);
+  }
+}
 
-    -- Initialize sync status if not exists
-    INSERT OR IGNORE INTO sync_status (id) VALUES (1);
-  `);
+// Emails linked to a job, oldest first, plus the newest email's body
+function getJobEmailHistory(jobId) {
+  const job = getDb().prepare('SELECT id FROM jobs WHERE id = ?').get(jobId);
+  if (!job) {
+    return { success: false, error: 'Job not found' };
+  }
+  
+  const emails = getEmailMatcher().getJobEmails(jobId);
+  const latestWithContent = [...emails].reverse().find(email => email.raw_content);
   
-  // Re-enable foreign keys
-  getDb().pragma('foreign_keys = ON');
+  return {
+    success: true,
+    emailContent: latestWithContent ? latestWithContent.raw_content : '',
+    emailHistory: emails.map(email => ({
+      gmail_message_id: email.gmail_message_id,
+      thread_id: email.thread_id,
+      account_email: email.account_email,
+      date: email.email_date,
+      subject: email.subject,
+      from: email.from_address,
+      status: email.detected_status,
+      content: email.raw_content
+    }))
+  };
 }
 
 // Database operations
+
+// Without pageSize or cursor this returns every matching job as an array, as it
+// always has; with them, one page plus the total and facet counts (see job-query.js)
 ipcMain.handle('db:get-jobs', async (event, filters = {}) => {
+  const paged = filters.pageSize !== undefined || !!filters.cursor;
   try {
-    let query = `
-      SELECT * 
-      FROM jobs
-      WHERE 1=1
-    `;
-    const params = [];
-
-    if (filters.status) {
-      query += ' AND status = ?';
-      params.push(filters.status);
-    }
-
-    if (filters.company) {
-      query += ' AND company LIKE ?';
-      params.push(`%${filters.company}%`);
-    }
-
-    if (filters.startDate) {
-      query += ' AND applied_date >= ?';
-      params.push(filters.startDate);
-    }
-
-    if (filters.endDate) {
-      query += ' AND applied_date <= ?';
-      params.push(filters.endDate);
-    }
-
-    query += ' ORDER BY applied_date DESC, created_at DESC';
-
-    if (filters.limit) {
-      query += ' LIMIT ?';
-      params.push(filters.limit);
+    if (paged) {
+      const page = getJobQuery().page(filters);
+      console.log(`Found ${page.total} jobs, returning ${page.jobs.length}`);
+      return { success: true, ...page };
     }
 
-    const stmt = getDb().prepare(query);
-    const results = stmt.all(...params);
-    
+    const results = getJobQuery().list(filters);
     console.log(`Found ${results.length} jobs`);
-    console.log('Sample job from database:', results[0]); // Debug first job
-    
     return results;
   } catch (error) {
     console.error('Error fetching jobs:', error);
+    if (paged) {
+      return { success: false, error: error.message };
+    }
     throw error;
   }
 });
 
+// Ranked full-text search with highlighted snippets; the query syntax is described in job-search.js
+ipcMain.handle('db:search', async (event, query, options = {}) => {
+  try {
+    return { success: true, ...getJobSearch().search(query, options) };
+  } catch (error) {
+    console.error('Error searching jobs:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('db:get-job', async (event, id) => {
   try {
     const stmt = getDb().prepare(`
-      SELECT * 
+      SELECT jobs.*, COALESCE(job_stages.coarse_status, 'Applied') AS status_group
       FROM jobs
-      WHERE id = ?
+      LEFT JOIN job_stages ON job_stages.name = jobs.status
+      WHERE jobs.id = ?
     `);
     const result = stmt.get(id);
     
@@ -376,32 +475,7 @@ ipcMain.handle('db:get-job', async (event, id) => {
 
 ipcMain.handle('db:get-job-email', async (event, jobId) => {
   try {
-    const stmt = getDb().prepare(`
-      SELECT email_content, email_history
-      FROM jobs
-      WHERE id = ?
-    `);
-    const result = stmt.get(jobId);
-    
-    if (!result) {
-      return { success: false, error: 'Job not found' };
-    }
-    
-    // Parse email_history if it's a JSON string
-    let emailHistory = [];
-    if (result.email_history) {
-      try {
-        emailHistory = JSON.parse(result.email_history);
-      } catch (e) {
-        console.error('Error parsing email history:', e);
-      }
-    }
-    
-    return {
-      success: true,
-      emailContent: result.email_content || '',
-      emailHistory: emailHistory
-    };
+    return getJobEmailHistory(jobId);
   } catch (error) {
     console.error('Error fetching job email:', error);
     return { success: false, error: error.message };
@@ -411,6 +485,10 @@ ipcMain.handle('db:get-job-email', async (event, jobId) => {
 ipcMain.handle('db:create-job', async (event, job) => {
   try {
     const id = job.id || `job_${Date.now()}_${performance.now().toString().replace('.', '_')}_${Math.random().toString(36).substr(2, 9)}`;
+    const status = job.status || getJobStages().list()[0].name;
+    if (!getJobStages().has(status)) {
+      throw new Error(`Unknown job stage: ${status}`);
+    }
     const stmt = getDb().prepare(`
       INSERT OR IGNORE INTO jobs (id, gmail_message_id, company, position, status, applied_date, location, salary_range, notes, ml_confidence, account_email, from_address)
       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
@@ -421,7 +499,7 @@ ipcMain.handle('db:create-job', async (event, job) => {
       job.gmail_message_id,
       job.company,
       job.position,
-      job.status || 'Applied',
+      status,
       job.applied_date || new Date().toISOString().split('T')[0],
       job.location,
       job.salary_range,
@@ -430,6 +508,10 @@ ipcMain.handle('db:create-job', async (event, job) => {
       job.account_email,
       job.from_address
     );
+    
+    if (result.changes > 0) {
+      getJobTimeline().recordEvent(id, { status, source: 'manual' });
+    }
 
     return { id, ...job, changes: result.changes };
   } catch (error) {
@@ -440,26 +522,311 @@ ipcMain.handle('db:create-job', async (event, job) => {
 
 ipcMain.handle('db:update-job', async (event, id, updates) => {
   try {
-    const fields = Object.keys(updates).map(key => `${key} = ?`).join(', ');
-    const values = Object.values(updates);
-    values.push(id);
-
-    const stmt = getDb().prepare(`
-      UPDATE jobs SET ${fields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
-    `);
+    // Status changes go through the timeline so they are recorded as manual events
+    const { status, ...fields } = updates;
+    const update = getDb().transaction(() => {
+      let changes = 0;
+      if (Object.keys(fields).length > 0) {
+        const stmt = getDb().prepare(`
+          UPDATE jobs SET ${Object.keys(fields).map(key => `${key} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `);
+        changes = stmt.run(...Object.values(fields), id).changes;
+      }
+      
+      const job = getDb().prepare('SELECT status FROM jobs WHERE id = ?').get(id);
+      if (status !== undefined && job && job.status !== status) {
+        getJobTimeline().recordEvent(id, { status, source: 'manual' });
+        changes = 1;
+      }
+      return changes;
+    });
     
-    const result = stmt.run(...values);
-    return { changes: result.changes };
+    const changes = update();
+    if (changes > 0) {
+      try {
+        const after = getDb().prepare('SELECT company, position, status FROM jobs WHERE id = ?').get(id);
+        if (after) getCorrectionStore().recordJobEdit(id, after, Object.keys(updates));
+      } catch (error) {
+        console.error('Error recording job correction:', error);
+      }
+    }
+    return { changes };
   } catch (error) {
     console.error('Error updating job:', error);
     throw error;
   }
 });
 
+ipcMain.handle('db:get-job-timeline', async (event, jobId) => {
+  try {
+    const job = getDb().prepare('SELECT status FROM jobs WHERE id = ?').get(jobId);
+    if (!job) {
+      return { success: false, error: 'Job not found' };
+    }
+    return { success: true, currentStatus: job.status, timeline: getJobTimeline().getTimeline(jobId) };
+  } catch (error) {
+    console.error('Error fetching job timeline:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stages:list', async () => {
+  try {
+    return { success: true, stages: getJobStages().list() };
+  } catch (error) {
+    console.error('Error loading job stages:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stages:save', async (event, stage) => {
+  try {
+    const saved = getJobStages().saveStage(stage);
+    return { success: true, stage: saved, stages: getJobStages().list() };
+  } catch (error) {
+    console.error('Error saving job stage:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stages:delete', async (event, name, replacement) => {
+  try {
+    const { moved } = getJobStages().deleteStage(name, replacement);
+    return { success: true, moved, stages: getJobStages().list() };
+  } catch (error) {
+    console.error('Error deleting job stage:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('stages:reorder', async (event, names) => {
+  try {
+    return { success: true, stages: getJobStages().reorder(names) };
+  } catch (error) {
+    console.error('Error reordering job stages:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Interviews
+ipcMain.handle('interviews:list', async (event, filters = {}) => {
+  try {
+    return { success: true, interviews: getInterviewCalendar().list(filters) };
+  } catch (error) {
+    console.error('Error listing interviews:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('interviews:save', async (event, interview) => {
+  try {
+    return { success: true, interview: getInterviewCalendar().save(interview) };
+  } catch (error) {
+    console.error('Error saving interview:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('interviews:delete', async (event, id) => {
+  try {
+    getInterviewCalendar().delete(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting interview:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Save one interview (ids = [id]) or all of them as an .ics file
+ipcMain.handle('interviews:export-ics', async (event, ids = []) => {
+  try {
+    const result = await dialog.showSaveDialog({
+      title: 'Export Interviews',
+      defaultPath: ids.length === 1 ? 'interview.ics' : 'interviews.ics',
+      filters: [{ name: 'Calendar', extensions: ['ics'] }]
+    });
+    if (result.canceled || !result.filePath) {
+      return { success: false, canceled: true };
+    }
+    await fs.writeFile(result.filePath, getInterviewCalendar().toIcs(ids));
+    return { success: true, filePath: result.filePath };
+  } catch (error) {
+    console.error('Error exporting interviews:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('interviews:get-feed', async () => {
+  try {
+    return { success: true, feed: getInterviewFeedSettings() };
+  } catch (error) {
+    console.error('Error getting interview feed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Turn the subscribable feed file on or off; choosePath asks where to keep it
+ipcMain.handle('interviews:set-feed', async (event, { enabled, choosePath = false } = {}) => {
+  try {
+    const feed = getInterviewFeedSettings();
+    if (choosePath) {
+      const result = await dialog.showSaveDialog({
+        title: 'Interview Calendar Feed',
+        defaultPath: feed.path,
+        filters: [{ name: 'Calendar', extensions: ['ics'] }]
+      });
+      if (result.canceled || !result.filePath) {
+        return { success: false, canceled: true };
+      }
+      feed.path = result.filePath;
+    }
+    if (typeof enabled === 'boolean') {
+      feed.enabled = enabled;
+    }
+    getStore().set('interviewFeed', feed);
+    if (feed.enabled) {
+      getInterviewCalendar().writeFeed();
+    }
+    return { success: true, feed };
+  } catch (error) {
+    console.error('Error updating interview feed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('interviews:show-feed', async () => {
+  try {
+    shell.showItemInFolder(getInterviewFeedSettings().path);
+    return { success: true };
+  } catch (error) {
+    console.error('Error showing interview feed:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Email gate decisions, for reviewing what was filtered before the LLM
+ipcMain.handle('gate:list', async (event, options = {}) => {
+  try {
+    return { success: true, decisions: getEmailGate().list(options) };
+  } catch (error) {
+    console.error('Error listing email gate decisions:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('gate:stats', async () => {
+  try {
+    return { success: true, stats: getEmailGate().stats() };
+  } catch (error) {
+    console.error('Error getting email gate stats:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Review queue: uncertain classifications
+ipcMain.handle('review:list', async (event, options = {}) => {
+  try {
+    return { success: true, reviews: getReviewQueue().list(options) };
+  } catch (error) {
+    console.error('Error listing review queue:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('review:resolve', async (event, id, decision, correction) => {
+  try {
+    const result = getReviewQueue().resolve(id, decision, correction);
+    if (result.created) {
+      sendToRenderer('job-found', getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(result.jobId));
+    }
+    sendToRenderer('review-queue-updated', { pending: getReviewQueue().count() });
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error resolving review:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('review:count', async () => {
+  try {
+    return { success: true, count: getReviewQueue().count() };
+  } catch (error) {
+    console.error('Error counting review queue:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Reprocess stored emails: preview what a new classification would change, then apply it
+ipcMain.handle('reprocess:preview', async (event, scope = {}) => {
+  try {
+    const preview = await getReprocessor().preview(scope, {
+      onProgress: (progress) => sendToRenderer('reprocess-progress', progress)
+    });
+    return { success: true, preview };
+  } catch (error) {
+    if (!error.canceled) console.error('Error previewing reprocess:', error);
+    return { success: false, canceled: !!error.canceled, error: error.message };
+  }
+});
+
+ipcMain.handle('reprocess:cancel', async () => {
+  return { success: true, canceled: getReprocessor().cancel() };
+});
+
+ipcMain.handle('reprocess:apply', async (event, previewId, options = {}) => {
+  try {
+    const result = getReprocessor().apply(previewId, options);
+    return { success: true, ...result };
+  } catch (error) {
+    console.error('Error applying reprocess:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Follow-up reminders
+ipcMain.handle('reminders:list', async (event, options = {}) => {
+  try {
+    return { success: true, reminders: getFollowUpEngine().list(options) };
+  } catch (error) {
+    console.error('Error listing reminders:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reminders:snooze', async (event, id, days) => {
+  try {
+    const snoozedUntil = getFollowUpEngine().snooze(id, days);
+    return { success: true, snoozedUntil };
+  } catch (error) {
+    console.error('Error snoozing reminder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reminders:dismiss', async (event, id) => {
+  try {
+    getFollowUpEngine().dismiss(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Error dismissing reminder:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('reminders:run', async () => {
+  try {
+    const { markedNoResponse, scheduled, resolved, due } = getFollowUpEngine().run();
+    return { success: true, markedNoResponse, scheduled, resolved, due: due.length };
+  } catch (error) {
+    console.error('Error running follow-up rules:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('db:delete-job', async (event, id) => {
   try {
-    const stmt = getDb().prepare('DELETE FROM jobs WHERE id = ?');
-    const result = stmt.run(id);
+    const result = getEmailMatcher().deleteJob(id);
+    getInterviewCalendar().writeFeed();
     return { changes: result.changes };
   } catch (error) {
     console.error('Error deleting job:', error);
@@ -481,7 +848,7 @@ ipcMain.handle('classify-email', async (event, arg) => {
     
     // Use the provider-based classifier
     const classifier = getClassifierProvider();
-    const result = await classifier.parse(input);
+    const result = await classifier.parse({ ...input, stages: getJobStages().classifierStages() });
     
     // Enhance result with additional job extraction logic (preserve existing behavior)
     const enhancedResult = {
@@ -634,11 +1001,11 @@ function _extractPosition(content) {
 }
 
 // ML Model management
-// LLM Health Check
-ipcMain.handle('llm:health-check', async () => {
+// LLM Health Check: the active backend, or backend settings before they are saved
+ipcMain.handle('llm:health-check', async (event, backendSettings) => {
   try {
     const llmEngine = require('./llm/llmEngine');
-    const health = await llmEngine.checkLLMHealth();
+    const health = await llmEngine.checkLLMHealth(backendSettings);
     return health;
   } catch (error) {
     console.error('Health check error:', error);
@@ -651,6 +1018,103 @@ ipcMain.handle('llm:health-check', async () => {
   }
 });
 
+// On-disk cache of LLM answers (electron/llm/cache.js)
+ipcMain.handle('llm:cache-stats', async () => {
+  try {
+    const { getCacheStats } = require('./llm/cache');
+    return { success: true, stats: getCacheStats() };
+  } catch (error) {
+    console.error('Error reading LLM cache stats:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('llm:cache-clear', async () => {
+  try {
+    const { clearCache } = require('./llm/cache');
+    const removed = clearCache();
+    console.log(`🧹 Cleared ${removed} cached LLM answers`);
+    return { success: true, removed };
+  } catch (error) {
+    console.error('Error clearing LLM cache:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Model manager
+ipcMain.handle('models:list', async () => {
+  try {
+    return { success: true, models: getModelManager().list() };
+  } catch (error) {
+    console.error('Error listing models:', error);
+    return { success: false, error: error.message, models: [] };
+  }
+});
+
+// Resolves when the download finishes; progress arrives as model-download-progress events
+ipcMain.handle('models:download', async (event, id) => {
+  try {
+    const model = await getModelManager().download(id);
+    return { success: true, model };
+  } catch (error) {
+    return { success: false, canceled: !!error.canceled, error: error.message };
+  }
+});
+
+ipcMain.handle('models:cancel-download', async (event, id) => {
+  try {
+    return { success: getModelManager().cancel(id) };
+  } catch (error) {
+    console.error('Error canceling model download:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('models:import', async (event, filePath) => {
+  try {
+    if (!filePath) {
+      const result = await dialog.showOpenDialog({
+        title: 'Import GGUF Model',
+        properties: ['openFile'],
+        filters: [
+          { name: 'GGUF Models', extensions: ['gguf'] },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      filePath = result.filePaths[0];
+    }
+    const model = await getModelManager().importFile(filePath);
+    return { success: true, model };
+  } catch (error) {
+    console.error('Error importing model:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('models:activate', async (event, id) => {
+  try {
+    const model = getModelManager().activate(id);
+    sendToRenderer('llm-backend-changed', 'llama-cpp');
+    return { success: true, model };
+  } catch (error) {
+    console.error('Error activating model:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('models:delete', async (event, id) => {
+  try {
+    await getModelManager().delete(id);
+    return { success: true };
+  } catch (error) {
+    console.error('Error deleting model:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 ipcMain.handle('ml:get-status', async () => {
   try {
     const status = await llmHandler.getModelStatus();
@@ -941,15 +1405,58 @@ ipcMain.handle('gmail:get-sync-status', async () => {
 // Get sync history
 ipcMain.handle('sync:get-history', async (event, limit = 20) => {
   try {
-    const history = getDb().prepare(`
-      SELECT * FROM sync_history 
-      ORDER BY sync_date DESC 
-      LIMIT ?
-    `).all(limit);
-    
-    return { success: true, history };
+    const history = getDb().prepare(`
+      SELECT * FROM sync_history 
+      ORDER BY sync_date DESC 
+      LIMIT ?
+    `).all(limit);
+    
+    return { success: true, history };
+  } catch (error) {
+    console.error('Error getting sync history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Interrupted sync run that can be resumed, if any
+ipcMain.handle('sync:get-resumable', async () => {
+  try {
+    const job = getSyncJobStore().getResumableJob();
+    if (!job) {
+      return { success: true, job: null };
+    }
+    
+    return {
+      success: true,
+      job: {
+        id: job.id,
+        startedAt: job.started_at,
+        updatedAt: job.updated_at,
+        options: job.options,
+        emailsFetched: job.emails_fetched,
+        emailsClassified: job.emails_classified,
+        jobsFound: job.jobs_found,
+        accounts: job.accounts.map(account => ({
+          email: account.account_email,
+          status: account.status,
+          emailsFetched: account.emails_fetched,
+          jobsFound: account.jobs_found,
+          lastMessageId: account.last_message_id
+        }))
+      }
+    };
+  } catch (error) {
+    console.error('Error getting resumable sync:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('sync:discard-resumable', async () => {
+  try {
+    const discarded = getSyncJobStore().discardInterruptedJobs();
+    return { success: true, discarded };
   } catch (error) {
-    console.error('Error getting sync history:', error);
+    console.error('Error discarding resumable sync:', error);
     return { success: false, error: error.message };
   }
 });
@@ -962,10 +1469,12 @@ ipcMain.handle('settings:get', async () => {
       notifications: getStore().get('notifications', true),
       autoStart: getStore().get('autoStart', false),
       theme: getStore().get('theme', 'light'),
-      emailFilters: getStore().get('emailFilters', {
-        skipDomains: ['amazon.com', 'facebook.com', 'twitter.com'],
-        jobKeywords: ['position', 'interview', 'application', 'offer']
-      })
+      emailFilters: { ...DEFAULT_FILTERS, ...getStore().get('emailFilters', {}) },
+      confidenceThreshold: getStore().get('confidenceThreshold', DEFAULT_CONFIDENCE_THRESHOLD),
+      // Read-only: with 1 sample there is no confidence for the threshold to apply to
+      confidenceSamples: Math.max(1, Math.floor(CONFIDENCE_SAMPLES) || 1),
+      llmBackend: getLLMBackendSetting(),
+      followUpRules: { ...FollowUpEngine.DEFAULT_RULES, ...getStore().get('followUpRules', {}) }
     };
   } catch (error) {
     console.error('Error getting settings:', error);
@@ -975,9 +1484,24 @@ ipcMain.handle('settings:get', async () => {
 
 ipcMain.handle('settings:update', async (event, settings) => {
   try {
+    if ('llmBackend' in settings) {
+      settings = { ...settings, llmBackend: normalizeBackendConfig(settings.llmBackend) };
+    }
     Object.entries(settings).forEach(([key, value]) => {
-      getStore().set(key, value);
+      if (key === 'llmBackend') {
+        saveLLMBackendSetting(value);
+      } else {
+        getStore().set(key, value);
+      }
     });
+    
+    if ('syncInterval' in settings || 'autoStart' in settings) {
+      getSyncScheduler().reload();
+    }
+    if ('llmBackend' in settings) {
+      applyLLMBackendSetting();
+      sendToRenderer('llm-backend-changed', settings.llmBackend.type);
+    }
     return { success: true };
   } catch (error) {
     console.error('Error updating settings:', error);
@@ -1023,8 +1547,15 @@ ipcMain.handle('data:import', async (event, jsonData) => {
     // Import in transaction
     const importJobs = getDb().transaction(() => {
       // Clear existing data
+      getDb().prepare('DELETE FROM reminders').run();
+      getDb().prepare('DELETE FROM interviews').run();
+      getDb().prepare('DELETE FROM job_status_events').run();
+      getDb().prepare('DELETE FROM job_emails').run();
       getDb().prepare('DELETE FROM jobs').run();
       getDb().prepare('DELETE FROM email_sync').run();
+      getDb().prepare('DELETE FROM email_gate_decisions').run();
+      getDb().prepare('DELETE FROM classification_reviews').run();
+      getDb().prepare('DELETE FROM classification_corrections').run();
 
       // Import jobs
       const jobStmt = getDb().prepare(`
@@ -1067,6 +1598,8 @@ ipcMain.handle('data:import', async (event, jsonData) => {
     });
 
     importJobs();
+    getJobTimeline().backfillMissingEvents();
+    getInterviewCalendar().writeFeed();
 
     // Import settings
     if (data.settings) {
@@ -1132,9 +1665,7 @@ ipcMain.handle('dialog:save-file', async (event, data) => {
 // System operations
 ipcMain.handle('system:notification', async (event, title, body) => {
   try {
-    if (Notification.isSupported()) {
-      new Notification({ title, body }).show();
-    }
+    showSystemNotification(title, body);
     return { success: true };
   } catch (error) {
     console.error('Error showing notification:', error);
@@ -1239,12 +1770,19 @@ ipcMain.handle('gmail:add-account', async () => {
   try {
     console.log('IPC: gmail:add-account called');
     
+    // Ask for a vault passphrase before sending the user through Google, not after
+    if (!getSecretStore().isAvailable()) {
+      return { success: false, secretsLocked: true, status: getSecretStatus(), error: getSecretStore().lockedError().message };
+    }
     const gmailMultiAuth = getGmailMultiAuth();
     const account = await gmailMultiAuth.addAccount();
     console.log('IPC: Gmail account added:', account.email);
     return { success: true, account };
   } catch (error) {
     console.error('IPC: Error adding Gmail account:', error);
+    if (error.code === 'SECRETS_LOCKED') {
+      return { success: false, secretsLocked: true, status: getSecretStatus(), error: error.message };
+    }
     throw error;
   }
 });
@@ -1260,47 +1798,311 @@ ipcMain.handle('gmail:remove-account', async (event, email) => {
   }
 });
 
+// Credential storage: the system keychain, or a passphrase vault where there is none
+ipcMain.handle('secrets:status', async () => {
+  try {
+    return { success: true, status: getSecretStatus() };
+  } catch (error) {
+    console.error('Error getting credential storage status:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('secrets:unlock', async (event, passphrase) => {
+  try {
+    // Unlocking moves any plaintext credentials over (moveCredentialsToSecretStore)
+    await getSecretStore().unlock(passphrase);
+    return { success: true, status: getSecretStatus() };
+  } catch (error) {
+    console.error('Error unlocking the credential vault:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('secrets:lock', async () => {
+  try {
+    getSecretStore().lock();
+    return { success: true, status: getSecretStatus() };
+  } catch (error) {
+    console.error('Error locking the credential vault:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('secrets:change-passphrase', async (event, current, next) => {
+  try {
+    await getSecretStore().changePassphrase(current, next);
+    return { success: true, status: getSecretStatus() };
+  } catch (error) {
+    console.error('Error changing the credential vault passphrase:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+// The store's status, and whether jobs.db still holds credentials waiting to move
+function getSecretStatus() {
+  return {
+    ...getSecretStore().status(),
+    plaintextCredentials: hasPlaintextSecrets(getDb())
+  };
+}
+
+// Mail accounts of every source type (Gmail and IMAP)
+ipcMain.handle('mail:get-accounts', async () => {
+  try {
+    const accounts = getMailSourceRegistry().listAccounts();
+    return { success: true, accounts };
+  } catch (error) {
+    console.error('Error getting mail accounts:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mail:test-imap-account', async (event, settings) => {
+  try {
+    const status = await getMailSourceRegistry().testImapAccount(settings);
+    return { success: true, ...status };
+  } catch (error) {
+    console.error('IMAP connection test failed:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mail:add-imap-account', async (event, settings) => {
+  try {
+    console.log('IPC: mail:add-imap-account called for', settings?.email);
+    const account = await getMailSourceRegistry().addImapAccount(settings || {});
+    console.log('IPC: IMAP account added:', account.email);
+    return { success: true, account };
+  } catch (error) {
+    console.error('IPC: Error adding IMAP account:', error.message);
+    return { success: false, error: error.message };
+  }
+});
+
+ipcMain.handle('mail:remove-account', async (event, id) => {
+  try {
+    const removed = getMailSourceRegistry().removeAccount(id);
+    return { success: removed, error: removed ? undefined : 'Account not found' };
+  } catch (error) {
+    console.error('Error removing mail account:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Classify one Gmail-shaped message and create or update its job. Shared by account
+// syncs and file imports; email_sync makes this a no-op for messages already processed.
+//
+// Obvious non-job mail is dropped by the email gate before the LLM (result.filtered).
+// A classification that failed to parse, is below the confidence threshold or contradicts the
+// status phrases in the email goes to the review queue instead of creating, updating or
+// dropping anything (result.needsReview).
+// onClassifying(subject) runs once the message is claimed in email_sync and passes the gate;
+// onJobFound(classification) runs when the message turns out to be job-related.
+async function processMailMessage(email, accountEmail, { onClassifying, onJobFound, fetchAttachment } = {}) {
+  const headers = email.payload?.headers || [];
+  const subject = headers.find(h => h.name === 'Subject')?.value || 'No subject';
+  
+  // Use atomic INSERT OR IGNORE to check and mark as processing in one operation
+  // This eliminates the race condition between check and insert
+  const insertSyncStmt = getDb().prepare(`
+    INSERT OR IGNORE INTO email_sync (gmail_message_id, account_email, is_job_related)
+    VALUES (?, ?, 0)
+  `);
+  const syncResult = insertSyncStmt.run(email.id, accountEmail);
+  
+  // Only proceed if the record was actually inserted (not a duplicate)
+  if (syncResult.changes === 0) {
+    console.log(`Email ${email.id} already processed for ${accountEmail}, skipping...`);
+    return { skipped: true, isJobRelated: false, jobFound: false };
+  }
+  
+  // Extract remaining email info for classification
+  const from = headers.find(h => h.name === 'From')?.value || '';
+  const emailContent = _extractEmailContent(email);
+  
+  const gate = getEmailGate().check(email, accountEmail, { from, subject, content: emailContent });
+  if (gate.decision === 'skip') {
+    console.log(`🚫 Filtered before LLM (${gate.rule}: ${gate.detail}): ${subject.substring(0, 50)}`);
+    return { skipped: false, isJobRelated: false, jobFound: false, filtered: true };
+  }
+  
+  if (onClassifying) onClassifying(subject);
+  
+  // Classify with LLM
+  const classification = await llmHandler.classifyEmail(emailContent, { messageId: email.id });
+  const confidence = typeof classification.confidence === 'number' ? classification.confidence : null;
+  
+  // Update the record with classification result
+  const updateSyncStmt = getDb().prepare(`
+    UPDATE email_sync 
+    SET is_job_related = ?, confidence = ?, decision_version = ?
+    WHERE gmail_message_id = ? AND account_email = ?
+  `);
+  updateSyncStmt.run(classification.is_job_related ? 1 : 0, confidence, classification.decision_version || null, email.id, accountEmail);
+  
+  const emailData = {
+    id: email.id,
+    threadId: email.threadId || null,
+    accountEmail,
+    subject,
+    from,
+    date: _extractDate(email),
+    snippet: email.snippet || '',
+    content: emailContent
+  };
+  
+  const stages = getJobStages();
+  const review = findReviewReason(classification, {
+    threshold: getStore().get('confidenceThreshold', DEFAULT_CONFIDENCE_THRESHOLD),
+    hintedStatuses: getHintedStatuses(subject, emailContent),
+    coarseStatus: classification.status ? stages.toCoarse(stages.resolve(classification.status)) : null
+  });
+  if (review) {
+    console.log(`🤔 Queued for review (${review.reason}: ${review.detail}): ${subject.substring(0, 50)}`);
+    getReviewQueue().enqueue(emailData, classification, review);
+    sendToRenderer('review-queue-updated', { pending: getReviewQueue().count() });
+    return { skipped: false, isJobRelated: classification.is_job_related, jobFound: false, needsReview: true };
+  }
+  
+  if (classification.is_job_related && onJobFound) {
+    onJobFound(classification);
+  }
+  
+  if (!classification.is_job_related) {
+    return { skipped: false, isJobRelated: false, jobFound: false };
+  }
+  
+  // Attach the email to its job (same thread, company or role) or start a new one
+  const match = getEmailMatcher().recordEmail(emailData, {
+    company: classification.company || _extractCompany(emailContent),
+    position: classification.position || _extractPosition(emailContent),
+    status: classification.status,
+    confidence,
+    decisionVersion: classification.decision_version
+  });
+  
+  if (match.duplicate) {
+    return { skipped: false, isJobRelated: true, jobFound: false };
+  }
+  
+  const job = getDb().prepare('SELECT * FROM jobs WHERE id = ?').get(match.jobId);
+  
+  // Interview date, time and link from the invitation, or from the text of interview emails
+  let interviews = [];
+  try {
+    interviews = await getInterviewCalendar().extractFromMessage(email, {
+      job,
+      accountEmail,
+      content: emailContent,
+      sentAt: headers.find(h => h.name === 'Date')?.value || emailData.date,
+      useLLM: stages.toCoarse(stages.resolve(classification.status)) === 'Interviewed',
+      fetchAttachment
+    });
+  } catch (error) {
+    console.error(`Error extracting interview from ${email.id}:`, error);
+  }
+  if (interviews.length > 0) {
+    sendToRenderer('interviews-updated', { jobId: job.id });
+  }
+  
+  if (match.created) {
+    console.log(`✅ Job inserted successfully: ${job.company} - ${job.position}`);
+    // Send real-time job update to frontend
+    sendToRenderer('job-found', job);
+  } else {
+    console.log(`Found existing job for ${job.company} - ${job.position} (${job.email_count} emails), status ${job.status}`);
+  }
+  
+  return { skipped: false, isJobRelated: true, jobFound: true, interviewsFound: interviews.length, job: { ...job, updated: !match.created } };
+}
+
 // Multi-account sync
-ipcMain.handle('gmail:sync-all', async (event, options = {}) => {
+// Run a sync of every connected account. Shared by the gmail:sync-all handler and
+// the background scheduler; only one run may be active at a time.
+async function runSyncAll(options = {}) {
   const syncStartTime = Date.now();
   console.log('🔄 SYNC: Starting sync process...');
+  let syncJobId = null;
+  let onMessageRetry = null;
+  let gmailAuth = null;
+  // Counted for this run only, so a failed run records them too
+  let totalEmailsFetched = 0;
+  let totalEmailsFiltered = 0;
+  let totalJobsFound = 0;
   
   try {
-    const mainWindow = BrowserWindow.getAllWindows()[0];
-    
     // Send immediate feedback that sync is starting
-    if (mainWindow) {
-      mainWindow.webContents.send('sync-progress', {
-        current: 0,
-        total: 1,
-        status: 'Initializing sync...',
-        phase: 'initializing'
-      });
-    }
+    sendToRenderer('sync-progress', {
+      current: 0,
+      total: 1,
+      status: 'Initializing sync...',
+      phase: 'initializing'
+    });
     
-    console.log('🔄 SYNC: Getting GmailMultiAuth instance...');
+    console.log('🔄 SYNC: Loading mail sources...');
     const initStartTime = Date.now();
-    const gmailMultiAuth = getGmailMultiAuth();
-    console.log(`🔄 SYNC: GmailMultiAuth initialized in ${Date.now() - initStartTime}ms`);
-    
-    const accounts = gmailMultiAuth.getAllAccounts();
-    console.log(`🔄 SYNC: Found ${accounts.length} accounts`);
+    const sources = getMailSourceRegistry().listSources();
+    console.log(`🔄 SYNC: Found ${sources.length} sources in ${Date.now() - initStartTime}ms`);
     
-    if (accounts.length === 0) {
+    if (sources.length === 0) {
       return {
         success: false,
-        message: 'No Gmail accounts connected'
+        noAccounts: true,
+        message: 'No email sources connected'
       };
     }
     
-    console.log(`Starting sync for ${accounts.length} accounts...`);
-    const { daysToSync = 90, maxEmails = 500 } = options;
-    console.log(`Sync options - daysToSync: ${daysToSync}, maxEmails: ${maxEmails}`);
+    // Resume an interrupted run with its original options, or record a new run
+    const syncJobs = getSyncJobStore();
+    let syncOptions = options;
+    let resumed = false;
+    if (options.resumeJobId) {
+      const previousJob = syncJobs.getJob(options.resumeJobId);
+      if (!previousJob || !syncJobs.resumeJob(previousJob.id)) {
+        return {
+          success: false,
+          message: 'The interrupted sync can no longer be resumed'
+        };
+      }
+      syncJobId = previousJob.id;
+      syncOptions = previousJob.options;
+      resumed = true;
+      console.log(`🔄 SYNC: Resuming interrupted sync run ${syncJobId}`);
+    } else {
+      syncJobs.discardInterruptedJobs();
+      syncJobId = syncJobs.startJob(
+        { daysToSync: options.daysToSync, maxEmails: options.maxEmails, fullSync: options.fullSync },
+        sources.map(source => source.accountEmail)
+      );
+    }
+    
+    console.log(`Starting sync for ${sources.length} sources...`);
+    const { daysToSync = 90, maxEmails = 500, fullSync = false } = syncOptions;
+    console.log(`Sync options - daysToSync: ${daysToSync}, maxEmails: ${maxEmails}, fullSync: ${fullSync}`);
     
-    let totalEmailsFetched = 0;
     let totalEmailsClassified = 0;
-    let totalJobsFound = 0;
     let totalEmailsSkipped = 0;
+    let totalNeedsReview = 0;
+    let incrementalAccounts = 0;
+    let totalFetchRetries = 0;
+    let totalFetchFailures = 0;
+    
+    // Let the renderer know when Gmail rate limiting is slowing the fetch down
+    onMessageRetry = (retry) => {
+      sendToRenderer('sync-progress', {
+        current: Math.max(0, sources.findIndex(source => source.accountEmail === retry.email)),
+        total: sources.length,
+        status: `Gmail rate limit reached for ${retry.email}, retrying...`,
+        account: retry.email,
+        phase: 'fetching',
+        details: `Retrying message ${retry.messageId} (attempt ${retry.attempt}) in ${Math.ceil(retry.delayMs / 1000)}s`
+      });
+    };
+    if (sources.some(source => source.type === 'gmail')) {
+      gmailAuth = getGmailMultiAuth();
+      gmailAuth.on('message-retry', onMessageRetry);
+    }
     
     // Update sync status
     const updateStatus = getDb().prepare(`
@@ -1312,12 +2114,20 @@ ipcMain.handle('gmail:sync-all', async (event, options = {}) => {
     updateStatus.run();
     
     // Sync each account
-    for (let i = 0; i < accounts.length; i++) {
-      const account = accounts[i];
+    for (let i = 0; i < sources.length; i++) {
+      const source = sources[i];
+      const account = { email: source.accountEmail };
       
-      mainWindow.webContents.send('sync-progress', {
+      // Accounts finished before an interruption don't need to be fetched again
+      const previousCheckpoint = syncJobs.getAccountCheckpoint(syncJobId, account.email);
+      if (previousCheckpoint && previousCheckpoint.status === 'completed') {
+        console.log(`Skipping ${account.email}, already synced in this run`);
+        continue;
+      }
+      
+      sendToRenderer('sync-progress', {
         current: i,
-        total: accounts.length,
+        total: sources.length,
         status: `Connecting to ${account.email}...`,
         account: account.email,
         phase: 'fetching',
@@ -1336,292 +2146,171 @@ ipcMain.handle('gmail:sync-all', async (event, options = {}) => {
         console.log(`Query params: maxResults=${maxEmails}, query="in:inbox after:${dateString}"`);
         
         // Send more detailed progress with date range
-        mainWindow.webContents.send('sync-progress', {
+        sendToRenderer('sync-progress', {
           current: i,
-          total: accounts.length,
+          total: sources.length,
           status: `Fetching emails from ${account.email}...`,
           account: account.email,
           phase: 'fetching',
           details: `Searching from ${dateString} to today (${daysToSync} days)`
         });
         
-        const fetchStartTime = Date.now();
-        console.log(`🔄 SYNC: Fetching emails from Gmail API for ${account.email}...`);
-        
-        const fetchResult = await gmailMultiAuth.fetchEmailsFromAccount(account.email, {
-          maxResults: maxEmails,
-          query: `in:inbox after:${dateString}`
-        });
-        
-        const fetchDuration = Date.now() - fetchStartTime;
-        console.log(`🔄 SYNC: Gmail API fetch completed in ${fetchDuration}ms`);
-        console.log('Fetch result:', {
-          hasMessages: !!fetchResult.messages,
-          messageCount: fetchResult.messages ? fetchResult.messages.length : 0,
-          nextPageToken: fetchResult.nextPageToken,
-          accountEmail: fetchResult.accountEmail,
-          fetchTimeMs: fetchDuration
-        });
-        
-        if (!fetchResult.messages || fetchResult.messages.length === 0) {
-          console.log(`No messages found for ${account.email}`);
-          continue;
+        const checkpoint = syncJobs.beginAccount(syncJobId, account.email);
+        let pageToken = checkpoint.page_token;
+        let messagesListed = checkpoint.messages_listed || 0;
+        let targetHistoryId = checkpoint.target_history_id;
+        let mode = checkpoint.mode;
+        if (pageToken || checkpoint.last_message_id) {
+          console.log(`🔄 SYNC: Resuming ${account.email} after message ${checkpoint.last_message_id} (${messagesListed} listed so far)`);
         }
         
-        // Process each email directly
-        let emailIndex = 0;
-        for (const email of fetchResult.messages) {
-          emailIndex++;
+        // Full listings are fetched and checkpointed a page at a time so an
+        // interrupted run can pick up from the last completed page
+        let hasMorePages = true;
+        while (hasMorePages && messagesListed < maxEmails) {
+          const fetchStartTime = Date.now();
+          console.log(`🔄 SYNC: Fetching emails from ${source.type} source ${account.email}...`);
+          
+          // Sources sync incrementally from their stored cursor when they have one,
+          // otherwise they list the date window
+          const fetchResult = await source.fetchMessages({
+            maxResults: maxEmails - messagesListed,
+            pageSize: SYNC_PAGE_SIZE,
+            query: `in:inbox after:${dateString}`,
+            since: afterDate,
+            fullSync: fullSync || mode === 'full',
+            pageToken
+          });
+          
+          const fetchDuration = Date.now() - fetchStartTime;
+          console.log(`🔄 SYNC: ${source.type} fetch completed in ${fetchDuration}ms`);
+          console.log('Fetch result:', {
+            mode: fetchResult.mode,
+            hasMessages: !!fetchResult.messages,
+            messageCount: fetchResult.messages ? fetchResult.messages.length : 0,
+            nextPageToken: fetchResult.nextPageToken,
+            cursor: fetchResult.cursor,
+            accountEmail: fetchResult.accountEmail,
+            fetchTimeMs: fetchDuration,
+            fetchStats: fetchResult.fetchStats
+          });
+          
+          if (fetchResult.fetchStats) {
+            totalFetchRetries += fetchResult.fetchStats.totalRetries;
+            totalFetchFailures += fetchResult.fetchStats.failed.length;
+          }
+          
+          mode = mode || fetchResult.mode;
+          targetHistoryId = targetHistoryId || fetchResult.cursor;
+          const messages = fetchResult.messages || [];
           
-          // Extract subject early for progress display
-          const headers = email.payload?.headers || [];
-          const subject = headers.find(h => h.name === 'Subject')?.value || 'No subject';
+          if (messages.length === 0) {
+            console.log(`No messages found for ${account.email}`);
+          }
           
-          // Send detailed progress update for each email
-          const percentComplete = Math.round((emailIndex / fetchResult.messages.length) * 100);
-          mainWindow.webContents.send('sync-progress', {
+          // Progress of one email of this page, for the account being synced
+          const sendEmailProgress = (emailIndex, update) => sendToRenderer('sync-progress', {
             current: i,
-            total: accounts.length,
-            status: `Processing emails from ${account.email}`,
+            total: sources.length,
             account: account.email,
             emailProgress: {
               current: emailIndex,
-              total: fetchResult.messages.length
+              total: messages.length
             },
-            phase: 'classifying',
-            details: `Analyzing: "${subject.substring(0, 50)}${subject.length > 50 ? '...' : ''}"`
+            ...update
           });
+
+          // Process each email directly
+          for (const [index, email] of messages.entries()) {
+            const emailIndex = index + 1;
           
-          try {
-            // Use atomic INSERT OR IGNORE to check and mark as processing in one operation
-            // This eliminates the race condition between check and insert
-            const insertSyncStmt = getDb().prepare(`
-              INSERT OR IGNORE INTO email_sync (gmail_message_id, account_email, is_job_related)
-              VALUES (?, ?, 0)
-            `);
-            const syncResult = insertSyncStmt.run(email.id, account.email);
-            
-            // Only proceed if the record was actually inserted (not a duplicate)
-            if (syncResult.changes === 0) {
-              console.log(`Email ${email.id} already processed for ${account.email}, skipping...`);
-              totalEmailsSkipped++;
-              continue;
-            }
-            
-            // Extract remaining email info for classification
-            const from = headers.find(h => h.name === 'From')?.value || '';
-            const emailContent = _extractEmailContent(email);
-            
-            // Send classification start update
-            mainWindow.webContents.send('sync-progress', {
-              current: i,
-              total: accounts.length,
-              status: `Analyzing email from ${account.email}`,
-              account: account.email,
-              emailProgress: {
-                current: emailIndex,
-                total: fetchResult.messages.length
-              },
+            // Extract subject early for progress display
+            const headers = email.payload?.headers || [];
+            const subject = headers.find(h => h.name === 'Subject')?.value || 'No subject';
+          
+            // Send detailed progress update for each email
+            sendEmailProgress(emailIndex, {
+              status: `Processing emails from ${account.email}`,
               phase: 'classifying',
-              details: `Using AI to check if this is job-related: "${subject.substring(0, 40)}..."`
+              details: `Analyzing: "${subject.substring(0, 50)}${subject.length > 50 ? '...' : ''}"`
             });
-            
-            // Classify with LLM
-            const classification = await llmHandler.classifyEmail(emailContent);
-            
-            // Send classification result update
-            if (classification.is_job_related) {
-              mainWindow.webContents.send('sync-progress', {
-                current: i,
-                total: accounts.length,
-                status: `Found job application from ${account.email}!`,
-                account: account.email,
-                emailProgress: {
-                  current: emailIndex,
-                  total: fetchResult.messages.length
+          
+            try {
+              const result = await processMailMessage(email, account.email, {
+                fetchAttachment: source.fetchAttachment ? (messageId, attachmentId) => source.fetchAttachment(messageId, attachmentId) : null,
+                onClassifying: () => {
+                  // Until this message is checkpointed, a restart will classify it again
+                  syncJobs.markInFlight(syncJobId, account.email, email.id);
+                  
+                  sendEmailProgress(emailIndex, {
+                    status: `Analyzing email from ${account.email}`,
+                    phase: 'classifying',
+                    details: `Using AI to check if this is job-related: "${subject.substring(0, 40)}..."`
+                  });
                 },
-                phase: 'saving',
-                details: `✅ Job found: ${classification.company || 'Unknown Company'} - ${classification.position || 'Unknown Position'}`
+                onJobFound: (classification) => {
+                  sendEmailProgress(emailIndex, {
+                    status: `Found job application from ${account.email}!`,
+                    phase: 'saving',
+                    details: `✅ Job found: ${classification.company || 'Unknown Company'} - ${classification.position || 'Unknown Position'}`
+                  });
+                }
               });
-            }
-            
-            // Update the record with classification result
-            const updateSyncStmt = getDb().prepare(`
-              UPDATE email_sync 
-              SET is_job_related = ?
-              WHERE gmail_message_id = ? AND account_email = ?
-            `);
-            updateSyncStmt.run(classification.is_job_related ? 1 : 0, email.id, account.email);
-            
-            totalEmailsFetched++;
-            
-            // If job-related, create or update job entry
-            if (classification.is_job_related) {
-              // Create similarity key for deduplication
-              const company = classification.company || 'Unknown';
-              const position = classification.position || 'Unknown Position';
-              const similarityKey = `${company.toLowerCase().replace(/[^a-z0-9]/g, '')}_${position.toLowerCase().replace(/[^a-z0-9]/g, '')}`;
-              
-              // Check for existing similar job within 30 days
-              const thirtyDaysAgo = new Date();
-              thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
               
-              const existingJobStmt = getDb().prepare(`
-                SELECT id, status, email_history 
-                FROM jobs 
-                WHERE similarity_key = ? 
-                  AND account_email = ?
-                  AND applied_date > ?
-                ORDER BY applied_date DESC
-                LIMIT 1
-              `);
-              
-              const existingJob = existingJobStmt.get(similarityKey, account.email, thirtyDaysAgo.toISOString());
+              if (result.skipped) {
+                totalEmailsSkipped++;
+                syncJobs.recordMessage(syncJobId, account.email, email.id, { skipped: true });
+                continue;
+              }
               
-              if (existingJob) {
-                // Update existing job with new email
-                console.log(`Found existing job for ${company} - ${position}, updating...`);
-                
-                // Parse existing email history
-                let emailHistory = [];
-                try {
-                  emailHistory = JSON.parse(existingJob.email_history || '[]');
-                } catch (e) {
-                  emailHistory = [];
-                }
-                
-                // Add this email to history
-                emailHistory.push({
-                  gmail_message_id: email.id,
-                  date: _extractDate(email),
-                  subject: subject
-                });
-                
-                // Update status if new one is higher priority
-                const statusPriority = { 'Applied': 1, 'Interviewed': 2, 'Declined': 3, 'Offer': 4 };
-                const currentPriority = statusPriority[existingJob.status] || 0;
-                const newStatus = classification.status ? 
-                  (classification.status.toLowerCase().includes('interview') ? 'Interviewed' :
-                   classification.status.toLowerCase().includes('offer') ? 'Offer' :
-                   classification.status.toLowerCase().includes('declined') || classification.status.toLowerCase().includes('reject') ? 'Declined' :
-                   'Applied') : 'Applied';
-                const newPriority = statusPriority[newStatus] || 1;
-                
-                const finalStatus = newPriority > currentPriority ? newStatus : existingJob.status;
-                
-                // Update the job
-                const updateJobStmt = getDb().prepare(`
-                  UPDATE jobs 
-                  SET status = ?,
-                      email_history = ?,
-                      email_content = ?
-                  WHERE id = ?
-                `);
-                
-                updateJobStmt.run(
-                  finalStatus,
-                  JSON.stringify(emailHistory),
-                  emailContent,
-                  existingJob.id
-                );
-                
+              totalEmailsFetched++;
+              if (result.filtered) {
+                totalEmailsFiltered++;
+              }
+              if (result.needsReview) {
+                totalNeedsReview++;
+              }
+              if (result.jobFound) {
                 totalJobsFound++;
-                foundJobs.push({
-                  ...existingJob,
-                  status: finalStatus,
-                  updated: true
-                });
-                
-              } else {
-                // Create new job
-                const jobId = `job_${Date.now()}_${performance.now().toString().replace('.', '_')}_${Math.random().toString(36).substr(2, 9)}`;
-                const jobStmt = getDb().prepare(`
-                  INSERT OR IGNORE INTO jobs (id, gmail_message_id, company, position, status, applied_date, account_email, from_address, notes, similarity_key, email_history, email_content)
-                  VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-                `);
-              
-              // Map LLM status to our 4-state system
-              let status = 'Applied';
-              if (classification.status) {
-                const statusLower = classification.status.toLowerCase();
-                if (statusLower.includes('interview')) status = 'Interviewed';
-                else if (statusLower.includes('offer')) status = 'Offer';
-                else if (statusLower.includes('declined') || statusLower.includes('reject')) status = 'Declined';
               }
               
-              const extractedDate = _extractDate(email);
-              console.log(`Storing job with extracted date: ${extractedDate}`);
-              console.log('Job data being inserted:', {
-                jobId,
-                gmail_message_id: email.id,
-                company: classification.company || _extractCompany(emailContent),
-                position: classification.position || _extractPosition(emailContent),
-                status,
-                applied_date: extractedDate,
-                account_email: account.email
+              syncJobs.recordMessage(syncJobId, account.email, email.id, {
+                classified: !result.filtered,
+                jobFound: result.jobFound
               });
-              
-              // Initial email history
-              const emailHistory = [{
-                gmail_message_id: email.id,
-                date: extractedDate,
-                subject: subject
-              }];
-              
-              const jobResult = jobStmt.run(
-                jobId,
-                email.id,
-                classification.company || _extractCompany(emailContent),
-                classification.position || _extractPosition(emailContent),
-                status,
-                extractedDate,
-                account.email,
-                from,
-                email.snippet || '',
-                similarityKey,
-                JSON.stringify(emailHistory),
-                emailContent
-              );
-              
-              console.log('Job insert result:', { changes: jobResult.changes, lastInsertRowid: jobResult.lastInsertRowid });
-              
-              // Only count if job was actually inserted (not ignored due to duplicate)
-              if (jobResult.changes > 0) {
-                totalJobsFound++;
-                console.log(`✅ Job inserted successfully: ${classification.company} - ${classification.position}`);
-                
-                // Send real-time job update to frontend
-                const mainWindow = BrowserWindow.getAllWindows()[0];
-                if (mainWindow) {
-                  const newJob = {
-                    id: jobId,
-                    gmail_message_id: email.id,
-                    company: classification.company || _extractCompany(emailContent),
-                    position: classification.position || _extractPosition(emailContent),
-                    status,
-                    applied_date: extractedDate,
-                    account_email: account.email,
-                    from_address: from,
-                    notes: email.snippet || '',
-                    created_at: new Date().toISOString(),
-                    updated_at: new Date().toISOString()
-                  };
-                  mainWindow.webContents.send('job-found', newJob);
-                }
-              }
-              }
+            } catch (error) {
+              console.error(`Error processing email ${email.id}:`, error);
+              syncJobs.recordMessage(syncJobId, account.email, email.id, { failed: true });
             }
-          } catch (error) {
-            console.error(`Error processing email ${email.id}:`, error);
           }
+          
+          pageToken = fetchResult.nextPageToken || null;
+          messagesListed += messages.length;
+          hasMorePages = !!pageToken && messages.length > 0;
+          syncJobs.savePage(syncJobId, account.email, {
+            mode,
+            historyId: targetHistoryId,
+            nextPageToken: pageToken,
+            messageCount: messages.length
+          });
+        }
+        
+        if (mode === 'incremental') {
+          incrementalAccounts++;
         }
+        
+        // Every fetched message has been handled, so the next sync can start from here.
+        // A listing cut off by maxEmails passes on its page token to be continued
+        await source.commitCursor(targetHistoryId, { pageToken: hasMorePages ? pageToken : null });
+        syncJobs.finishAccount(syncJobId, account.email);
       } catch (error) {
         console.error(`Error syncing account ${account.email}:`, error);
+        syncJobs.finishAccount(syncJobId, account.email, 'failed', error.message);
       }
     }
     
-    console.log(`Processed ${totalEmailsFetched} emails, found ${totalJobsFound} jobs from ${accounts.length} accounts`);
-    totalEmailsClassified = totalEmailsFetched; // All processed emails are classified
+    console.log(`Processed ${totalEmailsFetched} emails, found ${totalJobsFound} jobs from ${sources.length} accounts`);
+    totalEmailsClassified = totalEmailsFetched - totalEmailsFiltered; // Everything the email gate let through
     
     // Update final sync status
     const finalUpdate = getDb().prepare(`
@@ -1633,8 +2322,9 @@ ipcMain.handle('gmail:sync-all', async (event, options = {}) => {
       WHERE id = 1
     `);
     finalUpdate.run(totalEmailsFetched, totalEmailsClassified, totalJobsFound);
+    syncJobs.finishJob(syncJobId, 'completed');
     
-    // Log to sync history
+    // Log to sync history (a resumed run records only the work done since resuming)
     const syncEnd = Date.now();
     const duration = syncEnd - syncStartTime;
     const historyInsert = getDb().prepare(`
@@ -1644,7 +2334,7 @@ ipcMain.handle('gmail:sync-all', async (event, options = {}) => {
       ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
     historyInsert.run(
-      accounts.length,
+      sources.length,
       totalEmailsFetched,
       totalEmailsFetched,
       totalEmailsClassified,
@@ -1655,12 +2345,19 @@ ipcMain.handle('gmail:sync-all', async (event, options = {}) => {
       'completed'
     );
     
-    mainWindow.webContents.send('sync-complete', {
+    sendToRenderer('sync-complete', {
       emailsFetched: totalEmailsFetched,
       emailsClassified: totalEmailsClassified,
       jobsFound: totalJobsFound,
       emailsSkipped: totalEmailsSkipped,
-      accounts: accounts.length
+      emailsFiltered: totalEmailsFiltered,
+      needsReview: totalNeedsReview,
+      accounts: sources.length,
+      incrementalAccounts,
+      fetchRetries: totalFetchRetries,
+      fetchFailures: totalFetchFailures,
+      syncJobId,
+      resumed
     });
     
     return {
@@ -1669,11 +2366,241 @@ ipcMain.handle('gmail:sync-all', async (event, options = {}) => {
       emailsClassified: totalEmailsClassified,
       jobsFound: totalJobsFound,
       emailsSkipped: totalEmailsSkipped,
-      accounts: accounts.length
+      emailsFiltered: totalEmailsFiltered,
+      needsReview: totalNeedsReview,
+      accounts: sources.length,
+      incrementalAccounts,
+      fetchRetries: totalFetchRetries,
+      fetchFailures: totalFetchFailures,
+      syncJobId,
+      resumed
     };
   } catch (error) {
     console.error('Multi-account sync error:', error);
+    
+    if (syncJobId) {
+      try {
+        // The job's totals include what an interrupted run counted before it was
+        // resumed, which sync_history already has; record only this run's work
+        const failedJob = getSyncJobStore().getJob(syncJobId);
+        getSyncJobStore().finishJob(syncJobId, 'failed', error.message);
+        getDb().prepare("UPDATE sync_status SET last_sync_status = 'failed' WHERE id = 1").run();
+        getDb().prepare(`
+          INSERT INTO sync_history (
+            accounts_synced, emails_fetched, emails_processed, emails_classified,
+            jobs_found, new_jobs, updated_jobs, duration_ms, status, error_message
+          ) VALUES (?, ?, ?, ?, ?, ?, 0, ?, 'failed', ?)
+        `).run(
+          failedJob.accounts.length,
+          totalEmailsFetched,
+          totalEmailsFetched,
+          totalEmailsFetched - totalEmailsFiltered,
+          totalJobsFound,
+          totalJobsFound,
+          Date.now() - syncStartTime,
+          error.message
+        );
+      } catch (recordError) {
+        console.error('Error recording failed sync run:', recordError);
+      }
+    }
+    sendToRenderer('sync-error', { message: error.message });
     throw error;
+  } finally {
+    if (gmailAuth) {
+      gmailAuth.removeListener('message-retry', onMessageRetry);
+    }
+  }
+}
+
+let syncInProgress = false;
+
+function isSyncInProgress() {
+  return syncInProgress;
+}
+
+// Guarded entry point: a second sync request while one is running is refused.
+// File imports share the guard since they run the same classification pipeline.
+async function runExclusiveSync(options = {}, run = runSyncAll) {
+  if (syncInProgress) {
+    console.log('🔄 SYNC: A sync is already running, ignoring request');
+    return {
+      success: false,
+      alreadyRunning: true,
+      message: 'A sync is already in progress'
+    };
+  }
+  
+  syncInProgress = true;
+  let result;
+  try {
+    result = await run(options);
+  } finally {
+    syncInProgress = false;
+  }
+  
+  // New emails can answer or open reminders, and quiet jobs are easiest to catch right after a sync
+  if (result && result.success) {
+    try {
+      getFollowUpEngine().run();
+    } catch (error) {
+      console.error('Error running follow-up rules:', error);
+    }
+  }
+  return result;
+}
+
+ipcMain.handle('gmail:sync-all', async (event, options = {}) => {
+  return runExclusiveSync(options);
+});
+
+// Import .mbox archives and .eml files through the same pipeline as an account sync.
+// Messages are recorded in email_sync, so re-importing a file skips what's already done.
+async function runMailImport({ paths = [], accountEmail = DEFAULT_IMPORT_ACCOUNT, maxMessages = Infinity } = {}) {
+  const importStartTime = Date.now();
+  console.log(`📥 IMPORT: Importing ${paths.length} path(s) into ${accountEmail}...`);
+  
+  const files = await collectImportFiles(paths);
+  if (files.length === 0) {
+    return {
+      success: false,
+      message: `No ${IMPORT_EXTENSIONS.map(extension => `.${extension}`).join(' or ')} files found`
+    };
+  }
+  
+  const summary = {
+    files: files.length,
+    messagesRead: 0,
+    emailsProcessed: 0,
+    emailsSkipped: 0,
+    emailsFiltered: 0,
+    needsReview: 0,
+    jobsFound: 0,
+    parseErrors: 0,
+    failed: 0
+  };
+  
+  for (let i = 0; i < files.length && summary.messagesRead < maxMessages; i++) {
+    const file = files[i];
+    const fileName = path.basename(file.path);
+    console.log(`📥 IMPORT: Reading ${file.type} file ${file.path}`);
+    
+    for await (const { message, error, index } of readMailFile(file, { accountEmail })) {
+      if (summary.messagesRead >= maxMessages) break;
+      summary.messagesRead++;
+      
+      if (error) {
+        console.error(`📥 IMPORT: Could not parse message ${index} in ${fileName}:`, error.message);
+        summary.parseErrors++;
+        continue;
+      }
+      
+      const subject = message.payload.headers.find(h => h.name === 'Subject')?.value || 'No subject';
+      sendToRenderer('mail-import-progress', {
+        file: fileName,
+        fileIndex: i,
+        fileCount: files.length,
+        messagesRead: summary.messagesRead,
+        jobsFound: summary.jobsFound,
+        status: `Analyzing: "${subject.substring(0, 50)}${subject.length > 50 ? '...' : ''}"`
+      });
+      
+      try {
+        const result = await processMailMessage(message, accountEmail);
+        if (result.skipped) {
+          summary.emailsSkipped++;
+        } else {
+          summary.emailsProcessed++;
+          if (result.filtered) summary.emailsFiltered++;
+          if (result.needsReview) summary.needsReview++;
+          if (result.jobFound) summary.jobsFound++;
+        }
+      } catch (processError) {
+        console.error(`📥 IMPORT: Error processing message ${message.id}:`, processError);
+        summary.failed++;
+      }
+    }
+  }
+  
+  summary.durationMs = Date.now() - importStartTime;
+  console.log('📥 IMPORT: Finished', summary);
+  sendToRenderer('mail-import-complete', summary);
+  
+  return { success: true, accountEmail, ...summary };
+}
+
+ipcMain.handle('mail:import-file', async (event, options = {}) => {
+  try {
+    let paths = options.paths;
+    if (!paths || paths.length === 0) {
+      const result = await dialog.showOpenDialog({
+        title: 'Import Mailbox',
+        properties: ['openFile', 'openDirectory', 'multiSelections'],
+        filters: [
+          { name: 'Mailbox Files', extensions: IMPORT_EXTENSIONS },
+          { name: 'All Files', extensions: ['*'] }
+        ]
+      });
+      if (result.canceled || result.filePaths.length === 0) {
+        return { success: false, canceled: true };
+      }
+      paths = result.filePaths;
+    }
+    
+    return await runExclusiveSync({ ...options, paths }, runMailImport);
+  } catch (error) {
+    console.error('Error importing mail files:', error);
+    return { success: false, error: error.message, message: error.message };
+  }
+});
+
+// Background sync scheduler - started from main.js once the app is ready
+let syncScheduler = null;
+function getSyncScheduler() {
+  if (syncScheduler) return syncScheduler;
+  
+  syncScheduler = new SyncScheduler({
+    // Background runs pick up an interrupted sync before starting a new one
+    runSync: () => {
+      const resumable = getSyncJobStore().getResumableJob();
+      return runExclusiveSync(resumable ? { resumeJobId: resumable.id } : {});
+    },
+    isSyncing: isSyncInProgress,
+    getSettings: () => ({
+      syncInterval: getStore().get('syncInterval', 30),
+      autoStart: getStore().get('autoStart', false)
+    }),
+    getLastSyncTime: () => {
+      const row = getDb().prepare('SELECT last_fetch_time FROM sync_status WHERE id = 1').get();
+      return row && row.last_fetch_time ? new Date(row.last_fetch_time.replace(' ', 'T') + 'Z') : null;
+    }
+  });
+  
+  syncScheduler.on('status', (status) => {
+    sendToRenderer('sync-schedule-updated', status);
+  });
+  
+  // Tell the user about new jobs found while the app was in the background
+  syncScheduler.on('run-complete', ({ trigger, result }) => {
+    if (trigger === 'manual' || !result || !result.jobsFound) return;
+    showSystemNotification('OnlyJobs', `Background sync found ${result.jobsFound} new job ${result.jobsFound === 1 ? 'email' : 'emails'}`);
+  });
+  
+  return syncScheduler;
+}
+
+// Toggle background sync (the autoStart setting) from outside the renderer, e.g. the tray
+function setBackgroundSyncEnabled(enabled) {
+  getStore().set('autoStart', !!enabled);
+  getSyncScheduler().reload();
+}
+
+ipcMain.handle('sync:get-schedule', async () => {
+  try {
+    return { success: true, schedule: getSyncScheduler().getStatus() };
+  } catch (error) {
+    console.error('Error getting sync schedule:', error);
+    return { success: false, error: error.message };
   }
 });
 
@@ -1700,22 +2627,43 @@ ipcMain.handle('db:clear-all-records', async () => {
     const clearAll = db.transaction(() => {
       // Clear all tables in the correct order (respecting foreign key constraints if any)
       const clearEmailSync = db.prepare('DELETE FROM email_sync');
+      const clearGateDecisions = db.prepare('DELETE FROM email_gate_decisions');
+      const clearReviews = db.prepare('DELETE FROM classification_reviews');
+      const clearCorrections = db.prepare('DELETE FROM classification_corrections');
+      const clearJobEmails = db.prepare('DELETE FROM job_emails');
+      const clearStatusEvents = db.prepare('DELETE FROM job_status_events');
+      const clearReminders = db.prepare('DELETE FROM reminders');
+      const clearInterviews = db.prepare('DELETE FROM interviews');
       const clearJobs = db.prepare('DELETE FROM jobs');
       const clearGmailAccounts = db.prepare('DELETE FROM gmail_accounts');
+      const clearMailAccounts = db.prepare('DELETE FROM mail_accounts');
       const resetSyncStatus = db.prepare('UPDATE sync_status SET last_fetch_time = NULL, last_classify_time = NULL, last_sync_status = NULL, total_emails_fetched = 0, total_emails_classified = 0, total_jobs_found = 0 WHERE id = 1');
       
       const emailSyncResult = clearEmailSync.run();
       console.log(`Deleted ${emailSyncResult.changes} email_sync records`);
       
+      clearGateDecisions.run();
+      clearReviews.run();
+      clearCorrections.run();
+      clearReminders.run();
+      clearInterviews.run();
+      clearStatusEvents.run();
+      clearJobEmails.run();
       const jobsResult = clearJobs.run();
       console.log(`Deleted ${jobsResult.changes} jobs records`);
       
       const gmailAccountsResult = clearGmailAccounts.run();
       console.log(`Deleted ${gmailAccountsResult.changes} gmail_accounts records`);
       
+      const mailAccountsResult = clearMailAccounts.run();
+      console.log(`Deleted ${mailAccountsResult.changes} mail_accounts records`);
+      
       resetSyncStatus.run();
       console.log('Reset sync status');
       
+      // Checkpoints of an interrupted sync no longer match the cleared tables
+      getSyncJobStore().discardInterruptedJobs();
+      
       return {
         emailSyncDeleted: emailSyncResult.changes,
         jobsDeleted: jobsResult.changes,
@@ -1724,6 +2672,7 @@ ipcMain.handle('db:clear-all-records', async () => {
     });
     
     const result = clearAll();
+    getInterviewCalendar().writeFeed();
     
     // Verify the deletion
     const afterCounts = {
@@ -1760,12 +2709,23 @@ ipcMain.handle('db:clear-email-sync', async () => {
     const stmt = db.prepare('DELETE FROM email_sync');
     const result = stmt.run();
     console.log(`Deleted ${result.changes} email_sync records`);
+    getEmailGate().clear();
+    getReviewQueue().clear();
     
     // Reset sync status counters
     const resetStmt = db.prepare('UPDATE sync_status SET total_emails_fetched = 0, total_emails_classified = 0, last_sync_status = NULL WHERE id = 1');
     resetStmt.run();
     console.log('Reset sync status counters');
     
+    // Forget Gmail history IDs, unfinished listings and queued retries so the next sync re-lists the full date window
+    db.prepare(`
+      UPDATE gmail_accounts
+      SET history_id = NULL, listing_page_token = NULL, listing_query = NULL, listing_history_id = NULL,
+          retry_message_ids = NULL
+    `).run();
+    getMailSourceRegistry().resetSyncState();
+    getSyncJobStore().discardInterruptedJobs();
+    
     // Verify the deletion
     const afterCount = db.prepare('SELECT COUNT(*) as count FROM email_sync').get().count;
     console.log(`📊 After clearing - email_sync records: ${afterCount}`);
@@ -1787,23 +2747,7 @@ ipcMain.handle('db:clear-email-sync', async () => {
 // Get email content for a job
 ipcMain.handle('get-job-email', async (event, jobId) => {
   try {
-    const db = getDatabase();
-    const stmt = db.prepare(`
-      SELECT email_content, email_history 
-      FROM jobs 
-      WHERE id = ?
-    `);
-    const result = stmt.get(jobId);
-    
-    if (result) {
-      return {
-        success: true,
-        emailContent: result.email_content,
-        emailHistory: JSON.parse(result.email_history || '[]')
-      };
-    } else {
-      return { success: false, error: 'Job not found' };
-    }
+    return getJobEmailHistory(jobId);
   } catch (error) {
     console.error('Error fetching job email:', error);
     return { success: false, error: error.message };
@@ -1839,12 +2783,10 @@ ipcMain.handle('prompt:token-info', async (event, text) => {
 
 // Cleanup on app quit
 app.on('before-quit', () => {
-  if (db) {
-    db.close();
-  }
-  if (gmailMultiAuth && gmailMultiAuth.db) {
-    gmailMultiAuth.db.close();
-  }
+  closeDb();
+  db = null;
 });
 
 console.log('IPC handlers loaded successfully');
+
+module.exports = { getSyncScheduler, getFollowUpEngine, setBackgroundSyncEnabled, applyLLMBackendSetting };
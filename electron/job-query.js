@@ -0,0 +1,303 @@
+/**
+ * Job Query
+ *
+ * Pages through the jobs table for the dashboards instead of loading it whole.
+ * A page is read with keyset pagination: the cursor holds the sort values of the
+ * last row returned, so the next page starts right after it even when jobs are
+ * added or removed in between, and no rows are skipped over with OFFSET.
+ *
+ * Each page comes with the number of jobs matching the filters and facet counts
+ * by status, coarse status, account, company and month applied. A facet ignores
+ * its own filter, so the other statuses keep their counts while one is selected.
+ */
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const COMPANY_FACET_LIMIT = 20;
+
+// Sortable fields and the expression each sorts by. NULLs sort as '' so they can
+// be compared in a cursor; jobs.id breaks ties so every row has one position.
+const SORT_FIELDS = {
+  applied_date: "COALESCE(jobs.applied_date, '')",
+  company: "COALESCE(jobs.company, '') COLLATE NOCASE",
+  position: "COALESCE(jobs.position, '') COLLATE NOCASE",
+  status: "COALESCE(jobs.status, '')",
+  account_email: "COALESCE(jobs.account_email, '')",
+  last_contact_date: "COALESCE(jobs.last_contact_date, '')",
+  created_at: "COALESCE(jobs.created_at, '')",
+  updated_at: "COALESCE(jobs.updated_at, '')"
+};
+const DEFAULT_SORT = [
+  { field: 'applied_date', direction: 'desc' },
+  { field: 'created_at', direction: 'desc' }
+];
+
+const STATUS_GROUP = "COALESCE(job_stages.coarse_status, 'Applied')";
+const MONTH = "strftime('%Y-%m', jobs.applied_date)";
+
+// Each facet's grouping expression and the filter it leaves out
+const FACETS = {
+  status: { expression: 'jobs.status', filter: 'status', order: 'COALESCE(MIN(job_stages.sort_order), 1e9), value' },
+  statusGroup: { expression: STATUS_GROUP, filter: 'statusGroup', order: 'count DESC, value' },
+  account: { expression: 'jobs.account_email', filter: 'accountEmail', order: 'count DESC, value' },
+  company: { expression: 'jobs.company', filter: 'company', order: 'count DESC, value', limit: COMPANY_FACET_LIMIT },
+  month: { expression: MONTH, filter: 'month', order: 'value DESC' }
+};
+
+const FROM = `
+  FROM jobs
+  LEFT JOIN job_stages ON job_stages.name = jobs.status
+`;
+
+class JobQuery {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   */
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Every job matching the filters, in one array, for callers that need them all
+   *
+   * @param {object} [filters] - see buildWhere; `sort` and `limit` are also read
+   * @returns {object[]} jobs with their status_group
+   */
+  list(filters = {}) {
+    const sort = normalizeSort(filters.sort);
+    const { clause, params } = buildWhere(filters);
+    let query = `SELECT jobs.*, ${STATUS_GROUP} AS status_group ${FROM} WHERE ${clause} ORDER BY ${orderBy(sort)}`;
+    if (filters.limit) {
+      query += ' LIMIT ?';
+      params.push(filters.limit);
+    }
+    return this.db.prepare(query).all(...params);
+  }
+
+  /**
+   * One page of jobs
+   *
+   * @param {object} [options] - filters (see buildWhere) plus:
+   * @param {number} [options.pageSize] - rows per page, up to MAX_PAGE_SIZE; 0 returns only the counts
+   * @param {string} [options.cursor] - nextCursor of the previous page
+   * @param {{field: string, direction?: 'asc'|'desc'}[]} [options.sort] - applied_date desc, created_at desc by default
+   * @param {boolean} [options.facets] - false to leave out the facet counts
+   * @returns {{jobs: object[], nextCursor: string|null, total: number, facets: object|null}}
+   */
+  page(options = {}) {
+    const sort = normalizeSort(options.sort);
+    const pageSize = normalizePageSize(options.pageSize);
+    const { clause, params } = buildWhere(options);
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total ${FROM} WHERE ${clause}`).get(...params);
+
+    let jobs = [];
+    let nextCursor = null;
+    if (pageSize > 0) {
+      let where = clause;
+      const pageParams = [...params];
+      if (options.cursor) {
+        const after = keysetCondition(sort, decodeCursor(options.cursor, sort));
+        where += ` AND ${after.clause}`;
+        pageParams.push(...after.params);
+      }
+      const keys = sort.map((key, i) => `${SORT_FIELDS[key.field].replace(/ COLLATE NOCASE$/, '')} AS __sort_${i}`);
+      // One extra row tells whether there is a next page
+      const rows = this.db.prepare(`
+        SELECT jobs.*, ${STATUS_GROUP} AS status_group, ${keys.join(', ')}
+        ${FROM}
+        WHERE ${where}
+        ORDER BY ${orderBy(sort)}
+        LIMIT ?
+      `).all(...pageParams, pageSize + 1);
+
+      const hasMore = rows.length > pageSize;
+      jobs = rows.slice(0, pageSize).map(row => {
+        const job = { ...row };
+        sort.forEach((_, i) => delete job[`__sort_${i}`]);
+        return job;
+      });
+      if (hasMore) {
+        const last = rows[pageSize - 1];
+        nextCursor = encodeCursor(sort, [...sort.map((_, i) => last[`__sort_${i}`]), last.id]);
+      }
+    }
+
+    return {
+      jobs,
+      nextCursor,
+      total,
+      facets: options.facets === false ? null : this.facets(options)
+    };
+  }
+
+  /**
+   * Counts of the jobs matching the filters, grouped by each facet
+   *
+   * @returns {Record<string, {value: string|null, count: number}[]>}
+   */
+  facets(filters = {}) {
+    const facets = {};
+    for (const [name, facet] of Object.entries(FACETS)) {
+      const { clause, params } = buildWhere(filters, facet.filter);
+      let query = `
+        SELECT ${facet.expression} AS value, COUNT(*) AS count
+        ${FROM}
+        WHERE ${clause}
+        GROUP BY value
+        ORDER BY ${facet.order}
+      `;
+      if (facet.limit) {
+        query += ' LIMIT ?';
+        params.push(facet.limit);
+      }
+      facets[name] = this.db.prepare(query).all(...params);
+    }
+    return facets;
+  }
+}
+
+/**
+ * WHERE clause for the filters:
+ * - status: stage name, or several
+ * - statusGroup: coarse status (Applied/Interviewed/Declined/Offer)
+ * - company: part of the company name
+ * - accountEmail: account the job was found in
+ * - month: applied month, as 2025-03
+ * - startDate / endDate: applied date range, inclusive
+ *
+ * @param {object} filters
+ * @param {string} [skip] - filter to leave out, for its facet
+ */
+function buildWhere(filters, skip = null) {
+  const conditions = ['1=1'];
+  const params = [];
+  const use = (name) => name !== skip && filters[name] !== undefined && filters[name] !== null && filters[name] !== '';
+
+  if (use('status')) {
+    const statuses = Array.isArray(filters.status) ? filters.status : [filters.status];
+    if (statuses.length > 0) {
+      conditions.push(`jobs.status IN (${statuses.map(() => '?').join(', ')})`);
+      params.push(...statuses);
+    }
+  }
+  if (use('statusGroup')) {
+    conditions.push(`${STATUS_GROUP} = ?`);
+    params.push(filters.statusGroup);
+  }
+  if (use('company')) {
+    conditions.push('jobs.company LIKE ?');
+    params.push(`%${filters.company}%`);
+  }
+  if (use('accountEmail')) {
+    conditions.push('jobs.account_email = ?');
+    params.push(filters.accountEmail);
+  }
+  if (use('month')) {
+    if (!/^\d{4}-\d{2}$/.test(filters.month)) {
+      throw new Error(`Invalid month: ${filters.month}`);
+    }
+    conditions.push(`${MONTH} = ?`);
+    params.push(filters.month);
+  }
+  if (use('startDate')) {
+    conditions.push('jobs.applied_date >= ?');
+    params.push(filters.startDate);
+  }
+  if (use('endDate')) {
+    conditions.push('jobs.applied_date <= ?');
+    params.push(filters.endDate);
+  }
+
+  return { clause: conditions.join(' AND '), params };
+}
+
+function normalizeSort(sort) {
+  if (!sort || (Array.isArray(sort) && sort.length === 0)) {
+    return DEFAULT_SORT;
+  }
+  const keys = (Array.isArray(sort) ? sort : [sort]).map(key => {
+    const field = typeof key === 'string' ? key : key.field;
+    const direction = (typeof key === 'string' ? 'asc' : key.direction || 'asc').toLowerCase();
+    if (!SORT_FIELDS[field]) {
+      throw new Error(`Cannot sort jobs by ${field}`);
+    }
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new Error(`Unknown sort direction: ${direction}`);
+    }
+    return { field, direction };
+  });
+  return keys.filter((key, i) => keys.findIndex(other => other.field === key.field) === i);
+}
+
+function normalizePageSize(pageSize) {
+  if (pageSize === undefined || pageSize === null) {
+    return DEFAULT_PAGE_SIZE;
+  }
+  const size = Number(pageSize);
+  if (!Number.isInteger(size) || size < 0) {
+    throw new Error(`Invalid page size: ${pageSize}`);
+  }
+  return Math.min(size, MAX_PAGE_SIZE);
+}
+
+function orderBy(sort) {
+  const tieBreak = sort[sort.length - 1].direction === 'desc' ? 'DESC' : 'ASC';
+  return [...sort.map(key => `${SORT_FIELDS[key.field]} ${key.direction.toUpperCase()}`), `jobs.id ${tieBreak}`].join(', ');
+}
+
+/**
+ * Rows after the cursor position: for sort keys k1..kn and the id tie-breaker,
+ * (k1 beyond v1) OR (k1 = v1 AND k2 beyond v2) OR ... OR (all equal AND id beyond)
+ */
+function keysetCondition(sort, values) {
+  const tieBreak = sort[sort.length - 1].direction;
+  const keys = [
+    ...sort.map(key => ({ expression: SORT_FIELDS[key.field], direction: key.direction })),
+    { expression: 'jobs.id', direction: tieBreak }
+  ];
+  const alternatives = [];
+  const params = [];
+  keys.forEach((key, i) => {
+    const parts = [];
+    for (let j = 0; j < i; j++) {
+      parts.push(`${keys[j].expression} = ?`);
+      params.push(values[j]);
+    }
+    parts.push(`${key.expression} ${key.direction === 'desc' ? '<' : '>'} ?`);
+    params.push(values[i]);
+    alternatives.push(`(${parts.join(' AND ')})`);
+  });
+  return { clause: `(${alternatives.join(' OR ')})`, params };
+}
+
+function sortSignature(sort) {
+  return sort.map(key => `${key.field}:${key.direction}`).join(',');
+}
+
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ sort: sortSignature(sort), values })).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.values)) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.sort !== sortSignature(sort)) {
+    throw new Error('The cursor belongs to a different sort order; start again from the first page');
+  }
+  if (decoded.values.length !== sort.length + 1) {
+    throw new Error('Invalid cursor');
+  }
+  return decoded.values;
+}
+
+module.exports = {
+  JobQuery
+};
@@ -0,0 +1,255 @@
+/**
+ * Job Search
+ *
+ * Full-text search over jobs and the emails linked to them, using two SQLite
+ * FTS5 indexes kept in sync by triggers:
+ *
+ * - `jobs_fts`: company, position and notes of every job
+ * - `job_emails_fts`: subject, sender and body of every job email, an external
+ *   content index over job_emails so the email text isn't stored twice
+ *
+ * A query is free text plus optional filters:
+ *
+ *   relocation "hiring manager" company:acme status:interview after:2025-01-01
+ *
+ * Words must all appear (stemmed, so "relocating" finds "relocation"), quoted
+ * text is a phrase, `word*` matches a prefix and OR between words matches
+ * either. `company:`, `position:` and `account:` match part of the job's value,
+ * `status:` a stage name or its coarse status (or a name the classifier uses
+ * for one, so `status:interview` finds Interviewed jobs), and `after:`, `before:` and
+ * `date:2025-03` / `date:2025-01-01..2025-03-31` the date of the email the text
+ * was found in (the job's applied date for matches in the job itself, and for
+ * queries without text).
+ */
+
+const { COARSE_STATUSES } = require('./job-stages');
+
+// Marks the matched words in FTS snippets; split into segments before leaving the main process
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+const SNIPPET_TOKENS = 16;
+// Matching rows read per search, counted after the filters so they don't hide filtered hits
+const MAX_HITS = 1000;
+const DEFAULT_LIMIT = 50;
+const FIELD_FILTERS = ['company', 'position', 'status', 'account', 'after', 'before', 'date'];
+
+// Quote a word for FTS5 so punctuation in it ("c++", "o'brien") isn't read as query syntax
+function quoteTerm(text) {
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Split a query into the FTS5 MATCH expression and the field filters
+ *
+ * @param {string} input
+ * @returns {{match: string|null, terms: string[], filters: object}}
+ */
+function parseSearchQuery(input) {
+  const filters = {};
+  const parts = [];
+  const terms = [];
+  // field:"quoted value", field:value, "phrase", word
+  const tokenPattern = /(\w+):"([^"]*)"|(\w+):(\S+)|"([^"]*)"|(\S+)/g;
+  let token;
+
+  while ((token = tokenPattern.exec(input || '')) !== null) {
+    const field = (token[1] || token[3] || '').toLowerCase();
+    const value = token[2] !== undefined ? token[2] : token[4];
+    if (field && FIELD_FILTERS.includes(field)) {
+      if (field === 'date') {
+        const [from, to] = value.split('..');
+        if (from) filters.after = from;
+        if (to !== undefined) {
+          if (to) filters.before = to;
+        } else if (from) {
+          filters.before = from;
+        }
+      } else if (value) {
+        filters[field] = value;
+      }
+      continue;
+    }
+
+    if (token[5] !== undefined) {
+      if (token[5].trim()) {
+        parts.push(quoteTerm(token[5]));
+        terms.push(token[5]);
+      }
+      continue;
+    }
+
+    const word = token[0];
+    if (word === 'OR' && parts.length > 0 && parts[parts.length - 1] !== 'OR') {
+      parts.push('OR');
+      continue;
+    }
+    const prefix = word.length > 1 && word.endsWith('*');
+    const text = prefix ? word.slice(0, -1) : word;
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+    parts.push(quoteTerm(text) + (prefix ? '*' : ''));
+    terms.push(text);
+  }
+
+  if (parts[parts.length - 1] === 'OR') parts.pop();
+  return { match: parts.length > 0 ? parts.join(' ') : null, terms, filters };
+}
+
+// A month ("2025-03") as a range bound: its first day for after:, its last day for before:
+function dateBound(value, end) {
+  if (/^\d{4}-\d{2}$/.test(value)) {
+    return end ? `date('${value}-01', '+1 month', '-1 day')` : `date('${value}-01')`;
+  }
+  return null;
+}
+
+// FTS snippet text as segments, with the matched words flagged
+function toSegments(snippet) {
+  const segments = [];
+  const pattern = new RegExp(`${HIGHLIGHT_START}([^${HIGHLIGHT_END}]*)${HIGHLIGHT_END}`, 'g');
+  let last = 0;
+  let match;
+  while ((match = pattern.exec(snippet || '')) !== null) {
+    if (match.index > last) segments.push({ text: snippet.slice(last, match.index), highlight: false });
+    segments.push({ text: match[1], highlight: true });
+    last = pattern.lastIndex;
+  }
+  if (last < (snippet || '').length) segments.push({ text: snippet.slice(last), highlight: false });
+  return segments;
+}
+
+class JobSearch {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   * @param {import('./job-stages').JobStageCatalog} [stages] - resolves `status:` values
+   */
+  constructor(db, stages = null) {
+    this.db = db;
+    this.stages = stages;
+  }
+
+  // A coarse status as typed, else the stage the value names; unknown values are kept and match nothing
+  resolveStatus(value) {
+    const coarse = COARSE_STATUSES.find(status => status.toLowerCase() === value.toLowerCase());
+    if (coarse) return coarse;
+    return (this.stages && this.stages.match(value)) || value;
+  }
+
+  /**
+   * Rebuild one index, or both, from jobs and job_emails
+   *
+   * @param {'jobs_fts'|'job_emails_fts'} [index]
+   */
+  rebuild(index = null) {
+    const build = this.db.transaction(() => {
+      if (!index || index === 'jobs_fts') {
+        this.db.exec(`
+          DELETE FROM jobs_fts;
+          INSERT INTO jobs_fts (job_id, company, position, notes) SELECT id, company, position, notes FROM jobs;
+        `);
+      }
+      if (!index || index === 'job_emails_fts') {
+        this.db.exec("INSERT INTO job_emails_fts (job_emails_fts) VALUES ('rebuild')");
+      }
+    });
+    build();
+    console.log(`🔎 Rebuilt search index${index ? ` ${index}` : 'es'}`);
+  }
+
+  /**
+   * Jobs matching a query, best match first, each with highlighted snippets of
+   * where the text was found
+   *
+   * @param {string} query - see the module comment for the syntax
+   * @param {object} [options]
+   * @param {number} [options.limit=50] - jobs returned
+   * @returns {{jobs: object[], total: number, query: {terms: string[], filters: object}}}
+   */
+  search(query, { limit = DEFAULT_LIMIT } = {}) {
+    const { match, terms, filters } = parseSearchQuery(query);
+    const max = Math.max(1, Math.min(500, Number(limit) || DEFAULT_LIMIT));
+    const where = [];
+    const params = [];
+
+    if (filters.company) {
+      where.push('jobs.company LIKE ?');
+      params.push(`%${filters.company}%`);
+    }
+    if (filters.position) {
+      where.push('jobs.position LIKE ?');
+      params.push(`%${filters.position}%`);
+    }
+    if (filters.account) {
+      where.push('jobs.account_email LIKE ?');
+      params.push(`%${filters.account}%`);
+    }
+    if (filters.status) {
+      where.push("(jobs.status = ? COLLATE NOCASE OR COALESCE(job_stages.coarse_status, 'Applied') = ? COLLATE NOCASE)");
+      const status = this.resolveStatus(filters.status);
+      params.push(status, status);
+    }
+    const dateColumn = match ? 'date(COALESCE(hits.email_date, jobs.applied_date))' : 'date(jobs.applied_date)';
+    for (const [bound, operator, end] of [['after', '>=', false], ['before', '<=', true]]) {
+      if (!filters[bound]) continue;
+      const month = dateBound(filters[bound], end);
+      where.push(`${dateColumn} ${operator} ${month || 'date(?)'}`);
+      if (!month) params.push(filters[bound]);
+    }
+
+    const jobColumns = "jobs.*, COALESCE(job_stages.coarse_status, 'Applied') AS status_group";
+    const filterSql = where.length > 0 ? `AND ${where.join(' AND ')}` : '';
+
+    if (!match) {
+      const jobs = this.db.prepare(`
+        SELECT ${jobColumns}
+        FROM jobs
+        LEFT JOIN job_stages ON job_stages.name = jobs.status
+        WHERE 1=1 ${filterSql}
+        ORDER BY jobs.applied_date DESC, jobs.created_at DESC
+      `).all(...params);
+      return {
+        jobs: jobs.slice(0, max).map(job => ({ job, score: null, matches: [] })),
+        total: jobs.length,
+        query: { terms, filters }
+      };
+    }
+
+    // bm25 weights: company and subject count most, then position and sender, then notes and body
+    const hits = this.db.prepare(`
+      WITH hits AS (
+        SELECT jobs_fts.job_id AS job_id, 'job' AS kind, NULL AS email_id, NULL AS subject, NULL AS email_date,
+          bm25(jobs_fts, 0, 10, 5, 1) AS score,
+          snippet(jobs_fts, -1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', ${SNIPPET_TOKENS}) AS snippet
+        FROM jobs_fts WHERE jobs_fts MATCH ?
+        UNION ALL
+        SELECT je.job_id, 'email', je.id, je.subject, je.email_date,
+          bm25(job_emails_fts, 8, 4, 1) AS score,
+          snippet(job_emails_fts, -1, '${HIGHLIGHT_START}', '${HIGHLIGHT_END}', '…', ${SNIPPET_TOKENS}) AS snippet
+        FROM job_emails_fts
+        JOIN job_emails je ON je.id = job_emails_fts.rowid
+        WHERE job_emails_fts MATCH ?
+      )
+      SELECT hits.kind, hits.email_id, hits.subject, hits.email_date, hits.score, hits.snippet, ${jobColumns}
+      FROM hits
+      JOIN jobs ON jobs.id = hits.job_id
+      LEFT JOIN job_stages ON job_stages.name = jobs.status
+      WHERE 1=1 ${filterSql}
+      ORDER BY hits.score
+      LIMIT ${MAX_HITS}
+    `).all(match, match, ...params);
+
+    // Hits arrive best first, so a job's first hit sets its place and score
+    const byJob = new Map();
+    for (const hit of hits) {
+      const { kind, email_id: emailId, subject, email_date: emailDate, score, snippet, ...job } = hit;
+      if (!byJob.has(job.id)) {
+        byJob.set(job.id, { job, score: -score, matches: [] });
+      }
+      byJob.get(job.id).matches.push({ kind, emailId, subject, emailDate, snippet: toSegments(snippet) });
+    }
+
+    const results = [...byJob.values()];
+    return { jobs: results.slice(0, max), total: results.length, query: { terms, filters } };
+  }
+}
+
+module.exports = { JobSearch, parseSearchQuery };
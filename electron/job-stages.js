@@ -0,0 +1,230 @@
+// electron/job-stages.js
+// The stages a job can be in. jobs.status holds a stage name from job_stages; each stage
+// maps back to one of the four coarse statuses that analytics report on. The catalogue
+// is seeded with the defaults below and can be edited from Settings.
+
+// Coarse statuses used by analytics and by jobs.db before the stage catalogue existed
+const COARSE_STATUSES = ['Applied', 'Interviewed', 'Declined', 'Offer'];
+
+// description is shown to the classifier; stages without one are never detected from email
+const DEFAULT_STAGES = [
+  { name: 'Applied', coarse_status: 'Applied', color: '#2196F3', description: 'application submitted, received or under review' },
+  { name: 'Phone Screen', coarse_status: 'Interviewed', color: '#FFB74D', description: 'recruiter or HR phone call, intro chat, screening call' },
+  { name: 'Assessment', coarse_status: 'Interviewed', color: '#FFA726', description: 'take-home assignment, coding challenge, online test' },
+  { name: 'Interviewed', coarse_status: 'Interviewed', color: '#FF9800', description: 'technical or hiring manager interview, interview scheduling' },
+  { name: 'Onsite', coarse_status: 'Interviewed', color: '#F57C00', description: 'onsite, final round or interview loop' },
+  { name: 'Offer', coarse_status: 'Offer', color: '#9C27B0', description: 'offer letter, offer call, compensation package' },
+  { name: 'Negotiating', coarse_status: 'Offer', color: '#7B1FA2', description: null },
+  { name: 'Accepted', coarse_status: 'Offer', color: '#4CAF50', is_terminal: true, description: 'offer accepted, onboarding, start date' },
+  { name: 'Declined', coarse_status: 'Declined', color: '#F44336', is_terminal: true, description: 'rejection, no longer considered, position closed' },
+  { name: 'Withdrawn', coarse_status: 'Declined', color: '#9E9E9E', is_terminal: true, description: 'candidate withdrew the application' },
+  { name: 'Ghosted', coarse_status: 'Declined', color: '#757575', description: null }
+];
+
+// Other names the classifier and older data use for a default stage
+const STAGE_ALIASES = {
+  interview: 'Interviewed',
+  interviewing: 'Interviewed',
+  rejected: 'Declined',
+  rejection: 'Declined',
+  offered: 'Offer',
+  'phone interview': 'Phone Screen',
+  screen: 'Phone Screen',
+  screening: 'Phone Screen',
+  'take-home': 'Assessment',
+  'take home': 'Assessment',
+  'coding challenge': 'Assessment',
+  'final round': 'Onsite',
+  'on-site': 'Onsite',
+  negotiation: 'Negotiating',
+  withdrew: 'Withdrawn'
+};
+
+class JobStageCatalog {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   */
+  constructor(db) {
+    this.db = db;
+    this.stages = null;
+  }
+
+  /**
+   * All stages in pipeline order
+   */
+  list() {
+    if (!this.stages) {
+      this.stages = this.db.prepare('SELECT * FROM job_stages ORDER BY sort_order ASC, name ASC').all()
+        .map(stage => ({ ...stage, is_terminal: !!stage.is_terminal }));
+    }
+    return this.stages;
+  }
+
+  get(name) {
+    return this.list().find(stage => stage.name === name) || null;
+  }
+
+  has(name) {
+    return !!this.get(name);
+  }
+
+  /**
+   * Coarse status of a stage; unknown stages count as Applied
+   */
+  toCoarse(name) {
+    const stage = this.get(name);
+    if (stage) return stage.coarse_status;
+    return COARSE_STATUSES.includes(name) ? name : 'Applied';
+  }
+
+  isTerminal(name) {
+    const stage = this.get(name);
+    return !!(stage && stage.is_terminal);
+  }
+
+  /**
+   * Map a status from the classifier or older data to a stage name: exact stage names
+   * first, then aliases and keywords of the default stages, then the first stage
+   */
+  resolve(status) {
+    const fallback = this.list()[0] ? this.list()[0].name : 'Applied';
+    return this.match(status) || fallback;
+  }
+
+  /**
+   * Like resolve, but null for a status that names no stage
+   */
+  match(status) {
+    if (!status) return null;
+
+    const statusLower = String(status).trim().toLowerCase();
+    const exact = this.list().find(stage => stage.name.toLowerCase() === statusLower);
+    if (exact) return exact.name;
+
+    const candidates = [];
+    if (STAGE_ALIASES[statusLower]) candidates.push(STAGE_ALIASES[statusLower]);
+    // Free-form statuses from older prompts
+    if (statusLower.includes('interview')) candidates.push('Interviewed');
+    if (statusLower.includes('offer')) candidates.push('Offer');
+    if (statusLower.includes('declined') || statusLower.includes('reject')) candidates.push('Declined');
+
+    for (const candidate of candidates) {
+      if (this.has(candidate)) return candidate;
+      // A default stage that was removed from the catalogue: use the first stage with its coarse status
+      const coarse = DEFAULT_STAGES.find(stage => stage.name === candidate);
+      const sameGroup = coarse && this.list().find(stage => stage.coarse_status === coarse.coarse_status);
+      if (sameGroup) return sameGroup.name;
+    }
+    return null;
+  }
+
+  /**
+   * Stages the classifier may emit, with the description it decides by
+   */
+  classifierStages() {
+    return this.list()
+      .filter(stage => stage.description)
+      .map(stage => ({ name: stage.name, description: stage.description }));
+  }
+
+  /**
+   * Add or update a stage. Renaming a stage (previousName set) moves its jobs and
+   * timeline events along with it.
+   */
+  saveStage({ name, previousName = null, coarse_status, is_terminal = false, color = null, description = null, sort_order = null }) {
+    const stageName = (name || '').trim();
+    if (!stageName) {
+      throw new Error('Stage name is required');
+    }
+    if (!COARSE_STATUSES.includes(coarse_status)) {
+      throw new Error(`Stage must map to one of ${COARSE_STATUSES.join(', ')}`);
+    }
+    const existing = previousName ? this.get(previousName) : null;
+    if (previousName && !existing) {
+      throw new Error(`Stage not found: ${previousName}`);
+    }
+    if (stageName !== previousName && this.has(stageName)) {
+      throw new Error(`A stage named ${stageName} already exists`);
+    }
+
+    const order = sort_order ?? (existing
+      ? existing.sort_order
+      : (this.db.prepare('SELECT COALESCE(MAX(sort_order), 0) AS max FROM job_stages').get().max + 10));
+
+    const save = this.db.transaction(() => {
+      if (existing) {
+        this.db.prepare(`
+          UPDATE job_stages
+          SET name = ?, sort_order = ?, coarse_status = ?, is_terminal = ?, color = ?, description = ?
+          WHERE name = ?
+        `).run(stageName, order, coarse_status, is_terminal ? 1 : 0, color, description || null, previousName);
+
+        if (stageName !== previousName) {
+          this.db.prepare('UPDATE jobs SET status = ? WHERE status = ?').run(stageName, previousName);
+          this.db.prepare('UPDATE job_status_events SET status = ? WHERE status = ?').run(stageName, previousName);
+        }
+      } else {
+        this.db.prepare(`
+          INSERT INTO job_stages (name, sort_order, coarse_status, is_terminal, color, description)
+          VALUES (?, ?, ?, ?, ?, ?)
+        `).run(stageName, order, coarse_status, is_terminal ? 1 : 0, color, description || null);
+      }
+    });
+    save();
+
+    this.stages = null;
+    return this.get(stageName);
+  }
+
+  /**
+   * Remove a stage. Jobs and timeline events in it move to replacement.
+   */
+  deleteStage(name, replacement) {
+    if (!this.has(name)) {
+      throw new Error(`Stage not found: ${name}`);
+    }
+    if (this.list().length === 1) {
+      throw new Error('The stage catalogue needs at least one stage');
+    }
+
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM jobs WHERE status = ?').get(name);
+    if (!replacement || replacement === name || !this.has(replacement)) {
+      if (count > 0) {
+        throw new Error(`${count} jobs are in ${name}; choose a stage to move them to`);
+      }
+      replacement = null;
+    }
+
+    const remove = this.db.transaction(() => {
+      if (replacement) {
+        this.db.prepare('UPDATE jobs SET status = ? WHERE status = ?').run(replacement, name);
+        this.db.prepare('UPDATE job_status_events SET status = ? WHERE status = ?').run(replacement, name);
+      }
+      this.db.prepare('DELETE FROM job_stages WHERE name = ?').run(name);
+    });
+    remove();
+
+    this.stages = null;
+    return { moved: replacement ? count : 0 };
+  }
+
+  /**
+   * Put the stages in the given order; stages not listed keep their place after them
+   */
+  reorder(names) {
+    const ordered = [...names.filter(name => this.has(name)), ...this.list().map(stage => stage.name).filter(name => !names.includes(name))];
+    const update = this.db.prepare('UPDATE job_stages SET sort_order = ? WHERE name = ?');
+    this.db.transaction(() => {
+      ordered.forEach((name, index) => update.run((index + 1) * 10, name));
+    })();
+
+    this.stages = null;
+    return this.list();
+  }
+}
+
+module.exports = {
+  JobStageCatalog,
+  COARSE_STATUSES,
+  DEFAULT_STAGES
+};
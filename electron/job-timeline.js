@@ -0,0 +1,241 @@
+// electron/job-timeline.js
+// Status history for each job. Every stage the classifier detects in a job's emails,
+// and every stage set by hand, is stored as an event in job_status_events; the
+// current jobs.status is derived from those events instead of being overwritten.
+
+const EVENT_SOURCES = ['automatic', 'manual', 'migration'];
+
+class JobTimeline {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   * @param {import('./job-stages').JobStageCatalog} stages - stages an event may record
+   */
+  constructor(db, stages) {
+    this.db = db;
+    this.stages = stages;
+  }
+
+  /**
+   * Record a status event and update jobs.status to match the timeline.
+   *
+   * @param {string} jobId
+   * @param {object} event
+   * @param {string} event.status - stage name from the stage catalogue
+   * @param {'automatic'|'manual'|'migration'} event.source
+   * @param {string} [event.gmailMessageId] - email the status was detected in
+   * @param {string} [event.accountEmail]
+   * @param {string} [event.detectedStatus] - raw classifier status
+   * @param {number} [event.confidence] - classifier confidence, when it reports one
+   * @param {string} [event.occurredAt] - email date; defaults to now
+   * @returns {string} the job's status after the event
+   */
+  recordEvent(jobId, { status, source, gmailMessageId = null, accountEmail = null, detectedStatus = null, confidence = null, occurredAt = null }) {
+    if (!this.stages.has(status)) {
+      throw new Error(`Unknown job stage: ${status}`);
+    }
+    if (!EVENT_SOURCES.includes(source)) {
+      throw new Error(`Unknown status event source: ${source}`);
+    }
+
+    this.db.prepare(`
+      INSERT INTO job_status_events (
+        job_id, status, source, gmail_message_id, account_email, detected_status, confidence, occurred_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      jobId,
+      status,
+      source,
+      gmailMessageId,
+      accountEmail,
+      detectedStatus,
+      typeof confidence === 'number' ? confidence : null,
+      occurredAt || new Date().toISOString()
+    );
+
+    return this.refreshStatus(jobId);
+  }
+
+  /**
+   * Replace the status detected in one of a job's emails, as when it is classified
+   * again. Manual events stay; an email without a detected event gets one.
+   *
+   * @param {string} jobId
+   * @param {object} detection
+   * @param {string} detection.gmailMessageId
+   * @param {string} [detection.accountEmail]
+   * @param {string} detection.status - stage name from the stage catalogue
+   * @param {string} [detection.detectedStatus] - raw classifier status
+   * @param {number} [detection.confidence]
+   * @param {string} [detection.occurredAt] - email date, for a new event
+   * @returns {string} the job's status afterwards
+   */
+  redetect(jobId, { gmailMessageId, accountEmail = null, status, detectedStatus = null, confidence = null, occurredAt = null }) {
+    if (!this.stages.has(status)) {
+      throw new Error(`Unknown job stage: ${status}`);
+    }
+    const updated = this.db.prepare(`
+      UPDATE job_status_events SET status = ?, detected_status = ?, confidence = ?
+      WHERE job_id = ? AND gmail_message_id = ? AND (account_email IS NULL OR account_email = ?) AND source != 'manual'
+    `).run(status, detectedStatus, typeof confidence === 'number' ? confidence : null, jobId, gmailMessageId, accountEmail);
+    if (updated.changes === 0) {
+      return this.recordEvent(jobId, { status, source: 'automatic', gmailMessageId, accountEmail, detectedStatus, confidence, occurredAt });
+    }
+    return this.refreshStatus(jobId);
+  }
+
+  /**
+   * Drop the detected events of an email that no longer belongs to the job. Manual
+   * events stay, and jobs.status is left for the caller to refresh.
+   */
+  removeEmailEvents(jobId, gmailMessageId, accountEmail = null) {
+    return this.db.prepare(`
+      DELETE FROM job_status_events
+      WHERE job_id = ? AND gmail_message_id = ? AND (account_email IS NULL OR account_email = ?) AND source != 'manual'
+    `).run(jobId, gmailMessageId, accountEmail).changes;
+  }
+
+  getEvents(jobId) {
+    return this.db.prepare(`
+      SELECT * FROM job_status_events
+      WHERE job_id = ?
+      ORDER BY datetime(occurred_at) ASC, id ASC
+    `).all(jobId);
+  }
+
+  /**
+   * Current status from the events, oldest first. Detected stages never move a job
+   * back to Applied (an application confirmation arriving after an interview invite,
+   * say) or out of a terminal stage; a manual change always wins.
+   */
+  deriveStatus(events) {
+    let status = null;
+    for (const event of events) {
+      if (event.source === 'automatic' && status) {
+        const movesBackToApplied = this.stages.toCoarse(event.status) === 'Applied' && this.stages.toCoarse(status) !== 'Applied';
+        if (movesBackToApplied || this.stages.isTerminal(status)) {
+          continue;
+        }
+      }
+      status = event.status;
+    }
+    return status;
+  }
+
+  refreshStatus(jobId) {
+    const status = this.deriveStatus(this.getEvents(jobId));
+    if (status) {
+      this.db.prepare('UPDATE jobs SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status != ?')
+        .run(status, jobId, status);
+    }
+    return status;
+  }
+
+  /**
+   * Events in order, each with the status it moved from and whether it changed the
+   * job's status, joined with the email it came from
+   */
+  getTimeline(jobId) {
+    const events = this.db.prepare(`
+      SELECT e.*, je.subject, je.from_address
+      FROM job_status_events e
+      LEFT JOIN job_emails je
+        ON je.job_id = e.job_id AND je.gmail_message_id = e.gmail_message_id
+      WHERE e.job_id = ?
+      ORDER BY datetime(e.occurred_at) ASC, e.id ASC
+    `).all(jobId);
+
+    const timeline = [];
+    for (let i = 0; i < events.length; i++) {
+      const previousStatus = i === 0 ? null : this.deriveStatus(events.slice(0, i));
+      const status = this.deriveStatus(events.slice(0, i + 1));
+      const event = events[i];
+      timeline.push({
+        id: event.id,
+        status: event.status,
+        previousStatus,
+        changed: status !== previousStatus,
+        source: event.source,
+        detectedStatus: event.detected_status,
+        confidence: event.confidence,
+        occurredAt: event.occurred_at,
+        email: event.gmail_message_id ? {
+          gmailMessageId: event.gmail_message_id,
+          accountEmail: event.account_email,
+          subject: event.subject,
+          from: event.from_address
+        } : null
+      });
+    }
+    return timeline;
+  }
+
+  /**
+   * Give jobs created before the timeline existed their history: one event per
+   * email with a detected status, the old matcher's job_status_history, and the
+   * stored status when nothing else explains it
+   */
+  backfillMissingEvents() {
+    const jobs = this.db.prepare(`
+      SELECT j.id, j.status, j.applied_date, j.last_contact_date
+      FROM jobs j
+      WHERE NOT EXISTS (SELECT 1 FROM job_status_events e WHERE e.job_id = j.id)
+    `).all();
+    const hasLegacyHistory = !!this.db.prepare(
+      "SELECT name FROM sqlite_master WHERE type='table' AND name='job_status_history'"
+    ).get();
+
+    if (jobs.length > 0) {
+      console.log(`Backfilling status timeline for ${jobs.length} jobs...`);
+    }
+
+    const insert = this.db.prepare(`
+      INSERT INTO job_status_events (job_id, status, source, gmail_message_id, account_email, detected_status, occurred_at)
+      VALUES (?, ?, 'migration', ?, ?, ?, ?)
+    `);
+
+    const backfill = this.db.transaction(() => {
+      for (const job of jobs) {
+        const detections = this.db.prepare(`
+          SELECT gmail_message_id, account_email, detected_status, email_date
+          FROM job_emails
+          WHERE job_id = ? AND detected_status IS NOT NULL
+          ORDER BY email_date ASC, id ASC
+        `).all(job.id);
+        for (const email of detections) {
+          insert.run(job.id, this.stages.resolve(email.detected_status), email.gmail_message_id, email.account_email,
+            email.detected_status, email.email_date || job.applied_date);
+        }
+
+        if (hasLegacyHistory) {
+          const legacy = this.db.prepare('SELECT status, email_id, change_date FROM job_status_history WHERE job_id = ? ORDER BY change_date')
+            .all(job.id);
+          for (const entry of legacy) {
+            insert.run(job.id, this.stages.resolve(entry.status), entry.email_id, null, entry.status, entry.change_date);
+          }
+        }
+
+        // Keep the stored status current when the detections don't lead to it; the
+        // event goes last so the timeline ends on it
+        const events = this.getEvents(job.id);
+        if (this.deriveStatus(events) !== job.status && this.stages.has(job.status)) {
+          const { latest } = this.db.prepare(`
+            SELECT MAX(datetime(value)) AS latest FROM (
+              SELECT occurred_at AS value FROM job_status_events WHERE job_id = ?
+              UNION ALL SELECT ? UNION ALL SELECT ?
+            )
+          `).get(job.id, job.last_contact_date, job.applied_date);
+          insert.run(job.id, job.status, null, null, null, latest || new Date().toISOString());
+        }
+      }
+
+      if (hasLegacyHistory) {
+        this.db.exec('DROP TABLE job_status_history');
+      }
+    });
+    backfill();
+  }
+}
+
+module.exports = {
+  JobTimeline
+};
@@ -0,0 +1,592 @@
+/**
+ * LLM backends
+ *
+ * llmEngine.js builds the prompts and JSON schemas; a backend runs them and
+ * returns the raw JSON text. Three are available, picked in Settings (the
+ * `llmBackend` setting) or with ONLYJOBS_LLM_BACKEND for scripts:
+ *
+ * - `llama-cpp`: node-llama-cpp in this process, loading the active model (DEFAULT_MODEL_PATH
+ *   until the model manager activates another, see setActiveModel)
+ * - `openai`: an OpenAI-compatible /v1/chat/completions server (llama-server, vLLM, LM Studio)
+ * - `ollama`: an Ollama server's /api/chat
+ *
+ * Each constrains the answer to the schema: node-llama-cpp through its grammar,
+ * OpenAI-compatible servers through `response_format: json_schema` and Ollama
+ * through `format`. healthCheck() runs a real prompt, so a server that ignores
+ * the schema shows up as unhealthy rather than as failed classifications.
+ *
+ * completeWithLogprobs() also returns the log-probability of each token of the
+ * answer, which the engine turns into a confidence: node-llama-cpp scores the
+ * answer's tokens again, and servers are asked for `logprobs`. Servers that don't
+ * return them give null, as does any failure to score.
+ */
+
+const fs = require('fs');
+const config = require('./config');
+
+const BACKEND_TYPES = ['llama-cpp', 'openai', 'ollama'];
+
+const DEFAULT_URLS = {
+  openai: 'http://127.0.0.1:8080/v1',
+  ollama: 'http://127.0.0.1:11434'
+};
+
+const DEFAULT_BACKEND_CONFIG = {
+  type: config.LLM_BACKEND,
+  baseUrl: config.LLM_BACKEND_URL,
+  model: config.LLM_BACKEND_MODEL,
+  apiKey: config.LLM_BACKEND_API_KEY,
+  timeoutMs: config.LLM_REQUEST_TIMEOUT_MS
+};
+
+// Expected size of the bundled Mistral-7B Q4_K_M download
+const EXPECTED_MODEL_SIZE = 4368439584;
+
+// The GGUF file the llama.cpp backend loads, with its recommended context and expected size
+let activeModel = {
+  name: config.MODEL_NAME,
+  path: config.DEFAULT_MODEL_PATH,
+  contextSize: null,
+  size: EXPECTED_MODEL_SIZE
+};
+
+/**
+ * Fill in defaults and reject settings a backend can't run with
+ *
+ * @param {object} [settings] - { type, baseUrl, model, apiKey, timeoutMs }
+ * @returns {{type: string, baseUrl: string, model: string, apiKey: string, timeoutMs: number}}
+ */
+function normalizeBackendConfig(settings = {}) {
+  const type = settings.type || DEFAULT_BACKEND_CONFIG.type;
+  if (!BACKEND_TYPES.includes(type)) {
+    throw new Error(`Unknown LLM backend: ${type}`);
+  }
+  const normalized = {
+    type,
+    baseUrl: type === 'llama-cpp' ? '' : (settings.baseUrl || DEFAULT_URLS[type]).trim().replace(/\/+$/, ''),
+    model: type === 'llama-cpp' ? '' : (settings.model || '').trim(),
+    apiKey: type === 'openai' ? (settings.apiKey || '') : '',
+    timeoutMs: Number(settings.timeoutMs) > 0 ? Number(settings.timeoutMs) : DEFAULT_BACKEND_CONFIG.timeoutMs
+  };
+  if (normalized.baseUrl && !/^https?:\/\//i.test(normalized.baseUrl)) {
+    throw new Error(`Server URL must start with http:// or https:// (got ${normalized.baseUrl})`);
+  }
+  if (type === 'ollama' && !normalized.model) {
+    throw new Error('Ollama needs a model name, e.g. llama3.1:8b');
+  }
+  return normalized;
+}
+
+function emptyHealth(backend) {
+  return {
+    backend: backend.type,
+    status: 'unknown',
+    canLoad: false,
+    error: null,
+    lastChecked: new Date().toISOString()
+  };
+}
+
+// Parses the probe answer the way the engine would, so a server that ignores the schema fails here
+async function runProbe(backend, probe, health) {
+  const started = Date.now();
+  const text = await backend.complete(probe);
+  JSON.parse(text);
+  health.latencyMs = Date.now() - started;
+  health.canLoad = true;
+  health.status = 'healthy';
+}
+
+class LlamaCppBackend {
+  constructor() {
+    this.type = 'llama-cpp';
+    this.id = 'llama-cpp';
+    this.llamaModule = null;
+    this.model = null; // LlamaModel, shared by every stage
+    this.modelPath = null;
+    // One context and chat session per stage: "classify", "parse" and "unified"
+    this.sessions = new Map();
+    // Prompts and model switches run one at a time, so a switch never disposes a context mid-prompt
+    this.queue = Promise.resolve();
+  }
+
+  run(task) {
+    const result = this.queue.then(task);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async loadLlamaModule() {
+    if (this.llamaModule) return this.llamaModule;
+    try {
+      this.llamaModule = await import('node-llama-cpp');
+      return this.llamaModule;
+    } catch (error) {
+      throw new Error('node-llama-cpp is not installed or failed to build. Run: npm i node-llama-cpp --legacy-peer-deps (or with --build-from-source)');
+    }
+  }
+
+  disposeSessions() {
+    for (const { context } of this.sessions.values()) {
+      try {
+        context.dispose();
+      } catch (e) {
+        console.error('Error disposing old context:', e);
+      }
+    }
+    this.sessions.clear();
+  }
+
+  async ensureModel(modelPath) {
+    if (this.model && this.modelPath === modelPath) {
+      return this.model;
+    }
+    // A different model invalidates every stage's context, and the old weights must go before the new ones load
+    this.unloadModel();
+
+    console.log('LLM: Loading model from:', modelPath);
+    if (!fs.existsSync(modelPath)) {
+      throw new Error(`Model file not found at: ${modelPath}`);
+    }
+    console.log('LLM: Model file size:', fs.statSync(modelPath).size, 'bytes');
+
+    const { getLlama } = await this.loadLlamaModule();
+    try {
+      const llama = await getLlama();
+      console.log('LLM: Got llama instance, loading model...');
+      this.model = await llama.loadModel({
+        modelPath,
+        gpuLayers: config.GPU_LAYERS || 0
+      });
+      this.modelPath = modelPath;
+      console.log('LLM: Model loaded');
+      return this.model;
+    } catch (error) {
+      console.error('LLM: Detailed error loading model:', error);
+      console.error('LLM: Error stack:', error.stack);
+      throw error;
+    }
+  }
+
+  async ensureSession(stage, modelPath, systemPrompt, contextSize) {
+    const model = await this.ensureModel(modelPath);
+    const existing = this.sessions.get(stage);
+    if (existing && existing.systemPrompt === systemPrompt && existing.contextSize === contextSize) {
+      return existing.session;
+    }
+
+    // Reusing a context for a new prompt caused "No sequences left" errors, so recreate it
+    if (existing) {
+      console.log(`LLM: Prompt changed, recreating ${stage} session...`);
+      try {
+        existing.context.dispose();
+      } catch (e) {
+        console.error('Error disposing old context:', e);
+      }
+      this.sessions.delete(stage);
+    }
+
+    const { LlamaChatSession } = await this.loadLlamaModule();
+    console.log(`LLM: Creating ${stage} context (${contextSize} tokens)...`);
+    const context = await model.createContext({
+      contextSize,
+      batchSize: 512
+    });
+    const session = new LlamaChatSession({
+      contextSequence: context.getSequence(),
+      systemPrompt
+    });
+    this.sessions.set(stage, { session, context, systemPrompt, contextSize });
+    console.log(`LLM: ${stage} session ready`);
+    return session;
+  }
+
+  /**
+   * Run one prompt. Every email is prompted on its own: the chat history is put
+   * back afterwards, and `callSystemPrompt` swaps in a different instruction for this call only.
+   *
+   * Without a `modelPath` the active model is used, and the stage's context is
+   * capped at the model's recommended size.
+   *
+   * @param {object} request - { stage, modelPath, systemPrompt, contextSize, prompt, schema, schemaId, temperature, maxTokens, callSystemPrompt }
+   * @returns {Promise<string>} the model's answer
+   */
+  async complete(request) {
+    return (await this.prompt(request, { logprobs: false })).text;
+  }
+
+  /**
+   * Like complete(), with the log-probability of each answer token
+   *
+   * @returns {Promise<{text: string, tokens: {text: string, logprob: number}[]|null}>}
+   */
+  completeWithLogprobs(request) {
+    return this.prompt(request, { logprobs: true });
+  }
+
+  prompt({ stage, modelPath, systemPrompt, contextSize, prompt, schema, schemaId, temperature, maxTokens, callSystemPrompt }, { logprobs }) {
+    return this.run(async () => {
+      const model = modelPath ? { path: modelPath, contextSize: null } : activeModel;
+      const size = model.contextSize ? Math.min(contextSize, model.contextSize) : contextSize;
+      const session = await this.ensureSession(stage, model.path, systemPrompt, size);
+      const history = session.getChatHistory();
+      if (callSystemPrompt) {
+        session.setChatHistory([{ type: 'system', text: callSystemPrompt }]);
+      }
+      const generated = [];
+      try {
+        const text = await session.prompt(prompt, {
+          temperature,
+          maxTokens,
+          responseFormat: {
+            type: 'json_schema',
+            schema,
+            schema_id: schemaId
+          },
+          onToken: logprobs ? (tokens) => generated.push(...tokens) : undefined
+        });
+        return { text, tokens: logprobs ? await this.scoreTokens(session, generated) : null };
+      } finally {
+        session.setChatHistory(history);
+      }
+    });
+  }
+
+  /**
+   * Probability the model gives each generated token, before the schema's grammar
+   * and sampling: the answer is evaluated again after the token before it, which
+   * leaves the sequence with the same tokens as before. null when the answer
+   * isn't at the end of the sequence or scoring fails
+   */
+  async scoreTokens(session, generated) {
+    try {
+      const sequence = session.sequence;
+      const context = sequence.contextTokens;
+      let end = context.length;
+      while (end > 0 && context[end - 1] !== generated[generated.length - 1]) end--;
+      const start = end - generated.length;
+      if (generated.length === 0 || start < 1 || generated.some((token, index) => context[start + index] !== token)) {
+        return null;
+      }
+
+      const rest = context.slice(start - 1);
+      await sequence.eraseContextTokenRanges([{ start: start - 1, end: context.length }]);
+      const scoreNext = { generateNext: { probabilities: true, options: { temperature: 1 } } };
+      const results = await sequence.controlledEvaluate(rest.map((token, index) => (index < generated.length ? [token, scoreNext] : token)));
+      return generated.map((token, index) => {
+        const probability = results[index]?.next?.probabilities?.get(token) || 0;
+        return { text: session.model.detokenize([token]), logprob: Math.log(probability) };
+      });
+    } catch (error) {
+      console.error('LLM: Could not score the answer tokens:', error.message);
+      return null;
+    }
+  }
+
+  async healthCheck(probe) {
+    const modelPath = probe.modelPath || activeModel.path;
+    const expectedSize = probe.modelPath ? EXPECTED_MODEL_SIZE : activeModel.size;
+    const health = {
+      ...emptyHealth(this),
+      modelName: probe.modelPath ? null : activeModel.name,
+      modelPath,
+      modelExists: false,
+      modelSize: 0,
+      expectedSize
+    };
+    try {
+      if (!fs.existsSync(modelPath)) {
+        health.status = 'unhealthy';
+        health.error = 'Model file not found';
+        return health;
+      }
+      health.modelExists = true;
+      health.modelSize = fs.statSync(modelPath).size;
+      // Imported models have no expected size
+      if (!health.expectedSize) {
+        health.expectedSize = health.modelSize;
+      }
+      if (health.modelSize !== health.expectedSize) {
+        health.status = 'unhealthy';
+        health.error = `Model file size mismatch. Expected ${health.expectedSize} bytes, got ${health.modelSize} bytes`;
+        return health;
+      }
+      console.log('Health check: Testing model load...');
+      await runProbe(this, probe, health);
+      console.log('Health check: Model is healthy');
+    } catch (error) {
+      health.status = 'unhealthy';
+      health.canLoad = false;
+      health.error = error.message;
+      console.error('Health check failed:', error);
+    }
+    return health;
+  }
+
+  unloadModel() {
+    this.disposeSessions();
+    if (this.model) {
+      try {
+        this.model.dispose();
+      } catch (e) {
+        console.error('Error disposing model:', e);
+      }
+    }
+    this.model = null;
+    this.modelPath = null;
+  }
+
+  // Frees the model once the prompt in progress (if any) has finished
+  dispose() {
+    return this.run(() => this.unloadModel());
+  }
+}
+
+// Shared by the HTTP backends: JSON in, JSON out, a time limit and the server's own error text
+async function requestJson(url, { method = 'GET', body, headers = {}, timeoutMs }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    if (error.name === 'TimeoutError') {
+      throw new Error(`${url} did not answer within ${timeoutMs}ms`);
+    }
+    throw new Error(`Could not reach ${url}: ${error.cause?.code || error.message}`);
+  }
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`${url} returned ${response.status}: ${text.slice(0, 200)}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${url} did not return JSON`);
+  }
+}
+
+// [{ token, logprob }] as OpenAI-compatible servers and Ollama return them; null when missing
+function readLogprobs(entries) {
+  if (!Array.isArray(entries) || entries.length === 0) return null;
+  if (entries.some(entry => typeof entry.token !== 'string' || typeof entry.logprob !== 'number')) return null;
+  return entries.map(entry => ({ text: entry.token, logprob: entry.logprob }));
+}
+
+function messages(systemPrompt, prompt) {
+  return [
+    { role: 'system', content: systemPrompt },
+    { role: 'user', content: prompt }
+  ];
+}
+
+class OpenAICompatibleBackend {
+  /**
+   * @param {object} settings - normalized config; baseUrl includes /v1
+   */
+  constructor({ baseUrl, model, apiKey, timeoutMs }) {
+    this.type = 'openai';
+    this.baseUrl = baseUrl;
+    this.model = model;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.id = `openai:${baseUrl}:${model}`;
+  }
+
+  headers() {
+    return this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+  }
+
+  async complete(request) {
+    return (await this.prompt(request, { logprobs: false })).text;
+  }
+
+  completeWithLogprobs(request) {
+    return this.prompt(request, { logprobs: true });
+  }
+
+  async prompt({ systemPrompt, callSystemPrompt, prompt, schema, schemaId, temperature, maxTokens }, { logprobs }) {
+    const data = await requestJson(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: this.headers(),
+      timeoutMs: this.timeoutMs,
+      body: {
+        // llama-server serves whatever it loaded and ignores the name
+        ...(this.model ? { model: this.model } : {}),
+        messages: messages(callSystemPrompt || systemPrompt, prompt),
+        temperature,
+        max_tokens: maxTokens,
+        response_format: {
+          type: 'json_schema',
+          json_schema: { name: schemaId, strict: true, schema }
+        },
+        ...(logprobs ? { logprobs: true } : {})
+      }
+    });
+    const choice = data.choices?.[0];
+    const content = choice?.message?.content;
+    if (typeof content !== 'string') {
+      throw new Error('Server response has no choices[0].message.content');
+    }
+    return { text: content, tokens: readLogprobs(choice.logprobs?.content) };
+  }
+
+  async healthCheck(probe) {
+    const health = { ...emptyHealth(this), url: this.baseUrl, model: this.model || null, models: [] };
+    try {
+      const data = await requestJson(`${this.baseUrl}/models`, { headers: this.headers(), timeoutMs: this.timeoutMs });
+      health.models = (data.data || []).map(model => model.id);
+      if (this.model && health.models.length > 0 && !health.models.includes(this.model)) {
+        health.status = 'unhealthy';
+        health.error = `Model ${this.model} is not served; available: ${health.models.join(', ')}`;
+        return health;
+      }
+      await runProbe(this, probe, health);
+    } catch (error) {
+      health.status = 'unhealthy';
+      health.error = error.message;
+    }
+    return health;
+  }
+
+  dispose() {}
+}
+
+class OllamaBackend {
+  constructor({ baseUrl, model, timeoutMs }) {
+    this.type = 'ollama';
+    this.baseUrl = baseUrl;
+    this.model = model;
+    this.timeoutMs = timeoutMs;
+    this.id = `ollama:${baseUrl}:${model}`;
+  }
+
+  async complete(request) {
+    return (await this.prompt(request, { logprobs: false })).text;
+  }
+
+  // Ollama returns logprobs from 0.12.11; earlier versions ignore the option
+  completeWithLogprobs(request) {
+    return this.prompt(request, { logprobs: true });
+  }
+
+  async prompt({ systemPrompt, callSystemPrompt, contextSize, prompt, schema, temperature, maxTokens }, { logprobs }) {
+    const data = await requestJson(`${this.baseUrl}/api/chat`, {
+      method: 'POST',
+      timeoutMs: this.timeoutMs,
+      body: {
+        model: this.model,
+        messages: messages(callSystemPrompt || systemPrompt, prompt),
+        stream: false,
+        format: schema,
+        options: { temperature, num_predict: maxTokens, num_ctx: contextSize },
+        ...(logprobs ? { logprobs: true } : {})
+      }
+    });
+    if (typeof data.message?.content !== 'string') {
+      throw new Error('Ollama response has no message.content');
+    }
+    return { text: data.message.content, tokens: readLogprobs(data.logprobs) };
+  }
+
+  async healthCheck(probe) {
+    const health = { ...emptyHealth(this), url: this.baseUrl, model: this.model, models: [] };
+    try {
+      const data = await requestJson(`${this.baseUrl}/api/tags`, { timeoutMs: this.timeoutMs });
+      health.models = (data.models || []).map(model => model.name);
+      // "llama3.1" is pulled as "llama3.1:latest"
+      const pulled = health.models.some(name => name === this.model || name === `${this.model}:latest`);
+      if (!pulled) {
+        health.status = 'unhealthy';
+        health.error = `Model ${this.model} is not pulled; run: ollama pull ${this.model}`;
+        return health;
+      }
+      await runProbe(this, probe, health);
+    } catch (error) {
+      health.status = 'unhealthy';
+      health.error = error.message;
+    }
+    return health;
+  }
+
+  dispose() {}
+}
+
+/**
+ * @param {object} [settings] - { type, baseUrl, model, apiKey, timeoutMs }
+ */
+function createBackend(settings) {
+  const normalized = normalizeBackendConfig(settings);
+  if (normalized.type === 'openai') return new OpenAICompatibleBackend(normalized);
+  if (normalized.type === 'ollama') return new OllamaBackend(normalized);
+  return new LlamaCppBackend();
+}
+
+let activeBackend = null;
+
+// The backend the engine prompts; ONLYJOBS_LLM_* until configureBackend() is called
+function getBackend() {
+  if (!activeBackend) {
+    activeBackend = createBackend(DEFAULT_BACKEND_CONFIG);
+  }
+  return activeBackend;
+}
+
+/**
+ * Switch backends. Keeps the current one (and a loaded model) when nothing changed.
+ *
+ * @param {object} settings - { type, baseUrl, model, apiKey, timeoutMs }
+ * @returns {object} the active backend
+ */
+function configureBackend(settings) {
+  const next = createBackend(settings);
+  if (activeBackend && activeBackend.id === next.id && activeBackend.apiKey === next.apiKey && activeBackend.timeoutMs === next.timeoutMs) {
+    return activeBackend;
+  }
+  if (activeBackend) {
+    activeBackend.dispose();
+  }
+  console.log(`LLM: Using ${next.id} backend`);
+  activeBackend = next;
+  return activeBackend;
+}
+
+/**
+ * Switch the model the llama.cpp backend loads. The current model is released
+ * after the prompt in progress, and the next prompt loads the new one.
+ *
+ * @param {object} model - { name, path, contextSize, size }; contextSize and size may be null
+ */
+function setActiveModel(model) {
+  activeModel = {
+    name: model.name || null,
+    path: model.path,
+    contextSize: model.contextSize || null,
+    size: model.size || null
+  };
+  console.log(`LLM: Active model is ${activeModel.name || activeModel.path}`);
+  if (activeBackend instanceof LlamaCppBackend && activeBackend.modelPath && activeBackend.modelPath !== activeModel.path) {
+    activeBackend.dispose();
+  }
+}
+
+function getActiveModel() {
+  return { ...activeModel };
+}
+
+module.exports = {
+  BACKEND_TYPES,
+  DEFAULT_BACKEND_CONFIG,
+  normalizeBackendConfig,
+  createBackend,
+  getBackend,
+  configureBackend,
+  setActiveModel,
+  getActiveModel,
+  LlamaCppBackend,
+  OpenAICompatibleBackend,
+  OllamaBackend
+};
@@ -0,0 +1,238 @@
+"use strict";
+/**
+ * LLM answer cache using SQLite
+ *
+ * Answers are stored per pipeline step ("classify", "parse", "unified",
+ * "interview") under the hash of the email content, the model that answered,
+ * PROMPT_VERSION and a hash of the prompt and schema. A new model, prompt
+ * version or prompt wording therefore misses instead of returning an answer
+ * the current setup wouldn't give, and a restart or re-sync reuses everything
+ * that still matches.
+ *
+ * Entries unused for CACHE_TTL_HOURS are evicted, and beyond CACHE_MAX_ENTRIES
+ * the least recently used go first. Hits and misses are counted per step, in
+ * memory, and written in batches.
+ *
+ * llm-cache.sqlite3 is opened like jobs.db (WAL and the busy timeout, see
+ * electron/database.js), so sync and a second process can share it.
+ */
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.clearCache = exports.getCacheStats = exports.evictCache = exports.setCached = exports.getCached = exports.flushCacheStats = exports.hashOf = void 0;
+const crypto = require("crypto");
+const config_1 = require("./config");
+const CACHE_ENABLED = process.env.ONLYJOBS_DISABLE_CACHE_FOR_TEST !== "1";
+// Eviction runs at open and then every this many writes
+const EVICT_EVERY_WRITES = 500;
+let cacheDb = null;
+let unavailable = false;
+let writesSinceEviction = 0;
+// Lookups are counted here and written every this many, before the stats are read and at exit
+const STATS_FLUSH_EVERY = 100;
+let pendingStats = {};
+let pendingLookups = 0;
+function resolveCachePath() {
+    // Next to jobs.db in userData unless ONLYJOBS_CACHE_PATH says otherwise
+    return config_1.getCachePath();
+}
+// null when SQLite can't be opened (e.g. better-sqlite3 built for another runtime); answers are then not cached
+function getCacheDb() {
+    if (cacheDb || unavailable)
+        return cacheDb;
+    try {
+        // jobs.db's connection settings, without its migrations
+        const { openDatabase } = require("../database");
+        const dbPath = resolveCachePath();
+        cacheDb = openDatabase(dbPath, { migrate: false });
+        cacheDb.exec(`
+      CREATE TABLE IF NOT EXISTS llm_cache (
+        step TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        model TEXT NOT NULL,
+        prompt_version TEXT NOT NULL,
+        prompt_hash TEXT NOT NULL,
+        result_json TEXT NOT NULL,
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (step, content_hash, model, prompt_version, prompt_hash)
+      );
+      CREATE INDEX IF NOT EXISTS idx_llm_cache_last_used ON llm_cache(last_used_at);
+
+      CREATE TABLE IF NOT EXISTS llm_cache_stats (
+        step TEXT PRIMARY KEY,
+        hits INTEGER NOT NULL DEFAULT 0,
+        misses INTEGER NOT NULL DEFAULT 0
+      );
+    `);
+        console.log('LLM cache:', dbPath);
+        process.once('exit', flushCacheStats);
+        evictCache();
+    }
+    catch (error) {
+        console.warn('LLM cache unavailable, answers will not be cached:', error.message);
+        cacheDb = null;
+        unavailable = true;
+    }
+    return cacheDb;
+}
+// sha256 of strings and JSON values, for the content and prompt parts of a key
+function hashOf(...parts) {
+    const hash = crypto.createHash("sha256");
+    for (const part of parts) {
+        hash.update(typeof part === "string" ? part : JSON.stringify(part ?? null));
+        hash.update("\u0000");
+    }
+    return hash.digest("hex");
+}
+exports.hashOf = hashOf;
+function countLookup(step, hit) {
+    const counts = pendingStats[step] || (pendingStats[step] = { hits: 0, misses: 0 });
+    if (hit)
+        counts.hits++;
+    else
+        counts.misses++;
+    pendingLookups++;
+    if (pendingLookups >= STATS_FLUSH_EVERY)
+        flushCacheStats();
+}
+// Write the lookups counted since the last flush in one transaction
+function flushCacheStats() {
+    const pending = pendingStats;
+    pendingStats = {};
+    pendingLookups = 0;
+    if (!cacheDb || Object.keys(pending).length === 0)
+        return;
+    try {
+        const add = cacheDb.prepare(`
+      INSERT INTO llm_cache_stats (step, hits, misses) VALUES (?, ?, ?)
+      ON CONFLICT(step) DO UPDATE SET hits = hits + excluded.hits, misses = misses + excluded.misses
+    `);
+        cacheDb.transaction(() => {
+            for (const [step, { hits, misses }] of Object.entries(pending)) {
+                add.run(step, hits, misses);
+            }
+        })();
+    }
+    catch (error) {
+        console.warn('LLM cache stats write failed:', error.message);
+    }
+}
+exports.flushCacheStats = flushCacheStats;
+/**
+ * Cached answer for a step, or undefined
+ *
+ * @param {string} step - "classify" | "parse" | "unified" | "interview"
+ * @param {{contentHash: string, model: string, promptHash: string}} key
+ */
+function getCached(step, { contentHash, model, promptHash }) {
+    if (!CACHE_ENABLED)
+        return undefined;
+    const db = getCacheDb();
+    if (!db)
+        return undefined;
+    try {
+        const row = db.prepare(`
+      SELECT result_json, last_used_at FROM llm_cache
+      WHERE step = ? AND content_hash = ? AND model = ? AND prompt_version = ? AND prompt_hash = ?
+    `).get(step, contentHash, model, config_1.PROMPT_VERSION, promptHash);
+        const now = Date.now();
+        const fresh = row && now - row.last_used_at < config_1.CACHE_TTL_HOURS * 60 * 60 * 1000;
+        countLookup(step, !!fresh);
+        if (!fresh)
+            return undefined;
+        db.prepare(`
+      UPDATE llm_cache SET hits = hits + 1, last_used_at = ?
+      WHERE step = ? AND content_hash = ? AND model = ? AND prompt_version = ? AND prompt_hash = ?
+    `).run(now, step, contentHash, model, config_1.PROMPT_VERSION, promptHash);
+        return JSON.parse(row.result_json);
+    }
+    catch (error) {
+        console.warn('LLM cache read failed:', error.message);
+        return undefined;
+    }
+}
+exports.getCached = getCached;
+function setCached(step, { contentHash, model, promptHash }, result) {
+    if (!CACHE_ENABLED)
+        return;
+    const db = getCacheDb();
+    if (!db)
+        return;
+    try {
+        const now = Date.now();
+        db.prepare(`
+      INSERT INTO llm_cache (step, content_hash, model, prompt_version, prompt_hash, result_json, created_at, last_used_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(step, content_hash, model, prompt_version, prompt_hash)
+      DO UPDATE SET result_json = excluded.result_json, created_at = excluded.created_at, last_used_at = excluded.last_used_at
+    `).run(step, contentHash, model, config_1.PROMPT_VERSION, promptHash, JSON.stringify(result), now, now);
+        writesSinceEviction++;
+        if (writesSinceEviction >= EVICT_EVERY_WRITES) {
+            evictCache();
+        }
+    }
+    catch (error) {
+        console.warn('LLM cache write failed:', error.message);
+    }
+}
+exports.setCached = setCached;
+/**
+ * Drop entries unused for CACHE_TTL_HOURS, then the least recently used beyond CACHE_MAX_ENTRIES
+ *
+ * @returns {{expired: number, overflow: number}}
+ */
+function evictCache() {
+    const db = getCacheDb();
+    writesSinceEviction = 0;
+    if (!db)
+        return { expired: 0, overflow: 0 };
+    const cutoff = Date.now() - config_1.CACHE_TTL_HOURS * 60 * 60 * 1000;
+    const expired = db.prepare('DELETE FROM llm_cache WHERE last_used_at < ?').run(cutoff).changes;
+    const overflow = db.prepare(`
+    DELETE FROM llm_cache WHERE rowid IN (
+      SELECT rowid FROM llm_cache ORDER BY last_used_at DESC LIMIT -1 OFFSET ?
+    )
+  `).run(config_1.CACHE_MAX_ENTRIES).changes;
+    if (expired > 0 || overflow > 0) {
+        console.log(`🧹 LLM cache: evicted ${expired} expired and ${overflow} least recently used entries`);
+    }
+    return { expired, overflow };
+}
+exports.evictCache = evictCache;
+/**
+ * Entry counts and hit/miss totals, overall and per step
+ */
+function getCacheStats() {
+    const db = getCacheDb();
+    const empty = { enabled: CACHE_ENABLED && !!db, entries: 0, hits: 0, misses: 0, hitRate: null, steps: {}, maxEntries: config_1.CACHE_MAX_ENTRIES, ttlHours: config_1.CACHE_TTL_HOURS };
+    if (!db)
+        return empty;
+    flushCacheStats();
+    const steps = {};
+    for (const row of db.prepare('SELECT step, COUNT(*) AS entries FROM llm_cache GROUP BY step').all()) {
+        steps[row.step] = { entries: row.entries, hits: 0, misses: 0 };
+    }
+    for (const row of db.prepare('SELECT step, hits, misses FROM llm_cache_stats').all()) {
+        steps[row.step] = { entries: 0, ...steps[row.step], hits: row.hits, misses: row.misses };
+    }
+    const totals = Object.values(steps).reduce((sum, step) => ({
+        entries: sum.entries + step.entries,
+        hits: sum.hits + step.hits,
+        misses: sum.misses + step.misses
+    }), { entries: 0, hits: 0, misses: 0 });
+    const lookups = totals.hits + totals.misses;
+    return { ...empty, ...totals, hitRate: lookups > 0 ? totals.hits / lookups : null, steps };
+}
+exports.getCacheStats = getCacheStats;
+// Removes every cached answer and resets the counters
+function clearCache() {
+    const db = getCacheDb();
+    if (!db)
+        return 0;
+    const removed = db.prepare('DELETE FROM llm_cache').run().changes;
+    pendingStats = {};
+    pendingLookups = 0;
+    db.prepare('DELETE FROM llm_cache_stats').run();
+    return removed;
+}
+exports.clearCache = clearCache;
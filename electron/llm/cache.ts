@@ -1,136 +1,236 @@
 /**
- * LLM parse cache using SQLite
- * Stores results with TTL for performance optimization
+ * LLM answer cache using SQLite
+ *
+ * Answers are stored per pipeline step ("classify", "parse", "unified",
+ * "interview") under the hash of the email content, the model that answered,
+ * PROMPT_VERSION and a hash of the prompt and schema. A new model, prompt
+ * version or prompt wording therefore misses instead of returning an answer
+ * the current setup wouldn't give, and a restart or re-sync reuses everything
+ * that still matches.
+ *
+ * Entries unused for CACHE_TTL_HOURS are evicted, and beyond CACHE_MAX_ENTRIES
+ * the least recently used go first. Hits and misses are counted per step, in
+ * memory, and written in batches.
+ *
+ * llm-cache.sqlite3 is opened like jobs.db (WAL and the busy timeout, see
+ * electron/database.js), so sync and a second process can share it.
  */
-
 import * as crypto from 'crypto';
-import * as path from 'path';
-import * as fs from 'fs';
-import Database from 'better-sqlite3';
-import { ONLYJOBS_CACHE_TTL_HOURS } from './config';
-
-let cacheDb: Database.Database | null = null;
-
-function resolveLLMCachePath(): string {
-  const explicit = process.env.ONLYJOBS_DB_PATH;
-  if (explicit) return explicit;
-
-  // Try Electron app path if available
-  try {
-    const { app } = require('electron');
-    if (app && typeof app.getPath === 'function') {
-      return path.join(app.getPath('userData'), 'llm-cache.sqlite3');
-    }
-  } catch (_) {
-    // ignore: not in full Electron runtime
-  }
+import type Database from 'better-sqlite3';
+import * as config from './config';
 
-  // Fallback for ELECTRON_RUN_AS_NODE or tests
-  const dir = path.resolve(process.cwd(), '.cache');
-  try { fs.mkdirSync(dir, { recursive: true }); } catch (_e) {}
-  return path.join(dir, 'llm-cache.sqlite3');
+interface CacheKey {
+  contentHash: string;
+  model: string;
+  promptHash: string;
 }
 
-function getCacheDb(): Database.Database {
-  if (!cacheDb) {
-    const dbPath = resolveLLMCachePath();
-    cacheDb = new Database(dbPath);
-    
-    // Create cache table if not exists
-    cacheDb.exec(`
-      CREATE TABLE IF NOT EXISTS llm_parse_cache (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        plaintext_hash TEXT UNIQUE NOT NULL,
-        subject TEXT NOT NULL,
+const CACHE_ENABLED = process.env.ONLYJOBS_DISABLE_CACHE_FOR_TEST !== "1";
+// Eviction runs at open and then every this many writes
+const EVICT_EVERY_WRITES = 500;
+let cacheDb: Database.Database | null = null;
+let unavailable = false;
+let writesSinceEviction = 0;
+// Lookups are counted here and written every this many, before the stats are read and at exit
+const STATS_FLUSH_EVERY = 100;
+let pendingStats: Record<string, { hits: number; misses: number }> = {};
+let pendingLookups = 0;
+function resolveCachePath(): string {
+    // Next to jobs.db in userData unless ONLYJOBS_CACHE_PATH says otherwise
+    return config.getCachePath();
+}
+// null when SQLite can't be opened (e.g. better-sqlite3 built for another runtime); answers are then not cached
+function getCacheDb(): Database.Database | null {
+    if (cacheDb || unavailable)
+        return cacheDb;
+    try {
+        // jobs.db's connection settings, without its migrations
+        const { openDatabase } = require("../database");
+        const dbPath = resolveCachePath();
+        cacheDb = openDatabase(dbPath, { migrate: false }) as Database.Database;
+        cacheDb.exec(`
+      CREATE TABLE IF NOT EXISTS llm_cache (
+        step TEXT NOT NULL,
+        content_hash TEXT NOT NULL,
+        model TEXT NOT NULL,
+        prompt_version TEXT NOT NULL,
+        prompt_hash TEXT NOT NULL,
         result_json TEXT NOT NULL,
-        parsed_at INTEGER NOT NULL
+        created_at INTEGER NOT NULL,
+        last_used_at INTEGER NOT NULL,
+        hits INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (step, content_hash, model, prompt_version, prompt_hash)
+      );
+      CREATE INDEX IF NOT EXISTS idx_llm_cache_last_used ON llm_cache(last_used_at);
+
+      CREATE TABLE IF NOT EXISTS llm_cache_stats (
+        step TEXT PRIMARY KEY,
+        hits INTEGER NOT NULL DEFAULT 0,
+        misses INTEGER NOT NULL DEFAULT 0
       );
-      CREATE INDEX IF NOT EXISTS idx_hash ON llm_parse_cache(plaintext_hash);
-      CREATE INDEX IF NOT EXISTS idx_parsed_at ON llm_parse_cache(parsed_at);
     `);
-  }
-  return cacheDb;
+        console.log('LLM cache:', dbPath);
+        process.once('exit', flushCacheStats);
+        evictCache();
+    }
+    catch (error: any) {
+        console.warn('LLM cache unavailable, answers will not be cached:', error.message);
+        cacheDb = null;
+        unavailable = true;
+    }
+    return cacheDb;
 }
-
-function computeContentHash(subject: string, plaintext: string): string {
-  const content = `${subject}\n${plaintext}`;
-  return crypto.createHash('sha256').update(content, 'utf8').digest('hex');
+// sha256 of strings and JSON values, for the content and prompt parts of a key
+export function hashOf(...parts: unknown[]): string {
+    const hash = crypto.createHash("sha256");
+    for (const part of parts) {
+        hash.update(typeof part === "string" ? part : JSON.stringify(part ?? null));
+        hash.update("\u0000");
+    }
+    return hash.digest("hex");
 }
-
-function isWithinTTL(parsedAt: number): boolean {
-  const now = Date.now();
-  const ttlMs = ONLYJOBS_CACHE_TTL_HOURS * 60 * 60 * 1000;
-  return (now - parsedAt) < ttlMs;
+function countLookup(step: string, hit: boolean): void {
+    const counts = pendingStats[step] || (pendingStats[step] = { hits: 0, misses: 0 });
+    if (hit)
+        counts.hits++;
+    else
+        counts.misses++;
+    pendingLookups++;
+    if (pendingLookups >= STATS_FLUSH_EVERY)
+        flushCacheStats();
 }
-
-export function getCachedResult(subject: string, plaintext: string): any | null {
-  // Check if caching is disabled for testing
-  if (process.env.ONLYJOBS_DISABLE_CACHE_FOR_TEST === '1') {
-    return null;
-  }
-  
-  try {
+// Write the lookups counted since the last flush in one transaction
+export function flushCacheStats(): void {
+    const pending = pendingStats;
+    pendingStats = {};
+    pendingLookups = 0;
+    if (!cacheDb || Object.keys(pending).length === 0)
+        return;
+    try {
+        const add = cacheDb.prepare(`
+      INSERT INTO llm_cache_stats (step, hits, misses) VALUES (?, ?, ?)
+      ON CONFLICT(step) DO UPDATE SET hits = hits + excluded.hits, misses = misses + excluded.misses
+    `);
+        cacheDb.transaction(() => {
+            for (const [step, { hits, misses }] of Object.entries(pending)) {
+                add.run(step, hits, misses);
+            }
+        })();
+    }
+    catch (error: any) {
+        console.warn('LLM cache stats write failed:', error.message);
+    }
+}
+/**
+ * Cached answer for a step, or undefined
+ *
+ * @param {string} step - "classify" | "parse" | "unified" | "interview"
+ * @param {{contentHash: string, model: string, promptHash: string}} key
+ */
+export function getCached(step: string, { contentHash, model, promptHash }: CacheKey): any {
+    if (!CACHE_ENABLED)
+        return undefined;
     const db = getCacheDb();
-    const hash = computeContentHash(subject, plaintext);
-    
-    const stmt = db.prepare('SELECT result_json, parsed_at FROM llm_parse_cache WHERE plaintext_hash = ?');
-    const row = stmt.get(hash) as any;
-    
-    if (row && isWithinTTL(row.parsed_at)) {
-      const result = JSON.parse(row.result_json);
-      console.log('📦 Cache hit for LLM result');
-      return result;
+    if (!db)
+        return undefined;
+    try {
+        const row = db.prepare(`
+      SELECT result_json, last_used_at FROM llm_cache
+      WHERE step = ? AND content_hash = ? AND model = ? AND prompt_version = ? AND prompt_hash = ?
+    `).get(step, contentHash, model, config.PROMPT_VERSION, promptHash) as { result_json: string; last_used_at: number } | undefined;
+        const now = Date.now();
+        const fresh = row && now - row.last_used_at < config.CACHE_TTL_HOURS * 60 * 60 * 1000;
+        countLookup(step, !!fresh);
+        if (!fresh)
+            return undefined;
+        db.prepare(`
+      UPDATE llm_cache SET hits = hits + 1, last_used_at = ?
+      WHERE step = ? AND content_hash = ? AND model = ? AND prompt_version = ? AND prompt_hash = ?
+    `).run(now, step, contentHash, model, config.PROMPT_VERSION, promptHash);
+        return JSON.parse(row.result_json);
     }
-    
-    // Clean up expired entry if exists
-    if (row) {
-      console.log('🗑️ Cleaning expired cache entry');
-      const deleteStmt = db.prepare('DELETE FROM llm_parse_cache WHERE plaintext_hash = ?');
-      deleteStmt.run(hash);
+    catch (error: any) {
+        console.warn('LLM cache read failed:', error.message);
+        return undefined;
     }
-    
-    return null;
-  } catch (error) {
-    console.warn('Cache read failed:', error.message);
-    return null;
-  }
 }
-
-export function setCachedResult(subject: string, plaintext: string, result: any): void {
-  // Check if caching is disabled for testing
-  if (process.env.ONLYJOBS_DISABLE_CACHE_FOR_TEST === '1') {
-    return;
-  }
-  
-  try {
+export function setCached(step: string, { contentHash, model, promptHash }: CacheKey, result: unknown): void {
+    if (!CACHE_ENABLED)
+        return;
     const db = getCacheDb();
-    const hash = computeContentHash(subject, plaintext);
-    const now = Date.now();
-    
-    const stmt = db.prepare(`
-      INSERT OR REPLACE INTO llm_parse_cache (plaintext_hash, subject, result_json, parsed_at)
-      VALUES (?, ?, ?, ?)
-    `);
-    
-    stmt.run(hash, subject, JSON.stringify(result), now);
-    console.log('💾 Cached LLM result');
-  } catch (error) {
-    console.warn('Cache write failed:', error.message);
-  }
+    if (!db)
+        return;
+    try {
+        const now = Date.now();
+        db.prepare(`
+      INSERT INTO llm_cache (step, content_hash, model, prompt_version, prompt_hash, result_json, created_at, last_used_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(step, content_hash, model, prompt_version, prompt_hash)
+      DO UPDATE SET result_json = excluded.result_json, created_at = excluded.created_at, last_used_at = excluded.last_used_at
+    `).run(step, contentHash, model, config.PROMPT_VERSION, promptHash, JSON.stringify(result), now, now);
+        writesSinceEviction++;
+        if (writesSinceEviction >= EVICT_EVERY_WRITES) {
+            evictCache();
+        }
+    }
+    catch (error: any) {
+        console.warn('LLM cache write failed:', error.message);
+    }
 }
-
-export function cleanupExpiredCache(): void {
-  try {
+/**
+ * Drop entries unused for CACHE_TTL_HOURS, then the least recently used beyond CACHE_MAX_ENTRIES
+ *
+ * @returns {{expired: number, overflow: number}}
+ */
+export function evictCache(): { expired: number; overflow: number } {
     const db = getCacheDb();
-    const cutoff = Date.now() - (ONLYJOBS_CACHE_TTL_HOURS * 60 * 60 * 1000);
-    
-    const stmt = db.prepare('DELETE FROM llm_parse_cache WHERE parsed_at < ?');
-    const result = stmt.run(cutoff);
-    
-    if (result.changes > 0) {
-      console.log(`🧹 Cleaned ${result.changes} expired cache entries`);
+    writesSinceEviction = 0;
+    if (!db)
+        return { expired: 0, overflow: 0 };
+    const cutoff = Date.now() - config.CACHE_TTL_HOURS * 60 * 60 * 1000;
+    const expired = db.prepare('DELETE FROM llm_cache WHERE last_used_at < ?').run(cutoff).changes;
+    const overflow = db.prepare(`
+    DELETE FROM llm_cache WHERE rowid IN (
+      SELECT rowid FROM llm_cache ORDER BY last_used_at DESC LIMIT -1 OFFSET ?
+    )
+  `).run(config.CACHE_MAX_ENTRIES).changes;
+    if (expired > 0 || overflow > 0) {
+        console.log(`🧹 LLM cache: evicted ${expired} expired and ${overflow} least recently used entries`);
     }
-  } catch (error) {
-    console.warn('Cache cleanup failed:', error.message);
-  }
-}
\ No newline at end of file
+    return { expired, overflow };
+}
+/**
+ * Entry counts and hit/miss totals, overall and per step
+ */
+export function getCacheStats() {
+    const db = getCacheDb();
+    const empty: { enabled: boolean; entries: number; hits: number; misses: number; hitRate: number | null; steps: Record<string, { entries: number; hits: number; misses: number }>; maxEntries: number; ttlHours: number } = { enabled: CACHE_ENABLED && !!db, entries: 0, hits: 0, misses: 0, hitRate: null, steps: {}, maxEntries: config.CACHE_MAX_ENTRIES, ttlHours: config.CACHE_TTL_HOURS };
+    if (!db)
+        return empty;
+    flushCacheStats();
+    const steps: Record<string, { entries: number; hits: number; misses: number }> = {};
+    for (const row of db.prepare('SELECT step, COUNT(*) AS entries FROM llm_cache GROUP BY step').all() as { step: string; entries: number }[]) {
+        steps[row.step] = { entries: row.entries, hits: 0, misses: 0 };
+    }
+    for (const row of db.prepare('SELECT step, hits, misses FROM llm_cache_stats').all() as { step: string; hits: number; misses: number }[]) {
+        steps[row.step] = { entries: 0, ...steps[row.step], hits: row.hits, misses: row.misses };
+    }
+    const totals = Object.values(steps).reduce((sum, step) => ({
+        entries: sum.entries + step.entries,
+        hits: sum.hits + step.hits,
+        misses: sum.misses + step.misses
+    }), { entries: 0, hits: 0, misses: 0 });
+    const lookups = totals.hits + totals.misses;
+    return { ...empty, ...totals, hitRate: lookups > 0 ? totals.hits / lookups : null, steps };
+}
+// Removes every cached answer and resets the counters
+export function clearCache(): number {
+    const db = getCacheDb();
+    if (!db)
+        return 0;
+    const removed = db.prepare('DELETE FROM llm_cache').run().changes;
+    pendingStats = {};
+    pendingLookups = 0;
+    db.prepare('DELETE FROM llm_cache_stats').run();
+    return removed;
+}
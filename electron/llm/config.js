@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.getDbPath = exports.getElectronUserDataDir = exports.MODEL_NAME = exports.PROMPT_VERSION = exports.DECISION_VERSION = exports.GPU_LAYERS = exports.LLM_CONTEXT = exports.LLM_MAX_TOKENS = exports.LLM_TEMPERATURE = exports.DEFAULT_MODEL_PATH = void 0;
+exports.getCachePath = exports.getDbPath = exports.getElectronUserDataDir = exports.CACHE_MAX_ENTRIES = exports.CACHE_TTL_HOURS = exports.LLM_REQUEST_TIMEOUT_MS = exports.LLM_BACKEND_API_KEY = exports.LLM_BACKEND_MODEL = exports.LLM_BACKEND_URL = exports.LLM_BACKEND = exports.FEWSHOT_EXAMPLES = exports.CONFIDENCE_SAMPLE_TEMPERATURE = exports.CONFIDENCE_SAMPLES = exports.USE_TWO_STAGE = exports.LLM_STAGE1_CONTEXT = exports.MODEL_NAME = exports.PROMPT_VERSION = exports.DECISION_VERSION = exports.GPU_LAYERS = exports.LLM_CONTEXT = exports.LLM_MAX_TOKENS = exports.LLM_TEMPERATURE = exports.DEFAULT_MODEL_PATH = void 0;
 const path = require("path");
 // Model configuration
 // Determine if we're in a packaged app and get the correct path
@@ -28,25 +28,44 @@ exports.LLM_TEMPERATURE = Number(process.env.ONLYJOBS_TEMPERATURE ?? 0.1);
 exports.LLM_MAX_TOKENS = Number(process.env.ONLYJOBS_MAX_TOKENS ?? 256);
 exports.LLM_CONTEXT = Number(process.env.ONLYJOBS_CTX ?? 2048);
 exports.GPU_LAYERS = Number(process.env.ONLYJOBS_N_GPU_LAYERS ?? 0);
+// Two-stage pipeline: a small-context classifier runs first, the parser only for job mail
+exports.USE_TWO_STAGE = process.env.ONLYJOBS_USE_TWO_STAGE !== "false";
+exports.LLM_STAGE1_CONTEXT = Number(process.env.ONLYJOBS_STAGE1_CTX ?? 1024);
+// Above 1, confidence is the agreement of this many answers; extra samples use the higher
+// temperature. Each one is another full model call per stage, so 3 samples make classification
+// about three times slower. By default (1) confidence is the probability of the answer's tokens
+exports.CONFIDENCE_SAMPLES = Number(process.env.ONLYJOBS_CONFIDENCE_SAMPLES ?? 1);
+exports.CONFIDENCE_SAMPLE_TEMPERATURE = Number(process.env.ONLYJOBS_CONFIDENCE_TEMPERATURE ?? 0.8);
+// Most user corrections shown to the model as examples for a similar email (0 turns them off)
+exports.FEWSHOT_EXAMPLES = Number(process.env.ONLYJOBS_FEWSHOT_EXAMPLES ?? 3);
+// Where prompts run: "llama-cpp" (in-process), "openai" (OpenAI-compatible server) or "ollama".
+// The app's Settings override these; scripts use them as they are
+exports.LLM_BACKEND = process.env.ONLYJOBS_LLM_BACKEND ?? "llama-cpp";
+exports.LLM_BACKEND_URL = process.env.ONLYJOBS_LLM_URL ?? "";
+exports.LLM_BACKEND_MODEL = process.env.ONLYJOBS_LLM_MODEL ?? "";
+exports.LLM_BACKEND_API_KEY = process.env.ONLYJOBS_LLM_API_KEY ?? "";
+exports.LLM_REQUEST_TIMEOUT_MS = Number(process.env.ONLYJOBS_LLM_TIMEOUT_MS ?? 60000);
+// On-disk answer cache: entries unused for the TTL, and the least recently used beyond the cap, are evicted
+exports.CACHE_TTL_HOURS = Number(process.env.ONLYJOBS_CACHE_TTL_HOURS ?? 168);
+exports.CACHE_MAX_ENTRIES = Number(process.env.ONLYJOBS_CACHE_MAX_ENTRIES ?? 20000);
 // Versioning for tracking model decisions and prompts
 exports.DECISION_VERSION = process.env.ONLYJOBS_DECISION_VERSION ?? "v1.0-prompt-2025-08-08";
 exports.PROMPT_VERSION = process.env.ONLYJOBS_PROMPT_VERSION ?? "v1.0";
 exports.MODEL_NAME = process.env.ONLYJOBS_MODEL_NAME ?? "Mistral-7B-Instruct Q4_K_M";
-// Database configuration
+// Database configuration: userData and jobs.db are resolved by electron/database.js for every module
 function getElectronUserDataDir() {
-    const productName = "OnlyJobs Desktop";
-    const home = process.env.HOME || process.env.USERPROFILE || ".";
-    if (process.platform === "darwin")
-        return path.join(home, "Library", "Application Support", productName);
-    if (process.platform === "win32")
-        return path.join(process.env.APPDATA || path.join(home, "AppData", "Roaming"), productName);
-    return path.join(home, ".config", productName);
+    return require("../database").getUserDataDir();
 }
 exports.getElectronUserDataDir = getElectronUserDataDir;
 function getDbPath() {
-    const override = process.env.ONLYJOBS_DB_PATH;
+    return require("../database").getDbPath();
+}
+exports.getDbPath = getDbPath;
+// The LLM answer cache is kept apart from jobs.db so clearing one never touches the other
+function getCachePath() {
+    const override = process.env.ONLYJOBS_CACHE_PATH;
     if (override && override.trim().length > 0)
         return path.resolve(override);
-    return path.join(getElectronUserDataDir(), "jobs.db");
+    return path.join(getElectronUserDataDir(), "llm-cache.sqlite3");
 }
-exports.getDbPath = getDbPath;
+exports.getCachePath = getCachePath;
@@ -1,30 +1,34 @@
 /**
  * Model downloader for local LLM
- * Downloads model.gguf with progress logging and atomic move
+ * Downloads a registry model (models.js) to DEFAULT_MODEL_PATH, resuming a
+ * partial download and verifying its checksum before the atomic move.
+ *
+ *   npm run llm:download                      # the default model
+ *   npm run llm:download -- llama-3.2-3b-instruct-q4_k_m
  */
 
 import * as fs from 'fs';
 import * as path from 'path';
-import * as https from 'https';
 import { DEFAULT_MODEL_PATH } from './config';
+import { MODEL_REGISTRY, DEFAULT_MODEL_ID, findModel, downloadFile } from './models';
 
-// Mistral-7B-Instruct Q4_K_M model URL (4.1GB, optimal balance)
-const DEFAULT_DOWNLOAD_URL = 'https://huggingface.co/TheBloke/Mistral-7B-Instruct-v0.2-GGUF/resolve/main/mistral-7b-instruct-v0.2.Q4_K_M.gguf';
-
-async function downloadModel() {
+async function downloadModel(modelId: string = DEFAULT_MODEL_ID) {
+  const entry = findModel(modelId);
+  if (!entry) {
+    throw new Error(`Unknown model "${modelId}". Available: ${MODEL_REGISTRY.map((model: { id: string }) => model.id).join(', ')}`);
+  }
   const modelPath = path.resolve(DEFAULT_MODEL_PATH);
   const modelDir = path.dirname(modelPath);
-  const tempPath = `${modelPath}.tmp`;
-  
-  console.log(`📦 Downloading model to: ${modelPath}`);
-  console.log(`🔗 URL: ${DEFAULT_DOWNLOAD_URL}`);
-  
+
+  console.log(`📦 Downloading ${entry.name} to: ${modelPath}`);
+  console.log(`🔗 URL: ${entry.url}`);
+
   // Ensure directory exists
   if (!fs.existsSync(modelDir)) {
     fs.mkdirSync(modelDir, { recursive: true });
     console.log(`📁 Created directory: ${modelDir}`);
   }
-  
+
   // Check if model already exists
   if (fs.existsSync(modelPath)) {
     const stats = fs.statSync(modelPath);
@@ -32,89 +36,42 @@ async function downloadModel() {
     console.log(`🗂️ Path: ${modelPath}`);
     return;
   }
-  
-  return new Promise<void>((resolve, reject) => {
-    const request = https.get(DEFAULT_DOWNLOAD_URL, (response) => {
-      if (response.statusCode === 302 || response.statusCode === 301) {
-        // Handle redirect
-        const redirectUrl = response.headers.location;
-        if (!redirectUrl) {
-          reject(new Error('Redirect without location header'));
-          return;
-        }
-        console.log(`↩️ Following redirect to: ${redirectUrl}`);
-        https.get(redirectUrl, handleResponse).on('error', reject);
-        return;
-      }
-      
-      handleResponse(response);
-    });
-    
-    function handleResponse(response: any) {
-      if (response.statusCode !== 200) {
-        reject(new Error(`HTTP ${response.statusCode}: ${response.statusMessage}`));
-        return;
+
+  let lastProgressTime = 0;
+  const result = await downloadFile(entry.url, modelPath, {
+    sha256: entry.sha256,
+    size: entry.size,
+    onProgress: ({ phase, received, total }: { phase: string; received: number; total: number | null }) => {
+      // Progress logging (every 5 seconds)
+      const now = Date.now();
+      if (now - lastProgressTime > 5000) {
+        const percent = total ? ((received / total) * 100).toFixed(1) : '?';
+        const sizeMB = Math.round(received / 1024 / 1024);
+        const totalMB = total ? Math.round(total / 1024 / 1024) : '?';
+        console.log(`${phase === 'verify' ? '🔍 Verifying' : '⬇️ Progress'}: ${percent}% (${sizeMB}/${totalMB} MB)`);
+        lastProgressTime = now;
       }
-      
-      const totalSize = parseInt(response.headers['content-length'] || '0', 10);
-      let downloadedSize = 0;
-      let lastProgressTime = 0;
-      
-      const writeStream = fs.createWriteStream(tempPath);
-      
-      response.on('data', (chunk: Buffer) => {
-        downloadedSize += chunk.length;
-        writeStream.write(chunk);
-        
-        // Progress logging (every 5MB or 5 seconds)
-        const now = Date.now();
-        if (downloadedSize % (5 * 1024 * 1024) < chunk.length || (now - lastProgressTime) > 5000) {
-          const percent = totalSize > 0 ? ((downloadedSize / totalSize) * 100).toFixed(1) : '?';
-          const sizeMB = Math.round(downloadedSize / 1024 / 1024);
-          const totalMB = totalSize > 0 ? Math.round(totalSize / 1024 / 1024) : '?';
-          console.log(`⬇️ Progress: ${percent}% (${sizeMB}/${totalMB} MB)`);
-          lastProgressTime = now;
-        }
-      });
-      
-      response.on('end', () => {
-        writeStream.end();
-        
-        // Atomic move from temp to final location
-        try {
-          fs.renameSync(tempPath, modelPath);
-          const stats = fs.statSync(modelPath);
-          console.log(`✅ Download complete! (${Math.round(stats.size / 1024 / 1024)}MB)`);
-          console.log(`🗂️ Model saved to: ${modelPath}`);
-          resolve();
-        } catch (error) {
-          reject(error);
-        }
-      });
-      
-      response.on('error', (error: Error) => {
-        writeStream.destroy();
-        if (fs.existsSync(tempPath)) {
-          fs.unlinkSync(tempPath);
-        }
-        reject(error);
-      });
     }
-    
-    request.on('error', reject);
-    request.setTimeout(300000); // 5 minute timeout
   });
+
+  if (result.resumedFrom > 0) {
+    console.log(`↩️ Resumed from ${Math.round(result.resumedFrom / 1024 / 1024)}MB`);
+  }
+  console.log(`✅ Download complete! (${Math.round(result.size / 1024 / 1024)}MB)`);
+  console.log(`🔒 SHA-256 verified: ${result.sha256}`);
+  console.log(`🗂️ Model saved to: ${modelPath}`);
 }
 
 // Run if called directly
 if (require.main === module) {
-  downloadModel()
+  downloadModel(process.argv[2])
     .then(() => {
       console.log('🎉 Model download completed successfully!');
       process.exit(0);
     })
     .catch((error) => {
       console.error('❌ Model download failed:', error.message);
+      console.error('   Run the command again to resume.');
       process.exit(1);
     });
-}
\ No newline at end of file
+}
@@ -1,42 +1,60 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.parseEmailWithLLM = exports.DEFAULT_SYSTEM_PROMPT = void 0;
-const crypto_1 = require("crypto");
+exports.getDecisionVersion = exports.getLastRun = exports.toConfidence = exports.extractInterviewWithLLM = exports.parseEmailWithLLM = exports.parseEmailUnified = exports.parseEmailWithTwoStage = exports.parseJobEmail = exports.classifyEmail = exports.DEFAULT_SYSTEM_PROMPT = void 0;
 const config_1 = require("./config");
 const rules_1 = require("./rules");
+const backends_1 = require("./backends");
+const prompts_1 = require("./prompts");
+const cache_1 = require("./cache");
 const fs = require('fs').promises;
 const path = require('path');
 const { app } = require('electron');
 
-// We import lazily since node-llama-cpp is heavy
-let llamaModule = null;
-let loadedSession = null; // LlamaChatSession
-let loadedContext = null; // LlamaContext
-let loadedModel = null; // LlamaModel
-let loadedModelPath = null;
-let currentSystemPrompt = null; // Track current prompt to detect changes
-async function loadLlamaModule() {
-    if (llamaModule)
-        return llamaModule;
-    try {
-        llamaModule = await import('node-llama-cpp');
-        return llamaModule;
-    }
-    catch (error) {
-        throw new Error("node-llama-cpp is not installed or failed to build. Run: npm i node-llama-cpp --legacy-peer-deps (or with --build-from-source)");
-    }
+// Stages the classifier picks from when the caller doesn't pass the stage catalogue
+const DEFAULT_STAGES = [
+    { name: "Applied", description: "application submitted, received or under review" },
+    { name: "Interviewed", description: "screening call, assessment, interview or interview scheduling" },
+    { name: "Declined", description: "rejection, no longer considered, position closed" },
+    { name: "Offer", description: "offer letter, offer call, compensation package" },
+];
+function buildSchema(stages) {
+    return {
+        type: "object",
+        properties: {
+            is_job_related: { type: "boolean" },
+            company: { type: ["string", "null"] },
+            position: { type: ["string", "null"] },
+            status: { type: ["string", "null"], enum: [...stages.map(stage => stage.name), null] },
+        },
+        required: ["is_job_related", "company", "position", "status"],
+        additionalProperties: false,
+    };
 }
-const schema = {
+// Stage 2 only runs for job mail, so is_job_related is not asked again
+function buildParseSchema(stages) {
+    return {
+        type: "object",
+        properties: {
+            company: { type: ["string", "null"] },
+            position: { type: ["string", "null"] },
+            status: { type: ["string", "null"], enum: [...stages.map(stage => stage.name), null] },
+        },
+        required: ["company", "position", "status"],
+        additionalProperties: false,
+    };
+}
+const CLASSIFY_SCHEMA = {
     type: "object",
     properties: {
         is_job_related: { type: "boolean" },
-        company: { type: ["string", "null"] },
-        position: { type: ["string", "null"] },
-        status: { type: ["string", "null"], enum: ["Applied", "Interview", "Declined", "Offer", null] },
     },
-    required: ["is_job_related", "company", "position", "status"],
+    required: ["is_job_related"],
     additionalProperties: false,
 };
+// Listed with every email, so custom prompts see the configured stages too
+function describeStages(stages) {
+    return ["Stages:", ...stages.map(stage => `- ${stage.name}: ${stage.description}`)].join("\n");
+}
 // Default system prompt (fallback if no custom prompt exists)
 const DEFAULT_SYSTEM_PROMPT = exports.DEFAULT_SYSTEM_PROMPT = [
     "You are an email parser. Output ONLY JSON matching the schema, with no extra text.",
@@ -45,7 +63,7 @@ const DEFAULT_SYSTEM_PROMPT = exports.DEFAULT_SYSTEM_PROMPT = [
     "If job-related, extract:",
     "- company: prefer official name from body; map ATS domains (pnc@myworkday.com → PNC).",
     "- position: strip job codes (R196209 Data Analyst → Data Analyst).",
-    "- status: Applied | Interview | Declined | Offer; if uncertain use null.",
+    "- status: the stage from the Stages list that fits the email best; if uncertain use null.",
     "Never use 'unknown' - use null per schema.",
     "",
     "Examples:",
@@ -53,7 +71,7 @@ const DEFAULT_SYSTEM_PROMPT = exports.DEFAULT_SYSTEM_PROMPT = [
     '{"is_job_related":true,"company":"Acme","position":"Data Analyst","status":"Applied"}',
     "",
     "Input: Subject: Interview – Globex\\nBody: Schedule interview for your Globex application.",
-    '{"is_job_related":true,"company":"Globex","position":null,"status":"Interview"}',
+    '{"is_job_related":true,"company":"Globex","position":null,"status":"Interviewed"}',
     "",
     "Input: Subject: Your application\\nBody: We regret to inform you we will not move forward at Initech.",
     '{"is_job_related":true,"company":"Initech","position":null,"status":"Declined"}',
@@ -61,264 +79,517 @@ const DEFAULT_SYSTEM_PROMPT = exports.DEFAULT_SYSTEM_PROMPT = [
     "Input: Subject: Career newsletter\\nBody: Industry news and career advice.",
     '{"is_job_related":false,"company":null,"position":null,"status":null}',
 ].join("\n");
+// Stage 1: binary decision only, kept short so it fits the small context
+const CLASSIFY_SYSTEM_PROMPT = [
+    "Is this email about the user's own job search? Output ONLY JSON: {\"is_job_related\":true|false}.",
+    "true: application confirmations, ATS or recruiter messages, interview scheduling, assessments, offers, rejections, job portal passcodes.",
+    "false: newsletters, job alerts and recommendations, marketing, receipts, social media, personal or work mail.",
+    "",
+    "Input: Subject: Thank you for applying to Acme\\nBody: We received your application for Data Analyst.",
+    '{"is_job_related":true}',
+    "Input: Subject: 25 new jobs for you\\nBody: Jobs matching Data Analyst near Boston.",
+    '{"is_job_related":false}',
+].join("\n");
+// Stage 2: detailed extraction, only sees mail Stage 1 accepted
+const PARSE_SYSTEM_PROMPT = [
+    "You extract job application details from a job-related email. Output ONLY JSON matching the schema, with no extra text.",
+    "- company: the hiring company, not the ATS or job board. Prefer the name in the body or signature.",
+    "  ATS senders carry the company in the address or body: pnc@myworkday.com → PNC, no-reply@greenhouse.io \"at Globex\" → Globex,",
+    "  jobs.lever.co/acme → Acme, @icims.com, @smartrecruiters.com, @ashbyhq.com, @taleo.net work the same way.",
+    "  Drop legal suffixes (Acme Corp., Inc., LLC → Acme).",
+    "- position: the job title as written, without requisition codes or locations (R196209 Data Analyst - Remote → Data Analyst).",
+    "- status: the stage from the Stages list that fits the email best; if uncertain use null.",
+    "  When an email mixes cues, the later stage wins: an offer beats an interview, a rejection beats \"thank you for applying\".",
+    "  Passcodes, account or portal notices with no news about the application → null.",
+    "Never use 'unknown' - use null per schema.",
+    "",
+    "Examples:",
+    "Input: From: pnc@myworkday.com\\nSubject: Application received – R196209 Data Analyst\\nBody: Thanks for applying to PNC for Data Analyst.",
+    '{"company":"PNC","position":"Data Analyst","status":"Applied"}',
+    "",
+    "Input: Subject: Your application\\nBody: Thank you for applying to Initech. Unfortunately we will not move forward.",
+    '{"company":"Initech","position":null,"status":"Declined"}',
+].join("\n");
 
-// Load custom prompt or fallback to default
-async function loadSystemPrompt() {
+// A custom classificationPrompt.txt replaces the default single-call prompt
+async function loadCustomPrompt() {
     try {
         const promptPath = path.join(app.getPath('userData'), 'classificationPrompt.txt');
         const customPrompt = await fs.readFile(promptPath, 'utf-8');
         console.log('LLM: Using custom classification prompt');
         return customPrompt;
     } catch (error) {
-        // Custom prompt doesn't exist, use default
-        console.log('LLM: Using default classification prompt');
-        return DEFAULT_SYSTEM_PROMPT;
+        // Custom prompt doesn't exist
+        return null;
     }
 }
-const cache = new Map();
-function makeCacheKey(subject, plaintext) {
-    const canonical = subject + "\n" + plaintext.slice(0, 1000);
-    return crypto_1.createHash("sha256").update(canonical).digest("hex");
+// DECISION_VERSION stamped on the jobs and emails a classification produced. A custom
+// prompt adds a hash of its text, so rows classified before and after an edit tell apart
+async function getDecisionVersion() {
+    const customPrompt = await loadCustomPrompt();
+    return customPrompt ? `${config_1.DECISION_VERSION}+prompt-${cache_1.hashOf(customPrompt).slice(0, 8)}` : config_1.DECISION_VERSION;
+}
+exports.getDecisionVersion = getDecisionVersion;
+// The model that answers: the active GGUF file for llama.cpp, otherwise the server and its model
+function modelKey() {
+    const backend = backends_1.getBackend();
+    if (backend.type !== "llama-cpp")
+        return backend.id;
+    const model = backends_1.getActiveModel();
+    return `${model.name || config_1.MODEL_NAME}|${path.basename(model.path)}`;
 }
-async function ensureSession(modelPath) {
-    // Load the current system prompt
-    const systemPrompt = await loadSystemPrompt();
-    
-    // Check if we need to recreate session due to prompt change
-    if (loadedSession && loadedModelPath === modelPath && currentSystemPrompt === systemPrompt) {
-        return loadedSession;
+// Key for the on-disk cache (cache.js). `content` is everything taken from the email, few-shot
+// examples included; `prompt` is the instruction, schema and sampling that turn it into an answer
+function cacheKey(content, prompt) {
+    return {
+        contentHash: cache_1.hashOf(...content),
+        model: modelKey(),
+        promptHash: cache_1.hashOf(...prompt, config_1.CONFIDENCE_SAMPLES, config_1.CONFIDENCE_SAMPLE_TEMPERATURE, "token-confidence"),
+    };
+}
+// Per-stage timings of the last parseEmailWithLLM call, read by scripts/evalLLM.electron.js
+let lastRun = null;
+function getLastRun() {
+    return lastRun;
+}
+exports.getLastRun = getLastRun;
+function truncate(text, maxLength) {
+    return text.length > maxLength ? text.substring(0, maxLength) + "... [truncated]" : text;
+}
+// One prompt through the configured backend (see backends.js), parsed as JSON
+async function promptJson(request) {
+    const response = await backends_1.getBackend().complete(request);
+    // Every backend constrains the answer to the schema, but a server can still
+    // return plain text if something goes wrong
+    if (!response || (!response.trim().startsWith('{') && !response.trim().startsWith('['))) {
+        console.error('LLM: Response is not JSON, got:', (response || '').substring(0, 100));
+        throw new Error('Response is not JSON format');
     }
-    
-    // If only the prompt changed, we need to recreate everything
-    // The old approach of reusing context was causing "No sequences left" errors
-    if (loadedModel && loadedContext && loadedModelPath === modelPath && currentSystemPrompt !== systemPrompt) {
-        console.log('LLM: Prompt changed, recreating entire session...');
-        
-        // Dispose of old resources
-        if (loadedSession) {
-            try {
-                // Clean up old session if possible
-                loadedSession = null;
-            } catch (e) {
-                console.error('Error disposing old session:', e);
-            }
+    return JSON.parse(response);
+}
+// promptJson with the log-probability of each answer token, for tokenConfidence
+async function promptScored(request) {
+    const { text, tokens } = await backends_1.getBackend().completeWithLogprobs(request);
+    if (!text || (!text.trim().startsWith('{') && !text.trim().startsWith('['))) {
+        console.error('LLM: Response is not JSON, got:', (text || '').substring(0, 100));
+        throw new Error('Response is not JSON format');
+    }
+    return { answer: JSON.parse(text), tokens };
+}
+// Never return 'unknown' strings
+function cleanUnknowns(parsed) {
+    if (parsed.company && /^unknown$/i.test(parsed.company))
+        parsed.company = null;
+    if (parsed.position && /^unknown$/i.test(parsed.position))
+        parsed.position = null;
+    return parsed;
+}
+// Company names match when they differ only in case, punctuation or legal suffix
+function normalizeName(value) {
+    return (value || "").toLowerCase().replace(/\b(inc|llc|ltd|corp|corporation|co|gmbh|plc)\b\.?/g, "").replace(/[^a-z0-9]+/g, " ").trim();
+}
+function sameValue(field, a, b) {
+    return field === "company" || field === "position" ? normalizeName(a) === normalizeName(b) : (a ?? null) === (b ?? null);
+}
+// Self-consistency: ask again CONFIDENCE_SAMPLES - 1 times at a higher temperature and
+// return, per field, the share of answers (the first one included) that agree with `answer`.
+// A sample that fails counts as disagreeing. null when sampling is turned off.
+async function sampleAgreement(ask, answer, fields) {
+    const samples = Math.floor(config_1.CONFIDENCE_SAMPLES);
+    if (!(samples > 1) || fields.length === 0)
+        return null;
+    const matches = Object.fromEntries(fields.map(field => [field, 1]));
+    for (let i = 1; i < samples; i++) {
+        let sample = null;
+        try {
+            sample = await ask(config_1.CONFIDENCE_SAMPLE_TEMPERATURE);
+        }
+        catch (err) {
+            console.error('LLM: Confidence sample failed:', err.message);
+        }
+        for (const field of fields) {
+            if (sample && sameValue(field, sample[field], answer[field]))
+                matches[field]++;
         }
-        
-        if (loadedContext) {
-            try {
-                loadedContext.dispose();
-                loadedContext = null;
-            } catch (e) {
-                console.error('Error disposing old context:', e);
-            }
+    }
+    return Object.fromEntries(fields.map(field => [field, Math.round((matches[field] / samples) * 100) / 100]));
+}
+// A JSON value as the answer writes it: a string, true, false, null or a number
+const JSON_VALUE = String.raw`"(?:[^"\\]|\\.)*"|true|false|null|-?\d[\d.eE+-]*`;
+// Without sampling, a field's confidence is the probability the model gave the tokens of
+// its value in the answer (their log-probabilities summed). null when the backend returned
+// no log-probabilities
+function tokenConfidence(tokens, fields) {
+    if (!tokens || tokens.length === 0 || fields.length === 0)
+        return null;
+    const text = tokens.map(token => token.text).join("");
+    const confidence = {};
+    for (const field of fields) {
+        const match = new RegExp(`"${field}"\\s*:\\s*(${JSON_VALUE})`).exec(text);
+        if (!match)
+            return null;
+        const start = match.index + match[0].length - match[1].length;
+        const end = start + match[1].length;
+        let logprob = 0;
+        let offset = 0;
+        for (const token of tokens) {
+            if (offset < end && offset + token.text.length > start)
+                logprob += token.logprob;
+            offset += token.text.length;
         }
-        
-        // Recreate context and session with new prompt
-        const module = await loadLlamaModule();
-        const { LlamaContext, LlamaChatSession } = module;
-        
-        loadedContext = await loadedModel.createContext({ 
-            contextSize: config_1.LLM_CONTEXT, 
-            batchSize: 512 
-        });
-        
-        const sequence = loadedContext.getSequence();
-        loadedSession = new LlamaChatSession({ 
-            contextSequence: sequence, 
-            systemPrompt: systemPrompt
-        });
-        
-        currentSystemPrompt = systemPrompt;
-        loadedModelPath = modelPath;
-        console.log('LLM: Session fully recreated with updated prompt');
-        return loadedSession;
+        confidence[field] = Math.round(Math.exp(logprob) * 100) / 100;
     }
-    
-    console.log('LLM: Loading model from:', modelPath);
-    const fsSync = require('fs');
-    
-    // Check if model file exists
-    if (!fsSync.existsSync(modelPath)) {
-        throw new Error(`Model file not found at: ${modelPath}`);
+    return confidence;
+}
+// Per-field confidence of the first answer: sample agreement when ONLYJOBS_CONFIDENCE_SAMPLES
+// is above 1, otherwise the probability of its tokens
+async function confidenceOf(ask, first, fields) {
+    return (await sampleAgreement(ask, first.answer, fields)) ?? tokenConfidence(first.tokens, fields);
+}
+// Overall confidence is the agreement of the least stable field
+function toConfidence(agreement) {
+    const values = Object.values(agreement || {});
+    return values.length > 0 ? Math.min(...values) : null;
+}
+exports.toConfidence = toConfidence;
+function readInput(input) {
+    return {
+        subject: input.subject ?? "",
+        plaintext: input.plaintext ?? "",
+        modelPath: input.modelPath ?? null, // null: the backend's active model
+        temperature: input.temperature ?? config_1.LLM_TEMPERATURE,
+        maxTokens: input.maxTokens ?? config_1.LLM_MAX_TOKENS,
+        stages: input.stages && input.stages.length > 0 ? input.stages : DEFAULT_STAGES,
+        examples: input.examples || [],
+    };
+}
+// Corrected examples whose status the schema can still produce (a stage may since have been renamed)
+function usableExamples(examples, stages) {
+    const names = stages.map(stage => stage.name);
+    return examples.filter(example => example.output && (example.output.status == null || names.includes(example.output.status)));
+}
+
+// Stage 1: is the email job-related at all? Returns { is_job_related, agreement }
+async function classifyEmail(input) {
+    const { subject, plaintext, modelPath, temperature } = readInput(input);
+    const key = cacheKey([subject, plaintext], [CLASSIFY_SYSTEM_PROMPT, CLASSIFY_SCHEMA, temperature]);
+    const cached = cache_1.getCached("classify", key);
+    if (cached) {
+        return { ...cached, cached: true };
     }
-    
-    const stats = fsSync.statSync(modelPath);
-    console.log('LLM: Model file size:', stats.size, 'bytes');
-    
-    const module = await loadLlamaModule();
-    const { getLlama, LlamaModel, LlamaContext, LlamaChatSession } = module;
-    
-    try {
-        const llama = await getLlama();
-        console.log('LLM: Got llama instance, loading model...');
-        
-        loadedModel = await llama.loadModel({ 
-            modelPath,
-            gpuLayers: config_1.GPU_LAYERS || 0
-        });
-        
-        console.log('LLM: Model loaded, creating context...');
-        loadedContext = await loadedModel.createContext({ 
-            contextSize: config_1.LLM_CONTEXT, 
-            batchSize: 512 
-        });
-        
-        console.log('LLM: Context created, creating session with prompt...');
-        const sequence = loadedContext.getSequence();
-        loadedSession = new LlamaChatSession({ 
-            contextSequence: sequence, 
-            systemPrompt: systemPrompt 
-        });
-        
-        loadedModelPath = modelPath;
-        console.log('LLM: Session ready');
-        return loadedSession;
-    } catch (error) {
-        console.error('LLM: Detailed error loading model:', error);
-        console.error('LLM: Error stack:', error.stack);
-        throw error;
+    const userPrompt = [
+        `Input`,
+        `Subject: ${subject}`,
+        `Body: ${truncate(plaintext, 1000)}`,
+        `Output`,
+    ].join("\n");
+    console.log('LLM: Stage 1 classifying:', subject.substring(0, 50));
+    const request = (sampleTemperature) => ({
+        stage: "classify",
+        modelPath,
+        systemPrompt: CLASSIFY_SYSTEM_PROMPT,
+        contextSize: config_1.LLM_STAGE1_CONTEXT,
+        prompt: userPrompt,
+        schema: CLASSIFY_SCHEMA,
+        schemaId: "OnlyJobsEmailClassifySchema",
+        temperature: sampleTemperature,
+        maxTokens: 16,
+    });
+    const ask = (sampleTemperature) => promptJson(request(sampleTemperature));
+    const first = await promptScored(request(temperature));
+    const parsed = first.answer;
+    if (typeof parsed.is_job_related !== 'boolean') {
+        throw new Error('Invalid response structure, missing is_job_related');
     }
+    const result = {
+        is_job_related: parsed.is_job_related,
+        agreement: await confidenceOf(ask, first, ["is_job_related"]),
+    };
+    cache_1.setCached("classify", key, result);
+    return { ...result, cached: false };
 }
-async function parseEmailWithLLM(input) {
-    const subject = input.subject ?? "";
-    const plaintext = input.plaintext ?? "";
-    const modelPath = input.modelPath ?? config_1.DEFAULT_MODEL_PATH;
-    const temperature = input.temperature ?? config_1.LLM_TEMPERATURE;
-    const maxTokens = input.maxTokens ?? config_1.LLM_MAX_TOKENS;
-    const key = makeCacheKey(subject, plaintext);
-    const cached = cache.get(key);
+exports.classifyEmail = classifyEmail;
+
+// Stage 2: company, position and status of an email already known to be job-related,
+// with the agreement of status and company across samples
+async function parseJobEmail(input) {
+    const { subject, plaintext, modelPath, temperature, maxTokens, stages, examples: corrections } = readInput(input);
+    const examples = usableExamples(corrections, stages);
+    const schema = buildParseSchema(stages);
+    const key = cacheKey([subject, plaintext, input.from || "", stages, examples], [PARSE_SYSTEM_PROMPT, schema, temperature, maxTokens]);
+    const cached = cache_1.getCached("parse", key);
+    if (cached) {
+        return { ...cached, cached: true };
+    }
+    const hint = (0, rules_1.getStatusHint)(subject, plaintext);
+    const userPrompt = [
+        describeStages(stages),
+        prompts_1.formatFewShots(examples),
+        hint ? `${hint}` : null,
+        `Input`,
+        input.from ? `From: ${input.from}` : null,
+        `Subject: ${subject}`,
+        `Body: ${truncate(plaintext, 1500)}`,
+        `Output`,
+    ]
+        .filter(Boolean)
+        .join("\n");
+    console.log('LLM: Stage 2 parsing:', subject.substring(0, 50));
+    const request = (sampleTemperature) => ({
+        stage: "parse",
+        modelPath,
+        systemPrompt: PARSE_SYSTEM_PROMPT,
+        contextSize: config_1.LLM_CONTEXT,
+        prompt: userPrompt,
+        schema,
+        schemaId: "OnlyJobsEmailDetailSchema",
+        temperature: sampleTemperature,
+        maxTokens,
+    });
+    const ask = async (sampleTemperature) => cleanUnknowns(await promptJson(request(sampleTemperature)));
+    const first = await promptScored(request(temperature));
+    const parsed = cleanUnknowns(first.answer);
+    const result = {
+        company: parsed.company ?? null,
+        position: parsed.position ?? null,
+        status: parsed.status ?? null,
+        agreement: await confidenceOf(ask, first, ["status", "company"]),
+    };
+    cache_1.setCached("parse", key, result);
+    return { ...result, cached: false };
+}
+exports.parseJobEmail = parseJobEmail;
+
+// Stage 1, then Stage 2 only for job-related mail
+async function parseEmailWithTwoStage(input) {
+    const run = { mode: "two-stage", classify: null, parse: null };
+    lastRun = run;
+    let started = Date.now();
+    const classification = await classifyEmail(input);
+    run.classify = { ms: Date.now() - started, cached: classification.cached };
+    if (!classification.is_job_related) {
+        return {
+            is_job_related: false, company: null, position: null, status: null,
+            confidence: toConfidence(classification.agreement),
+            agreement: classification.agreement,
+        };
+    }
+    started = Date.now();
+    const details = await parseJobEmail(input);
+    run.parse = { ms: Date.now() - started, cached: details.cached };
+    const agreement = classification.agreement && details.agreement ? { ...classification.agreement, ...details.agreement } : null;
+    return {
+        is_job_related: true, company: details.company, position: details.position, status: details.status,
+        confidence: toConfidence(agreement),
+        agreement,
+    };
+}
+exports.parseEmailWithTwoStage = parseEmailWithTwoStage;
+
+// Single call answering everything at once; used for custom prompts and ONLYJOBS_USE_TWO_STAGE=false
+async function parseEmailUnified(input, systemPrompt = DEFAULT_SYSTEM_PROMPT) {
+    const { subject, plaintext, modelPath, temperature, maxTokens, stages, examples: corrections } = readInput(input);
+    const examples = usableExamples(corrections, stages);
+    const started = Date.now();
+    const schema = buildSchema(stages);
+    const key = cacheKey([subject, plaintext, input.from || "", stages, examples], [systemPrompt, schema, temperature, maxTokens]);
+    const cached = cache_1.getCached("unified", key);
     if (cached) {
         console.log('LLM: Using cached result for:', subject.substring(0, 50));
+        lastRun = { mode: "unified", unified: { ms: Date.now() - started, cached: true } };
         return cached;
     }
-    const session = await ensureSession(modelPath);
     const hint = (0, rules_1.getStatusHint)(subject, plaintext);
-    // Truncate email content to prevent context overflow
-    const maxBodyLength = 1500; // Reasonable limit for email classification
-    const truncatedBody = plaintext.length > maxBodyLength 
-        ? plaintext.substring(0, maxBodyLength) + "... [truncated]"
-        : plaintext;
-    
     const userPrompt = [
+        describeStages(stages),
+        prompts_1.formatFewShots(examples, { unified: true }),
         hint ? `${hint}` : null,
         `Input`,
+        input.from ? `From: ${input.from}` : null,
         `Subject: ${subject}`,
-        `Body: ${truncatedBody}`,
+        `Body: ${truncate(plaintext, 1500)}`,
         `Output`,
     ]
         .filter(Boolean)
         .join("\n");
-    
-        console.log('LLM: Processing email with subject:', subject.substring(0, 50));
-        
-        const response = await session.prompt(userPrompt, {
-        temperature,
+
+    console.log('LLM: Processing email with subject:', subject.substring(0, 50));
+    const request = (sampleTemperature) => ({
+        stage: "unified",
+        modelPath,
+        systemPrompt,
+        contextSize: config_1.LLM_CONTEXT,
+        prompt: userPrompt,
+        schema,
+        schemaId: "OnlyJobsEmailParseSchema",
+        temperature: sampleTemperature,
         maxTokens,
-        responseFormat: {
-            type: "json_schema",
-            schema,
-            schema_id: "OnlyJobsEmailParseSchema",
-        },
     });
-    
-    console.log('LLM: Raw response:', response.substring(0, 200));
-    
-    // node-llama-cpp with responseFormat json_schema should guarantee valid JSON
-    // but sometimes it can still return plain text if something goes wrong
-    let parsed;
-    try {
-        // Check if response looks like JSON
-        if (!response || (!response.trim().startsWith('{') && !response.trim().startsWith('['))) {
-            console.error('LLM: Response is not JSON, got:', response.substring(0, 100));
-            throw new Error('Response is not JSON format');
-        }
-        
-        parsed = JSON.parse(response);
-        console.log('LLM: Parsed result:', parsed);
-        
+    const checkAnswer = (answer) => {
         // Validate the parsed result has required fields
-        if (typeof parsed.is_job_related !== 'boolean') {
+        if (typeof answer.is_job_related !== 'boolean') {
             console.error('LLM: Invalid response structure, missing is_job_related');
             throw new Error('Invalid response structure');
         }
+        // Enforce rules: if not job-related, everything else null
+        if (!answer.is_job_related) {
+            answer.company = null;
+            answer.position = null;
+            answer.status = null;
+        }
+        return cleanUnknowns(answer);
+    };
+    const ask = async (sampleTemperature) => checkAnswer(await promptJson(request(sampleTemperature)));
+    let parsed;
+    try {
+        const first = await promptScored(request(temperature));
+        parsed = checkAnswer(first.answer);
+        console.log('LLM: Parsed result:', parsed);
+        parsed.agreement = await confidenceOf(ask, first, parsed.is_job_related ? ["is_job_related", "status", "company"] : ["is_job_related"]);
+        parsed.confidence = toConfidence(parsed.agreement);
     }
     catch (err) {
         console.error('LLM: Failed to parse response:', err);
-        console.error('LLM: Full response was:', response);
-        // Return a proper fallback
-        parsed = { is_job_related: false, company: null, position: null, status: null };
+        // Return a proper fallback, flagged so it is reviewed rather than dropped
+        parsed = { is_job_related: false, company: null, position: null, status: null, confidence: 0, agreement: null, parse_failed: true };
     }
-    // Enforce rules: if not job-related, everything else null
-    if (!parsed.is_job_related) {
-        parsed.company = null;
-        parsed.position = null;
-        parsed.status = null;
+    // A failed answer is worth retrying next time
+    if (!parsed.parse_failed) {
+        cache_1.setCached("unified", key, parsed);
     }
-    // Never return 'unknown' strings
-    if (parsed.company && /^unknown$/i.test(parsed.company))
-        parsed.company = null;
-    if (parsed.position && /^unknown$/i.test(parsed.position))
-        parsed.position = null;
-    cache.set(key, parsed);
+    lastRun = { mode: "unified", unified: { ms: Date.now() - started, cached: false } };
     return parsed;
 }
+exports.parseEmailUnified = parseEmailUnified;
+
+// Entry point for callers: two-stage by default. `input.mode` ("two-stage" | "unified")
+// overrides ONLYJOBS_USE_TWO_STAGE; a custom prompt is written for the single call, so it keeps that path
+async function parseEmailWithLLM(input) {
+    const customPrompt = await loadCustomPrompt();
+    if (customPrompt) {
+        return parseEmailUnified(input, customPrompt);
+    }
+    const mode = input.mode ?? (config_1.USE_TWO_STAGE ? "two-stage" : "unified");
+    if (mode !== "two-stage") {
+        return parseEmailUnified(input);
+    }
+    try {
+        return await parseEmailWithTwoStage(input);
+    }
+    catch (err) {
+        console.error('LLM: Two-stage processing failed, falling back to the unified prompt:', err.message);
+        const result = await parseEmailUnified(input);
+        lastRun = { ...lastRun, fallback: true };
+        return result;
+    }
+}
 exports.parseEmailWithLLM = parseEmailWithLLM;
 
-// Health check function for LLM
-async function checkLLMHealth() {
-    const fs = require('fs');
-    const modelPath = config_1.DEFAULT_MODEL_PATH;
-    
-    const health = {
-        status: 'unknown',
-        modelPath: modelPath,
-        modelExists: false,
-        modelSize: 0,
-        expectedSize: 4368439584, // Expected size for Mistral-7B Q4_K_M (actual download)
-        canLoad: false,
-        error: null,
-        lastChecked: new Date().toISOString()
-    };
-    
+// Interview details for emails without a calendar invitation
+const INTERVIEW_SCHEMA = {
+    type: "object",
+    properties: {
+        has_interview: { type: "boolean" },
+        start: { type: ["string", "null"] },
+        timezone: { type: ["string", "null"] },
+        duration_minutes: { type: ["integer", "null"] },
+        meeting_url: { type: ["string", "null"] },
+        location: { type: ["string", "null"] },
+        interviewer: { type: ["string", "null"] },
+        title: { type: ["string", "null"] },
+    },
+    required: ["has_interview", "start", "timezone", "duration_minutes", "meeting_url", "location", "interviewer", "title"],
+    additionalProperties: false,
+};
+const INTERVIEW_SYSTEM_PROMPT = [
+    "You extract a scheduled interview from an email. Output ONLY JSON matching the schema, with no extra text.",
+    "has_interview=true only when the email gives a confirmed date and time for an interview, call or assessment session.",
+    "Emails asking for availability, offering several slots, or without a date → has_interview=false and every other field null.",
+    "- start: local date and time as written, YYYY-MM-DDTHH:MM. Resolve relative dates (tomorrow, next Tuesday) from the Sent date.",
+    "- timezone: IANA name or abbreviation written with the time (America/New_York, PT, CET); null if none is given.",
+    "- duration_minutes: length of the interview if stated.",
+    "- meeting_url: Zoom, Google Meet, Teams or other video link; location: address or room for in-person interviews.",
+    "- interviewer: names and roles of who the candidate meets.",
+    "- title: short name for the event, e.g. Technical interview with Acme.",
+    "",
+    "Example:",
+    "Input: Sent: 2025-03-03\\nSubject: Interview confirmed\\nBody: You're confirmed for Thursday March 6 at 2:30pm ET with Dana Lee (Eng Manager), 45 minutes. Zoom: https://zoom.us/j/123",
+    '{"has_interview":true,"start":"2025-03-06T14:30","timezone":"ET","duration_minutes":45,"meeting_url":"https://zoom.us/j/123","location":null,"interviewer":"Dana Lee (Eng Manager)","title":"Interview with Dana Lee"}',
+].join("\n");
+const EMPTY_INTERVIEW = { has_interview: false, start: null, timezone: null, duration_minutes: null, meeting_url: null, location: null, interviewer: null, title: null };
+async function extractInterviewWithLLM(input) {
+    const subject = input.subject ?? "";
+    const plaintext = input.plaintext ?? "";
+    const modelPath = input.modelPath ?? null;
+    const key = cacheKey([subject, plaintext, input.emailDate || ""], [INTERVIEW_SYSTEM_PROMPT, INTERVIEW_SCHEMA]);
+    const cached = cache_1.getCached("interview", key);
+    if (cached)
+        return cached;
+    const userPrompt = [
+        `Input`,
+        input.emailDate ? `Sent: ${input.emailDate}` : null,
+        `Subject: ${subject}`,
+        `Body: ${truncate(plaintext, 3000)}`, // dates and links are often near the end
+        `Output`,
+    ]
+        .filter(Boolean)
+        .join("\n");
+    let parsed;
+    let failed = false;
     try {
-        // Check if model file exists
-        if (fs.existsSync(modelPath)) {
-            health.modelExists = true;
-            const stats = fs.statSync(modelPath);
-            health.modelSize = stats.size;
-            
-            // Check file size
-            if (health.modelSize !== health.expectedSize) {
-                health.status = 'unhealthy';
-                health.error = `Model file size mismatch. Expected ${health.expectedSize} bytes, got ${health.modelSize} bytes`;
-                return health;
-            }
-            
-            // Try to load the model
-            console.log('Health check: Testing model load...');
-            const testSession = await ensureSession(modelPath);
-            
-            // Try a simple prompt to ensure it works
-            const testPrompt = 'Test prompt\nOutput';
-            const response = await testSession.prompt(testPrompt, {
-                maxTokens: 10,
-                temperature: 0.1
-            });
-            
-            health.canLoad = true;
-            health.status = 'healthy';
-            console.log('Health check: Model is healthy');
-        } else {
-            health.status = 'unhealthy';
-            health.error = 'Model file not found';
-        }
-    } catch (error) {
-        health.status = 'unhealthy';
-        health.canLoad = false;
-        health.error = error.message;
-        console.error('Health check failed:', error);
+        console.log('LLM: Extracting interview from:', subject.substring(0, 50));
+        // Interview emails already went through Stage 2, so its session is loaded; the extraction prompt is swapped in per call
+        parsed = { ...EMPTY_INTERVIEW, ...await promptJson({
+            stage: "parse",
+            modelPath,
+            systemPrompt: PARSE_SYSTEM_PROMPT,
+            contextSize: config_1.LLM_CONTEXT,
+            prompt: userPrompt,
+            schema: INTERVIEW_SCHEMA,
+            schemaId: "OnlyJobsInterviewSchema",
+            temperature: config_1.LLM_TEMPERATURE,
+            maxTokens: config_1.LLM_MAX_TOKENS,
+            callSystemPrompt: INTERVIEW_SYSTEM_PROMPT,
+        }) };
+    }
+    catch (err) {
+        console.error('LLM: Failed to parse interview response:', err.message);
+        parsed = { ...EMPTY_INTERVIEW };
+        failed = true;
+    }
+    if (!parsed.has_interview || !/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(parsed.start || "")) {
+        parsed = { ...EMPTY_INTERVIEW };
+    }
+    if (!failed) {
+        cache_1.setCached("interview", key, parsed);
+    }
+    return parsed;
+}
+exports.extractInterviewWithLLM = extractInterviewWithLLM;
+
+// Health check for the configured backend, or for `settings` ({ type, baseUrl, model, ... })
+// before they are saved. Runs a real Stage 1 prompt, so schema support is checked too.
+async function checkLLMHealth(settings) {
+    const active = backends_1.getBackend();
+    let backend = active;
+    if (settings) {
+        const candidate = backends_1.createBackend(settings);
+        backend = candidate.id === active.id ? active : candidate;
+    }
+    const health = await backend.healthCheck({
+        stage: "classify",
+        modelPath: null,
+        systemPrompt: CLASSIFY_SYSTEM_PROMPT,
+        contextSize: config_1.LLM_STAGE1_CONTEXT,
+        prompt: "Input\nSubject: Thank you for applying to Acme\nBody: We received your application.\nOutput",
+        schema: CLASSIFY_SCHEMA,
+        schemaId: "OnlyJobsEmailClassifySchema",
+        temperature: 0.1,
+        maxTokens: 16,
+    });
+    if (backend !== active) {
+        backend.dispose();
     }
-    
     return health;
 }
 exports.checkLLMHealth = checkLLMHealth;
@@ -0,0 +1,211 @@
+/**
+ * GGUF models for the built-in llama.cpp backend
+ *
+ * MODEL_REGISTRY lists the models the app offers for download, with the SHA-256
+ * and byte size Hugging Face publishes for each file (`npm run llm:check-digests`
+ * compares them with what it serves now). Both are checked after every download.
+ * Other URLs are checked against the `X-Linked-Etag` / `X-Linked-Size` headers
+ * (the LFS object's SHA-256 and size); a download with no digest either way is
+ * refused rather than accepted unchecked.
+ *
+ * Downloads go to `<file>.part` and resume from it with a Range request, so an
+ * interrupted 4 GB download doesn't start over.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+const MODEL_REGISTRY = [
+  {
+    id: 'mistral-7b-instruct-v0.2-q4_k_m',
+    name: 'Mistral-7B-Instruct v0.2 Q4_K_M',
+    file: 'mistral-7b-instruct-v0.2.Q4_K_M.gguf',
+    url: 'https://huggingface.co/TheBloke/Mistral-7B-Instruct-v0.2-GGUF/resolve/main/mistral-7b-instruct-v0.2.Q4_K_M.gguf',
+    sha256: '3e0039fd0273fcbebb49228943b17831aadd55cbcbf56f0af00499be2040ccf9',
+    size: 4368439584,
+    contextSize: 2048,
+    description: 'Most accurate; needs about 5 GB of memory'
+  },
+  {
+    id: 'llama-3.2-3b-instruct-q4_k_m',
+    name: 'Llama-3.2-3B-Instruct Q4_K_M',
+    file: 'Llama-3.2-3B-Instruct-Q4_K_M.gguf',
+    url: 'https://huggingface.co/bartowski/Llama-3.2-3B-Instruct-GGUF/resolve/main/Llama-3.2-3B-Instruct-Q4_K_M.gguf',
+    sha256: '6c1a2b41161032677be168d354123594c0e6e67d2b9227c84f296ad037c728ff',
+    size: 2019377696,
+    contextSize: 2048,
+    description: 'Faster and about half the size; a little less accurate'
+  }
+];
+
+const DEFAULT_MODEL_ID = MODEL_REGISTRY[0].id;
+
+const GGUF_MAGIC = 'GGUF';
+const MAX_REDIRECTS = 5;
+
+function findModel(id) {
+  return MODEL_REGISTRY.find(model => model.id === id) || null;
+}
+
+// Every GGUF file starts with the bytes "GGUF"
+async function isGguf(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(4), 0, 4, 0);
+    return bytesRead === 4 && buffer.toString('latin1') === GGUF_MAGIC;
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * SHA-256 of a file, read as a stream
+ *
+ * @param {string} filePath
+ * @param {(bytes: number) => void} [onProgress] - bytes hashed so far
+ * @returns {Promise<string>} lowercase hex digest
+ */
+function sha256File(filePath, onProgress) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    let hashed = 0;
+    fs.createReadStream(filePath)
+      .on('data', (chunk) => {
+        hash.update(chunk);
+        hashed += chunk.length;
+        if (onProgress) onProgress(hashed);
+      })
+      .on('error', reject)
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// GET with an optional Range, following redirects (Hugging Face sends downloads to its CDN)
+function request(url, { headers, signal }, redirects = 0) {
+  return new Promise((resolve, reject) => {
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.get(url, { headers, signal }, (response) => {
+      const { statusCode } = response;
+      if ([301, 302, 303, 307, 308].includes(statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          reject(new Error(`Too many redirects downloading ${url}`));
+          return;
+        }
+        // The LFS headers are only on the first response
+        const linked = { etag: response.headers['x-linked-etag'], size: response.headers['x-linked-size'] };
+        request(new URL(response.headers.location, url).toString(), { headers, signal }, redirects + 1)
+          .then(({ response: next, linked: nextLinked }) => resolve({ response: next, linked: nextLinked.etag ? nextLinked : linked }), reject);
+        return;
+      }
+      resolve({ response, linked: { etag: response.headers['x-linked-etag'], size: response.headers['x-linked-size'] } });
+    });
+    req.on('error', reject);
+    req.setTimeout(60000, () => req.destroy(new Error(`No data from ${url} for 60s`)));
+  });
+}
+
+function linkedSha256(etag) {
+  const value = (etag || '').replace(/^W\//, '').replace(/"/g, '');
+  return /^[a-f0-9]{64}$/i.test(value) ? value.toLowerCase() : null;
+}
+
+/**
+ * Download `url` to `destination`, resuming a previous `<destination>.part`, and
+ * verify its size and SHA-256 before moving it into place.
+ *
+ * @param {string} url
+ * @param {string} destination
+ * @param {object} [options]
+ * @param {string|null} [options.sha256] - expected digest; falls back to the server's X-Linked-Etag,
+ *   and the download fails when there is neither
+ * @param {number|null} [options.size] - expected size in bytes; falls back to X-Linked-Size
+ * @param {AbortSignal} [options.signal] - aborting keeps the .part file for a later resume
+ * @param {(progress: {phase: 'download'|'verify', received: number, total: number|null}) => void} [options.onProgress]
+ * @returns {Promise<{path: string, size: number, sha256: string, verified: boolean, resumedFrom: number}>}
+ */
+async function downloadFile(url, destination, { sha256 = null, size = null, signal, onProgress = () => {} } = {}) {
+  const partPath = `${destination}.part`;
+  let resumedFrom = 0;
+  try {
+    resumedFrom = (await fs.promises.stat(partPath)).size;
+  } catch (error) {
+    // Nothing to resume
+  }
+
+  const headers = resumedFrom > 0 ? { Range: `bytes=${resumedFrom}-` } : {};
+  const { response, linked } = await request(url, { headers, signal });
+  if (response.statusCode === 416) {
+    // The part file already holds the whole file
+    response.resume();
+  } else if (response.statusCode !== 200 && response.statusCode !== 206) {
+    response.resume();
+    throw new Error(`HTTP ${response.statusCode} downloading ${url}`);
+  }
+
+  const expectedSha256 = (sha256 || linkedSha256(linked.etag) || '').toLowerCase() || null;
+  const expectedSize = size || Number(linked.size) || null;
+  if (!expectedSha256) {
+    response.resume();
+    throw new Error(`No SHA-256 is pinned or published (X-Linked-Etag) for ${url}, so the download can't be verified`);
+  }
+
+  if (response.statusCode !== 416) {
+    // A server that ignores Range sends the whole file again
+    if (response.statusCode === 200) {
+      resumedFrom = 0;
+    }
+    const total = response.statusCode === 206
+      ? Number((response.headers['content-range'] || '').split('/')[1]) || expectedSize
+      : Number(response.headers['content-length']) || expectedSize;
+    let received = resumedFrom;
+    onProgress({ phase: 'download', received, total });
+
+    await new Promise((resolve, reject) => {
+      const output = fs.createWriteStream(partPath, { flags: resumedFrom > 0 ? 'a' : 'w' });
+      response.on('data', (chunk) => {
+        received += chunk.length;
+        onProgress({ phase: 'download', received, total });
+      });
+      response.on('error', (error) => output.destroy(error));
+      response.on('aborted', () => output.destroy(new Error('Download interrupted')));
+      output.on('error', reject);
+      output.on('finish', () => {
+        if (response.complete) resolve();
+        else reject(new Error('Download interrupted'));
+      });
+      response.pipe(output);
+    });
+  }
+
+  const actualSize = (await fs.promises.stat(partPath)).size;
+  if (expectedSize && actualSize !== expectedSize) {
+    // A longer file can't be resumed into the right one
+    if (actualSize > expectedSize) await fs.promises.unlink(partPath);
+    throw new Error(`Downloaded ${actualSize} bytes, expected ${expectedSize}`);
+  }
+
+  const actualSha256 = await sha256File(partPath, (hashed) => onProgress({ phase: 'verify', received: hashed, total: actualSize }));
+  if (actualSha256 !== expectedSha256) {
+    await fs.promises.unlink(partPath);
+    throw new Error(`Checksum mismatch: expected ${expectedSha256}, got ${actualSha256}. The download was deleted.`);
+  }
+  if (!(await isGguf(partPath))) {
+    await fs.promises.unlink(partPath);
+    throw new Error('Downloaded file is not a GGUF model');
+  }
+
+  await fs.promises.rename(partPath, destination);
+  return { path: destination, size: actualSize, sha256: actualSha256, verified: true, resumedFrom };
+}
+
+module.exports = {
+  MODEL_REGISTRY,
+  DEFAULT_MODEL_ID,
+  findModel,
+  isGguf,
+  sha256File,
+  downloadFile
+};
@@ -1,7 +1,8 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { app } = require('electron');
-const { LLM_CONTEXT } = require('./config');
+const { LLM_CONTEXT, FEWSHOT_EXAMPLES } = require('./config');
+const { senderDomain } = require('../email-gate');
 
 // Default Mistral-7B prompt with few-shot learning
 const DEFAULT_MISTRAL_PROMPT = `[INST] You are a job application email classifier. Analyze emails and return ONLY a JSON object.
@@ -56,6 +57,23 @@ Position extraction:
 Analyze this email and output JSON:
 [/INST]`;
 
+// Lowercase words of 3+ letters, for comparing subjects
+function subjectWords(subject) {
+  return new Set((subject || '').toLowerCase().match(/[a-z]{3,}/g) || []);
+}
+
+function overlap(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+// A correction from another sender is only used when its subject is this close
+const MIN_SUBJECT_OVERLAP = 0.3;
+
 class PromptManager {
   constructor() {
     this.promptFilePath = path.join(app.getPath('userData'), 'mistralPrompt.txt');
@@ -63,6 +81,43 @@ class PromptManager {
     this.isCustom = false;
     this.llamaModel = null;
     this.contextSize = LLM_CONTEXT || 2048;
+    this.corrections = null;
+  }
+
+  // CorrectionStore that selectFewShots draws from; set once the database is open
+  setCorrectionStore(store) {
+    this.corrections = store;
+  }
+
+  /**
+   * The user's corrections most like this email, as few-shot examples.
+   * Same sender domain ranks first (an ATS like myworkday.com sends for many
+   * companies, so subject overlap breaks ties), then close subjects from other senders.
+   *
+   * @param {object} email - { from, subject, messageId }; messageId is never its own example
+   * @param {number} [limit=FEWSHOT_EXAMPLES]
+   * @returns {Array<{from: string|null, subject: string|null, body: string, output: {company: string|null, position: string|null, status: string|null}}>}
+   */
+  selectFewShots({ from, subject, messageId = null }, limit = FEWSHOT_EXAMPLES) {
+    if (!this.corrections || !(limit > 0)) return [];
+    const domain = senderDomain(from);
+    const words = subjectWords(subject);
+    return this.corrections.list()
+      .filter(row => row.gmail_message_id !== messageId)
+      .map(row => {
+        const similarity = overlap(words, subjectWords(row.subject));
+        const sameSender = !!domain && row.sender_domain === domain;
+        return { row, score: sameSender ? 1 + similarity : similarity >= MIN_SUBJECT_OVERLAP ? similarity : 0 };
+      })
+      .filter(candidate => candidate.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ row }) => ({
+        from: row.from_address,
+        subject: row.subject,
+        body: row.body_snippet || '',
+        output: row.corrected
+      }));
   }
 
   // Estimate token count (rough approximation when model not loaded)
@@ -2,9 +2,11 @@
 /**
  * Deterministic, compact prompts for local LLM email classification.
  * Strict JSON only; short few-shots tuned for 3B models.
+ * formatFewShots turns the user's own corrections (PromptManager.selectFewShots)
+ * into examples; the static FEWSHOTS are the fallback when there are none.
  */
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.userPrompt = exports.SYSTEM_PROMPT = void 0;
+exports.formatFewShots = exports.userPrompt = exports.SYSTEM_PROMPT = void 0;
 
 exports.SYSTEM_PROMPT = `
 You classify emails about job applications. Return ONLY a strict JSON object and nothing else.
@@ -77,9 +79,39 @@ Body: Attached is your offer package and compensation details.
 JSON: {"is_job_related": true, "company": null, "position": "Product Manager", "status": "Offer", "confidence": 0.9}
 `.trim();
 
-function userPrompt(subject, plaintext) {
+// Corrected examples keep to a short body so they fit the 2048-token context
+const FEWSHOT_BODY_LENGTH = 300;
+
+function oneLine(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Few-shot block from corrected examples, in the Input/JSON shape the engine prompts use.
+ * With `unified`, the JSON carries is_job_related as the single-call schema does.
+ *
+ * @param {Array<{from: string|null, subject: string|null, body: string, output: object}>} examples
+ * @param {{unified?: boolean}} [options]
+ * @returns {string|null} null when there are no examples
+ */
+function formatFewShots(examples, { unified = false } = {}) {
+  if (!examples || examples.length === 0) return null;
+  const blocks = examples.map(({ from, subject, body, output }) => {
+    const input = [
+      from ? `From: ${oneLine(from)}` : null,
+      `Subject: ${oneLine(subject)}`,
+      `Body: ${oneLine(body).slice(0, FEWSHOT_BODY_LENGTH)}`,
+    ].filter(Boolean).join("\\n");
+    const answer = { company: output.company ?? null, position: output.position ?? null, status: output.status ?? null };
+    return `Input: ${input}\n${JSON.stringify(unified ? { is_job_related: true, ...answer } : answer)}`;
+  });
+  return ["Corrected by the user:", ...blocks].join("\n");
+}
+exports.formatFewShots = formatFewShots;
+
+function userPrompt(subject, plaintext, examples = []) {
   return `
-${FEWSHOTS}
+${formatFewShots(examples) || FEWSHOTS}
 
 NOW CLASSIFY THIS EMAIL.
 Subject: ${subject}
@@ -1,12 +1,16 @@
 // electron/llm/provider.js
 // adapter so classifier/index.js can resolve a concrete provider
-const { parseEmailWithLLM } = require('./llmEngine'); // your existing engine entry
+const { parseEmailWithLLM, extractInterviewWithLLM } = require('./llmEngine'); // your existing engine entry
 
 function createLLMClassifier() {
   return {
     async parse(input) {
       return parseEmailWithLLM(input); // expects { subject, plaintext }
     },
+    // Date, time, link and interviewer of an interview email; { has_interview: false } when none
+    async extractInterview(input) {
+      return extractInterviewWithLLM(input); // expects { subject, plaintext, emailDate }
+    },
   };
 }
 
@@ -1,6 +1,6 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.getStatusHint = void 0;
+exports.getStatusHint = exports.getHintedStatuses = void 0;
 const PHRASES = {
     applied: [
         /received your application/i,
@@ -37,13 +37,14 @@ const PHRASES = {
         /extend(ing)? you an offer/i,
     ],
 };
-function getStatusHint(subject, plaintext) {
+// Every status whose phrases appear in the email, in PHRASES order
+function getHintedStatuses(subject, plaintext) {
     const hay = `${subject}\n${plaintext}`.slice(0, 4000);
-    for (const status of Object.keys(PHRASES)) {
-        const matches = PHRASES[status].some((rx) => rx.test(hay));
-        if (matches)
-            return `hint: status=${status}`;
-    }
-    return null;
+    return Object.keys(PHRASES).filter((status) => PHRASES[status].some((rx) => rx.test(hay)));
+}
+exports.getHintedStatuses = getHintedStatuses;
+function getStatusHint(subject, plaintext) {
+    const [status] = getHintedStatuses(subject, plaintext);
+    return status ? `hint: status=${status}` : null;
 }
 exports.getStatusHint = getStatusHint;
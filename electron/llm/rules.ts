@@ -28,11 +28,13 @@ const PHRASES: Record<Status, RegExp[]> = {
   ],
 };
 
-export function getStatusHint(subject: string, plaintext: string): string | null {
+// Every status whose phrases appear in the email, in PHRASES order
+export function getHintedStatuses(subject: string, plaintext: string): Status[] {
   const hay = `${subject}\n${plaintext}`.slice(0, 4000);
-  for (const status of Object.keys(PHRASES) as Status[]) {
-    const matches = PHRASES[status].some((rx) => rx.test(hay));
-    if (matches) return `hint: status=${status}`;
-  }
-  return null;
+  return (Object.keys(PHRASES) as Status[]).filter((status) => PHRASES[status].some((rx) => rx.test(hay)));
+}
+
+export function getStatusHint(subject: string, plaintext: string): string | null {
+  const [status] = getHintedStatuses(subject, plaintext);
+  return status ? `hint: status=${status}` : null;
 }
\ No newline at end of file
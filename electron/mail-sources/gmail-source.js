@@ -0,0 +1,63 @@
+// electron/mail-sources/gmail-source.js
+// Mail source backed by a connected Gmail account (OAuth via GmailMultiAuth).
+
+class GmailSource {
+  constructor(account, gmailMultiAuth) {
+    this.type = 'gmail';
+    this.accountEmail = account.email;
+    this.displayName = account.display_name || account.email;
+    this.gmailMultiAuth = gmailMultiAuth;
+    // Query of the full listing being read; its page tokens only work with it
+    this.listingQuery = null;
+    // Queued messages fetched again in this sync, dequeued when it commits
+    this.retriedIds = [];
+  }
+
+  /**
+   * Fetch one page of messages. Uses the History API when a history ID is stored,
+   * otherwise lists the date window in `query`.
+   */
+  async fetchMessages({ maxResults, pageSize, query, fullSync = false, pageToken = null }) {
+    const result = await this.gmailMultiAuth.syncAccount(this.accountEmail, {
+      maxResults,
+      pageSize,
+      query: pageToken && this.listingQuery ? this.listingQuery : query,
+      fullSync,
+      pageToken
+    });
+    if (result.query) {
+      this.listingQuery = result.query;
+    }
+    if (result.retriedIds) {
+      this.retriedIds.push(...result.retriedIds);
+    }
+    return { ...result, cursor: result.historyId };
+  }
+
+  // Called once every fetched message has been processed. A full listing that
+  // stopped at the sync's limit is continued by the next sync before its history
+  // ID is saved, so older mail in the window isn't skipped
+  async commitCursor(cursor, { pageToken = null } = {}) {
+    this.gmailMultiAuth.removeRetryMessageIds(this.accountEmail, this.retriedIds);
+    if (pageToken) {
+      this.gmailMultiAuth.saveListingProgress(this.accountEmail, { pageToken, query: this.listingQuery, historyId: cursor });
+    } else {
+      this.gmailMultiAuth.saveHistoryId(this.accountEmail, cursor);
+    }
+  }
+
+  // Attachment bodies (such as .ics invitations) are fetched separately in the Gmail API
+  async fetchAttachment(messageId, attachmentId) {
+    const gmail = await this.gmailMultiAuth.getGmailClient(this.accountEmail);
+    const response = await gmail.users.messages.attachments.get({ userId: 'me', messageId, id: attachmentId });
+    return response.data.data;
+  }
+
+  async testConnection() {
+    const gmail = await this.gmailMultiAuth.getGmailClient(this.accountEmail);
+    await gmail.users.getProfile({ userId: 'me' });
+    return true;
+  }
+}
+
+module.exports = GmailSource;
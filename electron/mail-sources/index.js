@@ -0,0 +1,219 @@
+// electron/mail-sources/index.js
+// Registry of the mail sources that gmail:sync-all iterates over.
+//
+// Every source exposes the same interface:
+//   type                       - 'gmail' | 'imap'
+//   accountEmail               - key used in email_sync / jobs.account_email
+//   fetchMessages(options)     - one page of Gmail-shaped messages:
+//                                { messages, nextPageToken, mode, cursor, fetchStats }
+//                                options: { maxResults, pageSize, query, since, fullSync, pageToken }
+//   commitCursor(cursor, { pageToken }) - persist the cursor once the messages are processed;
+//                                pageToken is set when a full listing stopped at maxResults
+//   testConnection()
+//   fetchAttachment(messageId, attachmentId) - optional; base64url body of an attachment
+//                                the message only references (Gmail)
+//
+// Accounts of every type are listed in mail_accounts. Gmail accounts stay in
+// gmail_accounts; the mail_accounts rows for Gmail are kept in step with it.
+// Credentials (Gmail tokens, IMAP passwords) are in the secret store.
+
+const GmailSource = require('./gmail-source');
+const ImapSource = require('./imap-source');
+
+const SOURCE_TYPES = ['gmail', 'imap'];
+
+class MailSourceRegistry {
+  /**
+   * @param {object} db - better-sqlite3 connection
+   * @param {() => object} getGmailMultiAuth - lazily created GmailMultiAuth
+   * @param {import('../secrets').SecretStore} secrets - holds the IMAP passwords
+   */
+  constructor(db, getGmailMultiAuth, secrets) {
+    this.db = db;
+    this.getGmailMultiAuth = getGmailMultiAuth;
+    this.secrets = secrets;
+  }
+
+  static accountId(sourceType, email) {
+    return `${sourceType}:${email.toLowerCase()}`;
+  }
+
+  parseRow(row) {
+    if (!row) return null;
+    const parse = (value) => {
+      try {
+        return value ? JSON.parse(value) : null;
+      } catch (e) {
+        return null;
+      }
+    };
+    return { ...row, config: parse(row.config) || {}, sync_state: parse(row.sync_state) };
+  }
+
+  // Whether mail_accounts still holds the passwords: migration 016 is waiting for the secret store
+  secretsInDatabase() {
+    return this.db.prepare('PRAGMA table_info(mail_accounts)').all().some(col => col.name === 'secret');
+  }
+
+  static secretKey(id) {
+    return `mail-account:${id}`;
+  }
+
+  // Mirror connected Gmail accounts into mail_accounts
+  syncGmailAccounts() {
+    let gmailAccounts = [];
+    try {
+      gmailAccounts = this.getGmailMultiAuth().getAllAccounts();
+    } catch (error) {
+      console.error('MailSourceRegistry: Gmail accounts unavailable:', error.message);
+      return [];
+    }
+
+    const upsert = this.db.prepare(`
+      INSERT OR IGNORE INTO mail_accounts (id, source_type, email, display_name, last_sync)
+      VALUES (?, 'gmail', ?, ?, ?)
+    `);
+    for (const account of gmailAccounts) {
+      upsert.run(MailSourceRegistry.accountId('gmail', account.email), account.email, account.display_name || null, account.last_sync || null);
+    }
+
+    const connected = new Set(gmailAccounts.map(account => MailSourceRegistry.accountId('gmail', account.email)));
+    const stale = this.db.prepare("SELECT id FROM mail_accounts WHERE source_type = 'gmail'").all()
+      .filter(row => !connected.has(row.id));
+    for (const row of stale) {
+      this.db.prepare('DELETE FROM mail_accounts WHERE id = ?').run(row.id);
+    }
+
+    return gmailAccounts;
+  }
+
+  /**
+   * All accounts, without secrets, for display
+   */
+  listAccounts() {
+    const gmailAccounts = this.syncGmailAccounts();
+    const gmailLastSync = new Map(gmailAccounts.map(account => [account.email, account.last_sync]));
+
+    return this.db.prepare(`
+      SELECT id, source_type, email, display_name, config, sync_enabled, last_sync, created_at
+      FROM mail_accounts
+      ORDER BY created_at
+    `).all().map(row => {
+      const account = this.parseRow(row);
+      return {
+        ...account,
+        last_sync: account.source_type === 'gmail' ? gmailLastSync.get(account.email) || account.last_sync : account.last_sync
+      };
+    });
+  }
+
+  /**
+   * Sources for every sync-enabled account
+   */
+  listSources() {
+    const gmailAccounts = this.syncGmailAccounts();
+    const sources = gmailAccounts.map(account => new GmailSource(account, this.getGmailMultiAuth()));
+
+    const imapRows = this.db.prepare(`
+      SELECT * FROM mail_accounts WHERE source_type = 'imap' AND sync_enabled = 1 ORDER BY created_at
+    `).all();
+    const secretsInDatabase = this.secretsInDatabase();
+    for (const row of imapRows) {
+      const account = this.parseRow(row);
+      if (!secretsInDatabase) {
+        account.secret = this.secrets.get(MailSourceRegistry.secretKey(account.id));
+      }
+      sources.push(new ImapSource(account, this));
+    }
+
+    return sources;
+  }
+
+  /**
+   * Validate, test and save an IMAP account
+   */
+  async addImapAccount({ email, displayName, host, port = 993, secure = true, username, password, mailbox = 'INBOX', allowSelfSigned = false }) {
+    if (!email || !host || !password) {
+      throw new Error('Email, host and password are required');
+    }
+
+    const account = {
+      id: MailSourceRegistry.accountId('imap', email),
+      email,
+      display_name: displayName || email,
+      config: { host, port: Number(port), secure: !!secure, username: username || email, mailbox, allowSelfSigned: !!allowSelfSigned },
+      secret: password,
+      sync_state: null
+    };
+
+    // Refuse to save credentials that don't work
+    const source = new ImapSource(account, this);
+    const status = await source.testConnection();
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO mail_accounts (id, source_type, email, display_name, config)
+        VALUES (?, 'imap', ?, ?, ?)
+        ON CONFLICT(id) DO UPDATE SET
+          display_name = excluded.display_name,
+          config = excluded.config,
+          sync_state = NULL
+      `).run(account.id, email, account.display_name, JSON.stringify(account.config));
+      if (this.secretsInDatabase()) {
+        this.db.prepare('UPDATE mail_accounts SET secret = ? WHERE id = ?').run(password, account.id);
+      } else {
+        this.secrets.set(MailSourceRegistry.secretKey(account.id), password);
+      }
+    })();
+
+    return { id: account.id, email, ...status };
+  }
+
+  async testImapAccount(settings) {
+    const source = new ImapSource({
+      id: null,
+      email: settings.email,
+      config: { ...settings, username: settings.username || settings.email },
+      secret: settings.password
+    }, this);
+    return source.testConnection();
+  }
+
+  removeAccount(id) {
+    const row = this.db.prepare('SELECT source_type, email FROM mail_accounts WHERE id = ?').get(id);
+    if (!row) return false;
+
+    if (row.source_type === 'gmail') {
+      this.getGmailMultiAuth().removeAccount(row.email);
+    }
+    this.db.prepare('DELETE FROM mail_accounts WHERE id = ?').run(id);
+    if (row.source_type === 'imap' && !this.secretsInDatabase()) {
+      try {
+        this.secrets.delete(MailSourceRegistry.secretKey(id));
+      } catch (error) {
+        console.error('MailSourceRegistry: Could not remove the account password:', error.message);
+      }
+    }
+    return true;
+  }
+
+  saveSyncState(id, state) {
+    if (!id) return;
+    this.db.prepare('UPDATE mail_accounts SET sync_state = ? WHERE id = ?').run(JSON.stringify(state), id);
+  }
+
+  touchAccount(id) {
+    if (!id) return;
+    this.db.prepare('UPDATE mail_accounts SET last_sync = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+  }
+
+  // Forget incremental cursors so the next sync re-lists the full date window
+  resetSyncState() {
+    this.db.prepare('UPDATE mail_accounts SET sync_state = NULL').run();
+  }
+}
+
+module.exports = {
+  MailSourceRegistry,
+  SOURCE_TYPES
+};
@@ -0,0 +1,105 @@
+// electron/mail-sources/message-format.js
+// Converts RFC 822 messages parsed by mailparser into the Gmail API message shape
+// that the sync pipeline (_extractEmailContent, _extractDate, headers lookups) expects.
+
+const { simpleParser } = require('mailparser');
+
+function toBase64Url(text) {
+  return Buffer.from(text, 'utf-8').toString('base64url');
+}
+
+// Keep every raw header (unfolded) but use mailparser's decoded values for the ones
+// the pipeline reads, so encoded-word subjects and senders come through readable.
+function buildHeaders(parsed) {
+  const decoded = {
+    subject: parsed.subject,
+    from: parsed.from?.text,
+    to: parsed.to?.text,
+    date: parsed.date ? parsed.date.toUTCString() : undefined
+  };
+
+  return (parsed.headerLines || []).map(({ key, line }) => {
+    const unfolded = line.replace(/\r?\n[ \t]+/g, ' ');
+    const separator = unfolded.indexOf(':');
+    const name = separator > 0 ? unfolded.slice(0, separator).trim() : key;
+    const value = decoded[key] !== undefined ? decoded[key] : unfolded.slice(separator + 1).trim();
+    return { name, value };
+  });
+}
+
+function isCalendarAttachment(attachment) {
+  const contentType = (attachment.contentType || '').toLowerCase();
+  return contentType === 'text/calendar' || contentType === 'application/ics' ||
+    /\.ics$/i.test(attachment.filename || '');
+}
+
+function normalizeMessageId(messageId) {
+  return messageId ? messageId.trim().replace(/^<|>$/g, '') : null;
+}
+
+// Messages in one conversation share the first Message-ID of their References chain
+function deriveThreadId(parsed) {
+  const references = Array.isArray(parsed.references)
+    ? parsed.references
+    : (parsed.references ? [parsed.references] : []);
+  const root = references[0] || parsed.inReplyTo || parsed.messageId;
+  return normalizeMessageId(root);
+}
+
+/**
+ * Build a Gmail-shaped message from a mailparser result.
+ *
+ * @param {object} parsed - result of simpleParser()
+ * @param {object} options
+ * @param {string} [options.fallbackId] - ID to use when the message has no Message-ID
+ * @param {string} [options.accountEmail]
+ * @param {string[]} [options.labelIds]
+ * @param {Date} [options.internalDate] - server receive time, when known
+ */
+function toPipelineMessage(parsed, options = {}) {
+  const { fallbackId = null, accountEmail = null, labelIds = ['INBOX'], internalDate = null } = options;
+
+  const text = parsed.text || '';
+  const html = parsed.html || '';
+  const parts = [];
+  if (text) parts.push({ mimeType: 'text/plain', body: { data: toBase64Url(text) } });
+  if (html) parts.push({ mimeType: 'text/html', body: { data: toBase64Url(html) } });
+  // Calendar invitations, for the interview extractor; other attachments are not needed
+  for (const attachment of parsed.attachments || []) {
+    if (isCalendarAttachment(attachment)) {
+      parts.push({
+        mimeType: 'text/calendar',
+        filename: attachment.filename || 'invite.ics',
+        body: { data: attachment.content.toString('base64url') }
+      });
+    }
+  }
+
+  const receivedAt = internalDate || parsed.date || null;
+  const id = normalizeMessageId(parsed.messageId) || fallbackId;
+
+  return {
+    id,
+    threadId: deriveThreadId(parsed) || id,
+    labelIds,
+    snippet: text.replace(/\s+/g, ' ').trim().substring(0, 200),
+    internalDate: receivedAt ? String(receivedAt.getTime()) : undefined,
+    accountEmail,
+    payload: {
+      mimeType: 'multipart/alternative',
+      headers: buildHeaders(parsed),
+      parts
+    }
+  };
+}
+
+async function parseRawMessage(source, options = {}) {
+  const parsed = await simpleParser(source, { skipImageLinks: true, skipTextToHtml: true });
+  return toPipelineMessage(parsed, options);
+}
+
+module.exports = {
+  toPipelineMessage,
+  parseRawMessage,
+  normalizeMessageId
+};
@@ -156,36 +156,10 @@ function createTray() {
     }
     
     tray = new Tray(iconPath);
+    updateTrayMenu(getSyncScheduler().getStatus());
     
-    const contextMenu = Menu.buildFromTemplate([
-      {
-        label: 'Show App',
-        click: () => {
-          if (mainWindow) {
-            mainWindow.show();
-            mainWindow.focus();
-          }
-        }
-      },
-      {
-        label: 'Sync Now',
-        click: () => {
-          if (mainWindow) {
-            mainWindow.webContents.send('sync-now');
-          }
-        }
-      },
-      { type: 'separator' },
-      {
-        label: 'Quit',
-        click: () => {
-          app.quit();
-        }
-      }
-    ]);
-    
-    tray.setToolTip('OnlyJobs Desktop');
-    tray.setContextMenu(contextMenu);
+    // Keep the next-run time in the tray current
+    getSyncScheduler().on('status', updateTrayMenu);
     
     // Show window on tray click (macOS/Windows)
     tray.on('click', () => {
@@ -203,6 +177,61 @@ function createTray() {
   }
 }
 
+// Rebuild the tray menu with the background sync state
+function updateTrayMenu(schedule) {
+  if (!tray) return;
+  
+  let syncLabel = 'Background sync off';
+  if (schedule.running) {
+    syncLabel = 'Syncing...';
+  } else if (schedule.nextRunAt) {
+    syncLabel = `Next sync at ${new Date(schedule.nextRunAt).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+  }
+  
+  const contextMenu = Menu.buildFromTemplate([
+    {
+      label: 'Show App',
+      click: () => {
+        if (mainWindow) {
+          mainWindow.show();
+          mainWindow.focus();
+        } else {
+          createWindow();
+        }
+      }
+    },
+    { type: 'separator' },
+    { label: syncLabel, enabled: false },
+    {
+      label: 'Sync Now',
+      enabled: !schedule.running,
+      click: () => {
+        getSyncScheduler().runNow('tray');
+      }
+    },
+    {
+      label: 'Sync in Background',
+      type: 'checkbox',
+      checked: schedule.enabled,
+      click: (menuItem) => {
+        setBackgroundSyncEnabled(menuItem.checked);
+      }
+    },
+    { type: 'separator' },
+    {
+      label: 'Quit',
+      click: () => {
+        app.quit();
+      }
+    }
+  ]);
+  
+  tray.setToolTip(schedule.lastRunStatus === 'failed'
+    ? `OnlyJobs Desktop - last sync failed: ${schedule.lastError}`
+    : `OnlyJobs Desktop - ${syncLabel}`);
+  tray.setContextMenu(contextMenu);
+}
+
 // Create app menu
 function createMenu() {
   const template = [
@@ -311,22 +340,31 @@ function createMenu() {
 }
 
 // Load IPC handlers before app is ready
-require('./ipc-handlers');
+const { getSyncScheduler, getFollowUpEngine, setBackgroundSyncEnabled, applyLLMBackendSetting } = require('./ipc-handlers');
 
 // App event handlers
 app.whenReady().then(() => {
+  applyLLMBackendSetting();
   createWindow();
   createTray();
   createMenu();
+  getSyncScheduler().start();
+  getFollowUpEngine().start();
 });
 
 app.on('window-all-closed', () => {
-  // On macOS, keep app running even when all windows are closed
-  if (process.platform !== 'darwin') {
+  // On macOS, keep app running even when all windows are closed.
+  // Elsewhere, keep syncing quietly from the tray when background sync is on.
+  if (process.platform !== 'darwin' && !(tray && getSyncScheduler().isEnabled())) {
     app.quit();
   }
 });
 
+app.on('before-quit', () => {
+  getSyncScheduler().stop();
+  getFollowUpEngine().stop();
+});
+
 app.on('activate', () => {
   // On macOS, re-create window when dock icon is clicked
   if (BrowserWindow.getAllWindows().length === 0) {
@@ -0,0 +1,173 @@
+// Accounts, jobs, email_sync and the sync status tables, and the upgrades of the
+// first jobs schema (no gmail_message_id, lowercase statuses) and its emails table
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+}
+
+function upgradeFirstJobsTable(db) {
+  const columns = columnNames(db, 'jobs');
+  if (columns.length === 0) return;
+
+  for (const name of ['account_email', 'from_address']) {
+    if (!columns.includes(name)) {
+      console.log(`Adding missing ${name} column to jobs table...`);
+      db.exec(`ALTER TABLE jobs ADD COLUMN ${name} TEXT`);
+    }
+  }
+  if (columns.includes('gmail_message_id')) return;
+
+  console.log('Migrating jobs table to new schema...');
+  db.exec(`
+    CREATE TABLE jobs_new (
+      id TEXT PRIMARY KEY,
+      gmail_message_id TEXT,
+      company TEXT NOT NULL,
+      position TEXT NOT NULL,
+      status TEXT DEFAULT 'Applied',
+      applied_date DATE,
+      location TEXT,
+      salary_range TEXT,
+      notes TEXT,
+      ml_confidence REAL,
+      account_email TEXT,
+      from_address TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    INSERT INTO jobs_new (id, company, position, status, applied_date, location, salary_range, notes, ml_confidence, created_at, updated_at, gmail_message_id, account_email, from_address)
+    SELECT
+      id,
+      company,
+      position,
+      CASE
+        WHEN status = 'active' THEN 'Applied'
+        WHEN status = 'applied' THEN 'Applied'
+        WHEN status = 'interviewing' THEN 'Interviewed'
+        WHEN status = 'offered' THEN 'Offer'
+        WHEN status = 'rejected' THEN 'Declined'
+        WHEN status = 'withdrawn' THEN 'Declined'
+        ELSE 'Applied'
+      END as status,
+      COALESCE(applied_date, date('now')) as applied_date,
+      location,
+      salary_range,
+      notes,
+      ml_confidence,
+      COALESCE(created_at, datetime('now')) as created_at,
+      COALESCE(updated_at, datetime('now')) as updated_at,
+      'migrated_' || id as gmail_message_id,
+      'unknown' as account_email,
+      'migrated' as from_address
+    FROM jobs;
+
+    DROP TABLE jobs;
+    ALTER TABLE jobs_new RENAME TO jobs;
+  `);
+}
+
+module.exports = {
+  version: 1,
+  name: 'core-tables',
+  up(db) {
+    upgradeFirstJobsTable(db);
+
+    // The first schema kept emails in their own table; jobs hold what is needed now
+    db.exec('DROP TABLE IF EXISTS emails');
+
+    const syncColumns = columnNames(db, 'email_sync');
+    if (syncColumns.length > 0 && !syncColumns.includes('account_email')) {
+      console.log('Adding account_email column to email_sync table...');
+      db.exec("ALTER TABLE email_sync ADD COLUMN account_email TEXT DEFAULT 'unknown@gmail.com'");
+    }
+
+    db.exec(`
+      -- Gmail accounts table for multi-account support
+      CREATE TABLE IF NOT EXISTS gmail_accounts (
+        id TEXT,
+        email TEXT PRIMARY KEY,
+        display_name TEXT,
+        access_token TEXT,
+        refresh_token TEXT,
+        token_expiry TIMESTAMP,
+        sync_enabled BOOLEAN DEFAULT 1,
+        is_active BOOLEAN DEFAULT 1,
+        last_sync TIMESTAMP,
+        history_id TEXT,
+        connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS jobs (
+        id TEXT PRIMARY KEY,
+        gmail_message_id TEXT NOT NULL,
+        company TEXT NOT NULL,
+        position TEXT NOT NULL,
+        status TEXT DEFAULT 'Applied',
+        applied_date DATE,
+        location TEXT,
+        salary_range TEXT,
+        notes TEXT,
+        ml_confidence REAL,
+        account_email TEXT,
+        from_address TEXT,
+        thread_id TEXT,
+        company_domain TEXT,
+        normalized_position TEXT,
+        last_contact_date DATETIME,
+        email_count INTEGER DEFAULT 1,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(gmail_message_id, account_email)
+      );
+
+      -- Email sync tracking table
+      CREATE TABLE IF NOT EXISTS email_sync (
+        gmail_message_id TEXT,
+        account_email TEXT NOT NULL,
+        processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        is_job_related BOOLEAN DEFAULT 0,
+        PRIMARY KEY (gmail_message_id, account_email)
+      );
+
+      CREATE TABLE IF NOT EXISTS sync_status (
+        id INTEGER PRIMARY KEY CHECK (id = 1),
+        last_fetch_time TIMESTAMP,
+        last_classify_time TIMESTAMP,
+        last_sync_status TEXT,
+        total_emails_fetched INTEGER DEFAULT 0,
+        total_emails_classified INTEGER DEFAULT 0,
+        total_jobs_found INTEGER DEFAULT 0
+      );
+
+      CREATE TABLE IF NOT EXISTS sync_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        sync_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        accounts_synced INTEGER,
+        emails_fetched INTEGER,
+        emails_processed INTEGER,
+        emails_classified INTEGER,
+        jobs_found INTEGER,
+        new_jobs INTEGER,
+        updated_jobs INTEGER,
+        duration_ms INTEGER,
+        status TEXT,
+        error_message TEXT
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_jobs_company ON jobs(company);
+      CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status);
+      CREATE INDEX IF NOT EXISTS idx_jobs_gmail_id ON jobs(gmail_message_id);
+      CREATE INDEX IF NOT EXISTS idx_jobs_account ON jobs(account_email);
+      CREATE INDEX IF NOT EXISTS idx_email_sync_account ON email_sync(account_email);
+
+      INSERT OR IGNORE INTO sync_status (id) VALUES (1);
+    `);
+
+    // Accounts connected before incremental sync
+    if (!columnNames(db, 'gmail_accounts').includes('history_id')) {
+      db.exec('ALTER TABLE gmail_accounts ADD COLUMN history_id TEXT');
+    }
+  }
+};
@@ -0,0 +1,74 @@
+// The stage catalogue behind jobs.status, seeded with the default stages, and the
+// removal of the CHECK constraint that limited jobs.status to the four coarse statuses
+
+// The default stages as they were when this migration was written. Kept here rather than
+// read from job-stages.js, so later changes to the app's defaults don't change this migration.
+const DEFAULT_STAGES = [
+  { name: 'Applied', coarse_status: 'Applied', color: '#2196F3', description: 'application submitted, received or under review' },
+  { name: 'Phone Screen', coarse_status: 'Interviewed', color: '#FFB74D', description: 'recruiter or HR phone call, intro chat, screening call' },
+  { name: 'Assessment', coarse_status: 'Interviewed', color: '#FFA726', description: 'take-home assignment, coding challenge, online test' },
+  { name: 'Interviewed', coarse_status: 'Interviewed', color: '#FF9800', description: 'technical or hiring manager interview, interview scheduling' },
+  { name: 'Onsite', coarse_status: 'Interviewed', color: '#F57C00', description: 'onsite, final round or interview loop' },
+  { name: 'Offer', coarse_status: 'Offer', color: '#9C27B0', description: 'offer letter, offer call, compensation package' },
+  { name: 'Negotiating', coarse_status: 'Offer', color: '#7B1FA2', description: null },
+  { name: 'Accepted', coarse_status: 'Offer', color: '#4CAF50', is_terminal: true, description: 'offer accepted, onboarding, start date' },
+  { name: 'Declined', coarse_status: 'Declined', color: '#F44336', is_terminal: true, description: 'rejection, no longer considered, position closed' },
+  { name: 'Withdrawn', coarse_status: 'Declined', color: '#9E9E9E', is_terminal: true, description: 'candidate withdrew the application' },
+  { name: 'Ghosted', coarse_status: 'Declined', color: '#757575', description: null }
+];
+
+/**
+ * Rebuild a table without its `CHECK(status IN (...))` constraint. SQLite can't drop a
+ * constraint in place, so the table is recreated from its own CREATE statement. The
+ * runner has turned foreign keys off, so the ones pointing at the table don't fire.
+ */
+function dropStatusCheck(db, table) {
+  const row = db.prepare("SELECT sql FROM sqlite_master WHERE type='table' AND name=?").get(table);
+  const checkPattern = /\s*CHECK\s*\(\s*status\s+IN\s*\([^)]*\)\s*\)/i;
+  if (!row || !checkPattern.test(row.sql)) return;
+
+  console.log(`Removing status CHECK constraint from ${table}...`);
+  const indexes = db.prepare("SELECT sql FROM sqlite_master WHERE type='index' AND tbl_name=? AND sql IS NOT NULL").all(table);
+  const createSql = row.sql
+    .replace(checkPattern, '')
+    .replace(new RegExp(`^CREATE TABLE\\s+("?)${table}\\1`, 'i'), `CREATE TABLE ${table}_new`);
+
+  db.exec(createSql);
+  db.exec(`INSERT INTO ${table}_new SELECT * FROM ${table}`);
+  db.exec(`DROP TABLE ${table}`);
+  db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+  for (const index of indexes) {
+    db.exec(index.sql);
+  }
+}
+
+module.exports = {
+  version: 2,
+  name: 'job-stages',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS job_stages (
+        name TEXT PRIMARY KEY,
+        sort_order INTEGER NOT NULL,
+        coarse_status TEXT NOT NULL CHECK(coarse_status IN ('Applied', 'Interviewed', 'Declined', 'Offer')),
+        is_terminal BOOLEAN DEFAULT 0,
+        color TEXT,
+        description TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    const { count } = db.prepare('SELECT COUNT(*) AS count FROM job_stages').get();
+    if (count === 0) {
+      const insert = db.prepare(`
+        INSERT INTO job_stages (name, sort_order, coarse_status, is_terminal, color, description)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `);
+      DEFAULT_STAGES.forEach((stage, index) => {
+        insert.run(stage.name, (index + 1) * 10, stage.coarse_status, stage.is_terminal ? 1 : 0, stage.color, stage.description);
+      });
+    }
+
+    dropStatusCheck(db, 'jobs');
+  }
+};
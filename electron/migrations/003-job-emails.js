@@ -0,0 +1,230 @@
+// job_emails, which links every job email to its job, and the matching columns on
+// jobs. Folds in the two earlier models: the job_applications tables of the old
+// matcher and the email_history JSON kept on each job.
+
+const { loadStages } = require('./legacy-stages');
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+}
+
+function hasTable(db, name) {
+  return !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name=?").get(name);
+}
+
+function insertEmail(db, jobId, email) {
+  return db.prepare(`
+    INSERT OR IGNORE INTO job_emails (
+      job_id, gmail_message_id, account_email, thread_id, subject,
+      from_address, email_date, detected_status,
+      content_snippet, raw_content, is_primary_email
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    jobId,
+    email.gmail_message_id,
+    email.account_email,
+    email.thread_id || null,
+    email.subject || null,
+    email.from_address || null,
+    email.email_date || null,
+    email.detected_status || null,
+    email.content_snippet || null,
+    email.raw_content || null,
+    email.is_primary_email ? 1 : 0
+  );
+}
+
+// Email count, latest contact date and thread of a job, from its job_emails
+function refreshJobSummary(db, jobId) {
+  db.prepare(`
+    UPDATE jobs SET
+      email_count = (SELECT COUNT(*) FROM job_emails WHERE job_id = ?),
+      last_contact_date = COALESCE((SELECT MAX(email_date) FROM job_emails WHERE job_id = ?), last_contact_date, applied_date),
+      thread_id = COALESCE(thread_id, (SELECT thread_id FROM job_emails WHERE job_id = ? AND thread_id IS NOT NULL ORDER BY email_date LIMIT 1)),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(jobId, jobId, jobId, jobId);
+}
+
+/**
+ * Fold job_applications (and their emails) written by the old matcher into jobs
+ */
+function migrateLegacyApplications(db) {
+  if (!hasTable(db, 'job_applications')) return;
+
+  console.log('Migrating job_applications into jobs...');
+  const stages = loadStages(db);
+  const legacyEmails = hasTable(db, 'job_emails_legacy')
+    ? db.prepare('SELECT * FROM job_emails_legacy ORDER BY email_date ASC').all()
+    : [];
+
+  const applications = db.prepare('SELECT * FROM job_applications').all();
+  for (const application of applications) {
+    const emails = legacyEmails.filter(email => email.job_id === application.job_id);
+    const primary = emails.find(email => email.is_primary_email) || emails[0];
+
+    db.prepare(`
+      INSERT OR IGNORE INTO jobs (
+        id, gmail_message_id, company, position, status, applied_date, location,
+        account_email, from_address, thread_id, company_domain, normalized_position,
+        last_contact_date, email_count, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, 'unknown', ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      application.job_id,
+      primary ? primary.email_id : `migrated_${application.job_id}`,
+      application.company || 'Unknown',
+      application.job_title || 'Unknown Position',
+      stages.resolve(application.status),
+      application.first_contact_date,
+      application.location,
+      primary ? primary.from_address : null,
+      application.thread_id,
+      application.company_domain,
+      application.normalized_job_title,
+      application.last_contact_date,
+      Math.max(emails.length, 1),
+      application.created_at,
+      application.updated_at
+    );
+
+    for (const email of emails) {
+      insertEmail(db, application.job_id, {
+        gmail_message_id: email.email_id,
+        account_email: 'unknown',
+        thread_id: email.gmail_thread_id,
+        subject: email.subject,
+        from_address: email.from_address,
+        email_date: email.email_date,
+        detected_status: email.detected_status,
+        content_snippet: email.content_snippet,
+        raw_content: email.raw_content,
+        is_primary_email: email === primary
+      });
+    }
+  }
+
+  db.exec('DROP TABLE job_applications');
+  db.exec('DROP TABLE IF EXISTS job_emails_legacy');
+  console.log(`Migrated ${applications.length} job applications into jobs`);
+}
+
+/**
+ * Fold the JSON email_history kept on each job into job_emails rows, then drop
+ * the columns that only the JSON model used
+ */
+function migrateEmailHistory(db) {
+  const columns = columnNames(db, 'jobs');
+  if (!columns.includes('email_history')) return;
+
+  console.log('Migrating jobs.email_history into job_emails...');
+  const hasContent = columns.includes('email_content');
+  const jobs = db.prepare(`
+    SELECT id, gmail_message_id, account_email, from_address, status, applied_date, notes,
+      email_history${hasContent ? ', email_content' : ''}
+    FROM jobs
+  `).all();
+
+  let migratedEmails = 0;
+  for (const job of jobs) {
+    let history = [];
+    try {
+      history = JSON.parse(job.email_history || '[]');
+    } catch (e) {
+      console.error(`Unreadable email_history for job ${job.id}, keeping only its primary email`);
+    }
+    if (!Array.isArray(history) || history.length === 0) {
+      history = [{ gmail_message_id: job.gmail_message_id, date: job.applied_date }];
+    }
+
+    // email_content held the newest email's body
+    for (const [index, entry] of history.entries()) {
+      if (!entry || !entry.gmail_message_id) continue;
+      const isLast = index === history.length - 1;
+      const result = insertEmail(db, job.id, {
+        gmail_message_id: entry.gmail_message_id,
+        account_email: job.account_email,
+        subject: entry.subject,
+        from_address: index === 0 ? job.from_address : null,
+        email_date: entry.date,
+        detected_status: index === 0 ? 'Applied' : null,
+        content_snippet: index === 0 ? job.notes : null,
+        raw_content: isLast && hasContent ? job.email_content : null,
+        is_primary_email: entry.gmail_message_id === job.gmail_message_id
+      });
+      migratedEmails += result.changes;
+    }
+
+    refreshJobSummary(db, job.id);
+  }
+
+  for (const column of ['email_history', 'email_content', 'similarity_key']) {
+    if (!columns.includes(column)) continue;
+    try {
+      db.exec(`ALTER TABLE jobs DROP COLUMN ${column}`);
+    } catch (error) {
+      // Indexed columns can't be dropped; they're unused either way
+      console.log(`Keeping unused jobs.${column} column:`, error.message);
+    }
+  }
+  console.log(`Migrated ${migratedEmails} emails from ${jobs.length} jobs into job_emails`);
+}
+
+module.exports = {
+  version: 3,
+  name: 'job-emails',
+  up(db) {
+    // jobs tables from before job_emails existed
+    const columns = columnNames(db, 'jobs');
+    const required = {
+      thread_id: 'TEXT',
+      company_domain: 'TEXT',
+      normalized_position: 'TEXT',
+      last_contact_date: 'DATETIME',
+      email_count: 'INTEGER DEFAULT 1'
+    };
+    for (const [name, type] of Object.entries(required)) {
+      if (!columns.includes(name)) {
+        console.log(`Adding missing ${name} column to jobs table...`);
+        db.exec(`ALTER TABLE jobs ADD COLUMN ${name} ${type}`);
+      }
+    }
+
+    // The old job_applications schema also named its email table job_emails
+    const emailColumns = columnNames(db, 'job_emails');
+    if (emailColumns.includes('email_id') && !emailColumns.includes('gmail_message_id')) {
+      console.log('Renaming legacy job_emails table...');
+      db.exec('ALTER TABLE job_emails RENAME TO job_emails_legacy');
+    }
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS job_emails (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        gmail_message_id TEXT NOT NULL,
+        account_email TEXT,
+        thread_id TEXT,
+        subject TEXT,
+        from_address TEXT,
+        email_date DATETIME,
+        detected_status TEXT,
+        content_snippet TEXT,
+        raw_content TEXT,
+        is_primary_email BOOLEAN DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(gmail_message_id, account_email),
+        FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE
+      );
+    `);
+
+    migrateLegacyApplications(db);
+    migrateEmailHistory(db);
+
+    // After the legacy table is gone, whose indexes may have had these names
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_job_emails_job ON job_emails(job_id);
+      CREATE INDEX IF NOT EXISTS idx_job_emails_thread ON job_emails(account_email, thread_id);
+      CREATE INDEX IF NOT EXISTS idx_jobs_company_domain ON jobs(company_domain);
+      CREATE INDEX IF NOT EXISTS idx_jobs_normalized_position ON jobs(normalized_position);
+    `);
+  }
+};
@@ -0,0 +1,111 @@
+// The status timeline of each job. Jobs from before it get their history from their
+// emails and the old job_status_history table, the way JobTimeline.backfillMissingEvents
+// did it when this migration was written.
+
+const { loadStages } = require('./legacy-stages');
+
+/**
+ * Status a job's events lead to, oldest first: detected stages never move a job back to
+ * Applied or out of a terminal stage
+ */
+function deriveStatus(stages, events) {
+  let status = null;
+  for (const event of events) {
+    if (event.source === 'automatic' && status) {
+      const movesBackToApplied = stages.toCoarse(event.status) === 'Applied' && stages.toCoarse(status) !== 'Applied';
+      if (movesBackToApplied || stages.isTerminal(status)) {
+        continue;
+      }
+    }
+    status = event.status;
+  }
+  return status;
+}
+
+/**
+ * Events for jobs that have none: one per email with a detected status, the old
+ * matcher's job_status_history, and the stored status when nothing else explains it
+ */
+function backfillEvents(db) {
+  const stages = loadStages(db);
+  const jobs = db.prepare(`
+    SELECT j.id, j.status, j.applied_date, j.last_contact_date
+    FROM jobs j
+    WHERE NOT EXISTS (SELECT 1 FROM job_status_events e WHERE e.job_id = j.id)
+  `).all();
+  const hasLegacyHistory = !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='job_status_history'").get();
+
+  if (jobs.length > 0) {
+    console.log(`Backfilling status timeline for ${jobs.length} jobs...`);
+  }
+
+  const insert = db.prepare(`
+    INSERT INTO job_status_events (job_id, status, source, gmail_message_id, account_email, detected_status, occurred_at)
+    VALUES (?, ?, 'migration', ?, ?, ?, ?)
+  `);
+  const detections = db.prepare(`
+    SELECT gmail_message_id, account_email, detected_status, email_date
+    FROM job_emails
+    WHERE job_id = ? AND detected_status IS NOT NULL
+    ORDER BY email_date ASC, id ASC
+  `);
+  const legacyHistory = hasLegacyHistory
+    ? db.prepare('SELECT status, email_id, change_date FROM job_status_history WHERE job_id = ? ORDER BY change_date')
+    : null;
+  const events = db.prepare('SELECT * FROM job_status_events WHERE job_id = ? ORDER BY datetime(occurred_at) ASC, id ASC');
+  const latestDate = db.prepare(`
+    SELECT MAX(datetime(value)) AS latest FROM (
+      SELECT occurred_at AS value FROM job_status_events WHERE job_id = ?
+      UNION ALL SELECT ? UNION ALL SELECT ?
+    )
+  `);
+
+  for (const job of jobs) {
+    for (const email of detections.all(job.id)) {
+      insert.run(job.id, stages.resolve(email.detected_status), email.gmail_message_id, email.account_email,
+        email.detected_status, email.email_date || job.applied_date);
+    }
+    if (legacyHistory) {
+      for (const entry of legacyHistory.all(job.id)) {
+        insert.run(job.id, stages.resolve(entry.status), entry.email_id, null, entry.status, entry.change_date);
+      }
+    }
+
+    // Keep the stored status current when the detections don't lead to it; the event goes
+    // last so the timeline ends on it
+    if (deriveStatus(stages, events.all(job.id)) !== job.status && stages.has(job.status)) {
+      const { latest } = latestDate.get(job.id, job.last_contact_date, job.applied_date);
+      insert.run(job.id, job.status, null, null, null, latest || new Date().toISOString());
+    }
+  }
+
+  if (hasLegacyHistory) {
+    db.exec('DROP TABLE job_status_history');
+  }
+}
+
+module.exports = {
+  version: 4,
+  name: 'job-status-events',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS job_status_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        source TEXT NOT NULL CHECK(source IN ('automatic', 'manual', 'migration')),
+        gmail_message_id TEXT,
+        account_email TEXT,
+        detected_status TEXT,
+        confidence REAL,
+        occurred_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_job_status_events_job ON job_status_events(job_id, occurred_at);
+    `);
+
+    backfillEvents(db);
+  }
+};
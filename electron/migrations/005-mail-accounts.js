@@ -0,0 +1,25 @@
+// IMAP accounts, and Gmail accounts mirrored from gmail_accounts, for the mail source registry
+
+module.exports = {
+  version: 5,
+  name: 'mail-accounts',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS mail_accounts (
+        id TEXT PRIMARY KEY,
+        source_type TEXT NOT NULL CHECK(source_type IN ('gmail', 'imap')),
+        email TEXT NOT NULL,
+        display_name TEXT,
+        config TEXT,
+        secret TEXT,
+        sync_enabled BOOLEAN DEFAULT 1,
+        sync_state TEXT,
+        last_sync TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(source_type, email)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_mail_accounts_type ON mail_accounts(source_type);
+    `);
+  }
+};
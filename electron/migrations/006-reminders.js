@@ -0,0 +1,27 @@
+// Follow-up reminders and ghosted detection (electron/follow-up-engine.js)
+
+module.exports = {
+  version: 6,
+  name: 'reminders',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS reminders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        kind TEXT NOT NULL CHECK(kind IN ('no_response', 'interview_follow_up')),
+        source_key TEXT NOT NULL,
+        message TEXT NOT NULL,
+        due_at DATETIME NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK(status IN ('pending', 'notified', 'snoozed', 'dismissed', 'resolved')),
+        snoozed_until DATETIME,
+        notified_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(job_id, kind, source_key),
+        FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reminders_status ON reminders(status, due_at);
+    `);
+  }
+};
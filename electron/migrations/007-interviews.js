@@ -0,0 +1,36 @@
+// Interviews found in job emails (electron/interview-calendar.js)
+
+module.exports = {
+  version: 7,
+  name: 'interviews',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS interviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT NOT NULL,
+        uid TEXT NOT NULL UNIQUE,
+        sequence INTEGER DEFAULT 0,
+        source TEXT NOT NULL CHECK(source IN ('calendar', 'llm', 'manual')),
+        status TEXT NOT NULL DEFAULT 'confirmed' CHECK(status IN ('confirmed', 'tentative', 'cancelled')),
+        title TEXT NOT NULL,
+        start_at DATETIME NOT NULL,
+        end_at DATETIME,
+        all_day BOOLEAN DEFAULT 0,
+        timezone TEXT,
+        location TEXT,
+        meeting_url TEXT,
+        interviewer TEXT,
+        organizer_email TEXT,
+        description TEXT,
+        gmail_message_id TEXT,
+        account_email TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (job_id) REFERENCES jobs (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_interviews_job ON interviews(job_id);
+      CREATE INDEX IF NOT EXISTS idx_interviews_start ON interviews(start_at);
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// Decisions of the pre-LLM email gate, kept for review (electron/email-gate.js)
+
+module.exports = {
+  version: 8,
+  name: 'email-gate-decisions',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS email_gate_decisions (
+        gmail_message_id TEXT NOT NULL,
+        account_email TEXT NOT NULL,
+        decision TEXT NOT NULL CHECK(decision IN ('skip', 'classify')),
+        rule TEXT NOT NULL,
+        detail TEXT,
+        from_address TEXT,
+        subject TEXT,
+        decided_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (gmail_message_id, account_email)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_email_gate_decision ON email_gate_decisions(decision, decided_at);
+    `);
+  }
+};
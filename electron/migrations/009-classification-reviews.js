@@ -0,0 +1,37 @@
+// The Needs Review queue of uncertain classifications (electron/review-queue.js)
+
+module.exports = {
+  version: 9,
+  name: 'classification-reviews',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS classification_reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        gmail_message_id TEXT NOT NULL,
+        account_email TEXT NOT NULL,
+        thread_id TEXT,
+        subject TEXT,
+        from_address TEXT,
+        email_date DATETIME,
+        snippet TEXT,
+        raw_content TEXT,
+        classification TEXT NOT NULL,
+        confidence REAL,
+        reason TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(gmail_message_id, account_email)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_classification_reviews_status ON classification_reviews(status, created_at);
+    `);
+
+    // Resolving a review: the queue first only held them
+    const columns = db.pragma('table_info(classification_reviews)').map(col => col.name);
+    for (const [name, type] of [['detail', 'TEXT'], ['resolution', 'TEXT'], ['correction', 'TEXT'], ['job_id', 'TEXT'], ['resolved_at', 'DATETIME']]) {
+      if (!columns.includes(name)) {
+        db.exec(`ALTER TABLE classification_reviews ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,27 @@
+// Corrections made by the user, reused as few-shot examples (electron/correction-store.js)
+
+module.exports = {
+  version: 10,
+  name: 'classification-corrections',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS classification_corrections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        job_id TEXT,
+        gmail_message_id TEXT NOT NULL,
+        account_email TEXT NOT NULL,
+        sender_domain TEXT,
+        from_address TEXT,
+        subject TEXT,
+        body_snippet TEXT,
+        model_output TEXT NOT NULL,
+        corrected TEXT NOT NULL,
+        source TEXT NOT NULL CHECK(source IN ('job_edit', 'review')),
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(gmail_message_id, account_email)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_classification_corrections_domain ON classification_corrections(sender_domain);
+    `);
+  }
+};
@@ -0,0 +1,45 @@
+// Checkpoints of each sync run and of every account in it, for resuming (electron/sync-job-store.js)
+
+module.exports = {
+  version: 11,
+  name: 'sync-jobs',
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS sync_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        status TEXT NOT NULL DEFAULT 'running',
+        options TEXT,
+        emails_fetched INTEGER DEFAULT 0,
+        emails_classified INTEGER DEFAULT 0,
+        emails_skipped INTEGER DEFAULT 0,
+        jobs_found INTEGER DEFAULT 0,
+        error_message TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP
+      );
+
+      CREATE TABLE IF NOT EXISTS sync_job_accounts (
+        job_id INTEGER NOT NULL,
+        account_email TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        mode TEXT,
+        page_token TEXT,
+        messages_listed INTEGER DEFAULT 0,
+        target_history_id TEXT,
+        last_message_id TEXT,
+        in_flight_message_id TEXT,
+        emails_fetched INTEGER DEFAULT 0,
+        emails_classified INTEGER DEFAULT 0,
+        emails_skipped INTEGER DEFAULT 0,
+        jobs_found INTEGER DEFAULT 0,
+        error_message TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (job_id, account_email),
+        FOREIGN KEY (job_id) REFERENCES sync_jobs (id) ON DELETE CASCADE
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_sync_jobs_status ON sync_jobs(status);
+    `);
+  }
+};
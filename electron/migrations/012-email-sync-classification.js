@@ -0,0 +1,14 @@
+// Model confidence of each classified email, and the review decision when it was held for review
+
+module.exports = {
+  version: 12,
+  name: 'email-sync-classification',
+  up(db) {
+    const columns = db.pragma('table_info(email_sync)').map(col => col.name);
+    for (const [name, type] of [['confidence', 'REAL'], ['review_decision', 'TEXT']]) {
+      if (!columns.includes(name)) {
+        db.exec(`ALTER TABLE email_sync ADD COLUMN ${name} ${type}`);
+      }
+    }
+  }
+};
@@ -0,0 +1,15 @@
+// The DECISION_VERSION of the prompt and pipeline that classified each email and job,
+// so reprocessing can tell which rows an older prompt decided
+
+module.exports = {
+  version: 13,
+  name: 'decision-versions',
+  up(db) {
+    for (const table of ['email_sync', 'jobs', 'job_emails']) {
+      const columns = db.pragma(`table_info(${table})`).map(col => col.name);
+      if (!columns.includes('decision_version')) {
+        db.exec(`ALTER TABLE ${table} ADD COLUMN decision_version TEXT`);
+      }
+    }
+  }
+};
@@ -0,0 +1,80 @@
+// Full-text search indexes over jobs and job emails (electron/job-search.js), kept
+// in step with their tables by triggers. Migrations that rebuild jobs or job_emails
+// drop these triggers with the table and must create them again.
+
+const TRIGGERS = {
+  jobs_fts: {
+    jobs_fts_ai: `
+      CREATE TRIGGER jobs_fts_ai AFTER INSERT ON jobs BEGIN
+        INSERT INTO jobs_fts (job_id, company, position, notes) VALUES (new.id, new.company, new.position, new.notes);
+      END`,
+    jobs_fts_au: `
+      CREATE TRIGGER jobs_fts_au AFTER UPDATE OF id, company, position, notes ON jobs BEGIN
+        DELETE FROM jobs_fts WHERE job_id = old.id;
+        INSERT INTO jobs_fts (job_id, company, position, notes) VALUES (new.id, new.company, new.position, new.notes);
+      END`,
+    jobs_fts_ad: `
+      CREATE TRIGGER jobs_fts_ad AFTER DELETE ON jobs BEGIN
+        DELETE FROM jobs_fts WHERE job_id = old.id;
+      END`
+  },
+  job_emails_fts: {
+    job_emails_fts_ai: `
+      CREATE TRIGGER job_emails_fts_ai AFTER INSERT ON job_emails BEGIN
+        INSERT INTO job_emails_fts (rowid, subject, from_address, raw_content)
+        VALUES (new.id, new.subject, new.from_address, new.raw_content);
+      END`,
+    job_emails_fts_au: `
+      CREATE TRIGGER job_emails_fts_au AFTER UPDATE OF subject, from_address, raw_content ON job_emails BEGIN
+        INSERT INTO job_emails_fts (job_emails_fts, rowid, subject, from_address, raw_content)
+        VALUES ('delete', old.id, old.subject, old.from_address, old.raw_content);
+        INSERT INTO job_emails_fts (rowid, subject, from_address, raw_content)
+        VALUES (new.id, new.subject, new.from_address, new.raw_content);
+      END`,
+    job_emails_fts_ad: `
+      CREATE TRIGGER job_emails_fts_ad AFTER DELETE ON job_emails BEGIN
+        INSERT INTO job_emails_fts (job_emails_fts, rowid, subject, from_address, raw_content)
+        VALUES ('delete', old.id, old.subject, old.from_address, old.raw_content);
+      END`
+  }
+};
+
+module.exports = {
+  version: 14,
+  name: 'search-indexes',
+  TRIGGERS,
+  up(db) {
+    const existing = new Set(db.prepare("SELECT name FROM sqlite_master WHERE type = 'trigger'").all().map(row => row.name));
+
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS jobs_fts USING fts5(
+        job_id UNINDEXED, company, position, notes,
+        tokenize = 'porter unicode61 remove_diacritics 2'
+      );
+
+      CREATE VIRTUAL TABLE IF NOT EXISTS job_emails_fts USING fts5(
+        subject, from_address, raw_content,
+        content = 'job_emails', content_rowid = 'id',
+        tokenize = 'porter unicode61 remove_diacritics 2'
+      );
+    `);
+
+    // A missing trigger means rows changed without the index following (a new index,
+    // or a table rebuilt by an earlier migration), so that index is built from its table
+    for (const [index, triggers] of Object.entries(TRIGGERS)) {
+      const missing = Object.keys(triggers).filter(name => !existing.has(name));
+      if (missing.length === 0) continue;
+      for (const name of missing) {
+        db.exec(triggers[name]);
+      }
+      if (index === 'jobs_fts') {
+        db.exec(`
+          DELETE FROM jobs_fts;
+          INSERT INTO jobs_fts (job_id, company, position, notes) SELECT id, company, position, notes FROM jobs;
+        `);
+      } else {
+        db.exec("INSERT INTO job_emails_fts (job_emails_fts) VALUES ('rebuild')");
+      }
+    }
+  }
+};
@@ -0,0 +1,13 @@
+// Matches the default sort of electron/job-query.js, so the first pages of the job
+// list don't sort the whole table
+
+module.exports = {
+  version: 15,
+  name: 'job-list-index',
+  up(db) {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_jobs_default_sort
+      ON jobs(COALESCE(applied_date, ''), COALESCE(created_at, ''), id);
+    `);
+  }
+};
@@ -0,0 +1,96 @@
+// Gmail OAuth tokens and IMAP passwords leave jobs.db for the secret store
+// (electron/secrets.js). Waits until the store can be written: after app ready,
+// and on Linux without a keyring until the vault has a passphrase. Databases
+// without credentials don't wait.
+//
+// secure_delete overwrites the old values instead of leaving them in free pages,
+// and afterCommit clears them from the backups taken before this version.
+
+const Database = require('better-sqlite3');
+const { listBackups } = require('./backups');
+
+const GMAIL_TOKEN_COLUMNS = ['access_token', 'refresh_token'];
+
+function columnNames(db, table) {
+  return db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+}
+
+function hasPlaintextSecrets(db) {
+  const gmailColumns = columnNames(db, 'gmail_accounts');
+  if (GMAIL_TOKEN_COLUMNS.some(column => gmailColumns.includes(column))) {
+    const conditions = GMAIL_TOKEN_COLUMNS.filter(column => gmailColumns.includes(column)).map(column => `${column} IS NOT NULL`);
+    if (db.prepare(`SELECT 1 FROM gmail_accounts WHERE ${conditions.join(' OR ')} LIMIT 1`).get()) return true;
+  }
+  if (columnNames(db, 'mail_accounts').includes('secret')) {
+    if (db.prepare('SELECT 1 FROM mail_accounts WHERE secret IS NOT NULL LIMIT 1').get()) return true;
+  }
+  return false;
+}
+
+// Blank the credential columns of a database; for backups, whose schema is older
+function clearPlaintextSecrets(db) {
+  db.pragma('secure_delete = ON');
+  const gmailColumns = columnNames(db, 'gmail_accounts').filter(column => GMAIL_TOKEN_COLUMNS.includes(column));
+  if (gmailColumns.length > 0) {
+    db.exec(`UPDATE gmail_accounts SET ${gmailColumns.map(column => `${column} = NULL`).join(', ')}`);
+  }
+  if (columnNames(db, 'mail_accounts').includes('secret')) {
+    db.exec('UPDATE mail_accounts SET secret = NULL');
+  }
+}
+
+module.exports = {
+  version: 16,
+  name: 'secrets-out-of-db',
+  ready(db, { secrets } = {}) {
+    return !hasPlaintextSecrets(db) || !!(secrets && secrets.isAvailable());
+  },
+  up(db, { secrets } = {}) {
+    db.pragma('secure_delete = ON');
+
+    const gmailColumns = columnNames(db, 'gmail_accounts');
+    if (gmailColumns.includes('refresh_token')) {
+      const accounts = db.prepare(`
+        SELECT email, access_token, refresh_token FROM gmail_accounts
+        WHERE access_token IS NOT NULL OR refresh_token IS NOT NULL
+      `).all();
+      for (const account of accounts) {
+        secrets.set(`gmail:${account.email}`, JSON.stringify({
+          access_token: account.access_token,
+          refresh_token: account.refresh_token
+        }));
+      }
+      for (const column of GMAIL_TOKEN_COLUMNS) {
+        db.exec(`ALTER TABLE gmail_accounts DROP COLUMN ${column}`);
+      }
+      if (accounts.length > 0) console.log(`🔐 Moved the tokens of ${accounts.length} Gmail account(s) to the secret store`);
+    }
+
+    if (columnNames(db, 'mail_accounts').includes('secret')) {
+      const accounts = db.prepare('SELECT id, secret FROM mail_accounts WHERE secret IS NOT NULL').all();
+      for (const account of accounts) {
+        secrets.set(`mail-account:${account.id}`, account.secret);
+      }
+      db.exec('ALTER TABLE mail_accounts DROP COLUMN secret');
+      if (accounts.length > 0) console.log(`🔐 Moved the passwords of ${accounts.length} IMAP account(s) to the secret store`);
+    }
+  },
+  afterCommit(db, { dbPath } = {}) {
+    // Write the overwritten pages back to the file and empty the WAL that held them
+    db.pragma('wal_checkpoint(TRUNCATE)');
+    db.pragma('secure_delete = OFF');
+
+    if (!dbPath || dbPath === ':memory:') return;
+    for (const backupPath of listBackups(dbPath)) {
+      const backup = new Database(backupPath);
+      try {
+        clearPlaintextSecrets(backup);
+        backup.exec('VACUUM');
+      } finally {
+        backup.close();
+      }
+    }
+  },
+  // For Settings, to say whether credentials are still waiting to move
+  hasPlaintextSecrets
+};
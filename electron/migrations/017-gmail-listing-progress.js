@@ -0,0 +1,15 @@
+// Where a full Gmail listing that stopped at the sync's email limit continues, so
+// the next sync reads the rest of the window before switching to history
+// (GmailMultiAuth.saveListingProgress)
+
+module.exports = {
+  version: 17,
+  name: 'gmail-listing-progress',
+  up(db) {
+    db.exec(`
+      ALTER TABLE gmail_accounts ADD COLUMN listing_page_token TEXT;
+      ALTER TABLE gmail_accounts ADD COLUMN listing_query TEXT;
+      ALTER TABLE gmail_accounts ADD COLUMN listing_history_id TEXT;
+    `);
+  }
+};
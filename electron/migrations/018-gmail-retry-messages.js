@@ -0,0 +1,10 @@
+// Gmail messages whose fetch still failed after every retry, fetched again by the
+// next sync since the history cursor moves past them (GmailMultiAuth.fetchFullMessages)
+
+module.exports = {
+  version: 18,
+  name: 'gmail-retry-messages',
+  up(db) {
+    db.exec('ALTER TABLE gmail_accounts ADD COLUMN retry_message_ids TEXT');
+  }
+};
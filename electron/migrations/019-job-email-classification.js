@@ -0,0 +1,11 @@
+// The classifier's answer for each job email ({ company, position, status }), so a
+// correction records what the model said rather than the job as last edited.
+// Emails attached before this stay NULL: what the model said for them is unknown
+
+module.exports = {
+  version: 19,
+  name: 'job-email-classification',
+  up(db) {
+    db.exec('ALTER TABLE job_emails ADD COLUMN classification TEXT');
+  }
+};
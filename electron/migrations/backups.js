@@ -0,0 +1,57 @@
+// Copies of jobs.db taken before an upgrade, kept next to it as
+// `<name>-v<version>-<time>.bak`
+
+const fs = require('fs');
+const path = require('path');
+
+// Backups kept next to jobs.db; older ones are removed after a successful upgrade
+const MAX_BACKUPS = 5;
+
+function backupPattern(dbPath) {
+  const base = path.basename(dbPath, path.extname(dbPath));
+  return new RegExp(`^${base.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}-v\\d+-\\d{8}T\\d{6}\\.bak$`);
+}
+
+/**
+ * Copy the database to `<name>-v<version>-<time>.bak` beside it with VACUUM INTO,
+ * which writes a consistent copy through the open connection
+ *
+ * @returns {string} path of the backup
+ */
+function backupDatabase(db, dbPath, version) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*$/, '');
+  const base = path.basename(dbPath, path.extname(dbPath));
+  const backupPath = path.join(path.dirname(dbPath), `${base}-v${version}-${stamp}.bak`);
+  if (fs.existsSync(backupPath)) {
+    fs.unlinkSync(backupPath);
+  }
+  db.prepare('VACUUM INTO ?').run(backupPath);
+  return backupPath;
+}
+
+/**
+ * Backups of a database, newest first
+ *
+ * @returns {string[]} paths
+ */
+function listBackups(dbPath) {
+  const dir = path.dirname(dbPath);
+  const pattern = backupPattern(dbPath);
+  return fs.readdirSync(dir)
+    .filter(name => pattern.test(name))
+    .map(name => path.join(dir, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+}
+
+function pruneBackups(dbPath) {
+  for (const backupPath of listBackups(dbPath).slice(MAX_BACKUPS)) {
+    fs.unlinkSync(backupPath);
+  }
+}
+
+module.exports = {
+  backupDatabase,
+  listBackups,
+  pruneBackups,
+  MAX_BACKUPS
+};
@@ -0,0 +1,202 @@
+/**
+ * Schema Migrations
+ *
+ * Every table in jobs.db is created and changed here, by numbered migrations run
+ * in order. `schema_version` records each one applied; opening the database runs
+ * the ones it hasn't seen yet, each in its own transaction, after copying the file
+ * to a backup next to it.
+ *
+ * Databases written before migrations existed have no `schema_version` and come
+ * in several shapes (the first jobs table, job_applications, the email_history
+ * JSON, ...). Migrations 1-15 bring any of them to the schema of the last release
+ * without migrations, so they check what is there before changing it. Later
+ * migrations run on a known schema and can change it directly.
+ *
+ * To change the schema, add the next numbered file to MIGRATIONS. A migration
+ * exports { version, name, up(db, context) }; it must not be edited once
+ * released. A migration that rebuilds jobs or job_emails has to create the
+ * search triggers again (see 014-search-indexes.js).
+ *
+ * A migration that needs something besides the database (the secret store for
+ * 016) gets it in `context`, and can export:
+ * - ready(db, context): false to wait; it is left pending and the next
+ *   runMigrations call tries again. The migrations after it still run, except
+ *   those that list its version in `after`
+ * - after: versions of earlier migrations this one can't run without, for
+ *   migrations that come after one that can wait
+ * - afterCommit(db, context): work outside the transaction once it committed
+ */
+
+const { backupDatabase, pruneBackups } = require('./backups');
+
+const MIGRATIONS = [
+  require('./001-core-tables'),
+  require('./002-job-stages'),
+  require('./003-job-emails'),
+  require('./004-job-status-events'),
+  require('./005-mail-accounts'),
+  require('./006-reminders'),
+  require('./007-interviews'),
+  require('./008-email-gate-decisions'),
+  require('./009-classification-reviews'),
+  require('./010-classification-corrections'),
+  require('./011-sync-jobs'),
+  require('./012-email-sync-classification'),
+  require('./013-decision-versions'),
+  require('./014-search-indexes'),
+  require('./015-job-list-index'),
+  require('./016-secrets-out-of-db'),
+  require('./017-gmail-listing-progress'),
+  require('./018-gmail-retry-messages'),
+  require('./019-job-email-classification')
+];
+
+MIGRATIONS.forEach((migration, index) => {
+  if (migration.version !== index + 1 || typeof migration.up !== 'function') {
+    throw new Error(`Migration ${migration.name || index} is out of order or malformed`);
+  }
+});
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function ensureVersionTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+}
+
+/**
+ * Version of the schema in a database: the latest migration applied, or 0 for
+ * one without migrations applied. Earlier migrations may still be waiting
+ */
+function getSchemaVersion(db) {
+  ensureVersionTable(db);
+  return db.prepare('SELECT COALESCE(MAX(version), 0) AS version FROM schema_version').get().version;
+}
+
+function getAppliedVersions(db) {
+  ensureVersionTable(db);
+  return new Set(db.prepare('SELECT version FROM schema_version').all().map(row => row.version));
+}
+
+// Whether the database holds anything a failed migration could lose
+function hasUserTables(db) {
+  return !!db.prepare(`
+    SELECT name FROM sqlite_master
+    WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_version'
+    LIMIT 1
+  `).get();
+}
+
+/**
+ * Bring a database up to the latest schema, or as far as waiting migrations allow
+ *
+ * @param {object} db - better-sqlite3 connection
+ * @param {object} [options]
+ * @param {string} [options.dbPath] - file to back up; defaults to the connection's file.
+ *   In-memory databases and new, empty files aren't backed up
+ * @param {boolean} [options.backup=true]
+ * @param {object} [options.context] - passed to the migrations, with dbPath added
+ * @param {object[]} [options.migrations] - for tests; MIGRATIONS by default
+ * @returns {{from: number, to: number, applied: string[], backupPath: string|null, waiting: string|null}}
+ *   waiting names the first migration left pending
+ */
+function runMigrations(db, { dbPath = db.name, backup = true, context = {}, migrations = MIGRATIONS } = {}) {
+  const latest = migrations[migrations.length - 1].version;
+  const from = getSchemaVersion(db);
+  if (from > latest) {
+    throw new Error(`jobs.db is at schema version ${from}, newer than this version of the app supports (${latest})`);
+  }
+  const migrationContext = { ...context, dbPath };
+  const appliedVersions = getAppliedVersions(db);
+  const pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+  // Versions left pending so far in this run; ready() sees the schema the migrations before it left
+  const waitingVersions = new Set();
+  const canRun = (migration) => !(migration.after || []).some(version => waitingVersions.has(version))
+    && (!migration.ready || migration.ready(db, migrationContext));
+  const logWaiting = (migration) => {
+    console.log(`⏸️ Migration ${migration.version} (${migration.name}) is waiting; the ones that don't need it run without it`);
+  };
+
+  // Nothing to back up for when every pending migration waits
+  let runnable = false;
+  for (const migration of pending) {
+    if (canRun(migration)) {
+      runnable = true;
+      break;
+    }
+    waitingVersions.add(migration.version);
+  }
+  waitingVersions.clear();
+  if (!runnable) {
+    const waiting = pending.length > 0 ? pending[0].name : null;
+    if (waiting) logWaiting(pending[0]);
+    return { from, to: from, applied: [], backupPath: null, waiting };
+  }
+
+  let backupPath = null;
+  const onDisk = dbPath && dbPath !== ':memory:' && !db.memory;
+  if (backup && onDisk && hasUserTables(db)) {
+    backupPath = backupDatabase(db, dbPath, from);
+    console.log(`💾 Backed up the database to ${backupPath}`);
+  }
+
+  console.log(`🗄️ Migrating the database from schema version ${from} to ${latest}...`);
+  // Table rebuilds would trip foreign keys pointing at the old table; the pragma
+  // has no effect inside a transaction, so it is set around them
+  const foreignKeys = db.pragma('foreign_keys', { simple: true });
+  db.pragma('foreign_keys = OFF');
+  const applied = [];
+  let waiting = null;
+  let current = null;
+  try {
+    for (const migration of pending) {
+      current = migration;
+      if (!canRun(migration)) {
+        waitingVersions.add(migration.version);
+        waiting = waiting || migration.name;
+        logWaiting(migration);
+        continue;
+      }
+      db.transaction(() => {
+        migration.up(db, migrationContext);
+        db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+      })();
+      applied.push(migration.name);
+      console.log(`  ✅ ${String(migration.version).padStart(3, '0')} ${migration.name}`);
+      if (migration.afterCommit) {
+        try {
+          migration.afterCommit(db, migrationContext);
+        } catch (error) {
+          console.error(`Error finishing migration ${migration.version} (${migration.name}):`, error);
+        }
+      }
+    }
+  } catch (error) {
+    console.error(`❌ Migration ${current.version} (${current.name}) failed:`, error);
+    throw new Error(`Database migration ${current.version} (${current.name}) failed: ${error.message}`
+      + (backupPath ? `. The database before the upgrade is saved at ${backupPath}` : ''));
+  } finally {
+    if (foreignKeys) db.pragma('foreign_keys = ON');
+  }
+
+  if (backupPath) {
+    try {
+      pruneBackups(dbPath);
+    } catch (error) {
+      console.error('Error removing old database backups:', error);
+    }
+  }
+  return { from, to: getSchemaVersion(db), applied, backupPath, waiting };
+}
+
+module.exports = {
+  runMigrations,
+  getSchemaVersion,
+  LATEST_VERSION,
+  MIGRATIONS
+};
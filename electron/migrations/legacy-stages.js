@@ -0,0 +1,81 @@
+// Stage lookups for the migrations that map old statuses to stages (003 and 004), as
+// job-stages.js made them when those migrations were written. They read job_stages as
+// migration 002 left it; later changes to the app's stage logic don't reach them.
+
+// Other names the old matcher and classifier used for a default stage
+const STAGE_ALIASES = {
+  interview: 'Interviewed',
+  interviewing: 'Interviewed',
+  rejected: 'Declined',
+  rejection: 'Declined',
+  offered: 'Offer',
+  'phone interview': 'Phone Screen',
+  screen: 'Phone Screen',
+  screening: 'Phone Screen',
+  'take-home': 'Assessment',
+  'take home': 'Assessment',
+  'coding challenge': 'Assessment',
+  'final round': 'Onsite',
+  'on-site': 'Onsite',
+  negotiation: 'Negotiating',
+  withdrew: 'Withdrawn'
+};
+
+// Coarse status of each default stage, for a default stage missing from job_stages
+const DEFAULT_COARSE_STATUS = {
+  Applied: 'Applied',
+  'Phone Screen': 'Interviewed',
+  Assessment: 'Interviewed',
+  Interviewed: 'Interviewed',
+  Onsite: 'Interviewed',
+  Offer: 'Offer',
+  Negotiating: 'Offer',
+  Accepted: 'Offer',
+  Declined: 'Declined',
+  Withdrawn: 'Declined',
+  Ghosted: 'Declined'
+};
+
+const COARSE_STATUSES = ['Applied', 'Interviewed', 'Declined', 'Offer'];
+
+/**
+ * The stages in job_stages, read once
+ *
+ * @returns {{resolve: function(string): string, has: function(string): boolean,
+ *   toCoarse: function(string): string, isTerminal: function(string): boolean}}
+ */
+function loadStages(db) {
+  const stages = db.prepare('SELECT name, coarse_status, is_terminal FROM job_stages ORDER BY sort_order ASC, name ASC').all();
+  const get = (name) => stages.find(stage => stage.name === name) || null;
+  const fallback = stages[0] ? stages[0].name : 'Applied';
+
+  // The stage of that name, then aliases and keywords of the default stages, then the first stage
+  function resolve(status) {
+    if (!status) return fallback;
+    const statusLower = String(status).trim().toLowerCase();
+    const exact = stages.find(stage => stage.name.toLowerCase() === statusLower);
+    if (exact) return exact.name;
+
+    const candidates = [];
+    if (STAGE_ALIASES[statusLower]) candidates.push(STAGE_ALIASES[statusLower]);
+    if (statusLower.includes('interview')) candidates.push('Interviewed');
+    if (statusLower.includes('offer')) candidates.push('Offer');
+    if (statusLower.includes('declined') || statusLower.includes('reject')) candidates.push('Declined');
+
+    for (const candidate of candidates) {
+      const stage = get(candidate) || stages.find(entry => entry.coarse_status === DEFAULT_COARSE_STATUS[candidate]);
+      if (stage) return stage.name;
+    }
+    return fallback;
+  }
+
+  return {
+    resolve,
+    has: (name) => !!get(name),
+    // Unknown stages count as Applied
+    toCoarse: (name) => (get(name) ? get(name).coarse_status : (COARSE_STATUSES.includes(name) ? name : 'Applied')),
+    isTerminal: (name) => !!(get(name) && get(name).is_terminal)
+  };
+}
+
+module.exports = { loadStages };
@@ -0,0 +1,347 @@
+/**
+ * Model Manager
+ *
+ * GGUF models for the built-in llama.cpp backend: downloads from MODEL_REGISTRY
+ * (resumable, checksum verified), imported local files and the bundled
+ * models/model.gguf. Downloaded and imported files live in the models
+ * directory under userData with a manifest.json recording what each file is,
+ * its SHA-256 and which one is active.
+ *
+ * Activating a model hands it to the llama.cpp backend (setActiveModel), which
+ * swaps it in before the next prompt without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MODEL_REGISTRY, findModel, isGguf, sha256File, downloadFile } = require('./llm/models');
+const { setActiveModel } = require('./llm/backends');
+const config = require('./llm/config');
+
+const BUNDLED_ID = 'bundled';
+const MANIFEST_FILE = 'manifest.json';
+// Progress events per download are limited to a few a second
+const PROGRESS_INTERVAL_MS = 250;
+
+class ModelManager {
+  /**
+   * @param {object} options
+   * @param {string} options.modelsDir - where downloaded and imported models are kept
+   * @param {(progress: object) => void} [options.onProgress] - { id, phase, received, total }
+   * @param {() => void} [options.onChange] - after a model is added, removed or activated
+   */
+  constructor({ modelsDir, onProgress = () => {}, onChange = () => {} }) {
+    this.modelsDir = modelsDir;
+    this.manifestPath = path.join(modelsDir, MANIFEST_FILE);
+    this.onProgress = onProgress;
+    this.onChange = onChange;
+    // id -> { controller, progress }
+    this.downloads = new Map();
+    fs.mkdirSync(modelsDir, { recursive: true });
+    this.manifest = this.readManifest();
+  }
+
+  readManifest() {
+    try {
+      const manifest = JSON.parse(fs.readFileSync(this.manifestPath, 'utf8'));
+      return { activeId: manifest.activeId || BUNDLED_ID, models: manifest.models || {} };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Model manifest is unreadable, starting a new one:', error.message);
+      }
+      return { activeId: BUNDLED_ID, models: {} };
+    }
+  }
+
+  saveManifest() {
+    const tempPath = `${this.manifestPath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(this.manifest, null, 2));
+    fs.renameSync(tempPath, this.manifestPath);
+  }
+
+  // The model shipped with the app (or ONLYJOBS_MODEL_PATH); listed but never deleted
+  bundledModel() {
+    return {
+      id: BUNDLED_ID,
+      name: config.MODEL_NAME,
+      description: 'Bundled with OnlyJobs',
+      path: config.DEFAULT_MODEL_PATH,
+      size: null,
+      contextSize: null,
+      sha256: null,
+      verified: false,
+      source: 'bundled'
+    };
+  }
+
+  // An installed model by id, from the manifest or the bundled one
+  getInstalled(id) {
+    if (id === BUNDLED_ID) {
+      const bundled = this.bundledModel();
+      return fs.existsSync(bundled.path) ? bundled : null;
+    }
+    const model = this.manifest.models[id];
+    return model && fs.existsSync(model.path) ? model : null;
+  }
+
+  partPath(entry) {
+    return path.join(this.modelsDir, `${entry.file}.part`);
+  }
+
+  fileSize(filePath) {
+    try {
+      return fs.statSync(filePath).size;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * The bundled model, every registry model and every imported one, with what
+   * is installed, active or downloading.
+   */
+  list() {
+    const activeId = this.getActiveId();
+    const describe = (model, extra) => ({
+      id: model.id,
+      name: model.name,
+      description: model.description || null,
+      size: model.size || null,
+      contextSize: model.contextSize || null,
+      sha256: null,
+      verified: false,
+      path: null,
+      ...extra,
+      active: model.id === activeId,
+      download: this.downloads.get(model.id)?.progress || null
+    });
+
+    const bundled = this.bundledModel();
+    const models = [describe(bundled, {
+      source: 'bundled',
+      path: bundled.path,
+      installed: fs.existsSync(bundled.path),
+      size: this.fileSize(bundled.path) || null
+    })];
+
+    for (const entry of MODEL_REGISTRY) {
+      const installed = this.getInstalled(entry.id);
+      models.push(describe(entry, {
+        source: 'registry',
+        url: entry.url,
+        installed: !!installed,
+        path: installed ? installed.path : null,
+        size: installed ? installed.size : entry.size,
+        sha256: installed ? installed.sha256 : entry.sha256,
+        verified: installed ? installed.verified : false,
+        partialBytes: installed ? 0 : this.fileSize(this.partPath(entry))
+      }));
+    }
+
+    for (const model of Object.values(this.manifest.models)) {
+      if (model.source !== 'import') continue;
+      models.push(describe(model, {
+        source: 'import',
+        installed: fs.existsSync(model.path),
+        path: model.path,
+        sha256: model.sha256,
+        verified: model.verified
+      }));
+    }
+    return models;
+  }
+
+  // Falls back to the bundled model when the active file has gone missing
+  getActiveId() {
+    return this.getInstalled(this.manifest.activeId) ? this.manifest.activeId : BUNDLED_ID;
+  }
+
+  getActiveModel() {
+    return this.getInstalled(this.getActiveId()) || this.bundledModel();
+  }
+
+  // Point the llama.cpp backend at the active model; called at launch
+  applyActive() {
+    const model = this.getActiveModel();
+    setActiveModel({ name: model.name, path: model.path, contextSize: model.contextSize, size: model.size });
+    return model;
+  }
+
+  /**
+   * Download a registry model, resuming an earlier partial download.
+   * Resolves with the installed model; rejects with error.canceled set when cancel() stops it.
+   */
+  async download(id) {
+    const entry = findModel(id);
+    if (!entry) {
+      throw new Error(`Unknown model: ${id}`);
+    }
+    if (this.downloads.has(id)) {
+      throw new Error(`${entry.name} is already downloading`);
+    }
+    if (this.getInstalled(id)) {
+      return this.getInstalled(id);
+    }
+
+    const controller = new AbortController();
+    const state = { controller, progress: { id, phase: 'download', received: 0, total: entry.size } };
+    this.downloads.set(id, state);
+    let lastSent = 0;
+    const report = (progress) => {
+      const phaseChanged = progress.phase !== state.progress.phase;
+      state.progress = { id, ...progress };
+      const now = Date.now();
+      if (phaseChanged || now - lastSent >= PROGRESS_INTERVAL_MS || progress.received === progress.total) {
+        lastSent = now;
+        this.onProgress(state.progress);
+      }
+    };
+
+    console.log(`📦 Downloading ${entry.name} from ${entry.url}`);
+    try {
+      const result = await downloadFile(entry.url, path.join(this.modelsDir, entry.file), {
+        sha256: entry.sha256,
+        size: entry.size,
+        signal: controller.signal,
+        onProgress: report
+      });
+      if (result.resumedFrom > 0) {
+        console.log(`📦 Resumed ${entry.name} from ${result.resumedFrom} bytes`);
+      }
+      console.log(`✅ Downloaded ${entry.name} (SHA-256 verified)`);
+      const model = {
+        id,
+        name: entry.name,
+        description: entry.description,
+        file: entry.file,
+        path: result.path,
+        size: result.size,
+        contextSize: entry.contextSize,
+        sha256: result.sha256,
+        verified: result.verified,
+        source: 'registry',
+        addedAt: new Date().toISOString()
+      };
+      this.manifest.models[id] = model;
+      this.saveManifest();
+      this.onProgress({ id, phase: 'done', received: result.size, total: result.size });
+      return model;
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log(`⏸️ Download of ${entry.name} canceled, keeping the partial file`);
+        const canceled = new Error(`Download of ${entry.name} canceled`);
+        canceled.canceled = true;
+        this.onProgress({ id, phase: 'canceled', received: state.progress.received, total: state.progress.total });
+        throw canceled;
+      }
+      console.error(`❌ Download of ${entry.name} failed:`, error.message);
+      this.onProgress({ id, phase: 'error', received: state.progress.received, total: state.progress.total, error: error.message });
+      throw error;
+    } finally {
+      this.downloads.delete(id);
+      this.onChange();
+    }
+  }
+
+  // Stop a download; its partial file is kept so download() resumes it
+  cancel(id) {
+    const state = this.downloads.get(id);
+    if (!state) return false;
+    state.controller.abort();
+    return true;
+  }
+
+  /**
+   * Copy a local .gguf file into the models directory.
+   *
+   * @param {string} sourcePath
+   * @returns {Promise<object>} the installed model
+   */
+  async importFile(sourcePath) {
+    if (!fs.existsSync(sourcePath) || !fs.statSync(sourcePath).isFile()) {
+      throw new Error(`File not found: ${sourcePath}`);
+    }
+    if (!(await isGguf(sourcePath))) {
+      throw new Error(`${path.basename(sourcePath)} is not a GGUF model`);
+    }
+
+    const sha256 = await sha256File(sourcePath);
+    const id = `import-${sha256.slice(0, 12)}`;
+    if (this.getInstalled(id)) {
+      return this.getInstalled(id);
+    }
+    // The registry already knows a file with this checksum
+    const known = MODEL_REGISTRY.find(entry => entry.sha256 === sha256);
+    const name = path.basename(sourcePath).replace(/\.gguf$/i, '');
+    const destination = path.join(this.modelsDir, `${id}-${path.basename(sourcePath)}`);
+
+    console.log(`📦 Importing ${sourcePath}`);
+    await fs.promises.copyFile(sourcePath, `${destination}.part`);
+    await fs.promises.rename(`${destination}.part`, destination);
+
+    const model = {
+      id,
+      name: known ? known.name : name,
+      description: `Imported from ${sourcePath}`,
+      file: path.basename(destination),
+      path: destination,
+      size: fs.statSync(destination).size,
+      contextSize: known ? known.contextSize : config.LLM_CONTEXT,
+      sha256,
+      verified: !!known,
+      source: 'import',
+      addedAt: new Date().toISOString()
+    };
+    this.manifest.models[id] = model;
+    this.saveManifest();
+    this.onChange();
+    return model;
+  }
+
+  // Switch the llama.cpp backend to an installed model
+  activate(id) {
+    const model = this.getInstalled(id);
+    if (!model) {
+      throw new Error(`Model ${id} is not installed`);
+    }
+    this.manifest.activeId = id;
+    this.saveManifest();
+    this.applyActive();
+    this.onChange();
+    return model;
+  }
+
+  /**
+   * Delete a downloaded or imported model, or the partial file of an unfinished
+   * download. The active and bundled models can't be deleted.
+   */
+  async delete(id) {
+    if (id === BUNDLED_ID) {
+      throw new Error('The bundled model cannot be deleted');
+    }
+    if (id === this.getActiveId()) {
+      throw new Error('Switch to another model before deleting the active one');
+    }
+    if (this.downloads.has(id)) {
+      throw new Error('Cancel the download before deleting it');
+    }
+
+    const model = this.manifest.models[id];
+    const entry = findModel(id);
+    if (!model && !entry) {
+      throw new Error(`Unknown model: ${id}`);
+    }
+    const files = [];
+    if (model) files.push(model.path);
+    if (entry) files.push(this.partPath(entry));
+    for (const file of files) {
+      await fs.promises.rm(file, { force: true });
+    }
+
+    delete this.manifest.models[id];
+    this.saveManifest();
+    this.onChange();
+    return true;
+  }
+}
+
+module.exports = { ModelManager, BUNDLED_ID };
@@ -6,7 +6,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Database operations
   getJobs: (filters) => ipcRenderer.invoke('db:get-jobs', filters),
   getJob: (id) => ipcRenderer.invoke('db:get-job', id),
+  searchJobs: (query, options) => ipcRenderer.invoke('db:search', query, options),
   getJobEmail: (id) => ipcRenderer.invoke('db:get-job-email', id),
+  getJobTimeline: (id) => ipcRenderer.invoke('db:get-job-timeline', id),
   createJob: (job) => ipcRenderer.invoke('db:create-job', job),
   updateJob: (id, updates) => ipcRenderer.invoke('db:update-job', id, updates),
   deleteJob: (id) => ipcRenderer.invoke('db:delete-job', id),
@@ -19,7 +21,19 @@ contextBridge.exposeInMainWorld('electronAPI', {
   classifyEmail: (content) => ipcRenderer.invoke('classify-email', content),
   
   // LLM Health Check
-  checkLLMHealth: () => ipcRenderer.invoke('llm:health-check'),
+  checkLLMHealth: (backendSettings) => ipcRenderer.invoke('llm:health-check', backendSettings),
+  getLLMCacheStats: () => ipcRenderer.invoke('llm:cache-stats'),
+  clearLLMCache: () => ipcRenderer.invoke('llm:cache-clear'),
+  
+  // GGUF models for the built-in backend
+  models: {
+    list: () => ipcRenderer.invoke('models:list'),
+    download: (id) => ipcRenderer.invoke('models:download', id),
+    cancelDownload: (id) => ipcRenderer.invoke('models:cancel-download', id),
+    import: (filePath) => ipcRenderer.invoke('models:import', filePath),
+    activate: (id) => ipcRenderer.invoke('models:activate', id),
+    delete: (id) => ipcRenderer.invoke('models:delete', id),
+  },
   
   // ML Model operations
   getMlStatus: () => ipcRenderer.invoke('ml:get-status'),
@@ -57,6 +71,76 @@ contextBridge.exposeInMainWorld('electronAPI', {
     addAccount: () => ipcRenderer.invoke('gmail:add-account'),
     removeAccount: (email) => ipcRenderer.invoke('gmail:remove-account', email),
     syncAll: (options) => ipcRenderer.invoke('gmail:sync-all', options),
+    // Interrupted sync runs
+    getResumableSync: () => ipcRenderer.invoke('sync:get-resumable'),
+    discardResumableSync: () => ipcRenderer.invoke('sync:discard-resumable'),
+    // Background sync scheduler
+    getSyncSchedule: () => ipcRenderer.invoke('sync:get-schedule'),
+  },
+  
+  // Mail accounts of every source type (Gmail and IMAP)
+  mail: {
+    getAccounts: () => ipcRenderer.invoke('mail:get-accounts'),
+    testImapAccount: (settings) => ipcRenderer.invoke('mail:test-imap-account', settings),
+    addImapAccount: (settings) => ipcRenderer.invoke('mail:add-imap-account', settings),
+    removeAccount: (id) => ipcRenderer.invoke('mail:remove-account', id),
+    // Offline import of .mbox archives and .eml files (opens a file picker when no paths are given)
+    importFile: (options) => ipcRenderer.invoke('mail:import-file', options),
+  },
+  
+  // Where credentials are stored: the system keychain, or a passphrase vault
+  secrets: {
+    getStatus: () => ipcRenderer.invoke('secrets:status'),
+    unlock: (passphrase) => ipcRenderer.invoke('secrets:unlock', passphrase),
+    lock: () => ipcRenderer.invoke('secrets:lock'),
+    changePassphrase: (current, next) => ipcRenderer.invoke('secrets:change-passphrase', current, next),
+  },
+  
+  // Job stage catalogue
+  stages: {
+    list: () => ipcRenderer.invoke('stages:list'),
+    save: (stage) => ipcRenderer.invoke('stages:save', stage),
+    delete: (name, replacement) => ipcRenderer.invoke('stages:delete', name, replacement),
+    reorder: (names) => ipcRenderer.invoke('stages:reorder', names),
+  },
+  
+  // Interviews found in job emails, and their .ics export
+  interviews: {
+    list: (filters) => ipcRenderer.invoke('interviews:list', filters),
+    save: (interview) => ipcRenderer.invoke('interviews:save', interview),
+    delete: (id) => ipcRenderer.invoke('interviews:delete', id),
+    exportIcs: (ids) => ipcRenderer.invoke('interviews:export-ics', ids),
+    getFeed: () => ipcRenderer.invoke('interviews:get-feed'),
+    setFeed: (options) => ipcRenderer.invoke('interviews:set-feed', options),
+    showFeed: () => ipcRenderer.invoke('interviews:show-feed'),
+  },
+  
+  // Email gate: decisions made before the LLM
+  gate: {
+    list: (options) => ipcRenderer.invoke('gate:list', options),
+    stats: () => ipcRenderer.invoke('gate:stats'),
+  },
+  
+  // Review queue: uncertain classifications
+  review: {
+    list: (options) => ipcRenderer.invoke('review:list', options),
+    count: () => ipcRenderer.invoke('review:count'),
+    resolve: (id, decision, correction) => ipcRenderer.invoke('review:resolve', id, decision, correction),
+  },
+  
+  // Reprocess stored emails with the current prompt and model
+  reprocess: {
+    preview: (scope) => ipcRenderer.invoke('reprocess:preview', scope),
+    cancel: () => ipcRenderer.invoke('reprocess:cancel'),
+    apply: (previewId, options) => ipcRenderer.invoke('reprocess:apply', previewId, options),
+  },
+  
+  // Follow-up reminders (ghosted jobs, interview follow-ups)
+  reminders: {
+    list: (options) => ipcRenderer.invoke('reminders:list', options),
+    snooze: (id, days) => ipcRenderer.invoke('reminders:snooze', id, days),
+    dismiss: (id) => ipcRenderer.invoke('reminders:dismiss', id),
+    run: () => ipcRenderer.invoke('reminders:run'),
   },
   
   // Email operations
@@ -101,6 +185,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onMlTrainingError: (callback) => {
     ipcRenderer.on('ml-training-error', (event, error) => callback(error));
   },
+  onSyncScheduleUpdated: (callback) => {
+    ipcRenderer.on('sync-schedule-updated', (event, schedule) => callback(schedule));
+  },
   onSyncNow: (callback) => {
     ipcRenderer.on('sync-now', () => callback());
   },
@@ -120,7 +207,9 @@ contextBridge.exposeInMainWorld('electronAPI', {
   // Generic event listeners
   on: (channel, callback) => {
     const validChannels = [
-      'auth-success', 'auth-error', 'sync-progress', 'sync-complete', 'sync-error', 
+      'auth-success', 'auth-error', 'sync-progress', 'sync-complete', 'sync-error', 'sync-schedule-updated',
+      'mail-import-progress', 'mail-import-complete', 'reminders-updated', 'interviews-updated',
+      'review-queue-updated', 'reprocess-progress', 'llm-backend-changed', 'model-download-progress', 'models-updated',
       'ml-training-complete', 'ml-training-error', 'job-found', 'gmail-authenticated',
       'fetch-progress', 'fetch-complete', 'fetch-error',
       'classify-progress', 'classify-complete', 'classify-error'
@@ -0,0 +1,349 @@
+/**
+ * Reprocessor
+ *
+ * Runs the classifier again over the email text stored with jobs
+ * (job_emails.raw_content), so a prompt or model change reaches mail synced
+ * before it without clearing email_sync and fetching everything again.
+ * A run has two steps:
+ *
+ * - `preview(scope)` classifies the emails of a date range, account or set of
+ *   jobs and returns, per job, what would change: company, position, status,
+ *   and emails that are no longer job-related
+ * - `apply(previewId)` writes those changes and stamps the reprocessed emails,
+ *   and their jobs, with the DECISION_VERSION that produced the new answer
+ *
+ * Only mail stored with a job can be reprocessed: non-job emails keep no text,
+ * so those still need a re-sync. Emails the user corrected are left out, a job
+ * whose company or position was edited by hand keeps them, and manual status
+ * changes stay on the timeline. An answer from a failed or fallback run counts
+ * as a failure and changes nothing.
+ */
+
+// Only answers the LLM gave in the schema are trusted to overwrite stored ones
+const TRUSTED_DECISION_PATH = 'llm_json_schema';
+// Previews waiting to be applied; older ones are dropped
+const MAX_PREVIEWS = 3;
+
+class Reprocessor {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   * @param {object} matcher - EmailMatcher that owns jobs and job_emails
+   * @param {import('./job-timeline').JobTimeline} timeline - status events for each job
+   * @param {(content: string, options: {messageId: string}) => Promise<object>} classify - llmHandler.classifyEmail
+   */
+  constructor(db, matcher, timeline, classify) {
+    this.db = db;
+    this.matcher = matcher;
+    this.timeline = timeline;
+    this.stages = matcher.stages;
+    this.classify = classify;
+    // previewId -> preview, including the jobs with nothing to change
+    this.previews = new Map();
+    this.running = null;
+  }
+
+  /**
+   * Job emails in scope, oldest first per job, flagged when they can't be reprocessed
+   *
+   * @param {object} [scope]
+   * @param {string} [scope.startDate] - YYYY-MM-DD, inclusive
+   * @param {string} [scope.endDate] - YYYY-MM-DD, inclusive
+   * @param {string} [scope.accountEmail]
+   * @param {string[]} [scope.jobIds]
+   */
+  selectEmails({ startDate = null, endDate = null, accountEmail = null, jobIds = [] } = {}) {
+    const where = [];
+    const params = [];
+    if (startDate) {
+      where.push('date(je.email_date) >= date(?)');
+      params.push(startDate);
+    }
+    if (endDate) {
+      where.push('date(je.email_date) <= date(?)');
+      params.push(endDate);
+    }
+    if (accountEmail) {
+      where.push('je.account_email = ?');
+      params.push(accountEmail);
+    }
+    if (jobIds && jobIds.length > 0) {
+      where.push(`je.job_id IN (${jobIds.map(() => '?').join(', ')})`);
+      params.push(...jobIds);
+    }
+
+    return this.db.prepare(`
+      SELECT je.*,
+        EXISTS (
+          SELECT 1 FROM classification_corrections c
+          WHERE c.gmail_message_id = je.gmail_message_id AND c.account_email = je.account_email
+        ) AS corrected
+      FROM job_emails je
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+      ORDER BY je.job_id, je.email_date ASC, je.id ASC
+    `).all(...params);
+  }
+
+  /**
+   * Classify the emails in scope and work out what would change. Nothing is written.
+   * Rejects with error.canceled set when cancel() stops it.
+   *
+   * @param {object} [scope] - see selectEmails
+   * @param {object} [options]
+   * @param {(progress: {current: number, total: number, subject?: string}) => void} [options.onProgress]
+   * @returns {Promise<object>} the preview, listing only the jobs that would change
+   */
+  async preview(scope = {}, { onProgress = () => {} } = {}) {
+    if (this.running) {
+      throw new Error('Reprocessing is already running');
+    }
+    const run = { canceled: false };
+    this.running = run;
+
+    try {
+      const rows = this.selectEmails(scope);
+      const eligible = rows.filter(row => row.raw_content && !row.corrected);
+      const results = [];
+      let failed = 0;
+
+      for (let i = 0; i < eligible.length; i++) {
+        if (run.canceled) {
+          const canceled = new Error('Reprocessing canceled');
+          canceled.canceled = true;
+          throw canceled;
+        }
+        const row = eligible[i];
+        onProgress({ current: i, total: eligible.length, subject: row.subject });
+
+        let classification = null;
+        try {
+          classification = await this.classify(row.raw_content, { messageId: row.gmail_message_id });
+        } catch (error) {
+          console.error(`Error reclassifying ${row.gmail_message_id}:`, error);
+        }
+        if (!classification || classification.decisionPath !== TRUSTED_DECISION_PATH) {
+          failed++;
+          classification = null;
+        }
+        results.push({ row, classification });
+      }
+      onProgress({ current: eligible.length, total: eligible.length });
+
+      const jobs = this.diffJobs(results);
+      const decisionVersion = results.find(result => result.classification)?.classification.decision_version || null;
+      const preview = {
+        id: `reprocess_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        createdAt: new Date().toISOString(),
+        scope,
+        decisionVersion,
+        emails: rows.length,
+        classified: eligible.length - failed,
+        failed,
+        skipped: rows.length - eligible.length,
+        jobs
+      };
+
+      this.previews.set(preview.id, preview);
+      for (const id of [...this.previews.keys()].slice(0, -MAX_PREVIEWS)) {
+        this.previews.delete(id);
+      }
+
+      const changed = jobs.filter(job => job.changed);
+      console.log(`🔁 Reprocess preview: ${preview.classified} emails classified, ${changed.length} of ${jobs.length} jobs would change`);
+      return { ...preview, jobs: changed };
+    } finally {
+      this.running = null;
+    }
+  }
+
+  // Stop a running preview after the email being classified
+  cancel() {
+    if (!this.running) return false;
+    this.running.canceled = true;
+    return true;
+  }
+
+  /**
+   * Per job: company, position and status now and after the new answers, and each
+   * reprocessed email's job-related flag and status
+   */
+  diffJobs(results) {
+    const byJob = new Map();
+    for (const result of results) {
+      if (!byJob.has(result.row.job_id)) byJob.set(result.row.job_id, []);
+      byJob.get(result.row.job_id).push(result);
+    }
+
+    const jobs = [];
+    for (const [jobId, jobResults] of byJob) {
+      const job = this.db.prepare('SELECT id, company, position, status FROM jobs WHERE id = ?').get(jobId);
+      if (!job) continue;
+
+      const emails = jobResults.map(({ row, classification }) => {
+        const before = { isJobRelated: true, status: row.detected_status ? this.stages.resolve(row.detected_status) : null };
+        const after = classification
+          ? {
+            isJobRelated: !!classification.is_job_related,
+            status: classification.is_job_related ? this.stages.resolve(classification.status) : null
+          }
+          : before;
+        return {
+          gmailMessageId: row.gmail_message_id,
+          accountEmail: row.account_email,
+          subject: row.subject,
+          emailDate: row.email_date,
+          before,
+          after,
+          company: classification ? classification.company || null : null,
+          position: classification ? classification.position || null : null,
+          confidence: classification && typeof classification.confidence === 'number' ? classification.confidence : null,
+          decisionVersion: classification ? classification.decision_version || null : null,
+          failed: !classification,
+          changed: before.isJobRelated !== after.isJobRelated || before.status !== after.status
+        };
+      });
+
+      const detached = new Set(emails.filter(email => !email.after.isJobRelated).map(email => email.gmailMessageId));
+      const remaining = this.matcher.getJobEmails(jobId).filter(email => !detached.has(email.gmail_message_id));
+      const before = { company: job.company, position: job.position, status: job.status };
+      let after = null;
+
+      if (remaining.length > 0) {
+        // Company and position come from the primary email, or the oldest one left when it goes
+        const source = remaining.find(email => email.is_primary_email) || remaining[0];
+        const sourceResult = emails.find(email => email.gmailMessageId === source.gmail_message_id && !email.failed);
+        const editedByUser = !!this.db.prepare(
+          "SELECT 1 FROM classification_corrections WHERE job_id = ? AND source = 'job_edit'"
+        ).get(jobId);
+        const redetected = new Map(emails.map(email => [email.gmailMessageId, email.after.status]));
+        const events = this.timeline.getEvents(jobId)
+          .filter(event => event.source === 'manual' || !detached.has(event.gmail_message_id))
+          .map(event => (event.source !== 'manual' && redetected.get(event.gmail_message_id)
+            ? { ...event, status: redetected.get(event.gmail_message_id) }
+            : event));
+
+        after = {
+          company: !editedByUser && sourceResult && sourceResult.company ? sourceResult.company : job.company,
+          position: !editedByUser && sourceResult && sourceResult.position ? sourceResult.position : job.position,
+          status: this.timeline.deriveStatus(events) || job.status
+        };
+      }
+
+      jobs.push({
+        jobId,
+        before,
+        after,
+        removed: remaining.length === 0,
+        emails,
+        changed: remaining.length === 0
+          || after.company !== before.company
+          || after.position !== before.position
+          || after.status !== before.status
+          || emails.some(email => email.changed)
+      });
+    }
+    return jobs;
+  }
+
+  /**
+   * Write a preview's changes. Emails whose stored status moved since the preview
+   * are left alone. Every email that was classified again, changed or not, is
+   * stamped with the DECISION_VERSION of its new answer.
+   *
+   * @param {string} previewId
+   * @param {object} [options]
+   * @param {string[]} [options.jobIds] - changed jobs to apply; all of them by default. Jobs
+   *   left out keep their current values and version.
+   * @returns {{updatedJobs: number, removedJobs: number, updatedEmails: number, detachedEmails: number, stamped: number, stale: number}}
+   */
+  apply(previewId, { jobIds = null } = {}) {
+    const preview = this.previews.get(previewId);
+    if (!preview) {
+      throw new Error('Preview not found or expired, run the preview again');
+    }
+    const selected = jobIds ? new Set(jobIds) : null;
+
+    const write = this.db.transaction(() => {
+      const summary = { updatedJobs: 0, removedJobs: 0, updatedEmails: 0, detachedEmails: 0, stamped: 0, stale: 0 };
+
+      for (const job of preview.jobs) {
+        if (job.changed && selected && !selected.has(job.jobId)) continue;
+        if (!this.db.prepare('SELECT 1 FROM jobs WHERE id = ?').get(job.jobId)) {
+          summary.stale++;
+          continue;
+        }
+
+        for (const email of job.emails) {
+          if (email.failed) continue;
+          const current = this.db.prepare(`
+            SELECT id, detected_status, email_date FROM job_emails
+            WHERE job_id = ? AND gmail_message_id = ? AND account_email IS ?
+          `).get(job.jobId, email.gmailMessageId, email.accountEmail);
+          const currentStatus = current && current.detected_status ? this.stages.resolve(current.detected_status) : null;
+          if (!current || currentStatus !== email.before.status) {
+            summary.stale++;
+            continue;
+          }
+
+          this.db.prepare(`
+            UPDATE email_sync SET is_job_related = ?, confidence = ?, decision_version = ?
+            WHERE gmail_message_id = ? AND account_email = ?
+          `).run(email.after.isJobRelated ? 1 : 0, email.confidence, email.decisionVersion, email.gmailMessageId, email.accountEmail);
+          summary.stamped++;
+
+          if (!email.after.isJobRelated) {
+            this.db.prepare('DELETE FROM job_emails WHERE id = ?').run(current.id);
+            this.timeline.removeEmailEvents(job.jobId, email.gmailMessageId, email.accountEmail);
+            summary.detachedEmails++;
+            continue;
+          }
+
+          this.db.prepare(`
+            UPDATE job_emails
+            SET detected_status = ?, decision_version = ?,
+                classification = CASE WHEN classification IS NULL THEN NULL ELSE json_set(classification, '$.status', ?) END
+            WHERE id = ?
+          `).run(email.after.status, email.decisionVersion, email.after.status, current.id);
+          if (email.changed) {
+            this.timeline.redetect(job.jobId, {
+              gmailMessageId: email.gmailMessageId,
+              accountEmail: email.accountEmail,
+              status: email.after.status,
+              confidence: email.confidence,
+              occurredAt: current.email_date
+            });
+            summary.updatedEmails++;
+          }
+        }
+
+        const remaining = this.matcher.getJobEmails(job.jobId);
+        if (remaining.length === 0) {
+          this.matcher.deleteJob(job.jobId);
+          summary.removedJobs++;
+          continue;
+        }
+        if (!remaining.some(email => email.is_primary_email)) {
+          this.db.prepare('UPDATE job_emails SET is_primary_email = 1 WHERE id = ?').run(remaining[0].id);
+        }
+
+        if (job.after && (job.after.company !== job.before.company || job.after.position !== job.before.position)) {
+          this.db.prepare('UPDATE jobs SET company = ?, position = ?, normalized_position = ? WHERE id = ?')
+            .run(job.after.company, job.after.position, this.matcher.normalizeJobTitle(job.after.position), job.jobId);
+        }
+        if (preview.decisionVersion) {
+          this.db.prepare('UPDATE jobs SET decision_version = ? WHERE id = ?').run(preview.decisionVersion, job.jobId);
+        }
+        this.matcher.refreshJobSummary(job.jobId);
+        this.timeline.refreshStatus(job.jobId);
+        if (job.changed) summary.updatedJobs++;
+      }
+      return summary;
+    });
+
+    const summary = write();
+    this.previews.delete(previewId);
+    console.log(`🔁 Reprocess applied: ${summary.updatedJobs} jobs updated, ${summary.removedJobs} removed, ${summary.detachedEmails} emails detached`);
+    return summary;
+  }
+}
+
+module.exports = { Reprocessor };
@@ -0,0 +1,203 @@
+/**
+ * Review Queue
+ *
+ * Classifications that shouldn't be trusted without a person looking at them.
+ * processMailMessage parks an email here instead of creating or updating a job
+ * (or dropping it as non-job mail) when:
+ *
+ * - `parse_failed`: the model's answer wasn't valid JSON for the schema
+ * - `low_confidence`: confidence is below the `confidenceThreshold` setting
+ * - `status_conflict`: the model's status matches none of the status phrases
+ *   llm/rules.js finds in the email (say, "regret to inform" classified as an interview)
+ *
+ * Each row keeps the message fields EmailMatcher.recordEmail needs, so resolving
+ * a review records the email against its job like a sync would have. A `correct`
+ * decision is also kept in the CorrectionStore as a few-shot example.
+ */
+
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.6;
+const REVIEW_DECISIONS = ['confirm', 'correct', 'not_job'];
+
+// Coarse status each llm/rules.js hint stands for
+const HINT_COARSE_STATUS = {
+  applied: 'Applied',
+  interview: 'Interviewed',
+  rejected: 'Declined',
+  offer: 'Offer'
+};
+
+/**
+ * Why a classification needs review, or null when it can be accepted
+ *
+ * @param {object} classification - classifier result
+ * @param {object} context
+ * @param {number} context.threshold - confidenceThreshold setting
+ * @param {string[]} context.hintedStatuses - getHintedStatuses() of the email
+ * @param {string|null} context.coarseStatus - coarse status of the classified stage
+ * @returns {{reason: string, detail: string|null}|null}
+ */
+function findReviewReason(classification, { threshold, hintedStatuses = [], coarseStatus }) {
+  if (classification.decisionPath === 'llm_parse_failed') {
+    return { reason: 'parse_failed', detail: 'The model did not return valid JSON' };
+  }
+  const confidence = classification.confidence;
+  if (typeof confidence === 'number' && confidence < threshold) {
+    return { reason: 'low_confidence', detail: `Confidence ${Math.round(confidence * 100)}%` };
+  }
+  const hinted = hintedStatuses.map(status => HINT_COARSE_STATUS[status]).filter(Boolean);
+  if (classification.is_job_related && coarseStatus && hinted.length > 0 && !hinted.includes(coarseStatus)) {
+    return { reason: 'status_conflict', detail: `Classified as ${classification.status}, but the email reads like ${hinted.join(' or ')}` };
+  }
+  return null;
+}
+
+class ReviewQueue {
+  /**
+   * @param {object} db - better-sqlite3 connection to jobs.db
+   * @param {object} matcher - EmailMatcher that records resolved job emails
+   * @param {object} [corrections] - CorrectionStore that keeps corrected answers
+   */
+  constructor(db, matcher, corrections = null) {
+    this.db = db;
+    this.matcher = matcher;
+    this.corrections = corrections;
+  }
+
+  /**
+   * Park a classification for review. A message already in the queue is replaced.
+   *
+   * @param {object} emailData - { id, threadId, accountEmail, subject, from, date, snippet, content }
+   * @param {object} classification - classifier result, including confidence
+   * @param {{reason: string, detail: string|null}} review - from findReviewReason
+   */
+  enqueue(emailData, classification, { reason, detail = null }) {
+    const { id, threadId, accountEmail, subject, from, date, snippet, content } = emailData;
+    this.db.prepare(`
+      INSERT OR REPLACE INTO classification_reviews
+        (gmail_message_id, account_email, thread_id, subject, from_address, email_date, snippet, raw_content,
+         classification, confidence, reason, detail, status, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending', CURRENT_TIMESTAMP)
+    `).run(id, accountEmail, threadId || null, subject || null, from || null, date || null, snippet || null,
+      content || null, JSON.stringify(classification), typeof classification.confidence === 'number' ? classification.confidence : null,
+      reason, detail);
+  }
+
+  /**
+   * Queued classifications, newest first, with classification and correction parsed
+   *
+   * @param {object} [options]
+   * @param {'pending'|'resolved'} [options.status='pending']
+   * @param {number} [options.limit=100]
+   */
+  list({ status = 'pending', limit = 100 } = {}) {
+    return this.db.prepare(`
+      SELECT id, gmail_message_id, account_email, thread_id, subject, from_address, email_date, snippet,
+        classification, confidence, reason, detail, status, resolution, correction, job_id, created_at, resolved_at
+      FROM classification_reviews
+      WHERE status = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `).all(status, Math.max(1, Math.min(1000, Number(limit) || 100)))
+      .map(row => ({
+        ...row,
+        classification: JSON.parse(row.classification),
+        correction: row.correction ? JSON.parse(row.correction) : null
+      }));
+  }
+
+  count(status = 'pending') {
+    return this.db.prepare('SELECT COUNT(*) AS count FROM classification_reviews WHERE status = ?').get(status).count;
+  }
+
+  /**
+   * Settle a pending review and write the outcome to email_sync and jobs
+   *
+   * - `confirm`: the model was right; job mail is recorded with its answer
+   * - `correct`: job mail with the given company, position and status (a manual status event)
+   * - `not_job`: not about a job application; nothing is recorded
+   *
+   * @param {number} id
+   * @param {'confirm'|'correct'|'not_job'} decision
+   * @param {{company?: string, position?: string, status?: string}} [correction] - required for 'correct'
+   * @returns {{isJobRelated: boolean, jobId: string|null, created: boolean}}
+   */
+  resolve(id, decision, correction = null) {
+    if (!REVIEW_DECISIONS.includes(decision)) {
+      throw new Error(`Unknown review decision: ${decision}`);
+    }
+    if (decision === 'correct' && !correction) {
+      throw new Error('A correction needs company, position or status');
+    }
+
+    const settle = this.db.transaction(() => {
+      const row = this.db.prepare("SELECT * FROM classification_reviews WHERE id = ? AND status = 'pending'").get(id);
+      if (!row) {
+        throw new Error('Review not found or already resolved');
+      }
+      const classification = JSON.parse(row.classification);
+      const isJobRelated = decision === 'correct' || (decision === 'confirm' && !!classification.is_job_related);
+
+      let match = null;
+      if (isJobRelated) {
+        const answer = decision === 'correct'
+          ? {
+            company: correction.company || classification.company,
+            position: correction.position || classification.position,
+            status: correction.status || classification.status,
+            source: 'manual'
+          }
+          : {
+            company: classification.company,
+            position: classification.position,
+            status: classification.status,
+            decisionVersion: classification.decision_version
+          };
+        match = this.matcher.recordEmail({
+          id: row.gmail_message_id,
+          threadId: row.thread_id,
+          accountEmail: row.account_email,
+          subject: row.subject,
+          from: row.from_address,
+          date: row.email_date,
+          snippet: row.snippet,
+          content: row.raw_content
+        }, { ...answer, confidence: row.confidence });
+
+        if (decision === 'correct' && this.corrections) {
+          this.corrections.record({
+            jobId: match ? match.jobId : null,
+            gmailMessageId: row.gmail_message_id,
+            accountEmail: row.account_email,
+            from: row.from_address,
+            subject: row.subject,
+            content: row.raw_content || row.snippet,
+            modelOutput: classification,
+            corrected: answer,
+            source: 'review'
+          });
+        }
+      }
+
+      this.db.prepare(`
+        UPDATE email_sync SET is_job_related = ?, review_decision = ?
+        WHERE gmail_message_id = ? AND account_email = ?
+      `).run(isJobRelated ? 1 : 0, decision, row.gmail_message_id, row.account_email);
+
+      this.db.prepare(`
+        UPDATE classification_reviews
+        SET status = 'resolved', resolution = ?, correction = ?, job_id = ?, resolved_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(decision, decision === 'correct' ? JSON.stringify(correction) : null, match ? match.jobId : null, id);
+
+      return { isJobRelated, jobId: match ? match.jobId : null, created: !!(match && match.created) };
+    });
+
+    return settle();
+  }
+
+  clear() {
+    return this.db.prepare('DELETE FROM classification_reviews').run().changes;
+  }
+}
+
+module.exports = { ReviewQueue, DEFAULT_CONFIDENCE_THRESHOLD, findReviewReason };
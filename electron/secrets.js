@@ -0,0 +1,315 @@
+/**
+ * Secrets
+ *
+ * Credentials the app keeps (Gmail OAuth tokens, IMAP passwords, the LLM
+ * server's API key) are stored here, encrypted, instead of in jobs.db or the
+ * settings file, so a copy of either gives no access to anyone's mail.
+ *
+ * Two backends, picked once the app is ready:
+ *
+ * - keychain: Electron safeStorage, whose key is held by the OS credential store
+ *   (macOS Keychain, Windows DPAPI, libsecret/KWallet on Linux). The secrets are
+ *   one encrypted file, secrets.bin, in userData.
+ * - vault: for Linux without a keyring, where safeStorage would only obfuscate.
+ *   secrets.vault is encrypted with AES-256-GCM under a key derived with scrypt
+ *   from a passphrase the user sets in Settings, and has to be unlocked after
+ *   each launch. Electron's Node has scrypt but not Argon2.
+ *
+ * Until the store is available (before app ready, or while the vault is locked)
+ * reads and writes throw SecretsLockedError. Values are strings.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { getUserDataDir } = require('./database');
+
+const KEYCHAIN_FILE = 'secrets.bin';
+const VAULT_FILE = 'secrets.vault';
+const VAULT_VERSION = 1;
+// OWASP's recommended scrypt cost; maxmem leaves room for 128 * N * r bytes
+const SCRYPT = { N: 2 ** 17, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 256 * 1024 * 1024;
+// What a vault file may ask for: a damaged or edited file mustn't make unlocking
+// take minutes or fail on memory, nor derive the key with a trivially cheap cost
+const SCRYPT_LIMITS = { N: [2 ** 14, 2 ** 20], r: [1, 32], p: [1, 16] };
+const MIN_PASSPHRASE_LENGTH = 8;
+
+class SecretsLockedError extends Error {
+  constructor(message = 'Unlock the credential vault in Settings to use your mail accounts') {
+    super(message);
+    this.name = 'SecretsLockedError';
+    this.code = 'SECRETS_LOCKED';
+  }
+}
+
+function loadSafeStorage() {
+  try {
+    const { safeStorage, app } = require('electron');
+    return safeStorage && app ? { safeStorage, app } : null;
+  } catch (error) {
+    // Not running inside Electron
+    return null;
+  }
+}
+
+// Write a file readable only by the user, replacing the old one in a single rename
+function writePrivateFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, data, { mode: 0o600 });
+  fs.renameSync(tempPath, filePath);
+}
+
+function deriveKey(passphrase, salt, params = SCRYPT) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(passphrase, salt, 32, { ...params, maxmem: SCRYPT_MAXMEM }, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+}
+
+// The KDF parameters of a vault file, checked against SCRYPT_LIMITS
+function readVaultKdf(vault) {
+  const kdf = vault && vault.kdf;
+  const valid = !!kdf && kdf.name === 'scrypt' && typeof kdf.salt === 'string' && kdf.salt.length > 0
+    && Object.entries(SCRYPT_LIMITS).every(([param, [min, max]]) => Number.isInteger(kdf[param]) && kdf[param] >= min && kdf[param] <= max)
+    && (kdf.N & (kdf.N - 1)) === 0
+    && 128 * kdf.N * kdf.r <= SCRYPT_MAXMEM;
+  if (!valid) {
+    throw new Error('The credential vault file is damaged: its key derivation settings are out of range');
+  }
+  return { N: kdf.N, r: kdf.r, p: kdf.p, salt: kdf.salt };
+}
+
+function encrypt(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+}
+
+function decrypt(key, sealed) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(sealed.data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+class SecretStore extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.dir] - where the secrets file is; userData by default
+   * @param {'keychain'|'vault'} [options.backend] - force a backend; ONLYJOBS_SECRETS_BACKEND, or chosen
+   *   from what safeStorage offers
+   * @param {{safeStorage: object, app: object}|null} [options.electron] - for tests
+   */
+  constructor({ dir = getUserDataDir(), backend = process.env.ONLYJOBS_SECRETS_BACKEND || null, electron = loadSafeStorage() } = {}) {
+    super();
+    this.dir = dir;
+    this.electron = electron;
+    this.forcedBackend = backend;
+    this.secrets = null;
+    // Vault only: the derived key and the KDF parameters it was derived with, while unlocked
+    this.vaultKey = null;
+    this.vaultKdf = null;
+  }
+
+  /**
+   * 'keychain', 'vault', or null before the app is ready to tell
+   */
+  get backend() {
+    if (this.forcedBackend) return this.forcedBackend;
+    if (!this.electron) return 'vault';
+    const { safeStorage, app } = this.electron;
+    if (!app.isReady()) return null;
+    if (!safeStorage.isEncryptionAvailable()) return 'vault';
+    // Without a keyring, Linux safeStorage falls back to a hardcoded key
+    if (process.platform === 'linux' && typeof safeStorage.getSelectedStorageBackend === 'function'
+      && safeStorage.getSelectedStorageBackend() === 'basic_text') {
+      return 'vault';
+    }
+    return 'keychain';
+  }
+
+  get keychainPath() {
+    return path.join(this.dir, KEYCHAIN_FILE);
+  }
+
+  get vaultPath() {
+    return path.join(this.dir, VAULT_FILE);
+  }
+
+  /**
+   * Whether secrets can be read and written now
+   */
+  isAvailable() {
+    const backend = this.backend;
+    return backend === 'keychain' || (backend === 'vault' && this.vaultKey !== null);
+  }
+
+  /**
+   * @returns {{backend: 'keychain'|'vault'|null, available: boolean, vaultCreated: boolean}}
+   */
+  status() {
+    return {
+      backend: this.backend,
+      available: this.isAvailable(),
+      vaultCreated: fs.existsSync(this.vaultPath)
+    };
+  }
+
+  get(key) {
+    const secrets = this.load();
+    return Object.prototype.hasOwnProperty.call(secrets, key) ? secrets[key] : null;
+  }
+
+  set(key, value) {
+    const secrets = this.load();
+    secrets[key] = String(value);
+    this.save(secrets);
+  }
+
+  delete(key) {
+    const secrets = this.load();
+    if (!Object.prototype.hasOwnProperty.call(secrets, key)) return false;
+    delete secrets[key];
+    this.save(secrets);
+    return true;
+  }
+
+  /**
+   * Open the vault with its passphrase, creating it on first use
+   */
+  async unlock(passphrase) {
+    if (this.backend !== 'vault') {
+      throw new Error('Secrets are kept in the system keychain; there is no vault to unlock');
+    }
+    if (this.vaultKey) return;
+
+    if (!fs.existsSync(this.vaultPath)) {
+      await this.createVault(passphrase, {});
+      console.log('🔐 Created the credential vault');
+    } else {
+      const vault = JSON.parse(fs.readFileSync(this.vaultPath, 'utf8'));
+      const kdf = readVaultKdf(vault);
+      const key = await deriveKey(String(passphrase || ''), Buffer.from(kdf.salt, 'base64'), kdf);
+      let secrets;
+      try {
+        secrets = JSON.parse(decrypt(key, vault.secrets));
+      } catch (error) {
+        throw new Error('Wrong passphrase');
+      }
+      this.vaultKey = key;
+      this.vaultKdf = kdf;
+      this.secrets = secrets;
+      console.log('🔓 Unlocked the credential vault');
+    }
+    this.emit('available');
+  }
+
+  /**
+   * Forget the vault key until the next unlock
+   */
+  lock() {
+    if (this.backend !== 'vault') return;
+    this.vaultKey = null;
+    this.vaultKdf = null;
+    this.secrets = null;
+    console.log('🔒 Locked the credential vault');
+  }
+
+  async changePassphrase(current, next) {
+    if (this.backend !== 'vault') {
+      throw new Error('Secrets are kept in the system keychain; there is no passphrase to change');
+    }
+    if (!this.vaultKey) {
+      await this.unlock(current);
+    } else {
+      // Unlocked vaults still ask for the passphrase before replacing it
+      const vault = JSON.parse(fs.readFileSync(this.vaultPath, 'utf8'));
+      const key = await deriveKey(String(current || ''), Buffer.from(this.vaultKdf.salt, 'base64'), this.vaultKdf);
+      try {
+        decrypt(key, vault.secrets);
+      } catch (error) {
+        throw new Error('Wrong passphrase');
+      }
+    }
+    await this.createVault(next, this.load());
+    console.log('🔐 Changed the credential vault passphrase');
+  }
+
+  async createVault(passphrase, secrets) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(`The passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    const salt = crypto.randomBytes(16);
+    const kdf = { ...SCRYPT, salt: salt.toString('base64') };
+    this.vaultKey = await deriveKey(passphrase, salt, kdf);
+    this.vaultKdf = kdf;
+    this.secrets = secrets;
+    this.save(secrets);
+  }
+
+  load() {
+    const backend = this.backend;
+    if (backend === 'keychain') {
+      if (!this.secrets) {
+        this.secrets = fs.existsSync(this.keychainPath)
+          ? JSON.parse(this.electron.safeStorage.decryptString(fs.readFileSync(this.keychainPath)))
+          : {};
+      }
+      return this.secrets;
+    }
+    if (backend === 'vault' && this.vaultKey) {
+      return this.secrets;
+    }
+    throw this.lockedError();
+  }
+
+  /**
+   * The SecretsLockedError reads and writes throw now, saying what would make the store available
+   */
+  lockedError() {
+    if (this.backend === null) {
+      return new SecretsLockedError('Credentials are not available until the app has started');
+    }
+    return new SecretsLockedError(fs.existsSync(this.vaultPath)
+      ? undefined
+      : 'Set a passphrase for the credential vault in Settings to store your mail account credentials');
+  }
+
+  save(secrets) {
+    const json = JSON.stringify(secrets);
+    if (this.backend === 'keychain') {
+      writePrivateFile(this.keychainPath, this.electron.safeStorage.encryptString(json));
+    } else {
+      writePrivateFile(this.vaultPath, JSON.stringify({
+        version: VAULT_VERSION,
+        kdf: { name: 'scrypt', ...this.vaultKdf },
+        secrets: encrypt(this.vaultKey, json)
+      }));
+    }
+    this.secrets = secrets;
+  }
+}
+
+let secretStore = null;
+
+/**
+ * The app's secret store, created on first use
+ */
+function getSecretStore() {
+  if (!secretStore) {
+    secretStore = new SecretStore();
+  }
+  return secretStore;
+}
+
+module.exports = {
+  SecretStore,
+  SecretsLockedError,
+  getSecretStore,
+  MIN_PASSPHRASE_LENGTH
+};
@@ -0,0 +1,256 @@
+/**
+ * Persisted Sync Jobs
+ *
+ * Records every gmail:sync-all run together with per-account checkpoints
+ * (page token, last processed message, counters) so that a run cut short by
+ * the app quitting can be resumed instead of starting over.
+ */
+
+class SyncJobStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  /**
+   * Create a new running job with a pending checkpoint for each account
+   */
+  startJob(options, accountEmails) {
+    const create = this.db.transaction(() => {
+      const result = this.db.prepare(`
+        INSERT INTO sync_jobs (status, options) VALUES ('running', ?)
+      `).run(JSON.stringify(options || {}));
+      const jobId = Number(result.lastInsertRowid);
+
+      const insertAccount = this.db.prepare(`
+        INSERT INTO sync_job_accounts (job_id, account_email) VALUES (?, ?)
+      `);
+      for (const email of accountEmails) {
+        insertAccount.run(jobId, email);
+      }
+      return jobId;
+    });
+
+    return create();
+  }
+
+  /**
+   * Put an interrupted job back into the running state
+   */
+  resumeJob(jobId) {
+    const result = this.db.prepare(`
+      UPDATE sync_jobs
+      SET status = 'running', error_message = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'interrupted'
+    `).run(jobId);
+    return result.changes > 0;
+  }
+
+  getJob(jobId) {
+    const job = this.db.prepare('SELECT * FROM sync_jobs WHERE id = ?').get(jobId);
+    if (!job) return null;
+
+    let options = {};
+    try {
+      options = JSON.parse(job.options || '{}');
+    } catch (e) {
+      options = {};
+    }
+
+    const accounts = this.db.prepare(`
+      SELECT * FROM sync_job_accounts WHERE job_id = ? ORDER BY rowid
+    `).all(jobId);
+
+    return { ...job, options, accounts };
+  }
+
+  getAccountCheckpoint(jobId, email) {
+    return this.db.prepare(`
+      SELECT * FROM sync_job_accounts WHERE job_id = ? AND account_email = ?
+    `).get(jobId, email);
+  }
+
+  /**
+   * Mark an account as in progress and undo any message that was mid-classification
+   * when the previous run stopped, so that it gets classified again.
+   */
+  beginAccount(jobId, email) {
+    this.db.prepare(`
+      INSERT OR IGNORE INTO sync_job_accounts (job_id, account_email) VALUES (?, ?)
+    `).run(jobId, email);
+
+    const checkpoint = this.getAccountCheckpoint(jobId, email);
+    if (checkpoint.in_flight_message_id) {
+      console.log(`SyncJobStore: Re-queueing unfinished message ${checkpoint.in_flight_message_id} for ${email}`);
+      this.db.prepare(`
+        DELETE FROM email_sync WHERE gmail_message_id = ? AND account_email = ?
+      `).run(checkpoint.in_flight_message_id, email);
+    }
+
+    this.db.prepare(`
+      UPDATE sync_job_accounts
+      SET status = 'in_progress', in_flight_message_id = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ? AND account_email = ?
+    `).run(jobId, email);
+
+    return this.getAccountCheckpoint(jobId, email);
+  }
+
+  /**
+   * Record that a page of messages has been fully handled. The history ID seen on
+   * the first page is kept so the account resumes against the same mailbox state.
+   */
+  savePage(jobId, email, { mode, historyId, nextPageToken, messageCount }) {
+    this.db.prepare(`
+      UPDATE sync_job_accounts
+      SET mode = COALESCE(mode, ?),
+          target_history_id = COALESCE(target_history_id, ?),
+          page_token = ?,
+          messages_listed = messages_listed + ?,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ? AND account_email = ?
+    `).run(mode || null, historyId || null, nextPageToken || null, messageCount || 0, jobId, email);
+  }
+
+  markInFlight(jobId, email, messageId) {
+    this.db.prepare(`
+      UPDATE sync_job_accounts
+      SET in_flight_message_id = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ? AND account_email = ?
+    `).run(messageId, jobId, email);
+  }
+
+  /**
+   * Checkpoint a handled message and bump the account and job counters
+   */
+  recordMessage(jobId, email, messageId, { skipped = false, failed = false, classified = false, jobFound = false } = {}) {
+    const fetched = skipped || failed ? 0 : 1;
+    const counts = [fetched, classified ? 1 : 0, skipped ? 1 : 0, jobFound ? 1 : 0];
+
+    const record = this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE sync_job_accounts
+        SET last_message_id = ?,
+            in_flight_message_id = NULL,
+            emails_fetched = emails_fetched + ?,
+            emails_classified = emails_classified + ?,
+            emails_skipped = emails_skipped + ?,
+            jobs_found = jobs_found + ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE job_id = ? AND account_email = ?
+      `).run(messageId, ...counts, jobId, email);
+
+      this.db.prepare(`
+        UPDATE sync_jobs
+        SET emails_fetched = emails_fetched + ?,
+            emails_classified = emails_classified + ?,
+            emails_skipped = emails_skipped + ?,
+            jobs_found = jobs_found + ?,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...counts, jobId);
+    });
+
+    record();
+  }
+
+  finishAccount(jobId, email, status = 'completed', errorMessage = null) {
+    this.db.prepare(`
+      UPDATE sync_job_accounts
+      SET status = ?, error_message = ?, in_flight_message_id = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = ? AND account_email = ?
+    `).run(status, errorMessage, jobId, email);
+  }
+
+  finishJob(jobId, status, errorMessage = null) {
+    this.db.prepare(`
+      UPDATE sync_jobs
+      SET status = ?, error_message = ?, updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(status, errorMessage, jobId);
+  }
+
+  /**
+   * Called once at startup: any job still marked running belongs to a previous
+   * process that never finished, so record it as interrupted.
+   */
+  markInterruptedRuns() {
+    const staleJobs = this.db.prepare(`
+      SELECT * FROM sync_jobs WHERE status = 'running'
+    `).all();
+
+    if (staleJobs.length === 0) return [];
+
+    const markInterrupted = this.db.transaction(() => {
+      for (const job of staleJobs) {
+        const durationRow = this.db.prepare(`
+          SELECT CAST((julianday(updated_at) - julianday(started_at)) * 86400000 AS INTEGER) AS duration_ms
+          FROM sync_jobs WHERE id = ?
+        `).get(job.id);
+        const accountCount = this.db.prepare(`
+          SELECT COUNT(*) AS count FROM sync_job_accounts WHERE job_id = ?
+        `).get(job.id).count;
+
+        this.db.prepare(`
+          UPDATE sync_jobs
+          SET status = 'interrupted', error_message = 'App closed before sync finished'
+          WHERE id = ?
+        `).run(job.id);
+
+        this.db.prepare(`
+          INSERT INTO sync_history (
+            sync_date, accounts_synced, emails_fetched, emails_processed, emails_classified,
+            jobs_found, new_jobs, updated_jobs, duration_ms, status, error_message
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 'interrupted', ?)
+        `).run(
+          job.started_at,
+          accountCount,
+          job.emails_fetched,
+          job.emails_fetched,
+          job.emails_classified,
+          job.jobs_found,
+          job.jobs_found,
+          0,
+          durationRow ? durationRow.duration_ms : null,
+          'App closed before sync finished'
+        );
+
+        this.db.prepare(`
+          UPDATE sync_status SET
+            last_sync_status = 'interrupted',
+            total_emails_fetched = total_emails_fetched + ?,
+            total_emails_classified = total_emails_classified + ?,
+            total_jobs_found = total_jobs_found + ?
+          WHERE id = 1
+        `).run(job.emails_fetched, job.emails_classified, job.jobs_found);
+      }
+    });
+
+    markInterrupted();
+    console.log(`SyncJobStore: Marked ${staleJobs.length} unfinished sync run(s) as interrupted`);
+    return staleJobs.map(job => job.id);
+  }
+
+  /**
+   * Most recent interrupted job, if any, with its account checkpoints
+   */
+  getResumableJob() {
+    const row = this.db.prepare(`
+      SELECT id FROM sync_jobs WHERE status = 'interrupted' ORDER BY id DESC LIMIT 1
+    `).get();
+    return row ? this.getJob(row.id) : null;
+  }
+
+  /**
+   * Give up on interrupted jobs; starting a fresh sync supersedes them
+   */
+  discardInterruptedJobs() {
+    const result = this.db.prepare(`
+      UPDATE sync_jobs
+      SET status = 'abandoned', finished_at = CURRENT_TIMESTAMP
+      WHERE status = 'interrupted'
+    `).run();
+    return result.changes;
+  }
+}
+
+module.exports = SyncJobStore;
@@ -0,0 +1,168 @@
+/**
+ * Background Sync Scheduler
+ *
+ * Runs the Gmail sync in the main process every `syncInterval` minutes while
+ * background sync (`autoStart`) is enabled. A run is skipped when a sync is
+ * already in progress, and repeated failures back off exponentially so a
+ * revoked token or missing model doesn't hammer Gmail every interval.
+ */
+
+const EventEmitter = require('events');
+
+const MINUTE_MS = 60 * 1000;
+const STARTUP_DELAY_MS = 2 * MINUTE_MS;
+const MAX_BACKOFF_MS = 6 * 60 * MINUTE_MS;
+
+class SyncScheduler extends EventEmitter {
+  /**
+   * @param {object} deps
+   * @param {() => Promise<object>} deps.runSync - performs one sync run
+   * @param {() => boolean} deps.isSyncing - whether a sync is already running
+   * @param {() => {syncInterval: number, autoStart: boolean}} deps.getSettings
+   * @param {() => (Date|null)} [deps.getLastSyncTime] - end of the last sync, to avoid syncing again right after launch
+   */
+  constructor({ runSync, isSyncing, getSettings, getLastSyncTime = () => null }) {
+    super();
+    this.runSync = runSync;
+    this.isSyncing = isSyncing;
+    this.getSettings = getSettings;
+    this.getLastSyncTime = getLastSyncTime;
+
+    this.timer = null;
+    this.started = false;
+    this.running = false;
+    this.nextRunAt = null;
+    this.lastRunAt = null;
+    this.lastRunStatus = null;
+    this.lastError = null;
+    this.consecutiveFailures = 0;
+  }
+
+  getIntervalMs() {
+    const minutes = Number(this.getSettings().syncInterval);
+    return Math.max(1, minutes || 30) * MINUTE_MS;
+  }
+
+  isEnabled() {
+    return !!this.getSettings().autoStart;
+  }
+
+  start() {
+    this.started = true;
+    this.scheduleFirstRun();
+  }
+
+  stop() {
+    this.started = false;
+    this.clearTimer();
+    this.emitStatus();
+  }
+
+  // Re-read settings after the user changes the interval or toggles background sync
+  reload() {
+    if (!this.started) return;
+    this.consecutiveFailures = 0;
+    this.scheduleFirstRun();
+  }
+
+  scheduleFirstRun() {
+    if (!this.isEnabled()) {
+      console.log('SyncScheduler: Background sync disabled');
+      this.clearTimer();
+      this.emitStatus();
+      return;
+    }
+
+    const intervalMs = this.getIntervalMs();
+    const lastSync = this.getLastSyncTime();
+    const dueAt = lastSync ? lastSync.getTime() + intervalMs : Date.now();
+    this.scheduleIn(Math.max(STARTUP_DELAY_MS, dueAt - Date.now()));
+  }
+
+  scheduleIn(delayMs) {
+    this.clearTimer();
+    if (!this.started || !this.isEnabled()) {
+      this.emitStatus();
+      return;
+    }
+
+    this.nextRunAt = new Date(Date.now() + delayMs);
+    this.timer = setTimeout(() => this.runNow('scheduled'), delayMs);
+    console.log(`SyncScheduler: Next sync at ${this.nextRunAt.toLocaleTimeString()}`);
+    this.emitStatus();
+  }
+
+  clearTimer() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.nextRunAt = null;
+  }
+
+  /**
+   * Run a sync now (scheduled, or requested from the tray) and schedule the next one.
+   * Failures double the wait each time, capped at MAX_BACKOFF_MS.
+   */
+  async runNow(trigger = 'manual') {
+    if (this.running || this.isSyncing()) {
+      console.log(`SyncScheduler: Skipping ${trigger} sync, a sync is already running`);
+      this.lastRunStatus = 'skipped';
+      this.scheduleIn(this.getIntervalMs());
+      return { success: false, skipped: true };
+    }
+
+    this.clearTimer();
+    this.running = true;
+    this.emitStatus();
+    console.log(`SyncScheduler: Starting ${trigger} sync`);
+
+    let result = null;
+    try {
+      result = await this.runSync();
+      if (result && result.success === false && !result.alreadyRunning && !result.noAccounts) {
+        throw new Error(result.message || 'Sync failed');
+      }
+      this.lastRunStatus = result && result.success === false ? 'skipped' : 'success';
+      this.lastError = null;
+      this.consecutiveFailures = 0;
+    } catch (error) {
+      console.error('SyncScheduler: Sync failed:', error);
+      this.lastRunStatus = 'failed';
+      this.lastError = error.message;
+      this.consecutiveFailures++;
+    } finally {
+      this.running = false;
+      this.lastRunAt = new Date();
+    }
+
+    const backoff = Math.pow(2, this.consecutiveFailures);
+    const delayMs = Math.min(this.getIntervalMs() * backoff, Math.max(MAX_BACKOFF_MS, this.getIntervalMs()));
+    if (this.consecutiveFailures > 0) {
+      console.log(`SyncScheduler: ${this.consecutiveFailures} consecutive failure(s), backing off`);
+    }
+    this.scheduleIn(delayMs);
+
+    this.emit('run-complete', { trigger, result, status: this.lastRunStatus, error: this.lastError });
+    return result;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.started && this.isEnabled(),
+      intervalMinutes: this.getIntervalMs() / MINUTE_MS,
+      running: this.running,
+      nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+      lastRunAt: this.lastRunAt ? this.lastRunAt.toISOString() : null,
+      lastRunStatus: this.lastRunStatus,
+      lastError: this.lastError,
+      consecutiveFailures: this.consecutiveFailures
+    };
+  }
+
+  emitStatus() {
+    this.emit('status', this.getStatus());
+  }
+}
+
+module.exports = SyncScheduler;
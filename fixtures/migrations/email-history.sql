@@ -0,0 +1,36 @@
+-- Jobs that kept their emails as email_history JSON, the newest body in email_content
+-- and a similarity_key for matching, before job_emails existed
+CREATE TABLE jobs (
+  id TEXT PRIMARY KEY,
+  gmail_message_id TEXT NOT NULL,
+  company TEXT NOT NULL,
+  position TEXT NOT NULL,
+  status TEXT DEFAULT 'Applied' CHECK(status IN ('Applied', 'Interviewed', 'Declined', 'Offer')),
+  applied_date DATE,
+  location TEXT,
+  salary_range TEXT,
+  notes TEXT,
+  ml_confidence REAL,
+  account_email TEXT,
+  from_address TEXT,
+  email_history TEXT,
+  email_content TEXT,
+  similarity_key TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(gmail_message_id, account_email)
+);
+
+CREATE TABLE email_sync (
+  gmail_message_id TEXT,
+  account_email TEXT NOT NULL,
+  processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  is_job_related BOOLEAN DEFAULT 0,
+  PRIMARY KEY (gmail_message_id, account_email)
+);
+
+INSERT INTO jobs (id, gmail_message_id, company, position, status, applied_date, account_email, from_address, notes, email_history, email_content, similarity_key) VALUES
+  ('j1', 'h1', 'Acme', 'Platform Engineer', 'Interviewed', '2024-05-01', 'jane@example.com', 'talent@acme.com', 'Applied through the careers page',
+   '[{"gmail_message_id":"h1","date":"2024-05-01T10:00:00Z","subject":"Your application to Acme"},{"gmail_message_id":"h2","date":"2024-05-09T10:00:00Z","subject":"Interview with Acme"}]',
+   'Please pick a slot for your onsite interview with the platform team.', 'acme|platform engineer'),
+  ('j2', 'h3', 'Hooli', 'SRE', 'Applied', '2024-05-03', 'jane@example.com', 'jobs@hooli.com', NULL, 'not json', NULL, 'hooli|sre');
@@ -0,0 +1,53 @@
+-- The first jobs.db: jobs without Gmail ids and with lowercase statuses, a separate
+-- emails table, email_sync for one account and gmail_accounts before incremental sync
+CREATE TABLE jobs (
+  id TEXT PRIMARY KEY,
+  company TEXT NOT NULL,
+  position TEXT NOT NULL,
+  status TEXT DEFAULT 'active',
+  applied_date DATE,
+  location TEXT,
+  salary_range TEXT,
+  notes TEXT,
+  ml_confidence REAL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE emails (
+  id TEXT PRIMARY KEY,
+  job_id TEXT,
+  subject TEXT,
+  body TEXT
+);
+
+CREATE TABLE email_sync (
+  gmail_message_id TEXT PRIMARY KEY,
+  processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  is_job_related BOOLEAN DEFAULT 0
+);
+
+CREATE TABLE gmail_accounts (
+  id TEXT,
+  email TEXT PRIMARY KEY,
+  display_name TEXT,
+  access_token TEXT,
+  refresh_token TEXT,
+  token_expiry TIMESTAMP,
+  sync_enabled BOOLEAN DEFAULT 1,
+  is_active BOOLEAN DEFAULT 1,
+  last_sync TIMESTAMP,
+  connected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO jobs (id, company, position, status, applied_date, notes) VALUES
+  ('j1', 'Globex', 'Data Analyst', 'active', '2024-02-01', 'Referred by Sam'),
+  ('j2', 'Initech', 'Backend Engineer', 'interviewing', '2024-02-10', NULL),
+  ('j3', 'Umbrella', 'QA Engineer', 'rejected', NULL, NULL);
+
+INSERT INTO emails (id, job_id, subject, body) VALUES ('e1', 'j1', 'Thanks for applying', 'We received your application.');
+
+INSERT INTO email_sync (gmail_message_id, is_job_related) VALUES ('m1', 1), ('m2', 0);
+
+INSERT INTO gmail_accounts (id, email, access_token, refresh_token) VALUES ('a1', 'jane@example.com', 'access', 'refresh');
@@ -0,0 +1,81 @@
+-- The old matcher: job_applications with their own job_emails table (email_id, not
+-- gmail_message_id), jobs limited to four statuses by a CHECK constraint, and
+-- job_status_history
+CREATE TABLE jobs (
+  id TEXT PRIMARY KEY,
+  gmail_message_id TEXT NOT NULL,
+  company TEXT NOT NULL,
+  position TEXT NOT NULL,
+  status TEXT DEFAULT 'Applied' CHECK(status IN ('Applied', 'Interviewed', 'Declined', 'Offer')),
+  applied_date DATE,
+  location TEXT,
+  salary_range TEXT,
+  notes TEXT,
+  ml_confidence REAL,
+  account_email TEXT,
+  from_address TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(gmail_message_id, account_email)
+);
+CREATE INDEX idx_jobs_status ON jobs(status);
+
+CREATE TABLE email_sync (
+  gmail_message_id TEXT,
+  account_email TEXT NOT NULL,
+  processed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  is_job_related BOOLEAN DEFAULT 0,
+  PRIMARY KEY (gmail_message_id, account_email)
+);
+
+CREATE TABLE job_applications (
+  job_id TEXT PRIMARY KEY,
+  company TEXT,
+  job_title TEXT,
+  status TEXT,
+  location TEXT,
+  thread_id TEXT,
+  company_domain TEXT,
+  normalized_job_title TEXT,
+  first_contact_date DATETIME,
+  last_contact_date DATETIME,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE job_emails (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id TEXT NOT NULL,
+  email_id TEXT NOT NULL,
+  gmail_thread_id TEXT,
+  subject TEXT,
+  from_address TEXT,
+  email_date DATETIME,
+  detected_status TEXT,
+  content_snippet TEXT,
+  raw_content TEXT,
+  is_primary_email BOOLEAN DEFAULT 0
+);
+CREATE INDEX idx_job_emails_job ON job_emails(job_id);
+
+CREATE TABLE job_status_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  job_id TEXT NOT NULL,
+  status TEXT NOT NULL,
+  email_id TEXT,
+  change_date DATETIME
+);
+
+INSERT INTO jobs (id, gmail_message_id, company, position, status, applied_date, account_email, from_address) VALUES
+  ('j1', 'g1', 'Globex', 'Data Analyst', 'Interviewed', '2024-03-01', 'jane@example.com', 'hr@globex.com');
+
+INSERT INTO job_status_history (job_id, status, email_id, change_date) VALUES
+  ('j1', 'Applied', 'g1', '2024-03-01 09:00:00'),
+  ('j1', 'Interviewed', 'g2', '2024-03-08 09:00:00');
+
+INSERT INTO job_applications (job_id, company, job_title, status, thread_id, company_domain, normalized_job_title, first_contact_date, last_contact_date) VALUES
+  ('app1', 'Initech', 'Backend Engineer', 'interviewing', 't1', 'initech.com', 'backend engineer', '2024-04-01 10:00:00', '2024-04-05 10:00:00');
+
+INSERT INTO job_emails (job_id, email_id, gmail_thread_id, subject, from_address, email_date, detected_status, raw_content, is_primary_email) VALUES
+  ('app1', 'le1', 't1', 'Application received', 'jobs@initech.com', '2024-04-01 10:00:00', 'Applied', 'Thanks for applying to Initech.', 1),
+  ('app1', 'le2', 't1', 'Interview invitation', 'jobs@initech.com', '2024-04-05 10:00:00', 'Interviewed', 'We would like to schedule a phone interview.', 0);
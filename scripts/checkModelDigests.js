@@ -0,0 +1,51 @@
+/**
+ * Compares the SHA-256 and size pinned for each model in MODEL_REGISTRY with
+ * what Hugging Face currently publishes for the file (the X-Linked-Etag and
+ * X-Linked-Size headers of its resolve URL). Needs network access:
+ *   npm run llm:check-digests
+ */
+
+const https = require('https');
+const { MODEL_REGISTRY } = require('../electron/llm/models');
+
+// The resolve URL answers with a redirect to the CDN that carries the LFS headers
+function linkedHeaders(url) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method: 'HEAD' }, (response) => {
+      response.resume();
+      resolve({
+        status: response.statusCode,
+        sha256: (response.headers['x-linked-etag'] || '').replace(/^W\//, '').replace(/"/g, '').toLowerCase() || null,
+        size: Number(response.headers['x-linked-size']) || null
+      });
+    });
+    req.on('error', reject);
+    req.setTimeout(30000, () => req.destroy(new Error(`No response from ${url} for 30s`)));
+    req.end();
+  });
+}
+
+async function run() {
+  let mismatches = 0;
+  for (const entry of MODEL_REGISTRY) {
+    const published = await linkedHeaders(entry.url);
+    const sha256Matches = published.sha256 === entry.sha256;
+    const sizeMatches = published.size === entry.size;
+    if (sha256Matches && sizeMatches) {
+      console.log(`✅ ${entry.id}`);
+      continue;
+    }
+    mismatches++;
+    console.log(`❌ ${entry.id} (HTTP ${published.status})`);
+    if (!sha256Matches) console.log(`   sha256 pinned ${entry.sha256}, published ${published.sha256}`);
+    if (!sizeMatches) console.log(`   size pinned ${entry.size}, published ${published.size}`);
+  }
+
+  console.log(mismatches === 0 ? '🎉 All pinned digests match' : `💥 ${mismatches} model(s) don't match what is published`);
+  process.exit(mismatches === 0 ? 0 : 1);
+}
+
+run().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,6 +1,18 @@
 const fs = require('fs');
 const path = require('path');
 
+// The gold labels use the four classifier statuses, so the engine picks from those
+const EVAL_STAGES = [
+  { name: 'Applied', description: 'application submitted, received or under review' },
+  { name: 'Interview', description: 'screening call, assessment, interview or interview scheduling' },
+  { name: 'Declined', description: 'rejection, no longer considered, position closed' },
+  { name: 'Offer', description: 'offer letter, offer call, compensation package' }
+];
+
+// --mode=unified runs the single-call prompt; the default follows ONLYJOBS_USE_TWO_STAGE
+const modeArg = process.argv.find(arg => arg.startsWith('--mode='));
+const MODE = modeArg ? modeArg.split('=')[1] : undefined;
+
 // Load samples
 const SAMPLES_PATH = path.resolve(process.cwd(), 'fixtures/llm_eval/samples.jsonl');
 
@@ -17,7 +29,7 @@ async function runEvaluation() {
   console.log(`📋 Loaded ${samples.length} test samples`);
   
   // Import the LLM engine
-  const { parseEmailWithLLM } = require('../electron/llm/llmEngine.js');
+  const { parseEmailWithLLM, getLastRun } = require('../electron/llm/llmEngine.js');
   
   const results = [];
   const metrics = {
@@ -26,7 +38,12 @@ async function runEvaluation() {
     correct_status: 0,
     decision_paths: {},
     latencies: [],
-    llm_success_latencies: []
+    // Uncached model calls only, so cache hits don't flatter the averages
+    stage_latencies: { classify: [], parse: [], unified: [] },
+    job_latencies: [],
+    non_job_latencies: [],
+    // Confidence of right and wrong answers; a calibrated score keeps them apart
+    confidence: { correct: [], incorrect: [] }
   };
   
   console.log('\n📊 Running evaluation...\n');
@@ -37,11 +54,14 @@ async function runEvaluation() {
     try {
       const predicted = await parseEmailWithLLM({
         subject: sample.subject,
-        plaintext: sample.plaintext
+        plaintext: sample.plaintext,
+        stages: EVAL_STAGES,
+        mode: MODE
       });
       
       const latency = Date.now() - startTime;
-      const decisionPath = extractDecisionPath(predicted, latency);
+      const run = getLastRun();
+      const decisionPath = extractDecisionPath(run);
       
       // Check correctness
       const isJobCorrect = predicted.is_job_related === sample.gold.is_job_related;
@@ -55,8 +75,12 @@ async function runEvaluation() {
       
       // Track latencies
       metrics.latencies.push(latency);
-      if (decisionPath === 'llm_success' || decisionPath === 'llm_success_early_stop') {
-        metrics.llm_success_latencies.push(latency);
+      (predicted.is_job_related ? metrics.job_latencies : metrics.non_job_latencies).push(latency);
+      for (const stage of ['classify', 'parse', 'unified']) {
+        if (run && run[stage] && !run[stage].cached) metrics.stage_latencies[stage].push(run[stage].ms);
+      }
+      if (typeof predicted.confidence === 'number') {
+        metrics.confidence[isJobCorrect && isStatusCorrect ? 'correct' : 'incorrect'].push(predicted.confidence);
       }
       
       results.push({
@@ -65,10 +89,12 @@ async function runEvaluation() {
         gold: sample.gold,
         correct: { is_job_related: isJobCorrect, status: isStatusCorrect },
         latency,
+        stages: run,
         decision_path: decisionPath
       });
       
-      console.log(`${isJobCorrect && isStatusCorrect ? '✅' : '❌'} ${sample.id}: ${decisionPath} (${latency}ms)`);
+      const confidence = typeof predicted.confidence === 'number' ? `, confidence ${predicted.confidence}` : '';
+      console.log(`${isJobCorrect && isStatusCorrect ? '✅' : '❌'} ${sample.id}: ${decisionPath} (${latency}ms${formatStages(run)}${confidence})`);
       
     } catch (error) {
       console.log(`❌ ${sample.id}: ERROR (${Date.now() - startTime}ms) - ${error.message}`);
@@ -84,9 +110,7 @@ async function runEvaluation() {
   // Compute final metrics
   const jobAccuracy = metrics.correct_is_job_related / metrics.total;
   const statusAccuracy = metrics.correct_status / metrics.total;
-  const avgLatency = metrics.latencies.reduce((a, b) => a + b, 0) / metrics.latencies.length;
-  const avgLLMLatency = metrics.llm_success_latencies.length > 0 ? 
-    metrics.llm_success_latencies.reduce((a, b) => a + b, 0) / metrics.llm_success_latencies.length : 0;
+  const avgLatency = average(metrics.latencies);
   
   // Compute macro-F1 for status
   const statusF1 = computeStatusMacroF1(results);
@@ -97,7 +121,27 @@ async function runEvaluation() {
   console.log(`📊 Status Classification Accuracy: ${(statusAccuracy * 100).toFixed(1)}% (${metrics.correct_status}/${metrics.total})`);
   console.log(`📊 Status Macro-F1: ${statusF1.toFixed(3)}`);
   console.log(`⏱️  Average Latency: ${avgLatency.toFixed(0)}ms`);
-  console.log(`⏱️  LLM Success Latency: ${avgLLMLatency.toFixed(0)}ms (n=${metrics.llm_success_latencies.length})`);
+  console.log(`⏱️  Job emails: ${average(metrics.job_latencies).toFixed(0)}ms (n=${metrics.job_latencies.length}), non-job emails: ${average(metrics.non_job_latencies).toFixed(0)}ms (n=${metrics.non_job_latencies.length})`);
+  
+  console.log('\n⏱️  Stage Latency (uncached calls):');
+  const stageLabels = { classify: 'Stage 1 classify', parse: 'Stage 2 parse', unified: 'Unified' };
+  for (const [stage, label] of Object.entries(stageLabels)) {
+    const latencies = metrics.stage_latencies[stage];
+    if (latencies.length === 0) continue;
+    console.log(`   ${label}: avg ${average(latencies).toFixed(0)}ms, p95 ${percentile(latencies, 0.95).toFixed(0)}ms (n=${latencies.length})`);
+  }
+  
+  const { correct, incorrect } = metrics.confidence;
+  if (correct.length + incorrect.length > 0) {
+    console.log('\n🎚️  Confidence (sample agreement):');
+    console.log(`   Correct answers: avg ${average(correct).toFixed(2)} (n=${correct.length})`);
+    console.log(`   Wrong answers: avg ${average(incorrect).toFixed(2)} (n=${incorrect.length})`);
+    for (const threshold of [0.5, 0.6, 0.7, 0.8]) {
+      const held = [...correct, ...incorrect].filter(c => c < threshold).length;
+      const caught = incorrect.filter(c => c < threshold).length;
+      console.log(`   Threshold ${threshold}: ${held} held for review, ${caught}/${incorrect.length} wrong answers caught`);
+    }
+  }
   
   console.log('\n🔍 Decision Path Distribution:');
   Object.entries(metrics.decision_paths).forEach(([path, count]) => {
@@ -115,16 +159,30 @@ async function runEvaluation() {
   });
 }
 
-function extractDecisionPath(predicted, latency) {
-  // The parseEmailWithLLM function should be logging decision paths
-  // For now, we'll extract from console or infer heuristically
-  // Updated taxonomy: prefilter_skip | cache_hit | llm_success | llm_success_early_stop | parse_fail_fallback | llm_error_fallback | timeout_fallback
-  
-  if (latency < 50) return 'cache_hit';
-  if (latency < 200) return 'prefilter_skip';  
-  if (latency > 7000) return 'timeout_fallback';
-  if (latency < 2000) return 'llm_success_early_stop'; // Likely early stopped
-  return 'llm_success';
+// Taxonomy: cache_hit | stage1_only | two_stage | two_stage_fallback | unified
+function extractDecisionPath(run) {
+  if (!run) return 'unknown';
+  if (run.fallback) return 'two_stage_fallback';
+  if (run.mode === 'unified') return run.unified.cached ? 'cache_hit' : 'unified';
+  if (!run.parse) return run.classify.cached ? 'cache_hit' : 'stage1_only';
+  return run.classify.cached && run.parse.cached ? 'cache_hit' : 'two_stage';
+}
+
+function formatStages(run) {
+  if (!run) return '';
+  const parts = ['classify', 'parse', 'unified']
+    .filter(stage => run[stage])
+    .map(stage => `${stage} ${run[stage].cached ? 'cached' : `${run[stage].ms}ms`}`);
+  return parts.length > 0 ? `: ${parts.join(', ')}` : '';
+}
+
+function average(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))] || 0;
 }
 
 function computeStatusMacroF1(results) {
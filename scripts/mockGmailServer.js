@@ -0,0 +1,177 @@
+/**
+ * Minimal local stand-in for the Gmail REST API, for exercising the sync fetch
+ * phase without a Google account.
+ *
+ * Serves profile, messages.list (with paging), messages.get and history.list
+ * under /gmail/v1/users/me. Selected messages can be made to fail with 429
+ * userRateLimitExceeded a number of times, to 404 as if deleted, or to 400 until
+ * they are taken out of stats.broken.
+ *
+ * Use from a script via startMockGmailServer(), or run directly and point the
+ * app at it:
+ *   node scripts/mockGmailServer.js 8765
+ *   ONLYJOBS_GMAIL_API_URL=http://127.0.0.1:8765/ npm run electron-dev
+ */
+
+const http = require('http');
+const url = require('url');
+
+function buildMessage(id, index) {
+  const date = new Date(Date.now() - index * 3600 * 1000);
+  return {
+    id,
+    threadId: `thread_${id}`,
+    labelIds: ['INBOX'],
+    snippet: `Mock message ${index}`,
+    historyId: String(1000 + index),
+    internalDate: String(date.getTime()),
+    payload: {
+      mimeType: 'text/plain',
+      headers: [
+        { name: 'Subject', value: `Mock message ${index}` },
+        { name: 'From', value: 'Mock Sender <sender@example.com>' },
+        { name: 'Date', value: date.toUTCString() }
+      ],
+      body: {
+        data: Buffer.from(`This is mock message number ${index}.`).toString('base64url')
+      }
+    }
+  };
+}
+
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, reason, message, headers) {
+  sendJson(res, status, {
+    error: { code: status, message, errors: [{ domain: 'usageLimits', reason, message }] }
+  }, headers);
+}
+
+/**
+ * Start the mock server.
+ *
+ * options.messageCount  - number of messages in the mailbox
+ * options.rateLimited   - { [messageId]: number of 429s before succeeding }
+ * options.deleted       - message IDs that return 404
+ * options.broken        - message IDs that return 400 while in stats.broken
+ * options.latencyMs     - artificial delay per messages.get request
+ * options.retryAfter    - seconds to send in a Retry-After header on 429s
+ * options.historyId     - the mailbox history ID the profile reports; stats.historyId changes it
+ * options.history       - [{ id, messageIds }] records served by history.list after startHistoryId
+ */
+function startMockGmailServer(options = {}) {
+  const {
+    port = 0,
+    messageCount = 50,
+    rateLimited = {},
+    deleted = [],
+    broken = [],
+    latencyMs = 20,
+    retryAfter = null,
+    historyId = '5000',
+    history = []
+  } = options;
+
+  const ids = Array.from({ length: messageCount }, (_, i) => `msg${String(i).padStart(4, '0')}`);
+  const remainingFailures = { ...rateLimited };
+  const stats = { getRequests: 0, rateLimitedResponses: 0, inFlight: 0, maxInFlight: 0, attemptsById: {}, historyId, history, broken };
+
+  const server = http.createServer((req, res) => {
+    const { pathname, query } = url.parse(req.url, true);
+    const prefix = '/gmail/v1/users/me';
+
+    if (!pathname.startsWith(prefix)) {
+      return sendError(res, 404, 'notFound', 'Not found');
+    }
+    const route = pathname.slice(prefix.length);
+
+    if (route === '/profile') {
+      return sendJson(res, 200, { emailAddress: 'mock@example.com', messagesTotal: messageCount, historyId: stats.historyId });
+    }
+
+    if (route === '/history') {
+      const maxResults = Math.min(Number(query.maxResults) || 100, 500);
+      const start = Number(query.pageToken) || 0;
+      const records = stats.history.filter(record => Number(record.id) > Number(query.startHistoryId));
+      const body = {
+        history: records.slice(start, start + maxResults).map(record => ({
+          id: record.id,
+          messagesAdded: record.messageIds.map(id => ({ message: { id, threadId: `thread_${id}` } }))
+        })),
+        historyId: stats.historyId
+      };
+      if (start + maxResults < records.length) {
+        body.nextPageToken = String(start + maxResults);
+      }
+      return sendJson(res, 200, body);
+    }
+
+    if (route === '/messages') {
+      const maxResults = Math.min(Number(query.maxResults) || 100, 500);
+      const start = Number(query.pageToken) || 0;
+      const page = ids.slice(start, start + maxResults);
+      const body = {
+        messages: page.map(id => ({ id, threadId: `thread_${id}` })),
+        resultSizeEstimate: messageCount
+      };
+      if (start + maxResults < ids.length) {
+        body.nextPageToken = String(start + maxResults);
+      }
+      return sendJson(res, 200, body);
+    }
+
+    const match = route.match(/^\/messages\/([^/]+)$/);
+    if (match) {
+      const id = decodeURIComponent(match[1]);
+      stats.getRequests++;
+      stats.attemptsById[id] = (stats.attemptsById[id] || 0) + 1;
+      stats.inFlight++;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+
+      setTimeout(() => {
+        stats.inFlight--;
+        const index = ids.indexOf(id);
+        if (index === -1 || deleted.includes(id)) {
+          return sendError(res, 404, 'notFound', 'Requested entity was not found.');
+        }
+        if (stats.broken.includes(id)) {
+          return sendError(res, 400, 'failedPrecondition', 'Precondition check failed.');
+        }
+        if (remainingFailures[id] > 0) {
+          remainingFailures[id]--;
+          stats.rateLimitedResponses++;
+          const headers = retryAfter ? { 'Retry-After': String(retryAfter) } : {};
+          return sendError(res, 429, 'userRateLimitExceeded', 'User-rate limit exceeded.', headers);
+        }
+        return sendJson(res, 200, buildMessage(id, index));
+      }, latencyMs);
+      return;
+    }
+
+    return sendError(res, 404, 'notFound', 'Not found');
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const address = server.address();
+      resolve({
+        url: `http://127.0.0.1:${address.port}/`,
+        ids,
+        stats,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startMockGmailServer };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8765;
+  startMockGmailServer({ port, messageCount: 200, rateLimited: { msg0003: 2, msg0010: 1 } }).then(({ url }) => {
+    console.log(`Mock Gmail API listening on ${url}`);
+  });
+}
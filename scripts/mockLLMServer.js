@@ -0,0 +1,173 @@
+/**
+ * Minimal local stand-in for an LLM server, for exercising the OpenAI-compatible
+ * and Ollama backends (electron/llm/backends.js) without a model.
+ *
+ * Serves /v1/models and /v1/chat/completions like llama-server, vLLM or LM Studio,
+ * and /api/tags and /api/chat like Ollama. Answers are built from the request's
+ * JSON schema with a few keyword rules, so they always validate against it.
+ * Requests asking for logprobs get them per word and punctuation mark: each word
+ * has `wordProbability`, punctuation and spaces are certain.
+ *
+ * Use from a script via startMockLLMServer(), or run directly and point the
+ * app at it:
+ *   node scripts/mockLLMServer.js 8766
+ *   ONLYJOBS_LLM_BACKEND=openai ONLYJOBS_LLM_URL=http://127.0.0.1:8766/v1 npm run llm:evaluate
+ */
+
+const http = require('http');
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => { data += chunk; });
+    req.on('end', () => {
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// The email the engine is asking about, after any few-shot examples
+function emailOf(messages) {
+  const text = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+  const input = text.lastIndexOf('\nInput');
+  return input === -1 ? text : text.slice(input);
+}
+
+const STATUS_RULES = [
+  [/offer/i, ['Offer']],
+  [/regret|unfortunately|not move forward/i, ['Declined', 'Rejected']],
+  [/interview|schedule/i, ['Interviewed', 'Interview']],
+  [/appl/i, ['Applied']]
+];
+
+/**
+ * Answer that fits `schema`: job mail is anything mentioning an application,
+ * interview or offer, and the company is the word after "to" or "at".
+ */
+function answerFor(schema, messages) {
+  const email = emailOf(messages);
+  const isJob = /appl|interview|offer|regret/i.test(email);
+  const company = (email.match(/\b(?:to|at) ([A-Z][A-Za-z]+)/) || [])[1] || null;
+  const answer = {};
+  for (const [field, definition] of Object.entries(schema.properties || {})) {
+    const types = [].concat(definition.type || []);
+    if (types.includes('boolean')) {
+      answer[field] = isJob;
+    } else if (field === 'company') {
+      answer[field] = isJob ? company : null;
+    } else if (field === 'status' && isJob) {
+      const allowed = (definition.enum || []).filter(Boolean);
+      const rule = STATUS_RULES.find(([pattern]) => pattern.test(email));
+      answer[field] = (rule && rule[1].find(name => allowed.includes(name))) || (types.includes('null') ? null : allowed[0]);
+    } else {
+      answer[field] = types.includes('null') ? null : types.includes('string') ? '' : 0;
+    }
+  }
+  return answer;
+}
+
+// Log-probabilities as llama-server and Ollama return them, [{ token, logprob }]
+function logprobsFor(content, wordProbability) {
+  return content.match(/[A-Za-z]+|[^A-Za-z]/g).map(token => ({
+    token,
+    logprob: /[A-Za-z]/.test(token) ? Math.log(wordProbability) : 0
+  }));
+}
+
+/**
+ * Start the mock server.
+ *
+ * options.models     - model names listed by /v1/models and /api/tags
+ * options.ignoreSchema - answer in prose, like a server without structured output
+ * options.latencyMs  - artificial delay per completion
+ * options.logprobs   - false to leave out logprobs, like a server without them
+ * options.wordProbability - probability of each word in returned logprobs
+ */
+function startMockLLMServer(options = {}) {
+  const {
+    port = 0,
+    models = ['mock-model'],
+    ignoreSchema = false,
+    latencyMs = 0,
+    logprobs: withLogprobs = true,
+    wordProbability = 0.9
+  } = options;
+
+  // Completion requests as received, for checks on what the backends send
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const pathname = req.url.split('?')[0];
+
+    if (req.method === 'GET' && pathname === '/v1/models') {
+      return sendJson(res, 200, { object: 'list', data: models.map(id => ({ id, object: 'model' })) });
+    }
+    if (req.method === 'GET' && pathname === '/api/tags') {
+      return sendJson(res, 200, { models: models.map(name => ({ name, model: name })) });
+    }
+
+    if (req.method === 'POST' && (pathname === '/v1/chat/completions' || pathname === '/api/chat')) {
+      let body;
+      try {
+        body = await readBody(req);
+      } catch (error) {
+        return sendJson(res, 400, { error: { message: 'Invalid JSON body' } });
+      }
+      requests.push({ path: pathname, headers: req.headers, body });
+      const schema = pathname === '/api/chat' ? body.format : body.response_format?.json_schema?.schema;
+      // Ollama resolves a bare name to its :latest tag
+      if (body.model && !models.includes(body.model) && !models.includes(`${body.model}:latest`)) {
+        return sendJson(res, 404, { error: { message: `model '${body.model}' not found` } });
+      }
+      const content = ignoreSchema || !schema
+        ? 'Sure! This email looks job related.'
+        : JSON.stringify(answerFor(schema, body.messages || []));
+
+      const logprobs = body.logprobs && withLogprobs ? logprobsFor(content, wordProbability) : undefined;
+
+      setTimeout(() => {
+        if (pathname === '/api/chat') {
+          return sendJson(res, 200, { model: body.model, message: { role: 'assistant', content }, logprobs, done: true });
+        }
+        return sendJson(res, 200, {
+          object: 'chat.completion',
+          model: body.model || models[0],
+          choices: [{ index: 0, message: { role: 'assistant', content }, logprobs: logprobs && { content: logprobs }, finish_reason: 'stop' }]
+        });
+      }, latencyMs);
+      return;
+    }
+
+    return sendJson(res, 404, { error: { message: 'Not found' } });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(port, '127.0.0.1', () => {
+      const address = server.address();
+      resolve({
+        url: `http://127.0.0.1:${address.port}`,
+        requests,
+        close: () => new Promise(done => server.close(done))
+      });
+    });
+  });
+}
+
+module.exports = { startMockLLMServer };
+
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8766;
+  startMockLLMServer({ port }).then(({ url }) => {
+    console.log(`Mock LLM server listening on ${url} (OpenAI-compatible under /v1, Ollama under /api)`);
+  });
+}
@@ -11,7 +11,7 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const Database = require('better-sqlite3');
+const { getDbPath, openDatabase } = require('../electron/database');
 
 // Parse CLI arguments
 const args = process.argv.slice(2);
@@ -34,7 +34,6 @@ console.log(`🔧 ${isDryRun ? 'DRY RUN: ' : ''}Re-normalizing existing job reco
 
 function resolveDbPath() {
   const homedir = os.homedir();
-  const platform = os.platform();
   
   // 1. CLI flag (highest precedence)
   if (cliDbPath) {
@@ -48,17 +47,8 @@ function resolveDbPath() {
     return process.env.ONLYJOBS_DB_PATH;
   }
   
-  // 3. Platform-specific userData paths (3rd precedence)
-  let userDataPaths = [];
-  if (platform === 'darwin') {
-    userDataPaths.push(path.join(homedir, 'Library', 'Application Support', 'onlyjobs-desktop', 'jobs.db'));
-  } else if (platform === 'win32') {
-    if (process.env.APPDATA) {
-      userDataPaths.push(path.join(process.env.APPDATA, 'onlyjobs-desktop', 'jobs.db'));
-    }
-  } else { // Linux and others
-    userDataPaths.push(path.join(homedir, '.config', 'onlyjobs-desktop', 'jobs.db'));
-  }
+  // 3. The app's jobs.db in userData (3rd precedence)
+  const userDataPaths = [getDbPath()];
   
   // 4. Repo-local fallbacks (lowest precedence)
   const repoLocalPaths = [
@@ -150,11 +140,12 @@ function buildDynamicQuery(schema) {
 async function normalizeExistingRecords() {
   const dbPath = resolveDbPath();
   
-  // Open database (read-only for dry run)
-  const db = Database(dbPath, { 
-    readonly: isDryRun,
-    fileMustExist: true 
-  });
+  if (!fs.existsSync(dbPath)) {
+    throw new Error(`Database file not found: ${dbPath}`);
+  }
+
+  // Open database with the app's settings (read-only for dry run), leaving its schema as it is
+  const db = openDatabase(dbPath, { migrate: false, readonly: isDryRun });
   
   try {
     // Import normalization functions
@@ -0,0 +1,78 @@
+/**
+ * Checks where the shared database connection (electron/database.js) opens
+ * jobs.db and how:
+ *
+ * - ONLYJOBS_DB_PATH is resolved to an absolute path, and a blank value falls
+ *   back to jobs.db in userData
+ * - getDb() creates the file and its directory there, in WAL mode with the busy
+ *   timeout and the latest schema, and hands every caller the same connection
+ * - another connection to the file sees what the shared one wrote, and
+ *   closeDb() lets the next getDb() open the file again; read-only connections
+ *   don't write or create the file
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run db:test-path
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { check, makeTempDir, thrown, runChecks } = require('./testHelpers');
+
+// The database and secret vault stay in a temp directory
+const dir = makeTempDir('database');
+process.env.ONLYJOBS_SECRETS_BACKEND = 'vault';
+process.env.XDG_CONFIG_HOME = dir;
+
+const { getDb, closeDb, openDatabase, getDbPath, getUserDataDir } = require('../electron/database');
+const { getSchemaVersion, LATEST_VERSION } = require('../electron/migrations');
+
+function checkPathResolution() {
+  console.log('🧪 Resolving ONLYJOBS_DB_PATH...');
+  process.env.ONLYJOBS_DB_PATH = ' data/jobs.db ';
+  check('relative path resolved from the working directory', getDbPath() === path.resolve('data/jobs.db'), getDbPath());
+  process.env.ONLYJOBS_DB_PATH = '   ';
+  check('blank path falls back to userData', getDbPath() === path.join(getUserDataDir(), 'jobs.db'), getDbPath());
+}
+
+async function checkSharedConnection() {
+  console.log('🧪 Opening the shared connection...');
+  const dbPath = path.join(dir, 'nested', 'jobs.db');
+  process.env.ONLYJOBS_DB_PATH = dbPath;
+  // Migrations that move credentials wait for the secret store
+  await require('../electron/secrets').getSecretStore().unlock('database test passphrase');
+
+  const db = getDb();
+  check('file created at ONLYJOBS_DB_PATH', fs.existsSync(dbPath) && db.name === dbPath, db.name);
+  check('runs in WAL mode', db.pragma('journal_mode', { simple: true }) === 'wal');
+  check('waits for locks', db.pragma('busy_timeout', { simple: true }) === 5000, db.pragma('busy_timeout', { simple: true }));
+  check('schema up to date', getSchemaVersion(db) === LATEST_VERSION, `version ${getSchemaVersion(db)}`);
+  check('one connection for every caller', getDb() === db);
+
+  db.prepare("INSERT INTO jobs (id, gmail_message_id, company, position, status) VALUES ('job-1', 'msg-1', 'Globex', 'Analyst', 'Applied')").run();
+  const other = openDatabase(dbPath, { migrate: false });
+  try {
+    check('other connections see its writes', other.prepare('SELECT company FROM jobs WHERE id = ?').get('job-1').company === 'Globex');
+  } finally {
+    other.close();
+  }
+  const readonly = openDatabase(dbPath, { readonly: true });
+  try {
+    check('read-only connections refuse writes', readonly.readonly && thrown(() => readonly.prepare('DELETE FROM jobs').run()) !== null);
+  } finally {
+    readonly.close();
+  }
+  check('read-only connections need an existing file', thrown(() => openDatabase(path.join(dir, 'missing.db'), { readonly: true })) !== null
+    && !fs.existsSync(path.join(dir, 'missing.db')));
+
+  closeDb();
+  const reopened = getDb();
+  check('reopened after closeDb', reopened !== db && reopened.open && reopened.prepare('SELECT COUNT(*) AS count FROM jobs').get().count === 1);
+  closeDb();
+}
+
+async function run() {
+  checkPathResolution();
+  await checkSharedConnection();
+}
+
+runChecks('database', run, { dir });
@@ -0,0 +1,94 @@
+/**
+ * Checks the email gate (electron/email-gate.js) that skips obvious non-job
+ * mail before the LLM:
+ *
+ * - each rule in order: ATS senders, skipped domains, job keywords, Gmail
+ *   categories, bulk and mailing-list headers
+ * - settings that switch rules off or the whole gate
+ * - decisions recorded per message, listed and counted by rule
+ *
+ * The gate loads the LLM engine, whose cache uses better-sqlite3 built for
+ * Electron, so this runs under Electron as node:
+ *   npm run gate:test
+ */
+
+const { check, createTestDb, runChecks } = require('./testHelpers');
+const { EmailGate, senderDomain } = require('../electron/email-gate');
+
+const message = (id, { labels = ['INBOX'], headers = {} } = {}) => ({
+  id,
+  labelIds: labels,
+  payload: { headers: Object.entries(headers).map(([name, value]) => ({ name, value })) }
+});
+
+function checkRules() {
+  console.log('🧪 Gate rules...');
+  const gate = new EmailGate(null, { getFilters: () => ({}) });
+  const decide = (email, fields) => {
+    const { decision, rule, detail } = gate.evaluate(email, fields);
+    return `${decision}:${rule}:${detail}`;
+  };
+
+  check('ATS sender classified despite list headers',
+    decide(message('ats', { headers: { 'List-Unsubscribe': '<mailto:x@y>' } }), { from: 'Globex <no-reply@globex.greenhouse.io>', subject: 'Update' })
+      === 'classify:ats_domain:greenhouse.io');
+  check('skipped domain and its subdomains',
+    decide(message('shop'), { from: 'ship-confirm@orders.amazon.com', subject: 'Your application of coupons' })
+      === 'skip:skip_domain:amazon.com');
+  check('job keyword rescues bulk mail',
+    decide(message('digest', { labels: ['CATEGORY_PROMOTIONS'], headers: { Precedence: 'bulk' } }), { from: 'news@list.org', subject: 'Digest', content: 'Tips for your next Interview' })
+      === 'classify:job_keyword:interview');
+  check('keywords match whole words only',
+    decide(message('offers', { labels: ['CATEGORY_PROMOTIONS'] }), { from: 'deals@shop.example', subject: 'Special offers inside' })
+      === 'skip:gmail_category:CATEGORY_PROMOTIONS');
+  check('Updates category not skipped by default',
+    decide(message('updates', { labels: ['CATEGORY_UPDATES'] }), { from: 'a@b.example', subject: 'Hello' }) === 'classify:no_match:null');
+  check('bulk precedence skipped',
+    decide(message('bulk', { headers: { Precedence: ' list ' } }), { from: 'a@b.example', subject: 'Hello' }) === 'skip:bulk_precedence:Precedence: list');
+  check('mailing list skipped',
+    decide(message('list', { headers: { 'list-id': '<team.lists.example>' } }), { from: 'a@b.example', subject: 'Hello' }) === 'skip:mailing_list:List-Id');
+  check('sender domain read from a display name', senderDomain('"Jane" <jane@Mail.Example.com>') === 'mail.example.com' && senderDomain('') === null);
+}
+
+function checkSettings() {
+  console.log('🧪 Filter settings...');
+  const promo = message('promo', { labels: ['CATEGORY_PROMOTIONS'], headers: { 'List-Unsubscribe': '<mailto:x@y>' } });
+  const fields = { from: 'deals@facebook.com', subject: 'Sale' };
+
+  const disabled = new EmailGate(null, { getFilters: () => ({ enabled: false }) }).evaluate(promo, fields);
+  check('disabled gate classifies everything', disabled.decision === 'classify' && disabled.rule === 'disabled');
+  const noLists = new EmailGate(null, { getFilters: () => ({ skipDomains: [], skipCategories: [], skipBulk: false }) }).evaluate(promo, fields);
+  check('rules switched off let mail through', noLists.decision === 'classify' && noLists.rule === 'no_match', JSON.stringify(noLists));
+  const custom = new EmailGate(null, { getFilters: () => ({ skipDomains: ['@Example.org'], jobKeywords: ['  ', 'Recruiter'] }) });
+  check('domains entered with @ and in capitals', custom.evaluate(message('x'), { from: 'a@news.example.org' }).rule === 'skip_domain');
+  check('custom keywords matched in any case', custom.evaluate(message('y'), { from: 'a@b.example', subject: 'A recruiter wrote' }).detail === 'Recruiter');
+  check('blank keywords ignored', custom.evaluate(message('z', { labels: ['CATEGORY_SOCIAL'] }), { from: 'a@b.example', subject: 'Hello' }).rule === 'gmail_category');
+}
+
+function checkRecorded() {
+  console.log('🧪 Recorded decisions...');
+  const db = createTestDb();
+  const gate = new EmailGate(db, { getFilters: () => ({}) });
+  gate.check(message('m1', { headers: { 'List-Id': '<a.example>' } }), 'me@example.com', { from: 'a@b.example', subject: 'Newsletter' });
+  gate.check(message('m2'), 'me@example.com', { from: 'jobs@lever.co', subject: 'Thanks for applying' });
+  gate.check(message('m3'), 'me@example.com', { from: 'orders@amazon.com', subject: 'Shipped' });
+  // Checked again on the next sync: the decision is replaced, not added
+  gate.check(message('m3'), 'me@example.com', { from: 'orders@amazon.com', subject: 'Shipped' });
+
+  const skipped = gate.list({ decision: 'skip' });
+  check('decisions recorded once per message', skipped.length === 2 && gate.list().length === 3, JSON.stringify(gate.list()));
+  check('with the rule, detail and sender', skipped.some(row => row.gmail_message_id === 'm3' && row.rule === 'skip_domain'
+    && row.detail === 'amazon.com' && row.from_address === 'orders@amazon.com'));
+  check('listed by rule', gate.list({ rule: 'ats_domain' }).map(row => row.gmail_message_id).join() === 'm2');
+  const stats = gate.stats();
+  check('counted per decision and rule', stats.skipped === 2 && stats.classified === 1 && stats.rules.length === 3, JSON.stringify(stats));
+  check('cleared', gate.clear() === 3 && gate.stats().skipped === 0);
+}
+
+function run() {
+  checkRules();
+  checkSettings();
+  checkRecorded();
+}
+
+runChecks('email gate', run);
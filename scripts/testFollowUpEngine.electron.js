@@ -0,0 +1,123 @@
+/**
+ * Checks the follow-up rules (electron/follow-up-engine.js) on an in-memory
+ * database:
+ *
+ * - applications quiet for noResponseDays move to Ghosted once, with a reminder,
+ *   and moving one back to Applied by hand restarts the wait
+ * - interview emails get a follow-up reminder interviewFollowUpDays later, unless
+ *   they are too old when first seen or the company has written since
+ * - snoozed reminders fire again when the snooze ends; disabled rules do nothing
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run reminders:test
+ */
+
+const { check, createTestDb, thrown, runChecks } = require('./testHelpers');
+const FollowUpEngine = require('../electron/follow-up-engine');
+const { JobStageCatalog } = require('../electron/job-stages');
+const { JobTimeline } = require('../electron/job-timeline');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = new Date();
+const daysAgo = (days) => new Date(NOW.getTime() - days * DAY_MS).toISOString();
+const daysAhead = (days) => new Date(NOW.getTime() + days * DAY_MS);
+
+function createEngine(rules = {}) {
+  const db = createTestDb();
+  const stages = new JobStageCatalog(db);
+  const timeline = new JobTimeline(db, stages);
+  const engine = new FollowUpEngine(db, { stages, timeline, getRules: () => rules });
+  const addJob = (id, company, appliedDaysAgo) => {
+    db.prepare("INSERT INTO jobs (id, gmail_message_id, company, position, status, applied_date) VALUES (?, ?, ?, 'Engineer', 'Applied', ?)")
+      .run(id, `m-${id}`, company, daysAgo(appliedDaysAgo).slice(0, 10));
+    timeline.recordEvent(id, { status: 'Applied', source: 'automatic', gmailMessageId: `m-${id}`, occurredAt: daysAgo(appliedDaysAgo) });
+  };
+  const status = (id) => db.prepare('SELECT status FROM jobs WHERE id = ?').get(id).status;
+  const reminders = (id) => db.prepare('SELECT * FROM reminders WHERE job_id = ? ORDER BY id').all(id);
+  return { db, timeline, engine, addJob, status, reminders };
+}
+
+function checkNoResponse() {
+  console.log('🧪 Applications without a response...');
+  const { timeline, engine, addJob, status, reminders } = createEngine();
+  addJob('quiet', 'Globex', 40);
+  addJob('fresh', 'Initech', 2);
+
+  const first = engine.run(NOW);
+  check('quiet application moved to Ghosted', status('quiet') === 'Ghosted', status('quiet'));
+  check('recent application left alone', status('fresh') === 'Applied' && reminders('fresh').length === 0);
+  check('no-response reminder fired', first.markedNoResponse === 1 && reminders('quiet').length === 1
+    && reminders('quiet')[0].kind === 'no_response' && reminders('quiet')[0].status === 'notified', JSON.stringify(reminders('quiet')));
+
+  const second = engine.run(NOW);
+  check('a second run changes nothing', second.markedNoResponse === 0 && second.due.length === 0 && reminders('quiet').length === 1,
+    JSON.stringify(second));
+
+  timeline.recordEvent('quiet', { status: 'Applied', source: 'manual', occurredAt: NOW.toISOString() });
+  check('moving it back by hand restarts the wait', engine.run(NOW).markedNoResponse === 0 && status('quiet') === 'Applied');
+  engine.run(daysAhead(21));
+  check('and it is ghosted again after another quiet spell', status('quiet') === 'Ghosted' && reminders('quiet').length === 2, status('quiet'));
+}
+
+function checkMissingStage() {
+  console.log('🧪 A no-response stage that was deleted...');
+  const { engine, addJob, status, reminders } = createEngine({ noResponseStage: 'Long Gone' });
+  addJob('quiet', 'Globex', 40);
+  engine.run(NOW);
+  check('keeps the status and still reminds', status('quiet') === 'Applied' && reminders('quiet').length === 1);
+}
+
+function checkInterviewFollowUps() {
+  console.log('🧪 Interview follow-ups...');
+  const { db, timeline, engine, addJob, reminders } = createEngine();
+  const interview = (id, days) => {
+    addJob(id, id, days + 5);
+    timeline.recordEvent(id, { status: 'Interviewed', source: 'automatic', gmailMessageId: `i-${id}`, occurredAt: daysAgo(days) });
+  };
+  interview('due', 4);
+  interview('later', 1);
+  interview('stale', 300);
+  addJob('manual', 'manual', 10);
+  timeline.recordEvent('manual', { status: 'Interviewed', source: 'manual', occurredAt: daysAgo(4) });
+
+  const result = engine.run(NOW);
+  const [due] = reminders('due');
+  check('reminder fires interviewFollowUpDays after the email', due && due.kind === 'interview_follow_up' && due.status === 'notified'
+    && result.due.some(reminder => reminder.id === due.id), JSON.stringify(reminders('due')));
+  check('recent interview waits', reminders('later').length === 1 && reminders('later')[0].status === 'pending', JSON.stringify(reminders('later')));
+  check('interviews entered by hand get none', reminders('manual').length === 0);
+  check('interviews too old when first seen get none', reminders('stale').length === 0);
+
+  db.prepare("INSERT INTO job_emails (job_id, gmail_message_id, account_email, email_date, subject) VALUES ('later', 'reply', 'me@example.com', ?, 'Next steps')")
+    .run(NOW.toISOString());
+  const resolved = engine.run(NOW);
+  check('reply after the interview resolves its reminder', resolved.resolved === 1 && reminders('later')[0].status === 'resolved',
+    JSON.stringify(reminders('later')));
+
+  engine.snooze(due.id, 3);
+  check('snoozed reminder waits', engine.run(NOW).due.length === 0);
+  check('and fires when the snooze ends', engine.run(daysAhead(4)).due.some(reminder => reminder.id === due.id));
+
+  engine.dismiss(due.id);
+  check('dismissed and resolved reminders listed on request', engine.list().every(reminder => reminder.job_id !== 'due' && reminder.job_id !== 'later')
+    && engine.list({ includeClosed: true }).length === 2);
+  const missing = thrown(() => engine.dismiss(9999));
+  check('unknown reminder refused', missing && /not found/.test(missing.message), missing && missing.message);
+}
+
+function checkDisabled() {
+  console.log('🧪 Disabled rules...');
+  const { engine, addJob, status, reminders } = createEngine({ enabled: false });
+  addJob('quiet', 'Globex', 40);
+  const result = engine.run(NOW);
+  check('nothing moved or reminded', result.markedNoResponse === 0 && status('quiet') === 'Applied' && reminders('quiet').length === 0);
+}
+
+function run() {
+  checkNoResponse();
+  checkMissingStage();
+  checkInterviewFollowUps();
+  checkDisabled();
+}
+
+runChecks('follow-up rule', run);
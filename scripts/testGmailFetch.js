@@ -0,0 +1,84 @@
+/**
+ * Exercises the concurrent Gmail fetch pool against the local mock Gmail server:
+ * bounded concurrency, 429 backoff with per-message retry reporting, deleted
+ * messages and messages that never stop failing.
+ *
+ * Usage: node scripts/testGmailFetch.js
+ */
+
+const { google } = require('googleapis');
+const { fetchMessagesConcurrently } = require('../electron/gmail-fetch-pool');
+const { startMockGmailServer } = require('./mockGmailServer');
+const { check, runChecks } = require('./testHelpers');
+
+async function run() {
+  const mock = await startMockGmailServer({
+    messageCount: 40,
+    rateLimited: { msg0002: 2, msg0007: 1, msg0015: 10 },
+    deleted: ['msg0020'],
+    latencyMs: 30
+  });
+  const gmail = google.gmail({ version: 'v1', rootUrl: mock.url });
+
+  try {
+    console.log('🧪 Fetching 40 messages with concurrency 4...');
+    const { data: list } = await gmail.users.messages.list({ userId: 'me', maxResults: 40 });
+    const ids = list.messages.map(m => m.id);
+
+    const retryEvents = [];
+    const startTime = Date.now();
+    const result = await fetchMessagesConcurrently(gmail, ids, {
+      concurrency: 4,
+      maxRetries: 3,
+      baseDelayMs: 50,
+      maxDelayMs: 200,
+      onRetry: (retry) => retryEvents.push(retry)
+    });
+    console.log(`   finished in ${Date.now() - startTime}ms`, {
+      fetched: result.messages.length,
+      missing: result.missing,
+      failed: result.failed.map(f => f.id),
+      retries: result.retries
+    });
+
+    check('never exceeds the concurrency limit', mock.stats.maxInFlight <= 4, `max in flight ${mock.stats.maxInFlight}`);
+    check('actually runs requests in parallel', mock.stats.maxInFlight > 1, `max in flight ${mock.stats.maxInFlight}`);
+    check('fetches every message that eventually succeeds', result.messages.length === 38, `got ${result.messages.length}`);
+
+    const expectedOrder = ids.filter(id => id !== 'msg0020' && id !== 'msg0015');
+    check('keeps messages in listing order', result.messages.map(m => m.id).join() === expectedOrder.join());
+
+    check('reports deleted messages as missing', result.missing.length === 1 && result.missing[0] === 'msg0020');
+    check('gives up on a message after maxRetries', result.failed.length === 1 && result.failed[0].id === 'msg0015' && result.failed[0].attempts === 4);
+    check('retries rate-limited messages', result.retries.msg0002 === 2 && result.retries.msg0007 === 1);
+    check('reports each retry with attempt and reason',
+      retryEvents.filter(e => e.messageId === 'msg0002').map(e => e.attempt).join() === '1,2' &&
+      retryEvents.every(e => e.reason === 'userRateLimitExceeded'));
+    check('total retries add up', result.totalRetries === 2 + 1 + 3, `got ${result.totalRetries}`);
+  } finally {
+    await mock.close();
+  }
+
+  const retryAfterMock = await startMockGmailServer({
+    messageCount: 3,
+    rateLimited: { msg0000: 1 },
+    latencyMs: 5,
+    retryAfter: 1
+  });
+  try {
+    console.log('🧪 Honouring Retry-After...');
+    const gmail = google.gmail({ version: 'v1', rootUrl: retryAfterMock.url });
+    const retryEvents = [];
+    const result = await fetchMessagesConcurrently(gmail, retryAfterMock.ids, {
+      concurrency: 2,
+      baseDelayMs: 10,
+      onRetry: (retry) => retryEvents.push(retry)
+    });
+    check('waits for the Retry-After period', retryEvents.length === 1 && retryEvents[0].delayMs === 1000, JSON.stringify(retryEvents));
+    check('recovers after Retry-After', result.messages.length === 3);
+  } finally {
+    await retryAfterMock.close();
+  }
+}
+
+runChecks('Gmail fetch', run);
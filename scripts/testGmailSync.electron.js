@@ -0,0 +1,158 @@
+/**
+ * Checks where Gmail syncs leave off, against the local mock Gmail server:
+ *
+ * - a full listing that stops at the sync's limit is continued by the next sync,
+ *   with the query and history ID it started with, before history is used
+ * - history syncs never return more messages than asked for, and resume from the
+ *   last record they read
+ * - messages that still fail after their retries are fetched again by the next
+ *   sync, and dequeued only once a sync that fetched them commits
+ *
+ * All of it runs with the vault locked, while migration 016 waits with the tokens
+ * in jobs.db; they move once it is unlocked.
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run gmail:test-sync
+ */
+
+const path = require('path');
+const { check, makeTempDir, runChecks } = require('./testHelpers');
+
+// The database, secret vault and Gmail API all stay in a temp directory
+const dir = makeTempDir('gmail-sync');
+process.env.ONLYJOBS_DB_PATH = path.join(dir, 'jobs.db');
+process.env.ONLYJOBS_SECRETS_BACKEND = 'vault';
+process.env.XDG_CONFIG_HOME = dir;
+
+const { startMockGmailServer } = require('./mockGmailServer');
+
+const ACCOUNT = 'mock@example.com';
+const SECRETS_MIGRATION = 16;
+const WINDOW_QUERY = 'in:inbox after:2025-01-01';
+
+// A jobs.db from before the secret store, so the tokens stay in it while the vault is locked
+function createBaselineDatabase() {
+  const Database = require('better-sqlite3');
+  const { runMigrations, MIGRATIONS } = require('../electron/migrations');
+  const db = new Database(process.env.ONLYJOBS_DB_PATH);
+  try {
+    runMigrations(db, { migrations: MIGRATIONS.filter(migration => migration.version < SECRETS_MIGRATION) });
+    db.prepare(`
+      INSERT INTO gmail_accounts (id, email, access_token, refresh_token, token_expiry)
+      VALUES ('gmail_mock', ?, 'access', 'refresh', ?)
+    `).run(ACCOUNT, Date.now() + 3600 * 1000);
+  } finally {
+    db.close();
+  }
+}
+
+async function connectAccount(mock) {
+  process.env.ONLYJOBS_GMAIL_API_URL = mock.url;
+  createBaselineDatabase();
+  const GmailMultiAuth = require('../electron/gmail-multi-auth');
+  const auth = new GmailMultiAuth();
+  // The mock doesn't check tokens, and there is no Google token endpoint to refresh them at
+  auth.refreshAccountTokens = async () => {};
+  check('keeps the tokens in jobs.db while the vault is locked', auth.tokensInDatabase() && auth.getTokens(ACCOUNT).refresh_token === 'refresh');
+  return auth;
+}
+
+async function unlockVault(auth) {
+  await require('../electron/secrets').getSecretStore().unlock('mock passphrase');
+  require('../electron/database').migrateDatabase();
+  check('moves the tokens once the vault is unlocked', !auth.tokensInDatabase() && auth.getTokens(ACCOUNT).refresh_token === 'refresh');
+}
+
+async function checkListingContinues(mock, auth) {
+  console.log('🧪 Continuing a listing cut off by the limit...');
+  const GmailSource = require('../electron/mail-sources/gmail-source');
+  let source = new GmailSource({ email: ACCOUNT }, auth);
+
+  const first = await source.fetchMessages({ maxResults: 100, pageSize: 100, query: WINDOW_QUERY });
+  check('lists up to the limit', first.mode === 'full' && first.messages.length === 100 && !!first.nextPageToken, `${first.messages.length} messages`);
+  await source.commitCursor(first.cursor, { pageToken: first.nextPageToken });
+  check('does not save the history ID yet', auth.getHistoryId(ACCOUNT) === null);
+  const listing = auth.getListingProgress(ACCOUNT);
+  check('saves where the listing stopped', !!listing && listing.pageToken === first.nextPageToken && listing.query === WINDOW_QUERY
+    && listing.historyId === '5000', JSON.stringify(listing));
+
+  // A day later: new mail, and a window that starts on another date
+  mock.stats.historyId = '6000';
+  source = new GmailSource({ email: ACCOUNT }, auth);
+  const second = await source.fetchMessages({ maxResults: 100, pageSize: 100, query: 'in:inbox after:2025-01-02' });
+  check('the next sync continues the listing', second.mode === 'full' && second.messages[0].id === 'msg0100', second.messages[0] && second.messages[0].id);
+  check('with the query it was started with', second.query === WINDOW_QUERY, second.query);
+  check('and the history ID read when it started', second.cursor === '5000', second.cursor);
+  await source.commitCursor(second.cursor, { pageToken: second.nextPageToken });
+
+  source = new GmailSource({ email: ACCOUNT }, auth);
+  const last = await source.fetchMessages({ maxResults: 100, pageSize: 100, query: WINDOW_QUERY });
+  check('reads the rest of the window', last.messages.length === 50 && !last.nextPageToken, `${last.messages.length} messages`);
+  await source.commitCursor(last.cursor, { pageToken: null });
+  check('saves the history ID once the listing is done', auth.getHistoryId(ACCOUNT) === '5000' && auth.getListingProgress(ACCOUNT) === null);
+}
+
+async function checkHistoryLimit(mock, auth) {
+  console.log('🧪 Capping history syncs...');
+  mock.stats.history.push(
+    { id: '5001', messageIds: ['msg0001'] },
+    { id: '5002', messageIds: ['msg0002', 'msg0003'] },
+    { id: '5003', messageIds: ['msg0004'] }
+  );
+
+  const capped = await auth.fetchHistorySince(ACCOUNT, '5000', { maxResults: 2 });
+  check('stays within maxResults', capped.messages.length === 1, `${capped.messages.length} messages`);
+  check('resumes from the last record read', capped.historyId === '5001', capped.historyId);
+
+  const rest = await auth.fetchHistorySince(ACCOUNT, capped.historyId, { maxResults: 2 });
+  check('reads a record that fills the limit', rest.messages.map(m => m.id).join() === 'msg0002,msg0003', rest.messages.map(m => m.id).join());
+  const single = await auth.fetchHistorySince(ACCOUNT, '5001', { maxResults: 1 });
+  check('reads a record larger than the limit whole', single.messages.length === 2 && single.historyId === '5002', `${single.messages.length} messages`);
+  const all = await auth.fetchHistorySince(ACCOUNT, '5000', { maxResults: 10 });
+  check('ends at the mailbox history ID', all.messages.length === 4 && all.historyId === mock.stats.historyId, all.historyId);
+}
+
+async function checkFailedMessagesRetried(mock, auth) {
+  console.log('🧪 Retrying messages that failed...');
+  const GmailSource = require('../electron/mail-sources/gmail-source');
+  mock.stats.broken.push('msg0005');
+  mock.stats.history.push({ id: '5004', messageIds: ['msg0005', 'msg0006'] });
+  mock.stats.historyId = '5004';
+  auth.saveHistoryId(ACCOUNT, '5003');
+
+  let source = new GmailSource({ email: ACCOUNT }, auth);
+  const failed = await source.fetchMessages({ maxResults: 10 });
+  check('reports the failed message', failed.fetchStats.failed.includes('msg0005'), JSON.stringify(failed.fetchStats.failed));
+  await source.commitCursor(failed.cursor);
+  check('queues it past the committed cursor', auth.getHistoryId(ACCOUNT) === '5004'
+    && auth.getRetryMessageIds(ACCOUNT).join() === 'msg0005', auth.getRetryMessageIds(ACCOUNT).join());
+
+  source = new GmailSource({ email: ACCOUNT }, auth);
+  const stillFailing = await source.fetchMessages({ maxResults: 10 });
+  await source.commitCursor(stillFailing.cursor);
+  check('keeps it queued while it fails', auth.getRetryMessageIds(ACCOUNT).join() === 'msg0005', auth.getRetryMessageIds(ACCOUNT).join());
+
+  mock.stats.broken.length = 0;
+  source = new GmailSource({ email: ACCOUNT }, auth);
+  const retried = await source.fetchMessages({ maxResults: 10 });
+  check('the next sync fetches it', retried.messages.some(message => message.id === 'msg0005'), retried.messages.map(m => m.id).join());
+  check('and keeps it queued until the sync commits', auth.getRetryMessageIds(ACCOUNT).join() === 'msg0005');
+  await source.commitCursor(retried.cursor);
+  check('dequeues it once committed', auth.getRetryMessageIds(ACCOUNT).length === 0, auth.getRetryMessageIds(ACCOUNT).join());
+}
+
+async function run() {
+  const mock = await startMockGmailServer({ messageCount: 250, latencyMs: 1 });
+  try {
+    const auth = await connectAccount(mock);
+    await checkListingContinues(mock, auth);
+    await checkHistoryLimit(mock, auth);
+    await checkFailedMessagesRetried(mock, auth);
+    await unlockVault(auth);
+  } finally {
+    await mock.close();
+    require('../electron/database').closeDb();
+  }
+}
+
+runChecks('Gmail sync', run, { dir });
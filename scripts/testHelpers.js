@@ -0,0 +1,95 @@
+/**
+ * Shared by the scripts/test*.js checks: check() prints each result and counts
+ * the failures, createTestDb() gives a script its own jobs.db, and runChecks()
+ * runs a script's checks in its temp directory, removes the directory and exits
+ * with the result.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let failures = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures++;
+    console.log(`❌ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+}
+
+/**
+ * A new directory onlyjobs-<name>-XXXXXX in the system temp directory
+ *
+ * @param {string} name
+ */
+function makeTempDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `onlyjobs-${name}-`));
+}
+
+/**
+ * An in-memory jobs.db with the latest schema and foreign keys on. Required on
+ * use, so scripts without a database don't load better-sqlite3.
+ */
+function createTestDb() {
+  const Database = require('better-sqlite3');
+  const { runMigrations } = require('../electron/migrations');
+  const db = new Database(':memory:');
+  db.pragma('foreign_keys = ON');
+  runMigrations(db);
+  return db;
+}
+
+/**
+ * The error a promise rejects with, or null when it resolves
+ */
+async function rejection(promise) {
+  try {
+    await promise;
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * The error fn throws, or null when it returns
+ */
+function thrown(fn) {
+  try {
+    fn();
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Run a script's checks, then print the summary and exit: 1 when a check
+ * failed or the checks threw.
+ *
+ * @param {string} subject - what is checked, for the summary ("Gmail sync")
+ * @param {(dir: string|null) => Promise<void>|void} checks
+ * @param {object} [options]
+ * @param {string} [options.dir] - temp directory (makeTempDir) passed to checks and removed afterwards
+ */
+function runChecks(subject, checks, { dir = null } = {}) {
+  const run = async () => {
+    try {
+      await checks(dir);
+    } finally {
+      if (dir) fs.rmSync(dir, { recursive: true, force: true });
+    }
+    console.log(failures === 0 ? `🎉 All ${subject} checks passed` : `💥 ${failures} check(s) failed`);
+    process.exit(failures === 0 ? 0 : 1);
+  };
+
+  run().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { check, makeTempDir, createTestDb, rejection, thrown, runChecks };
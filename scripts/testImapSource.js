@@ -0,0 +1,177 @@
+/**
+ * Exercises the IMAP mail source.
+ *
+ * Always checks that a raw RFC 822 message converts into the Gmail-shaped message
+ * the sync pipeline expects, and, against a stand-in mailbox, that a full sync cut
+ * off by the email limit is finished by the next syncs before they go incremental.
+ * When IMAP_HOST is set it also appends a message to a real server and runs a full
+ * sync followed by an incremental one. A local test server works well:
+ *
+ *   docker run -p 3143:3143 -p 3993:3993 greenmail/standalone
+ *   IMAP_HOST=localhost IMAP_PORT=3143 IMAP_SECURE=false \
+ *   IMAP_USER=test@localhost IMAP_PASS=test node scripts/testImapSource.js
+ *
+ * Usage: node scripts/testImapSource.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ImapFlow } = require('imapflow');
+const ImapSource = require('../electron/mail-sources/imap-source');
+const { parseRawMessage } = require('../electron/mail-sources/message-format');
+const { check, runChecks } = require('./testHelpers');
+
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'mail', 'interview-invite.eml');
+
+const header = (message, name) =>
+  (message.payload.headers.find(h => h.name.toLowerCase() === name.toLowerCase()) || {}).value;
+
+async function checkMessageFormat() {
+  console.log('🧪 Converting a raw message to the pipeline format...');
+  const message = await parseRawMessage(fs.readFileSync(FIXTURE), { accountEmail: 'jane@example.com' });
+
+  check('uses the Message-ID as the message id', message.id === 'reply-2@acme-corp.example', message.id);
+  check('threads replies under the first referenced message', message.threadId === 'application-1@acme-corp.example', message.threadId);
+  check('decodes encoded-word subjects', header(message, 'Subject') === 'Interview invitation – Senior Engineer', header(message, 'Subject'));
+  check('decodes encoded-word senders', /Acme Recruiting – Talent/.test(header(message, 'From')), header(message, 'From'));
+  check('sets internalDate from the Date header', message.internalDate === String(Date.parse('2025-03-04T15:12:00Z')), message.internalDate);
+
+  const plain = message.payload.parts.find(p => p.mimeType === 'text/plain');
+  const text = plain ? Buffer.from(plain.body.data, 'base64').toString('utf-8') : '';
+  check('keeps the plain text body', text.includes('45 minute interview'));
+  check('keeps the HTML body', message.payload.parts.some(p => p.mimeType === 'text/html'));
+  check('builds a snippet', message.snippet.startsWith('Hi Jane, Thanks for applying'), message.snippet);
+}
+
+// A mailbox holding UIDs 1..count, for ImapSource.createClient to return
+function createMailbox(count) {
+  const mailbox = { path: 'INBOX', uidValidity: 7, uidNext: count + 1, exists: count };
+  const raw = fs.readFileSync(FIXTURE, 'utf-8');
+  const searches = [];
+  const client = {
+    mailbox,
+    async connect() {},
+    async getMailboxLock() {
+      return { release() {} };
+    },
+    async search(criteria) {
+      searches.push(criteria);
+      const uids = Array.from({ length: mailbox.uidNext - 1 }, (_, index) => index + 1);
+      return criteria.uid ? uids.filter(uid => uid >= Number(criteria.uid.split(':')[0])) : uids;
+    },
+    async *fetch(range) {
+      for (const uid of range.split(',').map(Number)) {
+        yield { uid, source: Buffer.from(raw.replace('<reply-2@acme-corp.example>', `<uid-${uid}@example.com>`)), internalDate: new Date() };
+      }
+    },
+    async logout() {}
+  };
+  return { mailbox, searches, client };
+}
+
+async function checkListingContinues() {
+  console.log('🧪 Continuing a full sync cut off by the limit...');
+  const { mailbox, searches, client } = createMailbox(10);
+  const store = {
+    state: null,
+    saveSyncState(id, state) { this.state = state; },
+    touchAccount() {}
+  };
+  const sync = async (options) => {
+    const source = new ImapSource({ id: 'imap:test', email: 'jane@example.com', config: {}, sync_state: store.state }, store);
+    source.createClient = () => client;
+    const result = await source.fetchMessages({ maxResults: 4, pageSize: 4, ...options });
+    await source.commitCursor(result.cursor, { pageToken: result.nextPageToken });
+    return { ...result, uids: result.messages.map(message => Number(message.id.match(/uid-(\d+)/)[1])) };
+  };
+  const firstWindow = new Date('2025-01-01T00:00:00Z');
+
+  const first = await sync({ since: firstWindow });
+  check('lists the newest messages up to the limit', first.mode === 'full' && first.uids.join() === '10,9,8,7', first.uids.join());
+  check('saves where the listing stopped', store.state.listing && store.state.listing.pageToken === '7' && store.state.lastUid === 10,
+    JSON.stringify(store.state));
+
+  // New mail, and a window that starts a day later
+  mailbox.uidNext = 12;
+  const second = await sync({ since: new Date('2025-01-02T00:00:00Z') });
+  check('the next sync continues the listing', second.mode === 'full' && second.uids.join() === '6,5,4,3', second.uids.join());
+  check('with the window it was started with', searches[searches.length - 1].since.getTime() === firstWindow.getTime(),
+    JSON.stringify(searches[searches.length - 1]));
+
+  const last = await sync({ since: new Date('2025-01-03T00:00:00Z') });
+  check('reads the rest of the window', last.uids.join() === '2,1' && !last.nextPageToken, last.uids.join());
+  check('keeps the UID it started at once the listing is done', store.state.lastUid === 10 && !store.state.listing, JSON.stringify(store.state));
+
+  const incremental = await sync({});
+  check('then syncs incrementally from there', incremental.mode === 'incremental' && incremental.uids.join() === '11', incremental.uids.join());
+}
+
+async function checkImapServer() {
+  const config = {
+    host: process.env.IMAP_HOST,
+    port: Number(process.env.IMAP_PORT || 993),
+    secure: process.env.IMAP_SECURE !== 'false',
+    username: process.env.IMAP_USER,
+    mailbox: process.env.IMAP_MAILBOX || 'INBOX',
+    allowSelfSigned: true
+  };
+  console.log(`🧪 Syncing from ${config.host}:${config.port}...`);
+
+  // Stand-in for MailSourceRegistry
+  const store = {
+    state: null,
+    saveSyncState(id, state) { this.state = state; },
+    touchAccount() {}
+  };
+  const account = { id: 'imap:test', email: config.username, config, secret: process.env.IMAP_PASS, sync_state: null };
+
+  const client = new ImapFlow({
+    host: config.host,
+    port: config.port,
+    secure: config.secure,
+    auth: { user: config.username, pass: process.env.IMAP_PASS },
+    logger: false,
+    tls: { rejectUnauthorized: false }
+  });
+  await client.connect();
+  const appendRaw = (messageId) => client.append(
+    config.mailbox,
+    fs.readFileSync(FIXTURE, 'utf-8').replace('<reply-2@acme-corp.example>', `<${messageId}>`)
+  );
+
+  try {
+    const firstId = `imap-test-${Date.now()}@example.com`;
+    await appendRaw(firstId);
+
+    const full = await new ImapSource(account, store).fetchMessages({ maxResults: 500, pageSize: 500 });
+    check('first sync lists the mailbox', full.mode === 'full');
+    check('first sync returns the appended message', full.messages.some(m => m.id === firstId));
+    await new ImapSource(account, store).commitCursor(full.cursor);
+    check('stores a UID cursor', store.state && store.state.lastUid > 0, JSON.stringify(store.state));
+
+    const secondId = `imap-test-${Date.now() + 1}@example.com`;
+    await appendRaw(secondId);
+
+    const incremental = await new ImapSource({ ...account, sync_state: store.state }, store)
+      .fetchMessages({ maxResults: 500, pageSize: 500 });
+    check('next sync is incremental', incremental.mode === 'incremental');
+    check('incremental sync returns only the new message',
+      incremental.messages.length === 1 && incremental.messages[0].id === secondId,
+      incremental.messages.map(m => m.id).join(', '));
+  } finally {
+    await client.logout();
+  }
+}
+
+async function run() {
+  await checkMessageFormat();
+  await checkListingContinues();
+
+  if (process.env.IMAP_HOST) {
+    await checkImapServer();
+  } else {
+    console.log('ℹ️  Set IMAP_HOST, IMAP_USER and IMAP_PASS to test against an IMAP server');
+  }
+}
+
+runChecks('IMAP source', run);
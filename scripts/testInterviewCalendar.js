@@ -0,0 +1,180 @@
+/**
+ * Exercises interview extraction: reading Outlook and Google Calendar invitations
+ * (Windows zone names, DST, Teams/Meet links, cancellations), the LLM fallback for
+ * emails without an invitation, overlap detection, manual edits and the .ics export
+ * and feed file.
+ *
+ * Pass your own .ics or .eml files to see what would be extracted from them:
+ *
+ *   node scripts/testInterviewCalendar.js ~/Downloads/invite.ics
+ *
+ * Usage: node scripts/testInterviewCalendar.js [files...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseIcs } = require('../electron/ics');
+const { parseRawMessage } = require('../electron/mail-sources/message-format');
+const { InterviewCalendar } = require('../electron/interview-calendar');
+const { check, makeTempDir, createTestDb, runChecks } = require('./testHelpers');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'calendar');
+
+function createDb() {
+  const db = createTestDb();
+  db.exec(`
+    INSERT INTO jobs (id, gmail_message_id, company, position) VALUES
+      ('globex', 'm-globex', 'Globex', 'Data Engineer'),
+      ('initech', 'm-initech', 'Initech', 'Backend Engineer'),
+      ('acme', 'm-acme', 'Acme Corp', 'Senior Engineer');
+  `);
+  return db;
+}
+
+const job = (db, id) => db.prepare('SELECT * FROM jobs WHERE id = ?').get(id);
+
+async function checkInvitations() {
+  console.log('🧪 Reading calendar invitations...');
+  const db = createDb();
+  const feedPath = path.join(makeTempDir('calendar'), 'interviews.ics');
+  const calendar = new InterviewCalendar(db, { getFeedPath: () => feedPath });
+
+  const outlook = await parseRawMessage(fs.readFileSync(path.join(FIXTURES, 'outlook-invite.eml')), { accountEmail: 'jane@example.com' });
+  check('keeps the text/calendar part of imported mail', outlook.payload.parts.some(part => part.mimeType === 'text/calendar'));
+
+  const [technical] = await calendar.extractFromMessage(outlook, {
+    job: job(db, 'globex'), accountEmail: 'jane@example.com', content: 'Hi Jane'
+  });
+  check('reads the Outlook invitation', !!technical && technical.source === 'calendar' && technical.title === 'Technical Interview - Globex');
+  check('converts Windows zone names across DST', !!technical && technical.start_at === '2025-03-14T14:30:00.000Z', technical && technical.start_at);
+  check('takes the Teams link', !!technical && technical.meeting_url === 'https://teams.microsoft.com/l/meetup-join/19%3ameeting_abc');
+  check('lists the organizer but not the candidate as interviewer', !!technical && technical.interviewer === 'Priya Shah', technical && technical.interviewer);
+
+  // Gmail only references attachment bodies; they are fetched separately
+  const inviteData = fs.readFileSync(path.join(FIXTURES, 'google-invite.ics')).toString('base64url');
+  const gmailMessage = {
+    id: 'gmail-screen-1',
+    payload: {
+      mimeType: 'multipart/mixed',
+      headers: [{ name: 'Subject', value: 'Invitation: Initech <> Jane: Recruiter Screen' }],
+      parts: [
+        { mimeType: 'text/plain', body: { data: Buffer.from('See invite').toString('base64url') } },
+        { mimeType: 'application/ics', filename: 'invite.ics', body: { attachmentId: 'att-1' } }
+      ]
+    }
+  };
+  const fetched = [];
+  const [screen] = await calendar.extractFromMessage(gmailMessage, {
+    job: job(db, 'initech'),
+    accountEmail: 'jane@example.com',
+    content: 'See invite',
+    fetchAttachment: async (messageId, attachmentId) => {
+      fetched.push(`${messageId}/${attachmentId}`);
+      return inviteData;
+    }
+  });
+  check('fetches attachment bodies Gmail only references', fetched.join() === 'gmail-screen-1/att-1');
+  check('reads the Google Calendar invitation', !!screen && screen.start_at === '2025-11-03T17:00:00.000Z' && screen.end_at === '2025-11-03T17:45:00.000Z',
+    screen && `${screen.start_at} - ${screen.end_at}`);
+  check('takes the Meet link', !!screen && screen.meeting_url === 'https://meet.google.com/abc-defg-hij');
+
+  const cancelMessage = {
+    id: 'gmail-screen-2',
+    payload: { headers: [], parts: [{ mimeType: 'text/calendar', body: { data: fs.readFileSync(path.join(FIXTURES, 'google-cancel.ics')).toString('base64url') } }] }
+  };
+  await calendar.extractFromMessage(cancelMessage, { job: job(db, 'initech'), accountEmail: 'jane@example.com', content: '' });
+  const afterCancel = calendar.list({ jobId: 'initech', includeCancelled: true });
+  check('a cancellation updates the same interview', afterCancel.length === 1 && afterCancel[0].status === 'cancelled', JSON.stringify(afterCancel.map(i => i.status)));
+  check('cancelled interviews are hidden by default', calendar.list({ jobId: 'initech' }).length === 0);
+
+  const overlapping = calendar.save({ job_id: 'acme', title: 'Acme onsite', start_at: '2025-03-14T15:00:00.000Z', end_at: '2025-03-14T17:00:00.000Z' });
+  const withConflicts = calendar.list();
+  check('flags overlapping interviews', withConflicts.find(i => i.id === technical.id).conflicts.includes(overlapping.id) &&
+    withConflicts.find(i => i.id === overlapping.id).conflicts.includes(technical.id));
+
+  calendar.save({ ...technical, title: 'Globex tech interview (moved)', start_at: '2025-03-14T18:00:00.000Z', end_at: '2025-03-14T19:00:00.000Z' });
+  await calendar.extractFromMessage(outlook, { job: job(db, 'globex'), accountEmail: 'jane@example.com', content: 'Hi Jane' });
+  const edited = calendar.get(technical.id);
+  check('keeps manual edits when the same invitation is read again', edited.title === 'Globex tech interview (moved)' && edited.source === 'manual');
+  check('edits clear the overlap', calendar.list().every(i => i.conflicts.length === 0));
+
+  const exported = parseIcs(calendar.toIcs());
+  check('exports every interview, cancelled ones as CANCELLED', exported.events.length === 3 &&
+    exported.events.some(e => e.uid === '4v1k2r7m9example@google.com' && e.status === 'CANCELLED'));
+  check('exports one interview on request', parseIcs(calendar.toIcs([overlapping.id])).events.length === 1);
+  check('keeps the feed file up to date', fs.existsSync(feedPath) && parseIcs(fs.readFileSync(feedPath, 'utf-8')).events.length === 3);
+
+  db.prepare("DELETE FROM jobs WHERE id = 'acme'").run();
+  check('interviews are deleted with their job', !calendar.get(overlapping.id));
+  fs.rmSync(path.dirname(feedPath), { recursive: true, force: true });
+}
+
+async function checkLLMFallback() {
+  console.log('🧪 Extracting interviews without an invitation...');
+  const db = createDb();
+  const prompts = [];
+  const calendar = new InterviewCalendar(db, {
+    extractInterview: async (input) => {
+      prompts.push(input);
+      return {
+        has_interview: true,
+        start: '2025-03-20T14:00',
+        timezone: 'CET',
+        duration_minutes: 30,
+        meeting_url: null,
+        location: null,
+        interviewer: 'Dana Lee',
+        title: 'Interview with Dana Lee'
+      };
+    }
+  });
+
+  const message = {
+    id: 'plain-1',
+    payload: { headers: [{ name: 'Subject', value: 'Interview confirmed' }], parts: [] }
+  };
+  const content = 'Confirmed for Thursday at 2pm CET. Join https://acme.zoom.us/j/987654321.';
+  const skipped = await calendar.extractFromMessage(message, { job: job(db, 'acme'), accountEmail: 'jane@example.com', content });
+  check('only asks the LLM about interview emails', skipped.length === 0 && prompts.length === 0);
+
+  const [interview] = await calendar.extractFromMessage(message, {
+    job: job(db, 'acme'), accountEmail: 'jane@example.com', content, sentAt: 'Mon, 17 Mar 2025 09:00:00 +0000', useLLM: true
+  });
+  check('passes the sent date for relative dates', prompts.length === 1 && prompts[0].emailDate === 'Mon, 17 Mar 2025 09:00:00 +0000');
+  check('converts the stated time zone', !!interview && interview.start_at === '2025-03-20T13:00:00.000Z' && interview.end_at === '2025-03-20T13:30:00.000Z',
+    interview && `${interview.start_at} - ${interview.end_at}`);
+  check('finds the meeting link the LLM missed', !!interview && interview.meeting_url === 'https://acme.zoom.us/j/987654321');
+  check('records the LLM as the source', !!interview && interview.source === 'llm' && interview.interviewer === 'Dana Lee');
+
+  const again = await calendar.extractFromMessage(message, { job: job(db, 'acme'), accountEmail: 'jane@example.com', content, useLLM: true });
+  check('reading an email twice keeps one interview', calendar.list().length === 1 && again.length === 1);
+}
+
+async function readUserFiles(files) {
+  for (const file of files) {
+    console.log(`🧪 Reading ${file}...`);
+    let text = fs.readFileSync(file, 'utf-8');
+    if (!/\.ics$/i.test(file)) {
+      const message = await parseRawMessage(fs.readFileSync(file));
+      const part = message.payload.parts.find(p => p.mimeType === 'text/calendar');
+      text = part ? Buffer.from(part.body.data, 'base64').toString('utf-8') : '';
+    }
+    const { method, events } = parseIcs(text);
+    for (const event of events) {
+      console.log(`   ${method || 'PUBLISH'} ${event.status} "${event.title}" ${event.start.toISOString()} (${event.timeZone || 'floating'}) ${event.meetingUrl || ''}`);
+    }
+    check(`finds an event in ${path.basename(file)}`, events.length > 0);
+  }
+}
+
+async function run() {
+  const userFiles = process.argv.slice(2);
+  if (userFiles.length > 0) {
+    await readUserFiles(userFiles);
+  } else {
+    await checkInvitations();
+    await checkLLMFallback();
+  }
+}
+
+runChecks('interview calendar', run);
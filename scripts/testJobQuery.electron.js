@@ -0,0 +1,139 @@
+/**
+ * Checks job paging (electron/job-query.js) on an in-memory database:
+ *
+ * - keyset cursors: walking every page of a sort returns each job once, in the
+ *   sort's order, across ties, NULLs and mixed-case names, and jobs added or
+ *   removed between pages don't shift the rest
+ * - facet counts by status, coarse status, account, company and month, each
+ *   leaving out its own filter
+ * - bad sorts, cursors, page sizes and months are refused
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run jobs:test-query
+ */
+
+const { check, createTestDb, thrown, runChecks } = require('./testHelpers');
+const { JobQuery } = require('../electron/job-query');
+
+const COMPANIES = ['acme', 'Acme', 'Globex', 'initech', 'Hooli', ''];
+const STATUSES = ['Applied', 'Phone Screen', 'Onsite', 'Offer', 'Declined', 'Ghosted'];
+const ACCOUNTS = ['me@example.com', 'work@example.com'];
+
+function createQuery() {
+  const db = createTestDb();
+  const insert = db.prepare(`
+    INSERT INTO jobs (id, gmail_message_id, company, position, status, account_email, applied_date, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  for (let i = 0; i < 40; i++) {
+    const id = `job-${String(i).padStart(2, '0')}`;
+    // Dates repeat and some are missing, so the tie-breakers are exercised
+    const appliedDate = i % 7 === 0 ? null : `2025-0${1 + (i % 3)}-${String(1 + (i % 4)).padStart(2, '0')}`;
+    insert.run(id, `m-${id}`, COMPANIES[i % COMPANIES.length], `Engineer ${i % 5}`, STATUSES[i % STATUSES.length],
+      ACCOUNTS[i % 2], appliedDate, `2025-04-01 00:00:${String(i).padStart(2, '0')}`);
+  }
+  return { db, query: new JobQuery(db) };
+}
+
+// Every page of a query, following nextCursor
+function walk(query, options) {
+  const ids = [];
+  let cursor = null;
+  let pages = 0;
+  do {
+    const page = query.page({ ...options, cursor, facets: false });
+    ids.push(...page.jobs.map(job => job.id));
+    cursor = page.nextCursor;
+    pages++;
+  } while (cursor && pages < 100);
+  return { ids, pages };
+}
+
+function checkCursors() {
+  console.log('🧪 Walking pages with cursors...');
+  const { db, query } = createQuery();
+  const sorts = [
+    undefined,
+    [{ field: 'company', direction: 'asc' }],
+    [{ field: 'status', direction: 'desc' }, { field: 'applied_date', direction: 'asc' }],
+    ['position', { field: 'company', direction: 'desc' }]
+  ];
+  for (const sort of sorts) {
+    const { ids, pages } = walk(query, { sort, pageSize: 7 });
+    const all = query.list({ sort }).map(job => job.id);
+    const name = sort ? JSON.stringify(sort) : 'default sort';
+    check(`every job once, in order: ${name}`, ids.join() === all.join() && new Set(ids).size === 40 && pages === 6,
+      `${ids.length} jobs in ${pages} pages`);
+  }
+
+  const byCompany = walk(query, { sort: [{ field: 'company', direction: 'asc' }], pageSize: 7 }).ids;
+  const jobs = db.prepare('SELECT id, company FROM jobs').all();
+  const expected = jobs
+    .sort((a, b) => (a.company || '').toLowerCase().localeCompare((b.company || '').toLowerCase()) || (a.id < b.id ? -1 : 1))
+    .map(job => job.id);
+  check('names compared without case, blank ones first', byCompany.join() === expected.join(), byCompany.slice(0, 8).join());
+
+  console.log('🧪 Jobs added and removed between pages...');
+  const first = query.page({ pageSize: 10, facets: false });
+  db.prepare(`
+    INSERT INTO jobs (id, gmail_message_id, company, position, status, applied_date, created_at)
+    VALUES ('job-new', 'm-new', 'Newco', 'Engineer', 'Applied', '2025-12-31', '2025-04-02 00:00:00')
+  `).run();
+  db.prepare('DELETE FROM jobs WHERE id = ?').run(first.jobs[9].id);
+  const second = query.page({ pageSize: 10, cursor: first.nextCursor, facets: false });
+  const before = query.list({}).map(job => job.id);
+  check('the next page starts right after the last row read', second.jobs[0].id === before[before.indexOf(first.jobs[8].id) + 1]
+    && !second.jobs.some(job => first.jobs.some(seen => seen.id === job.id) || job.id === 'job-new'), second.jobs.map(job => job.id).join());
+  check('totals follow the change', second.total === 40);
+}
+
+function checkFacets() {
+  console.log('🧪 Facet counts...');
+  const { query } = createQuery();
+  const counts = (list) => Object.fromEntries(list.map(entry => [entry.value, entry.count]));
+
+  const all = query.page({ pageSize: 0 });
+  check('counts only with pageSize 0', all.jobs.length === 0 && all.nextCursor === null && all.total === 40);
+  check('status counts in stage order', all.facets.status.map(entry => entry.value).join() === 'Applied,Phone Screen,Onsite,Offer,Declined,Ghosted'
+    && all.facets.status.every(entry => entry.count > 0) && all.facets.status.reduce((sum, entry) => sum + entry.count, 0) === 40,
+    JSON.stringify(all.facets.status));
+  check('coarse status counts', JSON.stringify(counts(all.facets.statusGroup)) === JSON.stringify({ Interviewed: 14, Declined: 12, Applied: 7, Offer: 7 }),
+    JSON.stringify(all.facets.statusGroup));
+  check('month counts, newest first, missing dates as null', all.facets.month.map(entry => entry.value).join() === '2025-03,2025-02,2025-01,'
+    && counts(all.facets.month).null === 6, JSON.stringify(all.facets.month));
+
+  const interviewed = query.page({ pageSize: 5, statusGroup: 'Interviewed', accountEmail: 'me@example.com' });
+  check('filters applied to the jobs and total', interviewed.total === 7 && interviewed.jobs.length === 5
+    && interviewed.jobs.every(job => job.status_group === 'Interviewed' && job.account_email === 'me@example.com'),
+    JSON.stringify(interviewed.jobs.map(job => [job.id, job.status])));
+  check('a facet leaves out its own filter', JSON.stringify(counts(interviewed.facets.statusGroup)) === JSON.stringify({ Applied: 7, Interviewed: 7, Declined: 6 })
+    && counts(interviewed.facets.account)['work@example.com'] === 7, JSON.stringify([interviewed.facets.statusGroup, interviewed.facets.account]));
+  check('and keeps the others', JSON.stringify(counts(interviewed.facets.status)) === JSON.stringify({ Onsite: 7 }), JSON.stringify(interviewed.facets.status));
+  check('company filter matches part of the name in any case', query.page({ company: 'ACM', pageSize: 0 }).total === 14);
+}
+
+function checkErrors() {
+  console.log('🧪 Bad requests...');
+  const { query } = createQuery();
+  const error = (options) => {
+    const caught = thrown(() => query.page({ facets: false, ...options }));
+    return caught ? caught.message : '';
+  };
+  const cursor = query.page({ pageSize: 5, facets: false }).nextCursor;
+
+  check('unknown sort field', /Cannot sort jobs by notes/.test(error({ sort: ['notes'] })));
+  check('unknown sort direction', /Unknown sort direction/.test(error({ sort: [{ field: 'company', direction: 'up' }] })));
+  check('cursor from another sort', /different sort order/.test(error({ cursor, sort: ['company'] })));
+  check('damaged cursor', error({ cursor: 'not-a-cursor' }) === 'Invalid cursor');
+  check('invalid page size', /Invalid page size/.test(error({ pageSize: -1 })) && /Invalid page size/.test(error({ pageSize: 2.5 })));
+  check('page size capped', query.page({ pageSize: 10000, facets: false }).jobs.length === 40);
+  check('invalid month', /Invalid month/.test(error({ month: 'March' })));
+}
+
+function run() {
+  checkCursors();
+  checkFacets();
+  checkErrors();
+}
+
+runChecks('job query', run);
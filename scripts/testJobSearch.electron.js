@@ -0,0 +1,126 @@
+/**
+ * Checks full-text job search (electron/job-search.js):
+ *
+ * - parseSearchQuery: words, phrases, prefixes, OR, punctuation and the field
+ *   filters, including date ranges
+ * - searching an in-memory database: stemmed matches in jobs and email bodies,
+ *   best match first with highlighted snippets, status: by stage, coarse status
+ *   or the classifier's name for a stage, dates of the matching email, and the
+ *   indexes following edits and deletes and being rebuilt
+ * - filters applied before the cap on hits read, so a filtered job isn't lost
+ *   behind better matches on other jobs
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run search:test
+ */
+
+const { check, createTestDb, runChecks } = require('./testHelpers');
+const { JobSearch, parseSearchQuery } = require('../electron/job-search');
+const { JobStageCatalog } = require('../electron/job-stages');
+
+function checkParsing() {
+  console.log('🧪 Parsing queries...');
+  const parsed = (input) => JSON.stringify(parseSearchQuery(input));
+
+  check('words become quoted terms', parsed('relocation visa') === JSON.stringify({ match: '"relocation" "visa"', terms: ['relocation', 'visa'], filters: {} }),
+    parsed('relocation visa'));
+  check('phrases, prefixes and OR', parseSearchQuery('"hiring manager" engin* OR recruiter').match === '"hiring manager" "engin"* OR "recruiter"',
+    parseSearchQuery('"hiring manager" engin* OR recruiter').match);
+  check('trailing OR and bare punctuation dropped', parseSearchQuery('c++ - OR').match === '"c++"', parseSearchQuery('c++ - OR').match);
+  check('quotes inside words escaped', parseSearchQuery('o"brien').match === '"o""brien"');
+  check('field filters taken out of the text', parsed('onsite company:"Acme Corp" Status:interview account:me@x.com')
+    === JSON.stringify({ match: '"onsite"', terms: ['onsite'], filters: { company: 'Acme Corp', status: 'interview', account: 'me@x.com' } }),
+    parsed('onsite company:"Acme Corp" Status:interview account:me@x.com'));
+  check('unknown fields searched as text', parseSearchQuery('note:visa').match === '"note:visa"', parseSearchQuery('note:visa').match);
+  check('date range', parsed('date:2025-01-01..2025-03-31') === JSON.stringify({ match: null, terms: [], filters: { after: '2025-01-01', before: '2025-03-31' } }));
+  check('open-ended date range', JSON.stringify(parseSearchQuery('date:2025-02..').filters) === JSON.stringify({ after: '2025-02' }));
+  check('single date covers its day or month', JSON.stringify(parseSearchQuery('date:2025-03').filters) === JSON.stringify({ after: '2025-03', before: '2025-03' }));
+  check('empty query', parsed('  ') === JSON.stringify({ match: null, terms: [], filters: {} }));
+}
+
+function createSearch() {
+  const db = createTestDb();
+  const addJob = (id, company, position, status, appliedDate, notes = null) => db.prepare(`
+    INSERT INTO jobs (id, gmail_message_id, company, position, status, applied_date, notes, account_email)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 'me@example.com')
+  `).run(id, `m-${id}`, company, position, status, appliedDate, notes);
+  const addEmail = (jobId, id, subject, date, body) => db.prepare(`
+    INSERT INTO job_emails (job_id, gmail_message_id, account_email, subject, from_address, email_date, raw_content)
+    VALUES (?, ?, 'me@example.com', ?, 'jobs@example.com', ?, ?)
+  `).run(jobId, id, subject, date, body);
+
+  addJob('acme', 'Acme Corp', 'Data Engineer', 'Onsite', '2025-01-10', 'Asked about relocation support');
+  addJob('globex', 'Globex', 'Backend Engineer', 'Applied', '2025-02-01', 'Referred by a friend at Initech');
+  addJob('initech', 'Initech', 'Analyst', 'Declined', '2025-03-05');
+  addEmail('globex', 'g1', 'Your application', '2025-02-01', 'Thanks for applying. We cover relocating costs for this role.');
+  addEmail('globex', 'g2', 'Interview invite', '2025-03-15', 'Please pick a slot to meet the hiring manager.');
+  addEmail('initech', 'i1', 'Update on your application', '2025-03-20', 'We regret to inform you the position was filled.');
+  return { db, search: new JobSearch(db, new JobStageCatalog(db)) };
+}
+
+function checkSearch() {
+  console.log('🧪 Searching jobs and emails...');
+  const { db, search } = createSearch();
+  const ids = (query) => search.search(query).jobs.map(result => result.job.id).join();
+
+  const relocation = search.search('relocation');
+  check('stemmed words found in jobs and email bodies', relocation.total === 2 && ids('relocation').split(',').sort().join() === 'acme,globex', ids('relocation'));
+  const initech = search.search('initech').jobs;
+  check('best match first: company before notes', initech.map(result => result.job.id).join() === 'initech,globex'
+    && initech[0].score > initech[1].score, JSON.stringify(initech.map(result => [result.job.id, result.score])));
+  const acme = relocation.jobs.find(result => result.job.id === 'acme');
+  check('matches highlighted', acme.matches[0].kind === 'job'
+    && acme.matches[0].snippet.some(segment => segment.highlight && /relocation/i.test(segment.text)), JSON.stringify(acme.matches));
+  const email = search.search('"hiring manager"').jobs[0];
+  check('phrase found in an email, with its subject and date', email.job.id === 'globex' && email.matches[0].kind === 'email'
+    && email.matches[0].subject === 'Interview invite' && email.matches[0].emailDate === '2025-03-15', JSON.stringify(email));
+  check('every word must appear', ids('relocation regret') === '');
+  check('OR matches either', ids('regret OR manager').split(',').sort().join() === 'globex,initech');
+
+  console.log('🧪 Filters...');
+  check('company filter', ids('company:glob') === 'globex');
+  check('status by stage name', ids('status:onsite') === 'acme');
+  check('status by coarse status', ids('status:interviewed') === 'acme');
+  check('status by the classifier\'s name for a stage', ids('status:interview') === 'acme' && ids('status:rejected') === 'initech',
+    `${ids('status:interview')} / ${ids('status:rejected')}`);
+  check('unknown status matches nothing', ids('status:nonsense') === '');
+  check('dates of the matching email', ids('application after:2025-03-01') === 'initech' && ids('application date:2025-02') === 'globex',
+    `${ids('application after:2025-03-01')} / ${ids('application date:2025-02')}`);
+  check('applied date without text', ids('before:2025-01-31') === 'acme' && ids('date:2025-02..2025-03') === 'initech,globex',
+    ids('date:2025-02..2025-03'));
+
+  console.log('🧪 Keeping the indexes up to date...');
+  db.prepare("UPDATE jobs SET notes = 'Visa sponsorship offered' WHERE id = 'initech'").run();
+  check('edited notes searchable', ids('sponsorship') === 'initech');
+  db.prepare("DELETE FROM job_emails WHERE gmail_message_id = 'g2'").run();
+  check('deleted emails dropped', ids('manager') === '');
+  db.exec("DELETE FROM jobs_fts; INSERT INTO job_emails_fts (job_emails_fts) VALUES ('delete-all')");
+  search.rebuild();
+  check('rebuilt from the tables', ids('sponsorship') === 'initech' && ids('relocating').split(',').sort().join() === 'acme,globex');
+}
+
+// More matching emails than one search reads, all on other jobs than the filter asks for
+function checkFiltersBeforeLimit() {
+  console.log('🧪 Filters on a common word...');
+  const { db, search } = createSearch();
+  const addEmail = db.prepare(`
+    INSERT INTO job_emails (job_id, gmail_message_id, account_email, subject, from_address, email_date, raw_content)
+    VALUES (?, ?, 'me@example.com', ?, 'jobs@example.com', ?, ?)
+  `);
+  db.transaction(() => {
+    for (let i = 0; i < 1100; i++) {
+      addEmail.run(i % 2 ? 'globex' : 'initech', `n${i}`, 'Newsletter', '2025-02-10', 'Weekly newsletter');
+    }
+    addEmail.run('acme', 'a1', 'Team update', '2025-01-12', `Our newsletter is below. ${'Lots of other news. '.repeat(20)}`);
+  })();
+  check('filtered job found past the best-scoring hits', search.search('newsletter company:acme').jobs.map(result => result.job.id).join() === 'acme');
+  check('and by date', search.search('newsletter before:2025-01-31').jobs.map(result => result.job.id).join() === 'acme');
+}
+
+function run() {
+  checkParsing();
+  checkSearch();
+  checkFiltersBeforeLimit();
+}
+
+runChecks('search', run);
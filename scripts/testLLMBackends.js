@@ -0,0 +1,88 @@
+/**
+ * Exercises the OpenAI-compatible and Ollama backends against the local mock
+ * LLM server: schema-constrained requests, both pipelines through the engine,
+ * confidence from the answer's token log-probabilities, health checks for a
+ * served, missing and schema-ignoring model, and an unreachable server.
+ *
+ * Usage: node scripts/testLLMBackends.js
+ */
+
+process.env.ONLYJOBS_DISABLE_CACHE_FOR_TEST = '1';
+
+const { configureBackend } = require('../electron/llm/backends');
+const { parseEmailWithLLM, checkLLMHealth } = require('../electron/llm/llmEngine');
+const { startMockLLMServer } = require('./mockLLMServer');
+const { check, runChecks } = require('./testHelpers');
+
+const APPLIED = { subject: 'Thank you for applying to Globex', plaintext: 'We received your application to Globex for Data Analyst.' };
+const NEWSLETTER = { subject: 'Weekly digest', plaintext: 'Industry news and career advice.' };
+
+async function run() {
+  const mock = await startMockLLMServer({ models: ['mock-model', 'llama3.1:latest'] });
+  const prose = await startMockLLMServer({ ignoreSchema: true });
+
+  try {
+    console.log('🧪 OpenAI-compatible backend...');
+    configureBackend({ type: 'openai', baseUrl: `${mock.url}/v1/`, model: 'mock-model', apiKey: 'secret' });
+    const job = await parseEmailWithLLM({ ...APPLIED, mode: 'two-stage' });
+    check('two-stage answer', job.is_job_related && job.company === 'Globex' && job.status === 'Applied', JSON.stringify(job));
+    const sent = mock.requests[mock.requests.length - 1];
+    check('request is schema-constrained', sent.path === '/v1/chat/completions'
+      && sent.body.response_format.type === 'json_schema'
+      && sent.body.response_format.json_schema.name === 'OnlyJobsEmailDetailSchema'
+      && sent.body.messages[0].role === 'system', JSON.stringify(sent.body).slice(0, 200));
+    check('api key sent', sent.headers.authorization === 'Bearer secret');
+    check('logprobs asked for', sent.body.logprobs === true);
+    check('confidence from token probabilities', job.confidence === 0.9
+      && JSON.stringify(job.agreement) === JSON.stringify({ is_job_related: 0.9, status: 0.9, company: 0.9 }), JSON.stringify(job.agreement));
+    const news = await parseEmailWithLLM({ ...NEWSLETTER, mode: 'unified' });
+    check('unified answer', news.is_job_related === false && news.company === null && news.confidence === 0.9, JSON.stringify(news));
+
+    console.log('🧪 Ollama backend...');
+    configureBackend({ type: 'ollama', baseUrl: mock.url, model: 'llama3.1' });
+    const before = mock.requests.length;
+    const ollamaJob = await parseEmailWithLLM({ ...APPLIED, mode: 'two-stage' });
+    check('two-stage answer', ollamaJob.company === 'Globex' && ollamaJob.status === 'Applied' && ollamaJob.confidence === 0.9, JSON.stringify(ollamaJob));
+    const chat = mock.requests.slice(before).find(request => request.path === '/api/chat');
+    check('request uses format schema', chat && chat.body.format && chat.body.format.properties && chat.body.stream === false
+      && chat.body.options.num_ctx > 0, chat && JSON.stringify(chat.body).slice(0, 200));
+
+    console.log('🧪 Servers without logprobs...');
+    const silent = await startMockLLMServer({ logprobs: false });
+    try {
+      configureBackend({ type: 'openai', baseUrl: `${silent.url}/v1`, model: 'mock-model' });
+      const unscored = await parseEmailWithLLM({ ...APPLIED, mode: 'two-stage' });
+      check('answer kept, confidence unknown', unscored.company === 'Globex' && unscored.confidence === null, JSON.stringify(unscored));
+    } finally {
+      await silent.close();
+    }
+    configureBackend({ type: 'ollama', baseUrl: mock.url, model: 'llama3.1' });
+
+    console.log('🧪 Health checks...');
+    const healthy = await checkLLMHealth();
+    check('active backend healthy', healthy.status === 'healthy' && healthy.backend === 'ollama' && healthy.canLoad, JSON.stringify(healthy));
+    const missing = await checkLLMHealth({ type: 'ollama', baseUrl: mock.url, model: 'mistral' });
+    check('unpulled model', missing.status === 'unhealthy' && /ollama pull mistral/.test(missing.error), JSON.stringify(missing));
+    const openai = await checkLLMHealth({ type: 'openai', baseUrl: `${mock.url}/v1`, model: 'mock-model' });
+    check('unsaved settings checked', openai.status === 'healthy' && openai.models.includes('mock-model'), JSON.stringify(openai));
+    const unserved = await checkLLMHealth({ type: 'openai', baseUrl: `${mock.url}/v1`, model: 'gpt-x' });
+    check('unserved model', unserved.status === 'unhealthy' && /not served/.test(unserved.error), JSON.stringify(unserved));
+    const ignoring = await checkLLMHealth({ type: 'openai', baseUrl: `${prose.url}/v1`, model: 'mock-model' });
+    check('schema ignored', ignoring.status === 'unhealthy' && ignoring.error, JSON.stringify(ignoring));
+    const down = await checkLLMHealth({ type: 'openai', baseUrl: 'http://127.0.0.1:9/v1', timeoutMs: 2000 });
+    check('unreachable server', down.status === 'unhealthy' && /Could not reach|did not answer/.test(down.error), JSON.stringify(down));
+
+    let rejected = null;
+    try {
+      configureBackend({ type: 'carrier-pigeon' });
+    } catch (error) {
+      rejected = error;
+    }
+    check('unknown backend rejected', rejected && /Unknown LLM backend/.test(rejected.message));
+  } finally {
+    await mock.close();
+    await prose.close();
+  }
+}
+
+runChecks('backend', run);
@@ -0,0 +1,104 @@
+/**
+ * Checks the on-disk LLM answer cache (electron/llm/cache.js) across restarts.
+ * Each run classifies the same emails in a fresh process against the mock LLM
+ * server and counts how many prompts reach it:
+ *
+ * - a restart answers everything from the cache
+ * - another model or PROMPT_VERSION asks the model again
+ * - CACHE_MAX_ENTRIES evicts the least recently used answers
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run llm:test-cache
+ */
+
+const path = require('path');
+const { promisify } = require('util');
+const execFile = promisify(require('child_process').execFile);
+const { check, makeTempDir, runChecks } = require('./testHelpers');
+
+const EMAILS = [
+  { subject: 'Thank you for applying to Globex', plaintext: 'We received your application to Globex for Data Analyst.', from: 'jobs@globex.com' },
+  { subject: 'Interview at Initech', plaintext: 'We would like to schedule an interview at Initech next week.', from: 'talent@initech.com' },
+  { subject: 'Weekly digest', plaintext: 'Industry news and career advice.', from: 'news@example.com' }
+];
+
+// Child: classify EMAILS with the backend and cache from the environment (or with --stats only
+// open the cache), then print the cache stats unless --no-stats
+async function classifyAll() {
+  const { parseEmailWithLLM } = require('../electron/llm/llmEngine');
+  const { getCacheStats } = require('../electron/llm/cache');
+  if (!process.argv.includes('--stats')) {
+    for (const email of EMAILS) {
+      await parseEmailWithLLM({ ...email, mode: 'two-stage' });
+    }
+  }
+  if (!process.argv.includes('--no-stats')) {
+    process.stdout.write(`\n__RESULT__${JSON.stringify(getCacheStats())}\n`);
+  }
+}
+
+async function run(dir) {
+  const { startMockLLMServer } = require('./mockLLMServer');
+  const mock = await startMockLLMServer({ models: ['mock-model', 'other-model'] });
+
+  // One "app launch": a new process with a cold in-memory state. Async, so the mock server keeps answering
+  const launch = async (env = {}, args = []) => {
+    const before = mock.requests.length;
+    const { stdout } = await execFile(process.execPath, [__filename, '--child', ...args], {
+      env: {
+        ...process.env,
+        ELECTRON_RUN_AS_NODE: '1',
+        ONLYJOBS_LLM_BACKEND: 'openai',
+        ONLYJOBS_LLM_URL: `${mock.url}/v1`,
+        ONLYJOBS_LLM_MODEL: 'mock-model',
+        ONLYJOBS_CACHE_PATH: path.join(dir, 'llm-cache.sqlite3'),
+        ONLYJOBS_CONFIDENCE_SAMPLES: '1',
+        ...env
+      },
+      timeout: 60000
+    });
+    const stats = stdout.includes('__RESULT__') ? JSON.parse(stdout.split('__RESULT__')[1]) : null;
+    return { prompts: mock.requests.length - before, stats };
+  };
+
+  try {
+    const first = await launch();
+    check('first launch asks the model', first.prompts === 5, `${first.prompts} prompts`);
+    check('answers stored', first.stats.entries === 5 && first.stats.misses === 5, JSON.stringify(first.stats));
+
+    const restart = await launch();
+    check('restart answers from the cache', restart.prompts === 0, `${restart.prompts} prompts`);
+    check('hits counted', restart.stats.hits === 5 && restart.stats.steps.classify.hits === 3, JSON.stringify(restart.stats));
+    // Counts are batched in memory; a launch that never reads them still writes them at exit
+    await launch({}, ['--no-stats']);
+    const counted = await launch({}, ['--stats']);
+    check('batched counts written at exit', counted.stats.hits === 10, JSON.stringify(counted.stats));
+
+    const Database = require('better-sqlite3');
+    const cacheFile = new Database(path.join(dir, 'llm-cache.sqlite3'), { readonly: true });
+    check('cache file uses WAL', cacheFile.pragma('journal_mode', { simple: true }) === 'wal');
+    cacheFile.close();
+
+    const otherModel = await launch({ ONLYJOBS_LLM_MODEL: 'other-model' });
+    check('another model misses', otherModel.prompts === 5, `${otherModel.prompts} prompts`);
+
+    const newPrompt = await launch({ ONLYJOBS_PROMPT_VERSION: 'v-cache-test' });
+    check('another prompt version misses', newPrompt.prompts === 5, `${newPrompt.prompts} prompts`);
+
+    const capped = await launch({ ONLYJOBS_CACHE_MAX_ENTRIES: '4' }, ['--stats']);
+    check('cap enforced when the cache opens', capped.stats.entries === 4, JSON.stringify(capped.stats));
+    const recent = await launch({ ONLYJOBS_PROMPT_VERSION: 'v-cache-test' });
+    check('most recently used answers kept', recent.prompts === 1, `${recent.prompts} prompts`);
+  } finally {
+    await mock.close();
+  }
+}
+
+if (process.argv.includes('--child')) {
+  classifyAll().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+} else {
+  runChecks('cache', run, { dir: makeTempDir('cache') });
+}
@@ -0,0 +1,112 @@
+/**
+ * Exercises the offline mailbox reader used by mail:import-file: splitting .mbox
+ * archives, unescaping ">From " body lines, reading .eml files from folders and
+ * giving messages without a Message-ID a stable content-derived ID.
+ *
+ * Pass your own files or folders to check they can be read before importing them:
+ *
+ *   node scripts/testMailImport.js ~/Downloads/Takeout/Mail/All\ mail.mbox
+ *
+ * Usage: node scripts/testMailImport.js [paths...]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { collectImportFiles, readMailFile } = require('../electron/mail-sources/file-import');
+const { check, makeTempDir, runChecks } = require('./testHelpers');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'mail');
+
+const header = (message, name) =>
+  (message.payload.headers.find(h => h.name.toLowerCase() === name.toLowerCase()) || {}).value;
+
+const bodyText = (message) => {
+  const plain = message.payload.parts.find(p => p.mimeType === 'text/plain');
+  return plain ? Buffer.from(plain.body.data, 'base64').toString('utf-8') : '';
+};
+
+async function readAll(paths) {
+  const files = await collectImportFiles(paths);
+  const messages = [];
+  const errors = [];
+  for (const file of files) {
+    for await (const { message, error, index } of readMailFile(file, { accountEmail: 'local-import' })) {
+      if (error) errors.push({ file: file.path, index, error });
+      else messages.push(message);
+    }
+  }
+  return { files, messages, errors };
+}
+
+async function checkFixtures() {
+  console.log('🧪 Reading fixtures/mail...');
+  const { files, messages, errors } = await readAll([FIXTURES]);
+
+  check('finds the mbox archive and the .eml file', files.length === 2, files.map(f => path.basename(f.path)).join(', '));
+  check('reads every message', messages.length === 4 && errors.length === 0, `${messages.length} messages, ${errors.length} errors`);
+
+  const application = messages.find(m => m.id === 'application-1@acme-corp.example');
+  check('splits the mbox on "From " lines', !!application && header(application, 'Subject') === 'Thank you for applying to Acme Corp');
+  check('unescapes ">From " body lines', !!application && bodyText(application).includes('\nFrom here our team'), application && bodyText(application));
+
+  const reply = messages.find(m => m.id === 'reply-2@acme-corp.example' && header(m, 'Subject').startsWith('Interview invitation - '));
+  check('threads replies with the original application', !!reply && reply.threadId === 'application-1@acme-corp.example');
+
+  const digest = messages.find(m => header(m, 'Subject') === 'Your weekly reading list');
+  check('gives messages without a Message-ID a content-derived ID', !!digest && /^import-[0-9a-f]{32}$/.test(digest.id), digest && digest.id);
+
+  const again = await readAll([path.join(FIXTURES, 'sample.mbox')]);
+  const digestAgain = again.messages.find(m => header(m, 'Subject') === 'Your weekly reading list');
+  check('derives the same ID on every import', !!digestAgain && digestAgain.id === digest.id);
+
+  check('dates messages from their Date header', !!application && application.internalDate === String(Date.parse('2025-02-03T09:15:00Z')));
+  check('files messages under the import account', messages.every(m => m.accountEmail === 'local-import'));
+}
+
+async function checkCorruptMessage() {
+  console.log('🧪 Reading an archive with an empty message...');
+  const dir = makeTempDir('import');
+  const archive = path.join(dir, 'broken.mbox');
+  fs.writeFileSync(archive, [
+    'From a@b Mon Jan 01 00:00:00 2024',
+    'Subject: first',
+    '',
+    'one',
+    'From a@b Mon Jan 01 00:00:00 2024',
+    'From a@b Mon Jan 01 00:00:00 2024',
+    'Subject: third',
+    '',
+    'three'
+  ].join('\n'));
+
+  try {
+    const { messages } = await readAll([dir]);
+    check('skips empty entries without stopping the import', messages.map(m => header(m, 'Subject')).join() === 'first,third',
+      messages.map(m => header(m, 'Subject')).join());
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+async function readUserPaths(paths) {
+  console.log(`🧪 Reading ${paths.join(', ')}...`);
+  const startTime = Date.now();
+  const { files, messages, errors } = await readAll(paths);
+  console.log(`   ${files.length} files, ${messages.length} messages, ${errors.length} unreadable in ${Date.now() - startTime}ms`);
+  for (const { file, index, error } of errors.slice(0, 10)) {
+    console.log(`   ⚠️  ${path.basename(file)} message ${index}: ${error.message}`);
+  }
+  check('reads at least one message', messages.length > 0);
+}
+
+async function run() {
+  const userPaths = process.argv.slice(2);
+  if (userPaths.length > 0) {
+    await readUserPaths(userPaths);
+  } else {
+    await checkFixtures();
+    await checkCorruptMessage();
+  }
+}
+
+runChecks('mail import', run);
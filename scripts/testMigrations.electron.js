@@ -0,0 +1,292 @@
+/**
+ * Checks the schema migrations (electron/migrations) against copies of databases
+ * written by earlier versions of the app, in fixtures/migrations:
+ *
+ * - first-jobs-table.sql: jobs without Gmail ids, lowercase statuses, an emails table
+ * - job-applications.sql: the old matcher's job_applications and job_emails, and a
+ *   CHECK constraint on jobs.status
+ * - email-history.sql: emails kept as JSON on each job
+ *
+ * Each one must reach the latest version with its jobs, emails and history intact,
+ * and a database from before migrations existed must upgrade without changes. Gmail
+ * tokens wait in the database until the secret store is unlocked, then move to it
+ * and out of the backups; the migrations that don't need the store run meanwhile.
+ * It also checks that a failed migration leaves the database as it was, with a
+ * backup, that a database from a newer app is refused, and that no migration
+ * requires an app module.
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run db:test-migrations
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { runMigrations, getSchemaVersion, LATEST_VERSION, MIGRATIONS } = require('../electron/migrations');
+const { SecretStore } = require('../electron/secrets');
+const { check, makeTempDir, runChecks } = require('./testHelpers');
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures', 'migrations');
+const PASSPHRASE = 'correct horse battery';
+// The schema of the last release before migrations
+const BASELINE_VERSION = 15;
+const SECRETS_MIGRATION = MIGRATIONS.find(migration => migration.name === 'secrets-out-of-db').version;
+
+function openFixture(dir, name, copy = name) {
+  const dbPath = path.join(dir, `${copy}.db`);
+  const db = new Database(dbPath);
+  db.exec(fs.readFileSync(path.join(FIXTURES, `${name}.sql`), 'utf8'));
+  return db;
+}
+
+const count = (db, sql, ...params) => db.prepare(sql).get(...params).count;
+const hasTable = (db, name) => !!db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name=?").get(name);
+const backups = (dir, name) => fs.readdirSync(dir).filter(file => file.startsWith(`${name}-v`) && file.endsWith('.bak'));
+const searchJobs = (db, text) => db.prepare('SELECT job_id FROM jobs_fts WHERE jobs_fts MATCH ?').all(text).map(row => row.job_id);
+const searchEmails = (db, text) => db.prepare(`
+  SELECT je.job_id FROM job_emails_fts JOIN job_emails je ON je.id = job_emails_fts.rowid
+  WHERE job_emails_fts MATCH ?
+`).all(text).map(row => row.job_id);
+
+// A passphrase vault in the temp directory, as on Linux without a keyring
+async function unlockedSecrets(dir) {
+  const secrets = new SecretStore({ dir, backend: 'vault', electron: null });
+  await secrets.unlock(PASSPHRASE);
+  return secrets;
+}
+
+async function checkFirstJobsTable(dir, secrets) {
+  console.log('🧪 Upgrading the first jobs table...');
+  const db = openFixture(dir, 'first-jobs-table');
+  const result = runMigrations(db);
+  check('leaves the tokens without a secret store', result.from === 0 && result.waiting === 'secrets-out-of-db'
+    && result.to === LATEST_VERSION && !result.applied.includes('secrets-out-of-db'), JSON.stringify({ from: result.from, to: result.to, waiting: result.waiting }));
+  check('backs up the database first', !!result.backupPath && fs.existsSync(result.backupPath), result.backupPath);
+
+  const statuses = Object.fromEntries(db.prepare('SELECT id, status FROM jobs').all().map(job => [job.id, job.status]));
+  check('maps the old statuses', statuses.j1 === 'Applied' && statuses.j2 === 'Interviewed' && statuses.j3 === 'Declined', JSON.stringify(statuses));
+  check('keeps job details', db.prepare('SELECT notes FROM jobs WHERE id = ?').get('j1').notes === 'Referred by Sam');
+  check('gives old jobs a message id', count(db, "SELECT COUNT(*) AS count FROM jobs WHERE gmail_message_id = 'migrated_' || id") === 3);
+  check('drops the emails table', !hasTable(db, 'emails'));
+  check('adds account_email to email_sync', count(db, 'SELECT COUNT(*) AS count FROM email_sync WHERE account_email IS NOT NULL') === 2);
+  check('adds history_id to gmail_accounts', db.prepare('PRAGMA table_info(gmail_accounts)').all().some(col => col.name === 'history_id'));
+  check('backfills a status event per job', count(db, 'SELECT COUNT(DISTINCT job_id) AS count FROM job_status_events') === 3);
+  check('indexes the jobs for search', searchJobs(db, 'initech').includes('j2'));
+
+  const moved = runMigrations(db, { context: { secrets } });
+  check('moves them once the store is unlocked', moved.applied.join() === 'secrets-out-of-db' && moved.waiting === null
+    && getSchemaVersion(db) === LATEST_VERSION, JSON.stringify({ from: moved.from, to: moved.to, applied: moved.applied, waiting: moved.waiting }));
+  const tokens = JSON.parse(secrets.get('gmail:jane@example.com') || '{}');
+  check('moves the Gmail tokens to the secret store', tokens.access_token === 'access' && tokens.refresh_token === 'refresh', JSON.stringify(tokens));
+  const columns = db.prepare('PRAGMA table_info(gmail_accounts)').all().map(col => col.name);
+  check('drops the token columns', !columns.includes('access_token') && !columns.includes('refresh_token'), columns.join());
+  check('keeps the account', count(db, "SELECT COUNT(*) AS count FROM gmail_accounts WHERE email = 'jane@example.com'") === 1);
+  const leaked = backups(dir, 'first-jobs-table').filter(file => {
+    const backup = new Database(path.join(dir, file));
+    try {
+      return count(backup, 'SELECT COUNT(*) AS count FROM gmail_accounts WHERE access_token IS NOT NULL OR refresh_token IS NOT NULL') > 0;
+    } finally {
+      backup.close();
+    }
+  });
+  check('clears the tokens from the backups', leaked.length === 0, leaked.join());
+  check('encrypts the vault', !fs.readFileSync(secrets.vaultPath, 'utf8').includes('"refresh"'));
+
+  const reopened = new SecretStore({ dir, backend: 'vault', electron: null });
+  let wrong = '';
+  try {
+    await reopened.unlock('not the passphrase');
+  } catch (error) {
+    wrong = error.message;
+  }
+  check('refuses a wrong passphrase', wrong === 'Wrong passphrase' && !reopened.isAvailable(), wrong);
+  await reopened.unlock(PASSPHRASE);
+  check('opens again with the passphrase', JSON.parse(reopened.get('gmail:jane@example.com') || '{}').refresh_token === 'refresh');
+  db.close();
+}
+
+async function checkLockedStore(dir) {
+  console.log('🧪 Upgrading with the vault locked...');
+  const db = openFixture(dir, 'first-jobs-table', 'locked');
+  runMigrations(db, { migrations: MIGRATIONS.filter(migration => migration.version <= BASELINE_VERSION) });
+  const vaultDir = path.join(dir, 'locked-vault');
+  fs.mkdirSync(vaultDir);
+  const locked = new SecretStore({ dir: vaultDir, backend: 'vault', electron: null });
+  // Needs the store, so it waits with the migration it comes after
+  const needsSecrets = {
+    version: LATEST_VERSION + 1,
+    name: 'needs-secrets',
+    after: [SECRETS_MIGRATION],
+    up(target) {
+      target.exec('CREATE TABLE needs_secrets (id TEXT)');
+    }
+  };
+  const migrations = [...MIGRATIONS, needsSecrets];
+
+  const result = runMigrations(db, { context: { secrets: locked }, migrations });
+  const applied = db.prepare('SELECT version FROM schema_version WHERE version > ?').all(BASELINE_VERSION).map(row => row.version);
+  check('runs the migrations that don\'t need the store', result.waiting === 'secrets-out-of-db'
+    && applied.join() === MIGRATIONS.filter(migration => migration.version > SECRETS_MIGRATION).map(migration => migration.version).join(),
+    JSON.stringify({ applied: result.applied, waiting: result.waiting }));
+  check('and waits with the ones that do', !hasTable(db, 'needs_secrets'));
+  check('keeps the tokens in the database meanwhile', count(db, "SELECT COUNT(*) AS count FROM gmail_accounts WHERE refresh_token = 'refresh'") === 1);
+  let error = null;
+  try {
+    db.prepare("UPDATE gmail_accounts SET listing_page_token = 'page-2', retry_message_ids = '[\"m1\"]' WHERE email = 'jane@example.com'").run();
+    db.prepare("INSERT INTO job_emails (job_id, gmail_message_id, classification) VALUES ('j1', 'locked-m1', '{}')").run();
+  } catch (caught) {
+    error = caught.message;
+  }
+  check('sync can save its progress and attach emails', error === null, error);
+
+  await locked.unlock(PASSPHRASE);
+  const moved = runMigrations(db, { context: { secrets: locked }, migrations });
+  check('runs the rest once the vault is unlocked', moved.applied.join() === 'secrets-out-of-db,needs-secrets' && moved.waiting === null
+    && JSON.parse(locked.get('gmail:jane@example.com') || '{}').refresh_token === 'refresh', JSON.stringify(moved.applied));
+  db.close();
+}
+
+function checkJobApplications(dir) {
+  console.log('🧪 Upgrading job_applications...');
+  const db = openFixture(dir, 'job-applications');
+  runMigrations(db);
+  check('reaches the latest version', getSchemaVersion(db) === LATEST_VERSION);
+
+  const app = db.prepare('SELECT * FROM jobs WHERE id = ?').get('app1');
+  check('folds job_applications into jobs', !!app && app.company === 'Initech' && app.position === 'Backend Engineer', JSON.stringify(app));
+  check('moves their emails into job_emails', count(db, "SELECT COUNT(*) AS count FROM job_emails WHERE job_id = 'app1'") === 2);
+  check('drops the legacy tables', !hasTable(db, 'job_applications') && !hasTable(db, 'job_emails_legacy') && !hasTable(db, 'job_status_history'));
+  const history = db.prepare("SELECT status FROM job_status_events WHERE job_id = 'j1' ORDER BY occurred_at").all().map(event => event.status);
+  check('keeps job_status_history as status events', history.join() === 'Applied,Interviewed', history.join());
+
+  let constraint = null;
+  try {
+    db.prepare("UPDATE jobs SET status = 'Take-home' WHERE id = 'j1'").run();
+  } catch (error) {
+    constraint = error.message;
+  }
+  check('removes the CHECK on jobs.status', constraint === null, constraint);
+  check('indexes the moved emails for search', searchEmails(db, 'phone interview').includes('app1'));
+  db.close();
+}
+
+function checkEmailHistory(dir) {
+  console.log('🧪 Upgrading email_history...');
+  const db = openFixture(dir, 'email-history');
+  runMigrations(db);
+
+  const emails = db.prepare("SELECT * FROM job_emails WHERE job_id = 'j1' ORDER BY email_date").all();
+  check('one job_emails row per history entry', emails.length === 2, `${emails.length} rows`);
+  check('keeps the newest body', emails.length === 2 && /onsite interview/.test(emails[1].raw_content || ''));
+  check('falls back to the primary email for unreadable history', count(db, "SELECT COUNT(*) AS count FROM job_emails WHERE job_id = 'j2'") === 1);
+  const summary = db.prepare("SELECT email_count, last_contact_date FROM jobs WHERE id = 'j1'").get();
+  check('updates the email count and last contact', summary.email_count === 2 && String(summary.last_contact_date).startsWith('2024-05-09'), JSON.stringify(summary));
+  const columns = db.prepare('PRAGMA table_info(jobs)').all().map(col => col.name);
+  check('drops the JSON columns', !columns.includes('email_history') && !columns.includes('email_content'), columns.join());
+  check('indexes the body for search', searchEmails(db, 'onsite').includes('j1'));
+  db.close();
+}
+
+function checkRerun(dir) {
+  console.log('🧪 Running again...');
+  let db = openFixture(dir, 'email-history', 'rerun');
+  runMigrations(db);
+  const before = backups(dir, 'rerun').length;
+
+  const again = runMigrations(db);
+  check('a current database is left alone', again.applied.length === 0 && again.backupPath === null);
+  check('without another backup', backups(dir, 'rerun').length === before);
+
+  // A database written by the last release without migrations: the schema of 015, no schema_version
+  db.close();
+  db = openFixture(dir, 'email-history', 'baseline');
+  runMigrations(db, { migrations: MIGRATIONS.filter(migration => migration.version <= BASELINE_VERSION) });
+  const snapshot = () => ({
+    jobs: count(db, 'SELECT COUNT(*) AS count FROM jobs'),
+    emails: count(db, 'SELECT COUNT(*) AS count FROM job_emails'),
+    events: count(db, 'SELECT COUNT(*) AS count FROM job_status_events'),
+    indexed: count(db, 'SELECT COUNT(*) AS count FROM jobs_fts'),
+    stages: count(db, 'SELECT COUNT(*) AS count FROM job_stages')
+  });
+  const expected = snapshot();
+  db.exec('DROP TABLE schema_version');
+  const baseline = runMigrations(db);
+  check('upgrades a database from before migrations', baseline.from === 0 && getSchemaVersion(db) === LATEST_VERSION);
+  const after = snapshot();
+  check('without changing its data', JSON.stringify(after) === JSON.stringify(expected), `${JSON.stringify(expected)} → ${JSON.stringify(after)}`);
+  db.close();
+}
+
+function checkFailure(dir, secrets) {
+  console.log('🧪 Failing and refusing...');
+  const db = openFixture(dir, 'first-jobs-table', 'failure');
+  runMigrations(db, { context: { secrets } });
+  const jobs = count(db, 'SELECT COUNT(*) AS count FROM jobs');
+
+  const broken = {
+    version: LATEST_VERSION + 1,
+    name: 'broken',
+    up(target) {
+      target.exec("CREATE TABLE half_done (id TEXT); DELETE FROM jobs;");
+      throw new Error('disk on fire');
+    }
+  };
+  db.pragma('foreign_keys = ON');
+  let message = '';
+  try {
+    runMigrations(db, { context: { secrets }, migrations: [...MIGRATIONS, broken] });
+  } catch (error) {
+    message = error.message;
+  }
+  check('reports the failed migration', message.includes(`${broken.version} (broken)`) && message.includes('disk on fire'), message);
+  const backupPath = (message.match(/saved at (.+)$/) || [])[1];
+  check('and where the backup is', !!backupPath && fs.existsSync(backupPath), message);
+  check('rolls the migration back', !hasTable(db, 'half_done') && count(db, 'SELECT COUNT(*) AS count FROM jobs') === jobs);
+  check('keeps the previous version', getSchemaVersion(db) === LATEST_VERSION);
+  check('turns foreign keys back on', db.pragma('foreign_keys', { simple: true }) === 1);
+
+  db.prepare('INSERT INTO schema_version (version, name) VALUES (?, ?)').run(LATEST_VERSION + 5, 'from-the-future');
+  let refused = '';
+  try {
+    runMigrations(db);
+  } catch (error) {
+    refused = error.message;
+  }
+  check('refuses a database from a newer app', /newer than this version/.test(refused), refused);
+  db.close();
+}
+
+function checkNewDatabase(dir) {
+  console.log('🧪 Creating a new database...');
+  const dbPath = path.join(dir, 'new.db');
+  const db = new Database(dbPath);
+  const result = runMigrations(db);
+  check('creates every table', result.applied.length === LATEST_VERSION && hasTable(db, 'jobs') && hasTable(db, 'sync_jobs'));
+  check('without a backup of the empty file', result.backupPath === null && backups(dir, 'new').length === 0);
+  db.close();
+}
+
+// Released migrations must not change with the app, so they only require each other and packages
+function checkSelfContained() {
+  console.log('🧪 Migrations without app modules...');
+  const dir = path.join(__dirname, '..', 'electron', 'migrations');
+  const appRequires = fs.readdirSync(dir)
+    .filter(file => file.endsWith('.js'))
+    .flatMap(file => (fs.readFileSync(path.join(dir, file), 'utf8').match(/require\(['"]\.\.\/[^'"]*['"]\)/g) || [])
+      .map(found => `${file}: ${found}`));
+  check('no migration requires an app module', appRequires.length === 0, appRequires.join('; '));
+}
+
+async function run(dir) {
+  const secrets = await unlockedSecrets(dir);
+  await checkFirstJobsTable(dir, secrets);
+  await checkLockedStore(dir);
+  checkJobApplications(dir);
+  checkEmailHistory(dir);
+  checkRerun(dir);
+  checkFailure(dir, secrets);
+  checkNewDatabase(dir);
+  checkSelfContained();
+}
+
+runChecks('migration', run, { dir: makeTempDir('migrations') });
@@ -0,0 +1,219 @@
+/**
+ * Exercises the model manager against a local file server: a download cut off
+ * halfway and resumed with a Range request, checksum verification from the
+ * registry and from Hugging Face's X-Linked-Etag header, a corrupt download, a
+ * download with no checksum to verify against,
+ * cancel, .gguf import, activation (the llama.cpp backend's active model) and
+ * delete. The "models" are a few MB of random bytes behind a GGUF header.
+ *
+ * Usage: node scripts/testModelManager.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const { MODEL_REGISTRY, downloadFile } = require('../electron/llm/models');
+const { getActiveModel } = require('../electron/llm/backends');
+const { ModelManager, BUNDLED_ID } = require('../electron/model-manager');
+const { check, makeTempDir, runChecks } = require('./testHelpers');
+
+function fakeModel(size) {
+  return Buffer.concat([Buffer.from('GGUF'), crypto.randomBytes(size - 4)]);
+}
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Serves `files` (name -> Buffer) with Range support. /hf/<name> redirects to
+ * /files/<name> with the X-Linked-* headers, like huggingface.co does.
+ * `cutAfter` (name -> bytes) drops the first full response after that many bytes.
+ */
+function startFileServer(files, { cutAfter = {}, throttle = 0 } = {}) {
+  const ranges = [];
+  const server = http.createServer((req, res) => {
+    const [, kind, name] = req.url.split('/');
+    const file = files[name];
+    if (!file) {
+      res.writeHead(404);
+      return res.end();
+    }
+    if (kind === 'hf') {
+      res.writeHead(302, { Location: `/files/${name}`, 'X-Linked-Etag': `"${sha256(file)}"`, 'X-Linked-Size': String(file.length) });
+      return res.end();
+    }
+    ranges.push(req.headers.range || null);
+    const start = Number((req.headers.range || '').replace(/^bytes=(\d+)-$/, '$1')) || 0;
+    if (start >= file.length) {
+      res.writeHead(416, { 'Content-Range': `bytes */${file.length}` });
+      return res.end();
+    }
+    const body = file.subarray(start);
+    res.writeHead(start > 0 ? 206 : 200, {
+      'Content-Length': body.length,
+      ...(start > 0 ? { 'Content-Range': `bytes ${start}-${file.length - 1}/${file.length}` } : {})
+    });
+    if (cutAfter[name] && start === 0) {
+      const cut = cutAfter[name];
+      delete cutAfter[name];
+      res.write(body.subarray(0, cut));
+      return setTimeout(() => res.destroy(), 50);
+    }
+    if (throttle) {
+      // Small slices, so a download can be canceled partway
+      let offset = 0;
+      const send = () => {
+        if (res.destroyed) return;
+        if (offset >= body.length) return res.end();
+        res.write(body.subarray(offset, offset + throttle));
+        offset += throttle;
+        setTimeout(send, 20);
+      };
+      return send();
+    }
+    res.end(body);
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        ranges,
+        close: () => new Promise(done => { server.closeAllConnections(); server.close(done); })
+      });
+    });
+  });
+}
+
+async function run(dir) {
+  const small = fakeModel(3 * 1024 * 1024);
+  const other = fakeModel(1024 * 1024);
+  const files = { 'small.gguf': small, 'other.gguf': other, 'corrupt.gguf': fakeModel(512 * 1024), 'slow.gguf': fakeModel(2 * 1024 * 1024) };
+  const server = await startFileServer(files, { cutAfter: { 'small.gguf': 1024 * 1024 } });
+  const slowServer = await startFileServer({ 'slow.gguf': files['slow.gguf'] }, { throttle: 64 * 1024 });
+
+  MODEL_REGISTRY.push(
+    { id: 'test-small', name: 'Test Small', file: 'small.gguf', url: `${server.url}/files/small.gguf`, sha256: sha256(small), size: small.length, contextSize: 1024, description: 'test' },
+    { id: 'test-hf', name: 'Test HF', file: 'other.gguf', url: `${server.url}/hf/other.gguf`, sha256: null, size: null, contextSize: 4096, description: 'test' },
+    { id: 'test-corrupt', name: 'Test Corrupt', file: 'corrupt.gguf', url: `${server.url}/files/corrupt.gguf`, sha256: '0'.repeat(64), size: null, contextSize: 1024, description: 'test' },
+    { id: 'test-slow', name: 'Test Slow', file: 'slow.gguf', url: `${slowServer.url}/files/slow.gguf`, sha256: sha256(files['slow.gguf']), size: null, contextSize: 1024, description: 'test' }
+  );
+
+  const progress = [];
+  let changes = 0;
+  const manager = new ModelManager({
+    modelsDir: path.join(dir, 'models'),
+    onProgress: (update) => progress.push(update),
+    onChange: () => changes++
+  });
+
+  try {
+    console.log('🧪 Interrupted download resumes...');
+    let interrupted = null;
+    try {
+      await manager.download('test-small');
+    } catch (error) {
+      interrupted = error;
+    }
+    const partial = manager.list().find(model => model.id === 'test-small');
+    check('first attempt fails', interrupted && /interrupted|aborted|socket hang up/i.test(interrupted.message), interrupted && interrupted.message);
+    check('partial file kept', partial.partialBytes > 0 && partial.partialBytes < small.length && !partial.installed, JSON.stringify(partial));
+    const installed = await manager.download('test-small');
+    check('resumed with a Range request', server.ranges[server.ranges.length - 1] === `bytes=${partial.partialBytes}-`, JSON.stringify(server.ranges));
+    check('verified against registry checksum', installed.verified && installed.sha256 === sha256(small) && fs.readFileSync(installed.path).equals(small));
+    check('progress events sent', progress.some(p => p.id === 'test-small' && p.phase === 'download') && progress.some(p => p.phase === 'verify') && progress.some(p => p.phase === 'done'));
+
+    console.log('🧪 Checksums...');
+    const hf = await manager.download('test-hf');
+    check('X-Linked-Etag used when none is pinned', hf.verified && hf.sha256 === sha256(other), JSON.stringify(hf));
+    let mismatch = null;
+    try {
+      await manager.download('test-corrupt');
+    } catch (error) {
+      mismatch = error;
+    }
+    check('checksum mismatch rejected', mismatch && /Checksum mismatch/.test(mismatch.message), mismatch && mismatch.message);
+    check('bad download deleted', !fs.existsSync(path.join(dir, 'models', 'corrupt.gguf')) && !fs.existsSync(path.join(dir, 'models', 'corrupt.gguf.part')));
+
+    let short = null;
+    try {
+      await downloadFile(`${server.url}/files/other.gguf`, path.join(dir, 'direct.gguf'), { sha256: sha256(other), size: other.length + 1 });
+    } catch (error) {
+      short = error;
+    }
+    check('size mismatch rejected', short && /expected/.test(short.message), short && short.message);
+
+    let unverifiable = null;
+    try {
+      await downloadFile(`${server.url}/files/other.gguf`, path.join(dir, 'unpinned.gguf'));
+    } catch (error) {
+      unverifiable = error;
+    }
+    check('download with no checksum refused', unverifiable && /can't be verified/.test(unverifiable.message)
+      && !fs.existsSync(path.join(dir, 'unpinned.gguf')), unverifiable && unverifiable.message);
+
+    console.log('🧪 Cancel...');
+    const pending = manager.download('test-slow');
+    await new Promise(resolve => setTimeout(resolve, 150));
+    check('cancel stops a running download', manager.cancel('test-slow'));
+    let canceled = null;
+    try {
+      await pending;
+    } catch (error) {
+      canceled = error;
+    }
+    const slow = manager.list().find(model => model.id === 'test-slow');
+    check('canceled download reports canceled', canceled && canceled.canceled, canceled && canceled.message);
+    check('canceled download can resume', slow.partialBytes > 0 && !slow.installed, JSON.stringify(slow));
+
+    console.log('🧪 Import, activate, delete...');
+    const source = path.join(dir, 'My-Model.Q4.gguf');
+    fs.writeFileSync(source, fakeModel(256 * 1024));
+    const imported = await manager.importFile(source);
+    check('gguf imported', imported.source === 'import' && fs.existsSync(imported.path) && imported.name === 'My-Model.Q4');
+    const again = await manager.importFile(source);
+    check('same file imported once', again.id === imported.id && manager.list().filter(model => model.source === 'import').length === 1);
+    const notGguf = path.join(dir, 'notes.gguf');
+    fs.writeFileSync(notGguf, 'not a model');
+    let rejected = null;
+    try {
+      await manager.importFile(notGguf);
+    } catch (error) {
+      rejected = error;
+    }
+    check('non-gguf rejected', rejected && /not a GGUF/.test(rejected.message));
+    const copy = path.join(dir, 'downloaded-elsewhere.gguf');
+    fs.writeFileSync(copy, small);
+    const recognized = await manager.importFile(copy);
+    check('import of a registry model recognized by checksum', recognized.name === 'Test Small' && recognized.verified, JSON.stringify(recognized));
+
+    manager.activate('test-small');
+    check('activate switches the backend model', getActiveModel().path === installed.path && getActiveModel().contextSize === 1024, JSON.stringify(getActiveModel()));
+    check('active model listed', manager.list().find(model => model.active).id === 'test-small');
+    let refused = null;
+    try {
+      await manager.delete('test-small');
+    } catch (error) {
+      refused = error;
+    }
+    check('active model cannot be deleted', refused && /active/.test(refused.message));
+
+    const reopened = new ModelManager({ modelsDir: path.join(dir, 'models') });
+    check('active model survives a restart', reopened.applyActive().id === 'test-small');
+
+    manager.activate(imported.id);
+    await manager.delete('test-small');
+    await manager.delete('test-slow');
+    check('deleted model and partial file removed', !fs.existsSync(installed.path)
+      && !fs.existsSync(path.join(dir, 'models', 'slow.gguf.part'))
+      && !manager.list().find(model => model.id === 'test-small').installed);
+    fs.rmSync(imported.path);
+    check('missing active file falls back to bundled', manager.getActiveId() === BUNDLED_ID);
+    check('change events sent', changes > 0);
+  } finally {
+    await server.close();
+    await slowServer.close();
+  }
+}
+
+runChecks('model manager', run, { dir: makeTempDir('models') });
@@ -0,0 +1,158 @@
+/**
+ * Checks reprocessing of stored job emails (electron/reprocessor.js) on an
+ * in-memory database, with a stand-in classifier that answers from a table:
+ *
+ * - preview: emails in scope are classified again and each job's company,
+ *   position and status changes are listed without writing anything; failed
+ *   answers, corrected emails and emails out of scope are left out
+ * - apply: jobs and emails are updated and stamped with the new DECISION_VERSION,
+ *   jobs with no job mail left are removed, company and position edited by hand
+ *   and manual statuses are kept, and emails that changed since the preview or
+ *   jobs that weren't chosen stay as they are
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run reprocess:test
+ */
+
+const { check, createTestDb, rejection, thrown, runChecks } = require('./testHelpers');
+const { Reprocessor } = require('../electron/reprocessor');
+const EmailMatcher = require('../electron/email-matcher');
+const { CorrectionStore } = require('../electron/correction-store');
+const { JobStageCatalog } = require('../electron/job-stages');
+const { JobTimeline } = require('../electron/job-timeline');
+
+const ACCOUNT = 'me@example.com';
+const OLD_VERSION = 'v1';
+const NEW_VERSION = 'v2';
+
+// What the model answered at sync time, and what it answers now, per email
+const EMAILS = [
+  { id: 'a1', from: 'jobs@globex.example', date: '2025-03-01', before: ['Globex', 'Analyst', 'Applied'], after: ['Globex Corp', 'Analyst', 'Applied'] },
+  { id: 'a2', from: 'jobs@globex.example', date: '2025-03-10', before: ['Globex', 'Analyst', 'Interview'], after: ['Globex Corp', 'Analyst', 'Rejected'] },
+  { id: 'b1', from: 'news@initech.example', date: '2025-03-02', before: ['Initech', 'Engineer', 'Applied'], after: null },
+  { id: 'c1', from: 'hr@umbrella.example', date: '2025-03-03', before: ['Umbrella', 'Chemist', 'Applied'], after: ['Umbrella Inc', 'Chemist', 'Applied'] },
+  { id: 'c2', from: 'hr@umbrella.example', date: '2025-03-04', before: ['Umbrella', 'Chemist', 'Applied'], after: ['Umbrella Inc', 'Chemist', 'Rejected'] },
+  { id: 'd1', from: 'jobs@hooli.example', date: '2025-03-05', before: ['Hooli', 'Designer', 'Applied'], after: 'fails' },
+  { id: 'e1', from: 'jobs@soylent.example', date: '2024-06-01', before: ['Soylent', 'Cook', 'Applied'], after: ['Soylent Green', 'Cook', 'Applied'] },
+  { id: 'f1', from: 'jobs@vandelay.example', date: '2025-03-06', before: ['Vandelay', 'Importer', 'Applied'], after: ['Vandelay', 'Importer', 'Interview'] }
+];
+
+async function classify(content) {
+  const answer = EMAILS.find(email => email.id === content).after;
+  if (answer === 'fails') {
+    return { is_job_related: false, decisionPath: 'llm_fallback', decision_version: NEW_VERSION };
+  }
+  if (!answer) {
+    return { is_job_related: false, company: null, position: null, status: null, decisionPath: 'llm_json_schema', decision_version: NEW_VERSION };
+  }
+  const [company, position, status] = answer;
+  return { is_job_related: true, company, position, status, confidence: 0.9, decisionPath: 'llm_json_schema', decision_version: NEW_VERSION };
+}
+
+function createReprocessor() {
+  const db = createTestDb();
+  const stages = new JobStageCatalog(db);
+  const timeline = new JobTimeline(db, stages);
+  const matcher = new EmailMatcher(db, timeline, stages);
+  const corrections = new CorrectionStore(db);
+  const jobs = {};
+  for (const email of EMAILS) {
+    const [company, position, status] = email.before;
+    db.prepare('INSERT INTO email_sync (gmail_message_id, account_email, is_job_related, decision_version) VALUES (?, ?, 1, ?)')
+      .run(email.id, ACCOUNT, OLD_VERSION);
+    const match = matcher.recordEmail({
+      id: email.id,
+      threadId: `thread-${email.id[0]}`,
+      accountEmail: ACCOUNT,
+      subject: `About ${position}`,
+      from: email.from,
+      date: `${email.date}T09:00:00.000Z`,
+      snippet: email.id,
+      content: email.id
+    }, { company, position, status, decisionVersion: OLD_VERSION });
+    jobs[email.id[0]] = match.jobId;
+  }
+
+  // Umbrella's company was edited by hand, which keeps its latest email as a correction
+  db.prepare("UPDATE jobs SET company = 'Umbrella Labs' WHERE id = ?").run(jobs.c);
+  corrections.recordJobEdit(jobs.c, { company: 'Umbrella Labs', position: 'Chemist', status: 'Applied' }, ['company']);
+  // Vandelay was marked as an offer by hand
+  timeline.recordEvent(jobs.f, { status: 'Offer', source: 'manual', occurredAt: '2025-03-20T09:00:00.000Z' });
+
+  const reprocessor = new Reprocessor(db, matcher, timeline, classify);
+  const job = (key) => db.prepare('SELECT company, position, status, decision_version FROM jobs WHERE id = ?').get(jobs[key]);
+  const email = (id) => db.prepare('SELECT job_id, detected_status, decision_version, classification FROM job_emails WHERE gmail_message_id = ?').get(id);
+  const sync = (id) => db.prepare('SELECT is_job_related, decision_version FROM email_sync WHERE gmail_message_id = ?').get(id);
+  return { db, reprocessor, jobs, job, email, sync };
+}
+
+async function checkPreview() {
+  console.log('🧪 Previewing...');
+  const { reprocessor, jobs, job } = createReprocessor();
+  const progress = [];
+  const preview = await reprocessor.preview({ startDate: '2025-01-01' }, { onProgress: (update) => progress.push(update) });
+
+  check('emails in scope counted', preview.emails === 7 && preview.classified === 5 && preview.failed === 1 && preview.skipped === 1,
+    JSON.stringify({ emails: preview.emails, classified: preview.classified, failed: preview.failed, skipped: preview.skipped }));
+  check('progress reported to the end', progress.length === 7 && progress[progress.length - 1].current === 6);
+  check('decision version of the new answers', preview.decisionVersion === NEW_VERSION);
+  check('only jobs that change listed', preview.jobs.map(entry => entry.jobId).sort().join() === [jobs.a, jobs.b, jobs.f].sort().join(),
+    JSON.stringify(preview.jobs.map(entry => [entry.jobId, entry.before, entry.after])));
+
+  const globex = preview.jobs.find(entry => entry.jobId === jobs.a);
+  check('company and status changes listed', globex.before.company === 'Globex' && globex.after.company === 'Globex Corp'
+    && globex.before.status === 'Interviewed' && globex.after.status === 'Declined', JSON.stringify(globex));
+  check('with the email that changed', globex.emails.filter(entry => entry.changed).map(entry => entry.gmailMessageId).join() === 'a2');
+  const initech = preview.jobs.find(entry => entry.jobId === jobs.b);
+  check('job with no job mail left marked for removal', initech.removed && initech.after === null);
+  check('nothing written', job('a').company === 'Globex' && job('a').decision_version === OLD_VERSION);
+
+  const busy = reprocessor.preview({});
+  const again = await rejection(reprocessor.preview({}));
+  await busy;
+  check('one run at a time', again && /already running/.test(again.message), again && again.message);
+}
+
+async function checkApply() {
+  console.log('🧪 Applying...');
+  const { reprocessor, job, email, sync } = createReprocessor();
+  const preview = await reprocessor.preview({ startDate: '2025-01-01' });
+  const summary = reprocessor.apply(preview.id);
+
+  check('summary', summary.updatedJobs === 2 && summary.removedJobs === 1 && summary.updatedEmails === 2
+    && summary.detachedEmails === 1 && summary.stamped === 5 && summary.stale === 0, JSON.stringify(summary));
+  check('job updated', job('a').company === 'Globex Corp' && job('a').status === 'Declined' && job('a').decision_version === NEW_VERSION,
+    JSON.stringify(job('a')));
+  check('email status and classification updated', email('a2').detected_status === 'Declined' && email('a2').decision_version === NEW_VERSION
+    && JSON.parse(email('a2').classification).status === 'Declined', JSON.stringify(email('a2')));
+  check('job without job mail removed', !job('b') && !email('b1') && sync('b1').is_job_related === 0 && sync('b1').decision_version === NEW_VERSION);
+  check('company edited by hand kept', job('c').company === 'Umbrella Labs' && email('c2').decision_version === OLD_VERSION, JSON.stringify(job('c')));
+  check('manual status kept', job('f').status === 'Offer' && email('f1').detected_status === 'Interviewed', JSON.stringify(job('f')));
+  check('failed and out-of-scope emails untouched', email('d1').decision_version === OLD_VERSION && sync('d1').decision_version === OLD_VERSION
+    && job('e').company === 'Soylent' && job('e').decision_version === OLD_VERSION);
+  check('unchanged emails stamped too', email('a1').decision_version === NEW_VERSION && sync('a1').decision_version === NEW_VERSION);
+
+  const used = thrown(() => reprocessor.apply(preview.id));
+  check('a preview is applied once', used && /Preview not found/.test(used.message));
+}
+
+async function checkPartialAndStale() {
+  console.log('🧪 Applying chosen jobs over newer data...');
+  const { db, reprocessor, jobs, job, email } = createReprocessor();
+  const preview = await reprocessor.preview({ jobIds: [jobs.a, jobs.b] });
+  // A sync after the preview moved a2 on
+  db.prepare("UPDATE job_emails SET detected_status = 'Offer' WHERE gmail_message_id = 'a2'").run();
+  const summary = reprocessor.apply(preview.id, { jobIds: [jobs.a] });
+
+  check('emails that changed since the preview left alone', summary.stale === 1 && email('a2').detected_status === 'Offer', JSON.stringify(summary));
+  check('the rest of the chosen job applied', job('a').company === 'Globex Corp' && email('a1').decision_version === NEW_VERSION);
+  check('jobs not chosen kept', job('b').company === 'Initech' && email('b1').decision_version === OLD_VERSION);
+}
+
+async function run() {
+  await checkPreview();
+  await checkApply();
+  await checkPartialAndStale();
+}
+
+runChecks('reprocessing', run);
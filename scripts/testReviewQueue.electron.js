@@ -0,0 +1,111 @@
+/**
+ * Checks the Needs Review queue (electron/review-queue.js) on an in-memory
+ * database:
+ *
+ * - which classifications are held: answers that weren't valid JSON, low
+ *   confidence, and statuses the email's wording contradicts; an unmeasured
+ *   (null) confidence is not low
+ * - resolving a review: confirm records the model's answer, correct records the
+ *   corrected one as a manual status and a few-shot correction, not_job records
+ *   nothing, and each decision is written to email_sync
+ *
+ * better-sqlite3 is built for Electron, so this runs under Electron as node:
+ *   npm run review:test
+ */
+
+const { check, createTestDb, thrown, runChecks } = require('./testHelpers');
+const { ReviewQueue, findReviewReason } = require('../electron/review-queue');
+const EmailMatcher = require('../electron/email-matcher');
+const { CorrectionStore } = require('../electron/correction-store');
+const { JobStageCatalog } = require('../electron/job-stages');
+const { JobTimeline } = require('../electron/job-timeline');
+
+const ACCOUNT = 'me@example.com';
+const ANSWER = { is_job_related: true, company: 'Acme Corp', position: 'Engineer', status: 'Interview' };
+
+function checkReasons() {
+  console.log('🧪 Deciding what needs review...');
+  const reason = (classification, context = {}) => {
+    const review = findReviewReason(classification, { threshold: 0.6, coarseStatus: 'Interviewed', ...context });
+    return review ? review.reason : null;
+  };
+
+  check('unparseable answer held', reason({ ...ANSWER, decisionPath: 'llm_parse_failed' }) === 'parse_failed');
+  check('low confidence held', reason({ ...ANSWER, confidence: 0.33 }) === 'low_confidence');
+  check('confidence at the threshold accepted', reason({ ...ANSWER, confidence: 0.6 }) === null);
+  check('unmeasured confidence accepted', reason({ ...ANSWER, confidence: null }) === null && reason({ ...ANSWER }) === null);
+  check('status the wording contradicts held', reason(ANSWER, { hintedStatuses: ['rejected'] }) === 'status_conflict');
+  check('status the wording supports accepted', reason(ANSWER, { hintedStatuses: ['interview', 'applied'] }) === null);
+  check('non-job answers never conflict', reason({ is_job_related: false }, { hintedStatuses: ['rejected'], coarseStatus: null }) === null);
+}
+
+function createQueue() {
+  const db = createTestDb();
+  const stages = new JobStageCatalog(db);
+  const matcher = new EmailMatcher(db, new JobTimeline(db, stages), stages);
+  const queue = new ReviewQueue(db, matcher, new CorrectionStore(db));
+  const park = (id, classification, review) => {
+    db.prepare('INSERT INTO email_sync (gmail_message_id, account_email, is_job_related) VALUES (?, ?, 0)').run(id, ACCOUNT);
+    queue.enqueue({
+      id,
+      threadId: `thread-${id}`,
+      accountEmail: ACCOUNT,
+      subject: `Subject ${id}`,
+      from: 'Jobs <jobs@acme.example>',
+      date: '2025-09-01T10:00:00.000Z',
+      snippet: 'snippet',
+      content: `Email ${id}`
+    }, classification, review);
+    return db.prepare('SELECT id FROM classification_reviews WHERE gmail_message_id = ?').get(id).id;
+  };
+  const sync = (id) => db.prepare('SELECT is_job_related, review_decision FROM email_sync WHERE gmail_message_id = ?').get(id);
+  return { db, queue, park, sync };
+}
+
+function checkResolve() {
+  console.log('🧪 Resolving reviews...');
+  const { db, queue, park, sync } = createQueue();
+  const corrected = park('m-conflict', { ...ANSWER, confidence: 0.9 }, { reason: 'status_conflict', detail: 'reads like Declined' });
+  const confirmed = park('m-low', { ...ANSWER, status: 'Applied', confidence: 0.33 }, { reason: 'low_confidence' });
+  const dropped = park('m-garbled', { is_job_related: false, confidence: 0, decisionPath: 'llm_parse_failed' }, { reason: 'parse_failed' });
+  const unmeasured = park('m-null', { ...ANSWER, confidence: null }, { reason: 'status_conflict' });
+
+  check('queued with their reasons', queue.count() === 4 && queue.list().find(review => review.id === confirmed).reason === 'low_confidence');
+  check('unmeasured confidence stored as null', queue.list().find(review => review.id === unmeasured).confidence === null);
+
+  const correct = queue.resolve(corrected, 'correct', { status: 'Declined' });
+  const job = db.prepare('SELECT company, position, status FROM jobs WHERE id = ?').get(correct.jobId);
+  check('correct creates the job with the corrected status', correct.created && job.company === 'Acme Corp' && job.status === 'Declined', JSON.stringify(job));
+  const event = db.prepare('SELECT source FROM job_status_events WHERE job_id = ? ORDER BY id DESC').get(correct.jobId);
+  check('as a manual status', event.source === 'manual');
+  const stored = db.prepare('SELECT model_output, corrected, source FROM classification_corrections WHERE gmail_message_id = ?').get('m-conflict');
+  check('and keeps the correction', stored && stored.source === 'review' && JSON.parse(stored.model_output).status === 'Interview'
+    && JSON.parse(stored.corrected).status === 'Declined', JSON.stringify(stored));
+
+  const confirm = queue.resolve(confirmed, 'confirm');
+  check('confirm records the model answer on the same job', confirm.jobId === correct.jobId && !confirm.created, JSON.stringify(confirm));
+  const email = db.prepare('SELECT classification FROM job_emails WHERE gmail_message_id = ?').get('m-low');
+  check('with the model answer kept on the email', JSON.parse(email.classification).status === 'Applied', email.classification);
+
+  const notJob = queue.resolve(dropped, 'not_job');
+  check('not_job records nothing', !notJob.isJobRelated && notJob.jobId === null
+    && !db.prepare('SELECT 1 FROM job_emails WHERE gmail_message_id = ?').get('m-garbled'));
+  check('decisions written to email_sync', sync('m-conflict').review_decision === 'correct' && sync('m-conflict').is_job_related === 1
+    && sync('m-low').review_decision === 'confirm' && sync('m-garbled').review_decision === 'not_job' && sync('m-garbled').is_job_related === 0);
+  check('resolved reviews listed apart', queue.count() === 1 && queue.count('resolved') === 3
+    && queue.list({ status: 'resolved' }).find(review => review.id === corrected).correction.status === 'Declined');
+
+  const twice = thrown(() => queue.resolve(confirmed, 'confirm'));
+  check('a review is resolved once', twice && /already resolved/.test(twice.message), twice && twice.message);
+  const unknown = thrown(() => queue.resolve(unmeasured, 'maybe'));
+  check('unknown decisions refused', unknown && /Unknown review decision/.test(unknown.message));
+  const empty = thrown(() => queue.resolve(unmeasured, 'correct'));
+  check('a correction needs values', empty && /needs company/.test(empty.message) && queue.count() === 1);
+}
+
+function run() {
+  checkReasons();
+  checkResolve();
+}
+
+runChecks('review queue', run);
@@ -0,0 +1,96 @@
+/**
+ * Checks the passphrase vault of the secret store in a temp directory: creating
+ * it, reading secrets back after a restart, a wrong passphrase, changing the
+ * passphrase, and vault files whose scrypt settings are out of range.
+ *
+ * secrets.js shares the database module, whose better-sqlite3 is built for
+ * Electron, so this runs under Electron as node:
+ *   npm run secrets:test
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SecretStore, SecretsLockedError } = require('../electron/secrets');
+const { check, makeTempDir, rejection, thrown, runChecks } = require('./testHelpers');
+
+const PASSPHRASE = 'correct horse battery';
+const NEW_PASSPHRASE = 'staple battery horse';
+
+async function checkCreate(dir) {
+  console.log('🧪 Creating the vault...');
+  const store = new SecretStore({ dir, backend: 'vault' });
+  const locked = thrown(() => store.get('gmail:a@example.com'));
+  check('locked before a passphrase is set', locked instanceof SecretsLockedError && /Set a passphrase/.test(locked.message), locked && locked.message);
+
+  const short = await rejection(store.unlock('short'));
+  check('short passphrase refused', short && /at least/.test(short.message) && !fs.existsSync(store.vaultPath), short && short.message);
+
+  await store.unlock(PASSPHRASE);
+  check('vault created', store.isAvailable() && store.status().vaultCreated);
+  store.set('gmail:a@example.com', '{"refresh_token":"secret"}');
+  check('secret read back', store.get('gmail:a@example.com') === '{"refresh_token":"secret"}');
+  check('vault file holds no plaintext', !fs.readFileSync(store.vaultPath, 'utf8').includes('refresh_token'));
+  check('vault file private', (fs.statSync(store.vaultPath).mode & 0o077) === 0 || process.platform === 'win32');
+
+  store.lock();
+  const afterLock = thrown(() => store.get('gmail:a@example.com'));
+  check('locked again', afterLock instanceof SecretsLockedError && /Unlock/.test(afterLock.message), afterLock && afterLock.message);
+}
+
+async function checkUnlock(dir) {
+  console.log('🧪 Unlocking after a restart...');
+  const store = new SecretStore({ dir, backend: 'vault' });
+  const wrong = await rejection(store.unlock('not the passphrase'));
+  check('wrong passphrase refused', wrong && wrong.message === 'Wrong passphrase' && !store.isAvailable(), wrong && wrong.message);
+
+  let available = false;
+  store.once('available', () => { available = true; });
+  await store.unlock(PASSPHRASE);
+  check('right passphrase unlocks', store.get('gmail:a@example.com') === '{"refresh_token":"secret"}');
+  check('available event sent', available);
+}
+
+async function checkChangePassphrase(dir) {
+  console.log('🧪 Changing the passphrase...');
+  const store = new SecretStore({ dir, backend: 'vault' });
+  await store.unlock(PASSPHRASE);
+  const wrong = await rejection(store.changePassphrase('not the passphrase', NEW_PASSPHRASE));
+  check('current passphrase required', wrong && wrong.message === 'Wrong passphrase', wrong && wrong.message);
+
+  await store.changePassphrase(PASSPHRASE, NEW_PASSPHRASE);
+  const restarted = new SecretStore({ dir, backend: 'vault' });
+  const old = await rejection(restarted.unlock(PASSPHRASE));
+  check('old passphrase no longer works', old && old.message === 'Wrong passphrase', old && old.message);
+  await restarted.unlock(NEW_PASSPHRASE);
+  check('new passphrase unlocks the same secrets', restarted.get('gmail:a@example.com') === '{"refresh_token":"secret"}');
+}
+
+async function checkKdfBounds(dir) {
+  console.log('🧪 Vault files with bad scrypt settings...');
+  const vaultPath = path.join(dir, 'secrets.vault');
+  const original = JSON.parse(fs.readFileSync(vaultPath, 'utf8'));
+  const cases = [
+    ['cost too high', { N: 2 ** 30 }],
+    ['cost too low', { N: 2 }],
+    ['cost not a power of two', { N: 100000 }],
+    ['block size too large for memory', { r: 32 }],
+    ['parallelism out of range', { p: 1000 }],
+    ['missing salt', { salt: '' }],
+    ['another KDF', { name: 'pbkdf2' }]
+  ];
+  for (const [name, kdf] of cases) {
+    fs.writeFileSync(vaultPath, JSON.stringify({ ...original, kdf: { ...original.kdf, ...kdf } }));
+    const error = await rejection(new SecretStore({ dir, backend: 'vault' }).unlock(NEW_PASSPHRASE));
+    check(`${name} refused`, error && /damaged/.test(error.message), error ? error.message : 'unlocked');
+  }
+  fs.writeFileSync(vaultPath, JSON.stringify(original));
+}
+
+async function run(dir) {
+  await checkCreate(dir);
+  await checkUnlock(dir);
+  await checkChangePassphrase(dir);
+  await checkKdfBounds(dir);
+}
+
+runChecks('secret store', run, { dir: makeTempDir('secrets') });
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Switch,
+  FormControlLabel,
+  TextField,
+  MenuItem,
+  Alert,
+  Chip,
+} from '@mui/material';
+import { Schedule } from '@mui/icons-material';
+
+interface SyncSchedule {
+  enabled: boolean;
+  intervalMinutes: number;
+  running: boolean;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  lastRunStatus: 'success' | 'failed' | 'skipped' | null;
+  lastError: string | null;
+  consecutiveFailures: number;
+}
+
+const INTERVAL_OPTIONS = [15, 30, 60, 120, 240];
+
+const formatInterval = (minutes: number) =>
+  minutes < 60 ? `${minutes} minutes` : `${minutes / 60} hour${minutes === 60 ? '' : 's'}`;
+
+export const BackgroundSyncCard: React.FC = () => {
+  const [autoStart, setAutoStart] = useState(false);
+  const [syncInterval, setSyncInterval] = useState(30);
+  const [schedule, setSchedule] = useState<SyncSchedule | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const settings = await window.electronAPI.getSettings();
+        setAutoStart(!!settings.autoStart);
+        setSyncInterval(settings.syncInterval || 30);
+
+        const result = await window.electronAPI.gmail.getSyncSchedule();
+        if (result.success && result.schedule) {
+          setSchedule(result.schedule);
+        }
+      } catch (err) {
+        console.error('Failed to load background sync settings:', err);
+      }
+    };
+    load();
+
+    window.electronAPI.on('sync-schedule-updated', (status: SyncSchedule) => {
+      setSchedule(status);
+    });
+
+    return () => {
+      window.electronAPI.removeAllListeners('sync-schedule-updated');
+    };
+  }, []);
+
+  const saveSettings = async (updates: { autoStart?: boolean; syncInterval?: number }) => {
+    try {
+      setError(null);
+      await window.electronAPI.updateSettings(updates);
+    } catch (err) {
+      setError('Failed to save background sync settings');
+    }
+  };
+
+  const handleToggle = (enabled: boolean) => {
+    setAutoStart(enabled);
+    saveSettings({ autoStart: enabled });
+  };
+
+  const handleIntervalChange = (minutes: number) => {
+    setSyncInterval(minutes);
+    saveSettings({ syncInterval: minutes });
+  };
+
+  const renderStatus = () => {
+    if (!schedule || !schedule.enabled) {
+      return 'Background sync is off. Use Sync Now to check for new emails.';
+    }
+    if (schedule.running) {
+      return 'Syncing now...';
+    }
+    if (schedule.nextRunAt) {
+      return `Next sync at ${new Date(schedule.nextRunAt).toLocaleString()}`;
+    }
+    return 'Waiting to schedule the next sync';
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Schedule sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6">Background Sync</Typography>
+          {schedule?.running && <Chip size="small" label="syncing" color="info" />}
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        {schedule?.lastRunStatus === 'failed' && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            The last background sync failed{schedule.lastError ? `: ${schedule.lastError}` : ''}.
+            {schedule.consecutiveFailures > 1 && ` Retrying less often after ${schedule.consecutiveFailures} failures in a row.`}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 3, flexWrap: 'wrap', mb: 2 }}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={autoStart}
+                onChange={(e) => handleToggle(e.target.checked)}
+              />
+            }
+            label="Sync Gmail automatically"
+          />
+          <TextField
+            select
+            size="small"
+            label="Every"
+            value={syncInterval}
+            onChange={(e) => handleIntervalChange(Number(e.target.value))}
+            disabled={!autoStart}
+            sx={{ minWidth: 160 }}
+          >
+            {(INTERVAL_OPTIONS.includes(syncInterval) ? INTERVAL_OPTIONS : [...INTERVAL_OPTIONS, syncInterval].sort((a, b) => a - b)).map((minutes) => (
+              <MenuItem key={minutes} value={minutes}>
+                {formatInterval(minutes)}
+              </MenuItem>
+            ))}
+          </TextField>
+        </Box>
+
+        <Typography variant="body2" color="text.secondary">
+          {renderStatus()}
+        </Typography>
+        {schedule?.lastRunAt && (
+          <Typography variant="caption" color="text.secondary">
+            Last background sync: {new Date(schedule.lastRunAt).toLocaleString()}
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
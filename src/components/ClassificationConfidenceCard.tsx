@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Slider,
+  Alert,
+} from '@mui/material';
+import { Rule } from '@mui/icons-material';
+
+const DEFAULT_THRESHOLD = 0.6;
+
+export const ClassificationConfidenceCard: React.FC = () => {
+  const [threshold, setThreshold] = useState(DEFAULT_THRESHOLD);
+  const [samples, setSamples] = useState(1);
+  const [pending, setPending] = useState<number | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const settings = await window.electronAPI.getSettings();
+        if (typeof settings.confidenceThreshold === 'number') {
+          setThreshold(settings.confidenceThreshold);
+        }
+        if (typeof settings.confidenceSamples === 'number') {
+          setSamples(settings.confidenceSamples);
+        }
+        const result = await window.electronAPI.review.count();
+        if (result.success) {
+          setPending(result.count ?? 0);
+        }
+      } catch (err) {
+        console.error('Failed to load confidence settings:', err);
+      }
+    };
+    load();
+  }, []);
+
+  const saveThreshold = async (value: number) => {
+    try {
+      setError(null);
+      await window.electronAPI.updateSettings({ confidenceThreshold: value });
+    } catch (err) {
+      setError('Failed to save confidence threshold');
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <Rule sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Classification Confidence</Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {samples > 1
+            ? `The AI model answers each email ${samples} times; confidence is how often its answers agree.`
+            : 'Confidence is how likely the AI model found the words of its answer, such as the company and status.'}
+          {' '}Emails below the threshold are held in Needs Review on the dashboard instead of being added
+          to your jobs or ignored, as are answers that aren't valid or contradict the email. Set it to 0
+          to accept every answer.
+          {pending !== null && pending > 0 && ` ${pending} ${pending === 1 ? 'email is' : 'emails are'} waiting for review.`}
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <Box sx={{ px: 1 }}>
+          <Slider
+            value={threshold}
+            min={0}
+            max={1}
+            step={0.05}
+            marks={[{ value: 0, label: '0%' }, { value: 0.5, label: '50%' }, { value: 1, label: '100%' }]}
+            valueLabelDisplay="auto"
+            valueLabelFormat={(value) => `${Math.round(value * 100)}%`}
+            onChange={(_, value) => setThreshold(value as number)}
+            onChangeCommitted={(_, value) => saveThreshold(value as number)}
+          />
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Dialog,
   DialogTitle,
@@ -15,33 +15,36 @@ import {
   Chip
 } from '@mui/material';
 import { Feedback, CheckCircle, Warning } from '@mui/icons-material';
+import { useJobStages } from '../hooks/useJobStages';
 
-interface ClassificationData {
+export interface ClassificationData {
   emailId: string;
   subject: string;
   from: string;
-  currentType: string;
+  isJobRelated: boolean;
+  currentStatus: string | null;
   currentCompany: string | null;
   currentPosition: string | null;
-  confidence: number;
+  confidence: number | null;
+  detail?: string | null;
+}
+
+export interface ClassificationFeedback {
+  emailId: string;
+  isJobRelated: boolean;
+  correctedStatus: string | null;
+  correctedCompany: string | null;
+  correctedPosition: string | null;
 }
 
 interface EmailClassificationFeedbackProps {
   open: boolean;
   onClose: () => void;
   classification: ClassificationData;
-  onSubmitFeedback: (corrected: any) => void;
+  onSubmitFeedback: (corrected: ClassificationFeedback) => void;
 }
 
-const EMAIL_TYPES = [
-  { value: 'application_confirmation', label: 'Application Confirmation' },
-  { value: 'interview_request', label: 'Interview Request' },
-  { value: 'offer', label: 'Job Offer' },
-  { value: 'rejection', label: 'Rejection' },
-  { value: 'follow_up', label: 'Follow-up' },
-  { value: 'application_sent', label: 'Application Sent' },
-  { value: 'not_job_related', label: 'Not Job Related' }
-];
+const NOT_JOB_RELATED = 'not_job_related';
 
 export default function EmailClassificationFeedback({
   open,
@@ -49,11 +52,22 @@ export default function EmailClassificationFeedback({
   classification,
   onSubmitFeedback
 }: EmailClassificationFeedbackProps) {
-  const [correctedType, setCorrectedType] = useState(classification.currentType);
+  const { stageNames } = useJobStages();
+  const currentType = classification.isJobRelated ? classification.currentStatus || '' : NOT_JOB_RELATED;
+  const [correctedType, setCorrectedType] = useState(currentType);
   const [correctedCompany, setCorrectedCompany] = useState(classification.currentCompany || '');
   const [correctedPosition, setCorrectedPosition] = useState(classification.currentPosition || '');
   const [hasChanges, setHasChanges] = useState(false);
 
+  // Start over from the model's answer each time the dialog opens
+  useEffect(() => {
+    if (!open) return;
+    setCorrectedType(currentType);
+    setCorrectedCompany(classification.currentCompany || '');
+    setCorrectedPosition(classification.currentPosition || '');
+    setHasChanges(false);
+  }, [open, classification.emailId]);
+
   const handleTypeChange = (value: string) => {
     setCorrectedType(value);
     setHasChanges(true);
@@ -73,10 +87,10 @@ export default function EmailClassificationFeedback({
     if (hasChanges) {
       onSubmitFeedback({
         emailId: classification.emailId,
-        correctedType,
+        isJobRelated: correctedType !== NOT_JOB_RELATED,
+        correctedStatus: correctedType !== NOT_JOB_RELATED ? correctedType || null : null,
         correctedCompany: correctedCompany || null,
-        correctedPosition: correctedPosition || null,
-        isJobRelated: correctedType !== 'not_job_related'
+        correctedPosition: correctedPosition || null
       });
     }
     onClose();
@@ -111,34 +125,45 @@ export default function EmailClassificationFeedback({
             <Typography variant="body2">
               <strong>From:</strong> {classification.from}
             </Typography>
-            <Box sx={{ mt: 1 }}>
-              <Chip 
-                size="small" 
-                label={`Confidence: ${(classification.confidence * 100).toFixed(0)}%`}
-                color={getConfidenceColor(classification.confidence)}
-                icon={classification.confidence >= 0.8 ? <CheckCircle /> : <Warning />}
-              />
+            <Box sx={{ mt: 1, display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+              {classification.confidence !== null && (
+                <Chip 
+                  size="small" 
+                  label={`Confidence: ${(classification.confidence * 100).toFixed(0)}%`}
+                  color={getConfidenceColor(classification.confidence)}
+                  icon={classification.confidence >= 0.8 ? <CheckCircle /> : <Warning />}
+                />
+              )}
+              {classification.detail && (
+                <Typography variant="caption" color="text.secondary">
+                  {classification.detail}
+                </Typography>
+              )}
             </Box>
           </Box>
         </Box>
 
         <FormControl fullWidth sx={{ mb: 2 }}>
-          <InputLabel>Email Type</InputLabel>
+          <InputLabel>Status</InputLabel>
           <Select
             value={correctedType}
             onChange={(e) => handleTypeChange(e.target.value)}
-            label="Email Type"
+            label="Status"
           >
-            {EMAIL_TYPES.map(type => (
-              <MenuItem key={type.value} value={type.value}>
-                {type.label}
-                {type.value === classification.currentType && ' (Current)'}
+            {stageNames.map(stage => (
+              <MenuItem key={stage} value={stage}>
+                {stage}
+                {stage === currentType && ' (Current)'}
               </MenuItem>
             ))}
+            <MenuItem value={NOT_JOB_RELATED}>
+              Not Job Related
+              {currentType === NOT_JOB_RELATED && ' (Current)'}
+            </MenuItem>
           </Select>
         </FormControl>
 
-        {correctedType !== 'not_job_related' && (
+        {correctedType !== NOT_JOB_RELATED && (
           <>
             <TextField
               fullWidth
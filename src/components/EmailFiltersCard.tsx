@@ -0,0 +1,230 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Switch,
+  FormControlLabel,
+  FormGroup,
+  Checkbox,
+  TextField,
+  Alert,
+  Button,
+  Chip,
+  List,
+  ListItem,
+  ListItemText,
+} from '@mui/material';
+import { FilterAlt } from '@mui/icons-material';
+
+interface EmailFilters {
+  enabled: boolean;
+  skipDomains: string[];
+  jobKeywords: string[];
+  skipCategories: string[];
+  skipBulk: boolean;
+}
+
+interface EmailGateDecision {
+  gmail_message_id: string;
+  account_email: string;
+  rule: string;
+  detail: string | null;
+  from_address: string | null;
+  subject: string | null;
+  decided_at: string;
+}
+
+const DEFAULT_FILTERS: EmailFilters = {
+  enabled: true,
+  skipDomains: ['amazon.com', 'facebook.com', 'twitter.com'],
+  jobKeywords: ['position', 'interview', 'application', 'offer'],
+  skipCategories: ['CATEGORY_PROMOTIONS', 'CATEGORY_SOCIAL', 'CATEGORY_FORUMS'],
+  skipBulk: true
+};
+
+const CATEGORIES = [
+  { label: 'Promotions', value: 'CATEGORY_PROMOTIONS' },
+  { label: 'Social', value: 'CATEGORY_SOCIAL' },
+  { label: 'Forums', value: 'CATEGORY_FORUMS' },
+  { label: 'Updates', value: 'CATEGORY_UPDATES' },
+];
+
+const ruleLabels: Record<string, string> = {
+  skip_domain: 'Skipped domain',
+  gmail_category: 'Gmail category',
+  bulk_precedence: 'Bulk mail',
+  mailing_list: 'Mailing list',
+};
+
+const toList = (text: string) => text.split(',').map(item => item.trim()).filter(Boolean);
+
+export const EmailFiltersCard: React.FC = () => {
+  const [filters, setFilters] = useState<EmailFilters>(DEFAULT_FILTERS);
+  const [domainsText, setDomainsText] = useState('');
+  const [keywordsText, setKeywordsText] = useState('');
+  const [stats, setStats] = useState<{ skipped: number; classified: number } | null>(null);
+  const [filtered, setFiltered] = useState<EmailGateDecision[]>([]);
+  const [showFiltered, setShowFiltered] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const settings = await window.electronAPI.getSettings();
+        const next = { ...DEFAULT_FILTERS, ...settings.emailFilters };
+        setFilters(next);
+        setDomainsText(next.skipDomains.join(', '));
+        setKeywordsText(next.jobKeywords.join(', '));
+        const result = await window.electronAPI.gate.stats();
+        if (result.success && result.stats) {
+          setStats(result.stats);
+        }
+      } catch (err) {
+        console.error('Failed to load email filters:', err);
+      }
+    };
+    load();
+  }, []);
+
+  const saveFilters = async (updates: Partial<EmailFilters>) => {
+    const next = { ...filters, ...updates };
+    setFilters(next);
+    try {
+      setError(null);
+      await window.electronAPI.updateSettings({ emailFilters: next });
+    } catch (err) {
+      setError('Failed to save email filters');
+    }
+  };
+
+  const toggleCategory = (value: string, checked: boolean) => {
+    const skipCategories = checked
+      ? [...filters.skipCategories, value]
+      : filters.skipCategories.filter(category => category !== value);
+    saveFilters({ skipCategories });
+  };
+
+  const handleShowFiltered = async () => {
+    if (showFiltered) {
+      setShowFiltered(false);
+      return;
+    }
+    const result = await window.electronAPI.gate.list({ decision: 'skip', limit: 50 });
+    if (result.success) {
+      setFiltered(result.decisions || []);
+      setShowFiltered(true);
+    } else {
+      setError(result.error || 'Failed to load filtered emails');
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <FilterAlt sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Email Filters</Typography>
+          <Button size="small" onClick={handleShowFiltered} disabled={!stats || stats.skipped === 0}>
+            {showFiltered ? 'Hide Filtered' : 'Review Filtered'}
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Newsletters, promotions and other obvious non-job mail are skipped without running the AI model,
+          which makes syncs much faster. Mail from applicant tracking systems and mail mentioning a job
+          keyword is always checked.
+          {stats && ` So far ${stats.skipped} emails were filtered and ${stats.classified} were checked.`}
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={filters.enabled}
+              onChange={(e) => saveFilters({ enabled: e.target.checked })}
+            />
+          }
+          label="Filter mail before classification"
+          sx={{ mb: 2 }}
+        />
+
+        <TextField
+          fullWidth
+          size="small"
+          label="Always check emails containing"
+          value={keywordsText}
+          onChange={(e) => setKeywordsText(e.target.value)}
+          onBlur={() => saveFilters({ jobKeywords: toList(keywordsText) })}
+          disabled={!filters.enabled}
+          helperText="Comma-separated words"
+          sx={{ mb: 2 }}
+        />
+
+        <TextField
+          fullWidth
+          size="small"
+          label="Skip senders from"
+          value={domainsText}
+          onChange={(e) => setDomainsText(e.target.value)}
+          onBlur={() => saveFilters({ skipDomains: toList(domainsText) })}
+          disabled={!filters.enabled}
+          helperText="Comma-separated domains; subdomains are skipped too"
+          sx={{ mb: 2 }}
+        />
+
+        <Typography variant="subtitle2" sx={{ mb: 0.5 }}>Skip Gmail categories</Typography>
+        <FormGroup row sx={{ mb: 1 }}>
+          {CATEGORIES.map(category => (
+            <FormControlLabel
+              key={category.value}
+              control={
+                <Checkbox
+                  size="small"
+                  checked={filters.skipCategories.includes(category.value)}
+                  onChange={(e) => toggleCategory(category.value, e.target.checked)}
+                  disabled={!filters.enabled}
+                />
+              }
+              label={category.label}
+            />
+          ))}
+        </FormGroup>
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={filters.skipBulk}
+              onChange={(e) => saveFilters({ skipBulk: e.target.checked })}
+              disabled={!filters.enabled}
+            />
+          }
+          label="Skip mailing lists and bulk mail"
+        />
+
+        {showFiltered && (
+          <List dense disablePadding sx={{ mt: 2, maxHeight: 320, overflow: 'auto' }}>
+            {filtered.map((decision, index) => (
+              <ListItem key={`${decision.account_email}:${decision.gmail_message_id}`} divider={index < filtered.length - 1}>
+                <ListItemText
+                  primary={decision.subject || 'No subject'}
+                  secondary={`${decision.from_address || 'Unknown sender'} • ${new Date(decision.decided_at + 'Z').toLocaleDateString()}`}
+                />
+                <Chip
+                  size="small"
+                  variant="outlined"
+                  label={decision.detail ? `${ruleLabels[decision.rule] || decision.rule}: ${decision.detail}` : ruleLabels[decision.rule] || decision.rule}
+                />
+              </ListItem>
+            ))}
+          </List>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,148 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Switch,
+  FormControlLabel,
+  TextField,
+  MenuItem,
+  Alert,
+  Button,
+} from '@mui/material';
+import { NotificationsActive } from '@mui/icons-material';
+import { useJobStages } from '../hooks/useJobStages';
+
+interface FollowUpRules {
+  enabled: boolean;
+  noResponseDays: number;
+  noResponseStage: string;
+  interviewFollowUpDays: number;
+}
+
+const DEFAULT_RULES: FollowUpRules = {
+  enabled: true,
+  noResponseDays: 21,
+  noResponseStage: 'Ghosted',
+  interviewFollowUpDays: 3
+};
+
+export const FollowUpRulesCard: React.FC = () => {
+  const { stageNames } = useJobStages();
+  const [rules, setRules] = useState<FollowUpRules>(DEFAULT_RULES);
+  const [error, setError] = useState<string | null>(null);
+  const [lastRun, setLastRun] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const settings = await window.electronAPI.getSettings();
+        if (settings.followUpRules) {
+          setRules({ ...DEFAULT_RULES, ...settings.followUpRules });
+        }
+      } catch (err) {
+        console.error('Failed to load follow-up rules:', err);
+      }
+    };
+    load();
+  }, []);
+
+  const saveRules = async (updates: Partial<FollowUpRules>) => {
+    const next = { ...rules, ...updates };
+    setRules(next);
+    try {
+      setError(null);
+      await window.electronAPI.updateSettings({ followUpRules: next });
+    } catch (err) {
+      setError('Failed to save follow-up rules');
+    }
+  };
+
+  const handleRunNow = async () => {
+    const result = await window.electronAPI.reminders.run();
+    if (result.success) {
+      setLastRun(`${result.markedNoResponse} jobs marked as no response, ${result.scheduled} follow-ups scheduled, ${result.due} reminders due`);
+    } else {
+      setError(result.error || 'Failed to run follow-up rules');
+    }
+  };
+
+  const parseDays = (value: string) => Math.max(0, Math.floor(Number(value) || 0));
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <NotificationsActive sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Follow-up Reminders</Typography>
+          <Button size="small" onClick={handleRunNow} disabled={!rules.enabled}>
+            Check Now
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Checked after every sync and once a day. Set a number of days to 0 to turn that rule off.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={rules.enabled}
+              onChange={(e) => saveRules({ enabled: e.target.checked })}
+            />
+          }
+          label="Track follow-ups"
+          sx={{ mb: 2 }}
+        />
+
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+          <TextField
+            type="number"
+            size="small"
+            label="No response after (days)"
+            value={rules.noResponseDays}
+            onChange={(e) => saveRules({ noResponseDays: parseDays(e.target.value) })}
+            disabled={!rules.enabled}
+            sx={{ width: 200 }}
+          />
+          <TextField
+            select
+            size="small"
+            label="Then move the job to"
+            value={stageNames.includes(rules.noResponseStage) ? rules.noResponseStage : ''}
+            onChange={(e) => saveRules({ noResponseStage: e.target.value })}
+            disabled={!rules.enabled}
+            helperText={stageNames.includes(rules.noResponseStage) ? ' ' : 'Only a reminder; the stage no longer exists'}
+            sx={{ minWidth: 200 }}
+          >
+            {stageNames.map(name => (
+              <MenuItem key={name} value={name}>{name}</MenuItem>
+            ))}
+          </TextField>
+        </Box>
+
+        <TextField
+          type="number"
+          size="small"
+          label="Follow up after an interview (days)"
+          value={rules.interviewFollowUpDays}
+          onChange={(e) => saveRules({ interviewFollowUpDays: parseDays(e.target.value) })}
+          disabled={!rules.enabled}
+          sx={{ width: 260 }}
+        />
+
+        {lastRun && (
+          <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 2 }}>
+            {lastRun}
+          </Typography>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -20,6 +20,8 @@ import {
   Accordion,
   AccordionSummary,
   AccordionDetails,
+  FormControlLabel,
+  Checkbox,
 } from '@mui/material';
 import {
   Add as AddIcon,
@@ -29,7 +31,11 @@ import {
   CheckCircle as CheckCircleIcon,
   ExpandMore as ExpandMoreIcon,
   Settings as SettingsIcon,
+  Dns as DnsIcon,
+  UploadFile as UploadFileIcon,
 } from '@mui/icons-material';
+import { ImapAccountDialog } from './ImapAccountDialog';
+import { SecretsCard } from './SecretsCard';
 
 interface GmailAccount {
   id: string;
@@ -40,6 +46,32 @@ interface GmailAccount {
   sync_enabled: boolean;
 }
 
+interface ImapAccount {
+  id: string;
+  email: string;
+  config: { host?: string; port?: number };
+  last_sync: string | null;
+  created_at: string;
+}
+
+interface ResumableSync {
+  id: number;
+  startedAt: string;
+  options: { daysToSync?: number };
+  emailsFetched: number;
+  jobsFound: number;
+  accounts: Array<{ email: string; status: string }>;
+}
+
+interface ImportProgress {
+  file: string;
+  fileIndex: number;
+  fileCount: number;
+  messagesRead: number;
+  jobsFound: number;
+  status: string;
+}
+
 interface SyncProgress {
   current: number;
   total: number;
@@ -60,15 +92,24 @@ export const GmailMultiAccount: React.FC = () => {
   const [syncProgress, setSyncProgress] = useState<SyncProgress | null>(null);
   const [error, setError] = useState<string | null>(null);
   const [successMessage, setSuccessMessage] = useState<string | null>(null);
-  const [confirmDelete, setConfirmDelete] = useState<string | null>(null);
+  const [imapAccounts, setImapAccounts] = useState<ImapAccount[]>([]);
+  const [imapDialogOpen, setImapDialogOpen] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState<{ email: string; imapId?: string } | null>(null);
   const [daysToSync, setDaysToSync] = useState<number>(365); // Default to 1 year for better results
+  const [fullSync, setFullSync] = useState(false);
   const [syncStats, setSyncStats] = useState<{processed?: number; found?: number; skipped?: number}>({});
+  const [resumableSync, setResumableSync] = useState<ResumableSync | null>(null);
+  const [importing, setImporting] = useState(false);
+  const [importProgress, setImportProgress] = useState<ImportProgress | null>(null);
+  const [vaultPrompt, setVaultPrompt] = useState(false);
 
   useEffect(() => {
     loadAccounts();
+    loadResumableSync();
     
-    // Listen for sync progress
+    // Listen for sync progress (including syncs started in the background)
     window.electronAPI.on('sync-progress', (progress: SyncProgress) => {
+      setSyncing(true);
       setSyncProgress(progress);
     });
     
@@ -80,7 +121,9 @@ export const GmailMultiAccount: React.FC = () => {
         found: result.jobsFound || 0,
         skipped: result.emailsSkipped || 0
       });
-      const message = `Sync complete! Processed ${result.emailsFetched || 0} emails • Found ${result.jobsFound || 0} job applications`;
+      let message = `Sync complete! Processed ${result.emailsFetched || 0} emails • Found ${result.jobsFound || 0} job applications`;
+      if (result.emailsFiltered > 0) message += ` • ${result.emailsFiltered} filtered as non-job mail`;
+      if (result.needsReview > 0) message += ` • ${result.needsReview} waiting for review`;
       if (result.emailsSkipped > 0) {
         setSuccessMessage(message + ` • Skipped ${result.emailsSkipped} already processed emails`);
       } else {
@@ -95,7 +138,12 @@ export const GmailMultiAccount: React.FC = () => {
       setError(`Sync error: ${error.message}`);
     });
     
+    window.electronAPI.on('mail-import-progress', (progress: ImportProgress) => {
+      setImportProgress(progress);
+    });
+    
     return () => {
+      window.electronAPI.removeAllListeners('mail-import-progress');
       window.electronAPI.removeAllListeners('sync-progress');
       window.electronAPI.removeAllListeners('sync-complete');
       window.electronAPI.removeAllListeners('sync-error');
@@ -109,6 +157,24 @@ export const GmailMultiAccount: React.FC = () => {
     } catch (err: any) {
       console.error('Failed to load accounts:', err);
     }
+    
+    try {
+      const result = await window.electronAPI.mail.getAccounts();
+      if (result.success && result.accounts) {
+        setImapAccounts(result.accounts.filter((account: any) => account.source_type === 'imap'));
+      }
+    } catch (err: any) {
+      console.error('Failed to load IMAP accounts:', err);
+    }
+  };
+
+  const loadResumableSync = async () => {
+    try {
+      const result = await window.electronAPI.gmail.getResumableSync();
+      setResumableSync(result.success && result.job ? result.job : null);
+    } catch (err: any) {
+      console.error('Failed to check for interrupted sync:', err);
+    }
   };
 
   const handleAddAccount = async () => {
@@ -117,6 +183,14 @@ export const GmailMultiAccount: React.FC = () => {
     
     try {
       const result = await window.electronAPI.gmail.addAccount();
+      if (result.secretsLocked) {
+        // No keychain and no unlocked vault: ask for the passphrase, then connect
+        setVaultPrompt(true);
+        return;
+      }
+      if (!result.success || !result.account) {
+        throw new Error(result.error || 'Unknown error');
+      }
       setSuccessMessage(`Successfully connected ${result.account.email}`);
       await loadAccounts();
     } catch (err: any) {
@@ -126,9 +200,14 @@ export const GmailMultiAccount: React.FC = () => {
     }
   };
 
-  const handleRemoveAccount = async (email: string) => {
+  const handleRemoveAccount = async ({ email, imapId }: { email: string; imapId?: string }) => {
     try {
-      await window.electronAPI.gmail.removeAccount(email);
+      if (imapId) {
+        const result = await window.electronAPI.mail.removeAccount(imapId);
+        if (!result.success) throw new Error(result.error);
+      } else {
+        await window.electronAPI.gmail.removeAccount(email);
+      }
       setConfirmDelete(null);
       setSuccessMessage(`Removed ${email}`);
       await loadAccounts();
@@ -137,27 +216,93 @@ export const GmailMultiAccount: React.FC = () => {
     }
   };
 
+  const totalAccounts = accounts.length + imapAccounts.length;
+
   const handleSyncAll = async () => {
-    if (accounts.length === 0) {
-      setError('No accounts connected. Please add a Gmail account first.');
+    if (totalAccounts === 0) {
+      setError('No accounts connected. Please add a Gmail or IMAP account first.');
       return;
     }
     
     setSyncing(true);
     setError(null);
     setSuccessMessage(null);
+    // Starting a new sync replaces any interrupted one
+    setResumableSync(null);
     
     try {
-      await window.electronAPI.gmail.syncAll({
+      const result = await window.electronAPI.gmail.syncAll({
         daysToSync: daysToSync,
-        maxEmails: 1000  // Maximum allowed per sync
+        maxEmails: 1000,  // Maximum allowed per sync
+        fullSync
       });
+      if (result && result.alreadyRunning) {
+        setError('A sync is already running in the background. Its progress is shown below.');
+      } else if (result && result.success === false) {
+        setSyncing(false);
+        setError(result.message || 'Sync failed');
+      }
     } catch (err: any) {
       setSyncing(false);
       setError(`Sync failed: ${err.message}`);
     }
   };
 
+  const handleResumeSync = async () => {
+    if (!resumableSync) return;
+    
+    setSyncing(true);
+    setError(null);
+    setSuccessMessage(null);
+    
+    try {
+      const result = await window.electronAPI.gmail.syncAll({ resumeJobId: resumableSync.id });
+      setResumableSync(null);
+      if (result && result.success === false) {
+        setSyncing(false);
+        setError(result.message || 'Could not resume the interrupted sync');
+      }
+    } catch (err: any) {
+      setSyncing(false);
+      setError(`Sync failed: ${err.message}`);
+    }
+  };
+
+  const handleDiscardResumableSync = async () => {
+    try {
+      await window.electronAPI.gmail.discardResumableSync();
+      setResumableSync(null);
+    } catch (err: any) {
+      setError(`Failed to discard interrupted sync: ${err.message}`);
+    }
+  };
+
+  const handleImportFile = async () => {
+    setImporting(true);
+    setError(null);
+    setSuccessMessage(null);
+    
+    try {
+      const result = await window.electronAPI.mail.importFile();
+      if (result.canceled) return;
+      if (!result.success) {
+        setError(result.message || 'Import failed');
+        return;
+      }
+      let message = `Import complete! Processed ${result.emailsProcessed || 0} emails • Found ${result.jobsFound || 0} job applications`;
+      if (result.emailsFiltered) message += ` • ${result.emailsFiltered} filtered as non-job mail`;
+      if (result.needsReview) message += ` • ${result.needsReview} waiting for review`;
+      if (result.emailsSkipped) message += ` • Skipped ${result.emailsSkipped} already processed emails`;
+      if (result.parseErrors) message += ` • ${result.parseErrors} messages could not be read`;
+      setSuccessMessage(message);
+    } catch (err: any) {
+      setError(`Import failed: ${err.message}`);
+    } finally {
+      setImporting(false);
+      setImportProgress(null);
+    }
+  };
+
   const formatDate = (dateString: string | null) => {
     if (!dateString) return 'Never';
     const date = new Date(dateString);
@@ -168,11 +313,11 @@ export const GmailMultiAccount: React.FC = () => {
     <Box sx={{ p: 3 }}>
       <Typography variant="h5" gutterBottom sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
         <EmailIcon />
-        Gmail Accounts
+        Email Accounts
       </Typography>
       
       <Typography variant="body2" color="text.secondary" paragraph>
-        Connect multiple Gmail accounts to sync job applications from all your email addresses.
+        Connect multiple Gmail or IMAP accounts to sync job applications from all your email addresses.
       </Typography>
 
       {error && (
@@ -181,6 +326,28 @@ export const GmailMultiAccount: React.FC = () => {
         </Alert>
       )}
       
+      {resumableSync && !syncing && (
+        <Alert
+          severity="warning"
+          sx={{ mb: 2 }}
+          action={
+            <Box sx={{ display: 'flex', gap: 1 }}>
+              <Button color="inherit" size="small" onClick={handleDiscardResumableSync}>
+                Discard
+              </Button>
+              <Button color="inherit" size="small" variant="outlined" onClick={handleResumeSync}>
+                Resume
+              </Button>
+            </Box>
+          }
+        >
+          The sync started {formatDate(resumableSync.startedAt)} was interrupted after processing{' '}
+          {resumableSync.emailsFetched} emails ({resumableSync.jobsFound} jobs found,{' '}
+          {resumableSync.accounts.filter(a => a.status === 'completed').length} of {resumableSync.accounts.length} accounts done).
+          Resume where it left off?
+        </Alert>
+      )}
+      
       {successMessage && (
         <Alert severity="success" onClose={() => setSuccessMessage(null)} sx={{ mb: 2 }}>
           {successMessage}
@@ -189,11 +356,11 @@ export const GmailMultiAccount: React.FC = () => {
 
       <Paper sx={{ mb: 3 }}>
         <List>
-          {accounts.length === 0 ? (
+          {totalAccounts === 0 ? (
             <ListItem>
               <ListItemText 
                 primary="No accounts connected"
-                secondary="Add a Gmail account to start syncing job applications"
+                secondary="Add a Gmail or IMAP account to start syncing job applications"
               />
             </ListItem>
           ) : (
@@ -218,7 +385,7 @@ export const GmailMultiAccount: React.FC = () => {
                 <ListItemSecondaryAction>
                   <IconButton 
                     edge="end" 
-                    onClick={() => setConfirmDelete(account.email)}
+                    onClick={() => setConfirmDelete({ email: account.email })}
                     disabled={syncing}
                   >
                     <DeleteIcon />
@@ -227,6 +394,28 @@ export const GmailMultiAccount: React.FC = () => {
               </ListItem>
             ))
           )}
+          {imapAccounts.map((account) => (
+            <ListItem key={account.id}>
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {account.email}
+                    <Chip size="small" label="IMAP" icon={<DnsIcon />} />
+                  </Box>
+                }
+                secondary={`${account.config.host}:${account.config.port} • Last sync: ${formatDate(account.last_sync)}`}
+              />
+              <ListItemSecondaryAction>
+                <IconButton
+                  edge="end"
+                  onClick={() => setConfirmDelete({ email: account.email, imapId: account.id })}
+                  disabled={syncing}
+                >
+                  <DeleteIcon />
+                </IconButton>
+              </ListItemSecondaryAction>
+            </ListItem>
+          ))}
         </List>
       </Paper>
 
@@ -261,11 +450,20 @@ export const GmailMultiAccount: React.FC = () => {
               helperText="How many days back to search (1-3650 days / ~10 years)"
               sx={{ maxWidth: 300 }}
             />
+            <FormControlLabel
+              control={
+                <Checkbox
+                  checked={fullSync}
+                  onChange={(e) => setFullSync(e.target.checked)}
+                />
+              }
+              label="Re-scan the full date range instead of only new mail"
+            />
             <Typography variant="body2" color="text.secondary">
               <strong>Tip:</strong> Try 365 days (1 year) to catch all recent job applications. Already processed emails are automatically skipped.
             </Typography>
             <Typography variant="caption" color="text.secondary">
-              Note: Each sync fetches up to 1,000 emails per account. Emails already in the database are skipped.
+              Note: After the first sync, only mail received since the last sync is fetched. Each sync fetches up to 1,000 emails per account. Emails already in the database are skipped.
             </Typography>
           </Box>
         </AccordionDetails>
@@ -281,16 +479,58 @@ export const GmailMultiAccount: React.FC = () => {
           {loading ? 'Connecting...' : 'Add Gmail Account'}
         </Button>
         
+        <Button
+          variant="outlined"
+          startIcon={<DnsIcon />}
+          onClick={() => setImapDialogOpen(true)}
+          disabled={loading || syncing}
+        >
+          Add IMAP Account
+        </Button>
+        
+        <Button
+          variant="outlined"
+          startIcon={<UploadFileIcon />}
+          onClick={handleImportFile}
+          disabled={importing || syncing}
+        >
+          {importing ? 'Importing...' : 'Import Mailbox File'}
+        </Button>
+        
         <Button
           variant="outlined"
           startIcon={<SyncIcon />}
           onClick={handleSyncAll}
-          disabled={syncing || accounts.length === 0}
+          disabled={syncing || importing || totalAccounts === 0}
         >
           Sync All Accounts ({daysToSync} days)
         </Button>
       </Box>
 
+      {importing && (
+        <Paper sx={{ p: 3, mb: 3 }}>
+          <Typography variant="subtitle1" gutterBottom>
+            Importing Mailbox
+          </Typography>
+          {importProgress ? (
+            <>
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                {importProgress.status}
+              </Typography>
+              <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mb: 1 }}>
+                File {importProgress.fileIndex + 1} of {importProgress.fileCount} ({importProgress.file}) •{' '}
+                {importProgress.messagesRead} emails read • {importProgress.jobsFound} jobs found
+              </Typography>
+            </>
+          ) : (
+            <Typography variant="body2" color="text.secondary" gutterBottom>
+              Choose .mbox archives (e.g. from Google Takeout), .eml files or folders of them
+            </Typography>
+          )}
+          <LinearProgress sx={{ height: 6, borderRadius: 3 }} />
+        </Paper>
+      )}
+
       {syncing && syncProgress && (
         <Paper sx={{ p: 3 }}>
           <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
@@ -408,10 +648,10 @@ export const GmailMultiAccount: React.FC = () => {
 
       {/* Delete Confirmation Dialog */}
       <Dialog open={!!confirmDelete} onClose={() => setConfirmDelete(null)}>
-        <DialogTitle>Remove Gmail Account</DialogTitle>
+        <DialogTitle>Remove {confirmDelete?.imapId ? 'IMAP' : 'Gmail'} Account</DialogTitle>
         <DialogContent>
           <Typography>
-            Are you sure you want to remove {confirmDelete}? 
+            Are you sure you want to remove {confirmDelete?.email}? 
             This will stop syncing from this account, but won't delete any existing jobs.
           </Typography>
         </DialogContent>
@@ -425,6 +665,36 @@ export const GmailMultiAccount: React.FC = () => {
           </Button>
         </DialogActions>
       </Dialog>
+      
+      <Dialog open={vaultPrompt} onClose={() => setVaultPrompt(false)} maxWidth="sm" fullWidth>
+        <DialogTitle>Protect Your Gmail Credentials</DialogTitle>
+        <DialogContent>
+          <Typography sx={{ mb: 2 }}>
+            There is no system keychain to keep your Gmail tokens in, so they are encrypted with a
+            passphrase. Set one, or unlock the vault, to continue connecting your account.
+          </Typography>
+          <SecretsCard
+            onStatusChange={(status) => {
+              if (status.available) {
+                setVaultPrompt(false);
+                handleAddAccount();
+              }
+            }}
+          />
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setVaultPrompt(false)}>Cancel</Button>
+        </DialogActions>
+      </Dialog>
+
+      <ImapAccountDialog
+        open={imapDialogOpen}
+        onClose={() => setImapDialogOpen(false)}
+        onAdded={(email) => {
+          setSuccessMessage(`Successfully connected ${email}`);
+          loadAccounts();
+        }}
+      />
     </Box>
   );
 };
\ No newline at end of file
@@ -0,0 +1,166 @@
+import React, { useState } from 'react';
+import {
+  Box,
+  Button,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  FormControlLabel,
+  Switch,
+  Alert,
+  Typography,
+} from '@mui/material';
+
+interface ImapAccountDialogProps {
+  open: boolean;
+  onClose: () => void;
+  onAdded: (email: string) => void;
+}
+
+const EMPTY_FORM = {
+  email: '',
+  host: '',
+  port: 993,
+  secure: true,
+  username: '',
+  password: '',
+  mailbox: 'INBOX',
+};
+
+export const ImapAccountDialog: React.FC<ImapAccountDialogProps> = ({ open, onClose, onAdded }) => {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [testResult, setTestResult] = useState<string | null>(null);
+
+  const update = (changes: Partial<typeof EMPTY_FORM>) => {
+    setForm((current) => ({ ...current, ...changes }));
+    setTestResult(null);
+  };
+
+  const handleClose = () => {
+    setForm(EMPTY_FORM);
+    setError(null);
+    setTestResult(null);
+    onClose();
+  };
+
+  const handleTest = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await window.electronAPI.mail.testImapAccount(form);
+      if (result.success) {
+        setTestResult(`Connected to ${result.mailbox} (${result.messages} messages)`);
+      } else {
+        setError(`Connection failed: ${result.error}`);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      const result = await window.electronAPI.mail.addImapAccount(form);
+      if (result.success) {
+        onAdded(form.email);
+        handleClose();
+      } else {
+        setError(`Failed to add account: ${result.error}`);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const canSubmit = !!form.email && !!form.host && !!form.password && !busy;
+
+  return (
+    <Dialog open={open} onClose={handleClose} maxWidth="sm" fullWidth>
+      <DialogTitle>Add IMAP Account</DialogTitle>
+      <DialogContent>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Connect Fastmail, Outlook or any other IMAP mailbox. Most providers require an app password instead of your normal password.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {testResult && (
+          <Alert severity="success" sx={{ mb: 2 }}>
+            {testResult}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: 1 }}>
+          <TextField
+            label="Email address"
+            value={form.email}
+            onChange={(e) => update({ email: e.target.value })}
+            required
+          />
+          <Box sx={{ display: 'flex', gap: 2 }}>
+            <TextField
+              label="IMAP server"
+              placeholder="imap.fastmail.com"
+              value={form.host}
+              onChange={(e) => update({ host: e.target.value })}
+              required
+              sx={{ flex: 1 }}
+            />
+            <TextField
+              label="Port"
+              type="number"
+              value={form.port}
+              onChange={(e) => update({ port: parseInt(e.target.value) || 993 })}
+              sx={{ width: 110 }}
+            />
+          </Box>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={form.secure}
+                onChange={(e) => update({ secure: e.target.checked, port: e.target.checked ? 993 : 143 })}
+              />
+            }
+            label="Use TLS"
+          />
+          <TextField
+            label="Username"
+            placeholder="Defaults to the email address"
+            value={form.username}
+            onChange={(e) => update({ username: e.target.value })}
+          />
+          <TextField
+            label="App password"
+            type="password"
+            value={form.password}
+            onChange={(e) => update({ password: e.target.value })}
+            required
+          />
+          <TextField
+            label="Mailbox"
+            value={form.mailbox}
+            onChange={(e) => update({ mailbox: e.target.value })}
+          />
+        </Box>
+      </DialogContent>
+      <DialogActions>
+        <Button onClick={handleClose}>Cancel</Button>
+        <Button onClick={handleTest} disabled={!canSubmit}>
+          Test Connection
+        </Button>
+        <Button onClick={handleSave} variant="contained" disabled={!canSubmit}>
+          {busy ? 'Connecting...' : 'Add Account'}
+        </Button>
+      </DialogActions>
+    </Dialog>
+  );
+};
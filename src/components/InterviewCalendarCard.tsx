@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Switch,
+  FormControlLabel,
+  Button,
+  Alert,
+} from '@mui/material';
+import { Event, FolderOpen, Download } from '@mui/icons-material';
+
+interface InterviewFeed {
+  enabled: boolean;
+  path: string;
+}
+
+export const InterviewCalendarCard: React.FC = () => {
+  const [feed, setFeed] = useState<InterviewFeed | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const result = await window.electronAPI.interviews.getFeed();
+        if (result.success && result.feed) {
+          setFeed(result.feed);
+        }
+      } catch (err) {
+        console.error('Failed to load interview feed settings:', err);
+      }
+    };
+    load();
+  }, []);
+
+  const updateFeed = async (options: { enabled?: boolean; choosePath?: boolean }) => {
+    setError(null);
+    const result = await window.electronAPI.interviews.setFeed(options);
+    if (result.success && result.feed) {
+      setFeed(result.feed);
+    } else if (!result.canceled) {
+      setError(result.error || 'Failed to update the interview feed');
+    }
+  };
+
+  const handleExportAll = async () => {
+    setError(null);
+    const result = await window.electronAPI.interviews.exportIcs();
+    if (result.success && result.filePath) {
+      setMessage(`Exported to ${result.filePath}`);
+    } else if (!result.canceled) {
+      setError(result.error || 'Failed to export interviews');
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <Event sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Interview Calendar</Typography>
+          <Button size="small" startIcon={<Download />} onClick={handleExportAll}>
+            Export .ics
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Interview times, links and interviewers are read from calendar invitations and interview emails.
+          Keep a feed file up to date and subscribe to it from your calendar app to see them next to your
+          other events.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+
+        <FormControlLabel
+          control={
+            <Switch
+              checked={!!feed?.enabled}
+              onChange={(e) => updateFeed({ enabled: e.target.checked })}
+              disabled={!feed}
+            />
+          }
+          label="Keep a calendar feed file"
+        />
+
+        {feed && (
+          <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mt: 1 }}>
+            <Typography variant="body2" color="text.secondary" sx={{ fontFamily: 'monospace', overflowWrap: 'anywhere' }}>
+              {feed.path}
+            </Typography>
+            <Button size="small" onClick={() => updateFeed({ choosePath: true })}>
+              Change
+            </Button>
+            <Button size="small" startIcon={<FolderOpen />} onClick={() => window.electronAPI.interviews.showFeed()} disabled={!feed.enabled}>
+              Show
+            </Button>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
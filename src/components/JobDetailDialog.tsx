@@ -17,7 +17,8 @@ import {
   Divider,
   Paper,
   Alert,
-  CircularProgress
+  CircularProgress,
+  Tooltip
 } from '@mui/material';
 import {
   Close,
@@ -28,8 +29,14 @@ import {
   Save,
   Cancel,
   Work,
-  LocationOn
+  LocationOn,
+  Timeline,
+  AutoAwesome,
+  Person,
+  History
 } from '@mui/icons-material';
+import { useJobStages } from '../hooks/useJobStages';
+import { JobInterviews } from './JobInterviews';
 
 interface Job {
   id: string;
@@ -49,6 +56,18 @@ interface Job {
   raw_content?: string;
 }
 
+interface JobStatusEvent {
+  id: number;
+  status: string;
+  previousStatus: string | null;
+  changed: boolean;
+  source: 'automatic' | 'manual' | 'migration';
+  detectedStatus: string | null;
+  confidence: number | null;
+  occurredAt: string;
+  email: { gmailMessageId: string; accountEmail: string | null; subject: string | null; from: string | null } | null;
+}
+
 interface JobDetailDialogProps {
   open: boolean;
   job: Job | null;
@@ -56,11 +75,10 @@ interface JobDetailDialogProps {
   onJobUpdate?: (updatedJob: Job) => void;
 }
 
-const statusColors: Record<string, string> = {
-  Applied: '#2196F3',
-  Interviewed: '#FF9800',
-  Offer: '#9C27B0',
-  Declined: '#F44336'
+const eventSources = {
+  automatic: { label: 'Detected from email', icon: <AutoAwesome sx={{ fontSize: 14 }} /> },
+  manual: { label: 'Set manually', icon: <Person sx={{ fontSize: 14 }} /> },
+  migration: { label: 'Imported from earlier data', icon: <History sx={{ fontSize: 14 }} /> }
 };
 
 export const JobDetailDialog: React.FC<JobDetailDialogProps> = ({
@@ -75,14 +93,35 @@ export const JobDetailDialog: React.FC<JobDetailDialogProps> = ({
   const [emailHistory, setEmailHistory] = useState<any[]>([]);
   const [loadingEmail, setLoadingEmail] = useState(false);
   const [emailError, setEmailError] = useState<string>('');
+  const [timeline, setTimeline] = useState<JobStatusEvent[]>([]);
+  const [timelineError, setTimelineError] = useState<string>('');
+  const { stageNames, stageColor } = useJobStages();
 
   useEffect(() => {
     if (job) {
       setEditedJob({ ...job });
       loadEmailContent();
+      loadTimeline();
     }
   }, [job]);
 
+  const loadTimeline = async () => {
+    if (!job?.id) return;
+    
+    setTimelineError('');
+    try {
+      const result = await window.electronAPI.getJobTimeline(job.id);
+      if (result.success) {
+        setTimeline(result.timeline || []);
+      } else {
+        setTimelineError(result.error || 'Failed to load status timeline');
+      }
+    } catch (error) {
+      console.error('Error loading status timeline:', error);
+      setTimelineError('Failed to load status timeline');
+    }
+  };
+
   const loadEmailContent = async () => {
     if (!job?.id) return;
     
@@ -117,6 +156,7 @@ export const JobDetailDialog: React.FC<JobDetailDialogProps> = ({
       };
       
       await window.electronAPI.updateJob(job.id, updates);
+      loadTimeline();
       
       if (onJobUpdate) {
         onJobUpdate(editedJob);
@@ -181,15 +221,15 @@ export const JobDetailDialog: React.FC<JobDetailDialogProps> = ({
                     value={editedJob.status}
                     onChange={(e) => setEditedJob({ ...editedJob, status: e.target.value })}
                   >
-                    {Object.keys(statusColors).map(status => (
+                    {stageNames.map(status => (
                       <MenuItem key={status} value={status}>
                         <Chip
                           label={status}
                           size="small"
                           sx={{
-                            backgroundColor: statusColors[status] + '20',
-                            color: statusColors[status],
-                            border: `1px solid ${statusColors[status]}40`
+                            backgroundColor: stageColor(status) + '20',
+                            color: stageColor(status),
+                            border: `1px solid ${stageColor(status)}40`
                           }}
                         />
                       </MenuItem>
@@ -202,9 +242,9 @@ export const JobDetailDialog: React.FC<JobDetailDialogProps> = ({
                     label={job.status}
                     size="small"
                     sx={{
-                      backgroundColor: statusColors[job.status] + '20',
-                      color: statusColors[job.status],
-                      border: `1px solid ${statusColors[job.status]}40`
+                      backgroundColor: stageColor(job.status) + '20',
+                      color: stageColor(job.status),
+                      border: `1px solid ${stageColor(job.status)}40`
                     }}
                   />
                 </Box>
@@ -288,6 +328,99 @@ export const JobDetailDialog: React.FC<JobDetailDialogProps> = ({
         
         <Divider sx={{ my: 3 }} />
         
+        {/* Status Timeline Section */}
+        <Box>
+          <Typography variant="h6" sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
+            <Timeline sx={{ color: 'primary.main' }} />
+            Status Timeline
+          </Typography>
+          
+          {timelineError ? (
+            <Alert severity="error" sx={{ mb: 2 }}>
+              {timelineError}
+            </Alert>
+          ) : timeline.length > 0 ? (
+            <Box sx={{ pl: 1 }}>
+              {timeline.map((event, index) => (
+                <Box
+                  key={event.id}
+                  sx={{
+                    position: 'relative',
+                    pl: 3,
+                    pb: index === timeline.length - 1 ? 0 : 2,
+                    borderLeft: index === timeline.length - 1 ? '2px solid transparent' : '2px solid',
+                    borderLeftColor: index === timeline.length - 1 ? 'transparent' : 'divider',
+                    opacity: event.changed ? 1 : 0.6
+                  }}
+                >
+                  <Box
+                    sx={{
+                      position: 'absolute',
+                      left: -7,
+                      top: 2,
+                      width: 12,
+                      height: 12,
+                      borderRadius: '50%',
+                      backgroundColor: stageColor(event.status)
+                    }}
+                  />
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Chip
+                      label={event.status}
+                      size="small"
+                      sx={{
+                        backgroundColor: stageColor(event.status) + '20',
+                        color: stageColor(event.status),
+                        border: `1px solid ${stageColor(event.status)}40`
+                      }}
+                    />
+                    <Typography variant="caption" color="text.secondary">
+                      {new Date(event.occurredAt).toLocaleString()}
+                    </Typography>
+                    <Tooltip title={eventSources[event.source].label}>
+                      <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, color: 'text.secondary' }}>
+                        {eventSources[event.source].icon}
+                        <Typography variant="caption">{event.source}</Typography>
+                      </Box>
+                    </Tooltip>
+                    {event.confidence !== null && (
+                      <Typography variant="caption" color="text.secondary">
+                        {Math.round(event.confidence * 100)}% confidence
+                      </Typography>
+                    )}
+                  </Box>
+                  {!event.changed && (
+                    <Typography variant="caption" color="text.secondary" sx={{ display: 'block', mt: 0.5 }}>
+                      Status stayed {event.previousStatus}
+                    </Typography>
+                  )}
+                  {event.email && (
+                    <Typography variant="body2" sx={{ mt: 0.5 }}>
+                      {event.email.subject || 'No subject'}
+                      {event.email.from && (
+                        <Typography component="span" variant="caption" color="text.secondary" sx={{ ml: 1 }}>
+                          {event.email.from}
+                        </Typography>
+                      )}
+                    </Typography>
+                  )}
+                </Box>
+              ))}
+            </Box>
+          ) : (
+            <Typography variant="body2" color="text.secondary">
+              No status changes recorded
+            </Typography>
+          )}
+        </Box>
+        
+        <Divider sx={{ my: 3 }} />
+        
+        {/* Interviews Section */}
+        <JobInterviews jobId={job.id} company={job.company} />
+        
+        <Divider sx={{ my: 3 }} />
+        
         {/* Email Content Section */}
         <Box>
           <Typography variant="h6" sx={{ mb: 2, display: 'flex', alignItems: 'center', gap: 1 }}>
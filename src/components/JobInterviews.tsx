@@ -0,0 +1,331 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Box,
+  Typography,
+  Button,
+  Chip,
+  IconButton,
+  Alert,
+  Tooltip,
+  Link,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem
+} from '@mui/material';
+import {
+  Event,
+  Add,
+  Edit,
+  Delete,
+  Download,
+  VideoCall,
+  LocationOn,
+  Person,
+  Warning,
+  AutoAwesome
+} from '@mui/icons-material';
+
+interface Interview {
+  id: number;
+  job_id: string;
+  source: 'calendar' | 'llm' | 'manual';
+  status: 'confirmed' | 'tentative' | 'cancelled';
+  title: string;
+  start_at: string;
+  end_at: string | null;
+  all_day: boolean;
+  timezone: string | null;
+  location: string | null;
+  meeting_url: string | null;
+  interviewer: string | null;
+  description: string | null;
+  conflicts?: number[];
+}
+
+interface InterviewForm {
+  id: number | null;
+  title: string;
+  start: string;
+  end: string;
+  location: string;
+  meeting_url: string;
+  interviewer: string;
+  status: Interview['status'];
+}
+
+interface JobInterviewsProps {
+  jobId: string;
+  company: string;
+}
+
+const sourceLabels = {
+  calendar: 'From the calendar invitation',
+  llm: 'Read from the email text',
+  manual: 'Entered or corrected by hand'
+};
+
+// datetime-local inputs work in local time without a zone suffix
+const toLocalInput = (iso: string | null) => {
+  if (!iso) return '';
+  const date = new Date(iso);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+};
+
+export const formatInterviewTime = (interview: { start_at: string; end_at: string | null; all_day: boolean }) => {
+  const start = new Date(interview.start_at);
+  if (interview.all_day) {
+    return start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+  }
+  const day = start.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' });
+  const from = start.toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+  const to = interview.end_at
+    ? new Date(interview.end_at).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' })
+    : '';
+  return `${day}, ${from}${to ? ` – ${to}` : ''}`;
+};
+
+export const JobInterviews: React.FC<JobInterviewsProps> = ({ jobId, company }) => {
+  const [interviews, setInterviews] = useState<Interview[]>([]);
+  const [error, setError] = useState<string>('');
+  const [form, setForm] = useState<InterviewForm | null>(null);
+
+  const loadInterviews = async () => {
+    if (!window.electronAPI?.interviews) return;
+    try {
+      const result = await window.electronAPI.interviews.list({ jobId, includeCancelled: true });
+      if (result.success) {
+        setInterviews(result.interviews || []);
+      } else {
+        setError(result.error || 'Failed to load interviews');
+      }
+    } catch (err) {
+      console.error('Error loading interviews:', err);
+      setError('Failed to load interviews');
+    }
+  };
+
+  useEffect(() => {
+    loadInterviews();
+  }, [jobId]);
+
+  const openForm = (interview?: Interview) => {
+    setForm(interview ? {
+      id: interview.id,
+      title: interview.title,
+      start: toLocalInput(interview.start_at),
+      end: toLocalInput(interview.end_at),
+      location: interview.location || '',
+      meeting_url: interview.meeting_url || '',
+      interviewer: interview.interviewer || '',
+      status: interview.status
+    } : {
+      id: null,
+      title: `Interview: ${company}`,
+      start: '',
+      end: '',
+      location: '',
+      meeting_url: '',
+      interviewer: '',
+      status: 'confirmed'
+    });
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+    const result = await window.electronAPI.interviews.save({
+      id: form.id,
+      job_id: jobId,
+      title: form.title,
+      start_at: new Date(form.start).toISOString(),
+      end_at: form.end ? new Date(form.end).toISOString() : null,
+      location: form.location || null,
+      meeting_url: form.meeting_url || null,
+      interviewer: form.interviewer || null,
+      status: form.status
+    });
+    if (result.success) {
+      setForm(null);
+      setError('');
+      loadInterviews();
+    } else {
+      setError(result.error || 'Failed to save interview');
+    }
+  };
+
+  const handleDelete = async (id: number) => {
+    const result = await window.electronAPI.interviews.delete(id);
+    if (!result.success) setError(result.error || 'Failed to delete interview');
+    loadInterviews();
+  };
+
+  const handleExport = async (id: number) => {
+    const result = await window.electronAPI.interviews.exportIcs([id]);
+    if (!result.success && !result.canceled) setError(result.error || 'Failed to export interview');
+  };
+
+  return (
+    <Box>
+      <Box sx={{ display: 'flex', alignItems: 'center', mb: 2 }}>
+        <Typography variant="h6" sx={{ display: 'flex', alignItems: 'center', gap: 1, flexGrow: 1 }}>
+          <Event sx={{ color: 'primary.main' }} />
+          Interviews
+        </Typography>
+        <Button size="small" startIcon={<Add />} onClick={() => openForm()}>
+          Add Interview
+        </Button>
+      </Box>
+
+      {error && (
+        <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError('')}>
+          {error}
+        </Alert>
+      )}
+
+      {interviews.length === 0 ? (
+        <Typography variant="body2" color="text.secondary">
+          No interviews found in this job's emails
+        </Typography>
+      ) : (
+        interviews.map(interview => (
+          <Box
+            key={interview.id}
+            sx={{
+              p: 1.5,
+              mb: 1,
+              border: 1,
+              borderColor: interview.conflicts && interview.conflicts.length > 0 ? 'warning.main' : 'divider',
+              borderRadius: 1,
+              opacity: interview.status === 'cancelled' ? 0.6 : 1
+            }}
+          >
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+              <Typography
+                variant="subtitle2"
+                sx={{ textDecoration: interview.status === 'cancelled' ? 'line-through' : 'none' }}
+              >
+                {interview.title}
+              </Typography>
+              {interview.status !== 'confirmed' && <Chip label={interview.status} size="small" variant="outlined" />}
+              <Tooltip title={sourceLabels[interview.source]}>
+                {interview.source === 'manual'
+                  ? <Person sx={{ fontSize: 16, color: 'text.secondary' }} />
+                  : <AutoAwesome sx={{ fontSize: 16, color: 'text.secondary' }} />}
+              </Tooltip>
+              <Box sx={{ flexGrow: 1 }} />
+              <Tooltip title="Download .ics">
+                <IconButton size="small" onClick={() => handleExport(interview.id)}>
+                  <Download fontSize="small" />
+                </IconButton>
+              </Tooltip>
+              <IconButton size="small" onClick={() => openForm(interview)}>
+                <Edit fontSize="small" />
+              </IconButton>
+              <IconButton size="small" onClick={() => handleDelete(interview.id)}>
+                <Delete fontSize="small" />
+              </IconButton>
+            </Box>
+            <Typography variant="body2">{formatInterviewTime(interview)}</Typography>
+            {interview.conflicts && interview.conflicts.length > 0 && (
+              <Typography variant="caption" color="warning.main" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Warning sx={{ fontSize: 14 }} />
+                Overlaps with {interview.conflicts.length === 1 ? 'another interview' : `${interview.conflicts.length} other interviews`}
+              </Typography>
+            )}
+            {interview.meeting_url && (
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 0.5, mt: 0.5 }}>
+                <VideoCall sx={{ fontSize: 16, color: 'text.secondary' }} />
+                <Link
+                  component="button"
+                  variant="body2"
+                  onClick={() => window.electronAPI.openExternal(interview.meeting_url!)}
+                  sx={{ overflowWrap: 'anywhere', textAlign: 'left' }}
+                >
+                  {interview.meeting_url}
+                </Link>
+              </Box>
+            )}
+            {interview.location && (
+              <Typography variant="body2" color="text.secondary" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <LocationOn sx={{ fontSize: 16 }} />
+                {interview.location}
+              </Typography>
+            )}
+            {interview.interviewer && (
+              <Typography variant="body2" color="text.secondary" sx={{ display: 'flex', alignItems: 'center', gap: 0.5 }}>
+                <Person sx={{ fontSize: 16 }} />
+                {interview.interviewer}
+              </Typography>
+            )}
+          </Box>
+        ))
+      )}
+
+      <Dialog open={!!form} onClose={() => setForm(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{form?.id ? 'Edit Interview' : 'Add Interview'}</DialogTitle>
+        {form && (
+          <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+            <TextField
+              label="Title"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+            />
+            <Box sx={{ display: 'flex', gap: 2 }}>
+              <TextField
+                type="datetime-local"
+                label="Starts"
+                value={form.start}
+                onChange={(e) => setForm({ ...form, start: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+                fullWidth
+              />
+              <TextField
+                type="datetime-local"
+                label="Ends"
+                value={form.end}
+                onChange={(e) => setForm({ ...form, end: e.target.value })}
+                InputLabelProps={{ shrink: true }}
+                helperText="Defaults to one hour"
+                fullWidth
+              />
+            </Box>
+            <TextField
+              label="Meeting link"
+              value={form.meeting_url}
+              onChange={(e) => setForm({ ...form, meeting_url: e.target.value })}
+            />
+            <TextField
+              label="Location"
+              value={form.location}
+              onChange={(e) => setForm({ ...form, location: e.target.value })}
+            />
+            <TextField
+              label="Interviewer"
+              value={form.interviewer}
+              onChange={(e) => setForm({ ...form, interviewer: e.target.value })}
+            />
+            <TextField
+              select
+              label="Status"
+              value={form.status}
+              onChange={(e) => setForm({ ...form, status: e.target.value as Interview['status'] })}
+            >
+              <MenuItem value="confirmed">Confirmed</MenuItem>
+              <MenuItem value="tentative">Tentative</MenuItem>
+              <MenuItem value="cancelled">Cancelled</MenuItem>
+            </TextField>
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setForm(null)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" disabled={!form?.start}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Box>
+  );
+};
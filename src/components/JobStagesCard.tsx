@@ -0,0 +1,270 @@
+import React, { useState } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Chip,
+  IconButton,
+  Button,
+  Alert,
+  Dialog,
+  DialogTitle,
+  DialogContent,
+  DialogActions,
+  TextField,
+  MenuItem,
+  Switch,
+  FormControlLabel,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip
+} from '@mui/material';
+import {
+  Timeline,
+  ArrowUpward,
+  ArrowDownward,
+  Edit,
+  Delete,
+  Add,
+  AutoAwesome
+} from '@mui/icons-material';
+import { useJobStages, JobStage } from '../hooks/useJobStages';
+
+const COARSE_STATUSES: JobStage['coarse_status'][] = ['Applied', 'Interviewed', 'Declined', 'Offer'];
+
+interface StageForm {
+  name: string;
+  previousName: string | null;
+  coarse_status: JobStage['coarse_status'];
+  is_terminal: boolean;
+  color: string;
+  description: string;
+}
+
+const emptyForm: StageForm = {
+  name: '',
+  previousName: null,
+  coarse_status: 'Applied',
+  is_terminal: false,
+  color: '#607D8B',
+  description: ''
+};
+
+export const JobStagesCard: React.FC = () => {
+  const { stages, stageColor, reload } = useJobStages();
+  const [error, setError] = useState<string | null>(null);
+  const [form, setForm] = useState<StageForm | null>(null);
+  const [deleting, setDeleting] = useState<JobStage | null>(null);
+  const [replacement, setReplacement] = useState('');
+
+  const move = async (index: number, offset: number) => {
+    const names = stages.map(stage => stage.name);
+    const [name] = names.splice(index, 1);
+    names.splice(index + offset, 0, name);
+    const result = await window.electronAPI.stages.reorder(names);
+    if (!result.success) setError(result.error || 'Failed to reorder stages');
+    reload();
+  };
+
+  const handleSave = async () => {
+    if (!form) return;
+    const result = await window.electronAPI.stages.save({
+      name: form.name,
+      previousName: form.previousName,
+      coarse_status: form.coarse_status,
+      is_terminal: form.is_terminal,
+      color: form.color || null,
+      description: form.description.trim() || null
+    });
+    if (result.success) {
+      setForm(null);
+      setError(null);
+      reload();
+    } else {
+      setError(result.error || 'Failed to save stage');
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!deleting) return;
+    const result = await window.electronAPI.stages.delete(deleting.name, replacement || undefined);
+    if (result.success) {
+      setDeleting(null);
+      setError(null);
+      reload();
+    } else {
+      setError(result.error || 'Failed to delete stage');
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <Timeline sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Application Stages</Typography>
+          <Button size="small" startIcon={<Add />} onClick={() => setForm({ ...emptyForm })}>
+            Add Stage
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Stages a job moves through, in pipeline order. Each counts as Applied, Interviewed, Declined or Offer
+          in analytics. Stages with a description can be detected from emails; terminal stages are never left
+          automatically.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <List dense disablePadding>
+          {stages.map((stage, index) => (
+            <ListItem
+              key={stage.name}
+              divider={index < stages.length - 1}
+              secondaryAction={
+                <Box>
+                  <IconButton size="small" disabled={index === 0} onClick={() => move(index, -1)}>
+                    <ArrowUpward fontSize="small" />
+                  </IconButton>
+                  <IconButton size="small" disabled={index === stages.length - 1} onClick={() => move(index, 1)}>
+                    <ArrowDownward fontSize="small" />
+                  </IconButton>
+                  <IconButton
+                    size="small"
+                    onClick={() => setForm({
+                      name: stage.name,
+                      previousName: stage.name,
+                      coarse_status: stage.coarse_status,
+                      is_terminal: stage.is_terminal,
+                      color: stage.color || '',
+                      description: stage.description || ''
+                    })}
+                  >
+                    <Edit fontSize="small" />
+                  </IconButton>
+                  <IconButton
+                    size="small"
+                    disabled={stages.length === 1}
+                    onClick={() => {
+                      setDeleting(stage);
+                      setReplacement('');
+                    }}
+                  >
+                    <Delete fontSize="small" />
+                  </IconButton>
+                </Box>
+              }
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Chip
+                      label={stage.name}
+                      size="small"
+                      sx={{
+                        backgroundColor: stageColor(stage.name) + '20',
+                        color: stageColor(stage.name),
+                        border: `1px solid ${stageColor(stage.name)}40`
+                      }}
+                    />
+                    <Typography variant="caption" color="text.secondary">
+                      counts as {stage.coarse_status}
+                    </Typography>
+                    {stage.is_terminal && <Chip label="terminal" size="small" variant="outlined" />}
+                    {stage.description && (
+                      <Tooltip title={`Detected from email: ${stage.description}`}>
+                        <AutoAwesome sx={{ fontSize: 16, color: 'text.secondary' }} />
+                      </Tooltip>
+                    )}
+                  </Box>
+                }
+              />
+            </ListItem>
+          ))}
+        </List>
+      </CardContent>
+
+      <Dialog open={!!form} onClose={() => setForm(null)} maxWidth="sm" fullWidth>
+        <DialogTitle>{form?.previousName ? `Edit ${form.previousName}` : 'Add Stage'}</DialogTitle>
+        {form && (
+          <DialogContent sx={{ display: 'flex', flexDirection: 'column', gap: 2, pt: '8px !important' }}>
+            <TextField
+              label="Name"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              helperText={form.previousName && form.name !== form.previousName ? 'Jobs in this stage are renamed too' : ' '}
+              autoFocus
+            />
+            <TextField
+              select
+              label="Counts as"
+              value={form.coarse_status}
+              onChange={(e) => setForm({ ...form, coarse_status: e.target.value as JobStage['coarse_status'] })}
+            >
+              {COARSE_STATUSES.map(status => (
+                <MenuItem key={status} value={status}>{status}</MenuItem>
+              ))}
+            </TextField>
+            <TextField
+              label="Color"
+              value={form.color}
+              onChange={(e) => setForm({ ...form, color: e.target.value })}
+              placeholder="#607D8B"
+            />
+            <TextField
+              label="Description for email detection"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              helperText="Leave empty for stages that are only set by hand"
+              multiline
+            />
+            <FormControlLabel
+              control={
+                <Switch
+                  checked={form.is_terminal}
+                  onChange={(e) => setForm({ ...form, is_terminal: e.target.checked })}
+                />
+              }
+              label="Terminal stage"
+            />
+          </DialogContent>
+        )}
+        <DialogActions>
+          <Button onClick={() => setForm(null)}>Cancel</Button>
+          <Button onClick={handleSave} variant="contained" disabled={!form?.name.trim()}>
+            Save
+          </Button>
+        </DialogActions>
+      </Dialog>
+
+      <Dialog open={!!deleting} onClose={() => setDeleting(null)} maxWidth="xs" fullWidth>
+        <DialogTitle>Delete {deleting?.name}?</DialogTitle>
+        <DialogContent sx={{ pt: '8px !important' }}>
+          <TextField
+            select
+            fullWidth
+            label="Move its jobs to"
+            value={replacement}
+            onChange={(e) => setReplacement(e.target.value)}
+            helperText="Required when jobs are still in this stage"
+          >
+            {stages.filter(stage => stage.name !== deleting?.name).map(stage => (
+              <MenuItem key={stage.name} value={stage.name}>{stage.name}</MenuItem>
+            ))}
+          </TextField>
+        </DialogContent>
+        <DialogActions>
+          <Button onClick={() => setDeleting(null)}>Cancel</Button>
+          <Button onClick={handleDelete} color="error" variant="contained">
+            Delete
+          </Button>
+        </DialogActions>
+      </Dialog>
+    </Card>
+  );
+};
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import {
   Box,
   Card,
@@ -14,7 +14,8 @@ import {
   Menu,
   MenuItem,
   TextField,
-  InputAdornment
+  InputAdornment,
+  Button
 } from '@mui/material';
 import {
   MoreVert,
@@ -27,6 +28,7 @@ import {
 } from '@mui/icons-material';
 import { LoadingSpinner } from './LoadingSpinner';
 import { EmailViewer } from './EmailViewer';
+import { useJobStages } from '../hooks/useJobStages';
 
 const accent = "#FF7043";
 
@@ -48,39 +50,118 @@ interface Job {
   raw_content?: string;
 }
 
-const statusColors: Record<string, string> = {
-  Applied: '#2196F3',
-  Interviewed: '#FF9800', 
-  Offer: '#9C27B0',
-  Declined: '#F44336'
-};
+interface SnippetSegment {
+  text: string;
+  highlight: boolean;
+}
+
+interface SearchMatch {
+  kind: 'job' | 'email';
+  emailId: number | null;
+  subject: string | null;
+  snippet: SnippetSegment[];
+}
+
+// Snippets shown under each job found by a search
+const MATCHES_SHOWN = 2;
+
+const PAGE_SIZE = 50;
+
+type SortOption = 'newest' | 'oldest' | 'company' | 'contacted' | 'updated';
+
+const SORT_OPTIONS: { value: SortOption; label: string; sort: JobSortKey[] }[] = [
+  { value: 'newest', label: 'Newest first', sort: [{ field: 'applied_date', direction: 'desc' }, { field: 'created_at', direction: 'desc' }] },
+  { value: 'oldest', label: 'Oldest first', sort: [{ field: 'applied_date', direction: 'asc' }, { field: 'created_at', direction: 'asc' }] },
+  { value: 'company', label: 'Company A-Z', sort: [{ field: 'company', direction: 'asc' }, { field: 'applied_date', direction: 'desc' }] },
+  { value: 'contacted', label: 'Last contact', sort: [{ field: 'last_contact_date', direction: 'desc' }, { field: 'applied_date', direction: 'desc' }] },
+  { value: 'updated', label: 'Recently updated', sort: [{ field: 'updated_at', direction: 'desc' }] },
+];
+
+const STATUS_GROUPS = ['Applied', 'Interviewed', 'Offer', 'Declined'];
 
 // Job type labels are no longer needed since we use status directly
 
 export default function JobsList() {
   const [jobs, setJobs] = useState<Job[]>([]);
+  // Jobs are loaded a page at a time; nextCursor is null once the last page is in
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [total, setTotal] = useState(0);
+  const [statusCounts, setStatusCounts] = useState<Record<string, number>>({});
+  const [sortOption, setSortOption] = useState<SortOption>('newest');
+  const [statusGroup, setStatusGroup] = useState<string | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [searchTerm, setSearchTerm] = useState('');
+  // Full-text search results (db:search), best match first; null when not searching
+  const [searchResults, setSearchResults] = useState<{ job: Job; matches: SearchMatch[] }[] | null>(null);
   const [anchorEl, setAnchorEl] = useState<null | HTMLElement>(null);
   const [selectedJob, setSelectedJob] = useState<Job | null>(null);
   const [syncStatus, setSyncStatus] = useState<any>(null);
   const [emailViewerOpen, setEmailViewerOpen] = useState(false);
   const [viewingJob, setViewingJob] = useState<Job | null>(null);
+  const { stageNames, stageColor } = useJobStages();
+  // Read by the sync listeners, which are registered once
+  const queryRef = useRef({ sortOption, statusGroup });
+  queryRef.current = { sortOption, statusGroup };
+  const jobsRef = useRef(jobs);
+  jobsRef.current = jobs;
+
+  const pageQuery = useCallback((cursor: string | null = null): JobPageQuery => ({
+    pageSize: PAGE_SIZE,
+    cursor,
+    sort: SORT_OPTIONS.find(option => option.value === queryRef.current.sortOption)!.sort,
+    statusGroup: queryRef.current.statusGroup || undefined,
+  }), []);
+
+  const applyCounts = useCallback((page: JobPage) => {
+    setTotal(page.total || 0);
+    if (page.facets) {
+      setStatusCounts(Object.fromEntries(page.facets.statusGroup.map((facet: JobFacetCount) => [facet.value, facet.count])));
+    }
+  }, []);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      setLoading(true);
+      const page = await window.electronAPI.getJobs(pageQuery());
+      if (!page.success) {
+        throw new Error(page.error);
+      }
+      setJobs(page.jobs || []);
+      setNextCursor(page.nextCursor || null);
+      applyCounts(page);
+    } catch (error: any) {
+      console.error('Error loading jobs:', error);
+      setError('Failed to load jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, [pageQuery, applyCounts]);
 
   useEffect(() => {
     loadJobs();
+  }, [sortOption, statusGroup, loadJobs]);
+
+  useEffect(() => {
     loadSyncStatus();
     
-    // Listen for individual job additions during sync
+    // Listen for individual job additions during sync. A found job can only be
+    // placed in the newest-first list without a status filter; otherwise it shows
+    // up when the sync completes and the list reloads
     const handleJobFound = (newJob: Job) => {
+      if (queryRef.current.sortOption !== 'newest' || queryRef.current.statusGroup) {
+        return;
+      }
+      // Check if job already exists to avoid duplicates
+      if (jobsRef.current.some(job => job.id === newJob.id)) {
+        return;
+      }
+      setTotal(count => count + 1);
       setJobs(prevJobs => {
-        // Check if job already exists to avoid duplicates
-        const existingJob = prevJobs.find(job => job.id === newJob.id);
-        if (existingJob) {
+        if (prevJobs.some(job => job.id === newJob.id)) {
           return prevJobs;
         }
-        
         // Insert the new job and maintain proper date ordering (newest first)
         const updatedJobs = [...prevJobs, newJob];
         return updatedJobs.sort((a, b) => {
@@ -113,22 +194,64 @@ export default function JobsList() {
         window.electronAPI.removeListener('sync-complete', handleSyncComplete);
       }
     };
-  }, []);
+  }, [loadJobs]);
 
-  const loadJobs = async () => {
+  const loadMore = async () => {
+    if (!nextCursor) return;
     try {
-      setLoading(true);
-      const result = await window.electronAPI.getJobs();
-      console.log('Loaded jobs:', result); // Debug log
-      setJobs(result);
+      setLoadingMore(true);
+      const page = await window.electronAPI.getJobs({ ...pageQuery(nextCursor), facets: false });
+      if (!page.success) {
+        throw new Error(page.error);
+      }
+      setJobs(prevJobs => {
+        const loaded = new Set(prevJobs.map(job => job.id));
+        return [...prevJobs, ...(page.jobs || []).filter((job: Job) => !loaded.has(job.id))];
+      });
+      setNextCursor(page.nextCursor || null);
     } catch (error: any) {
-      console.error('Error loading jobs:', error);
-      setError('Failed to load jobs');
+      console.error('Error loading more jobs:', error);
+      setError('Failed to load more jobs');
     } finally {
-      setLoading(false);
+      setLoadingMore(false);
     }
   };
 
+  // Counts change with a job's status; pageSize 0 reads them without any rows
+  const refreshCounts = async () => {
+    try {
+      const page = await window.electronAPI.getJobs({ ...pageQuery(), pageSize: 0 });
+      if (page.success) {
+        applyCounts(page);
+      }
+    } catch (error) {
+      console.error('Error counting jobs:', error);
+    }
+  };
+
+  // Search jobs and their emails in the main process once typing pauses
+  useEffect(() => {
+    if (!searchTerm.trim()) {
+      setSearchResults(null);
+      return;
+    }
+    let current = true;
+    const timer = setTimeout(async () => {
+      try {
+        const result = await window.electronAPI.searchJobs(searchTerm);
+        if (!current) return;
+        setSearchResults(result.success && result.jobs ? result.jobs : null);
+      } catch (error) {
+        console.error('Error searching jobs:', error);
+        if (current) setSearchResults(null);
+      }
+    }, 250);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [searchTerm]);
+
   const loadSyncStatus = async () => {
     try {
       const status = await window.electronAPI.gmail.getSyncStatus();
@@ -161,6 +284,10 @@ export default function JobsList() {
       setJobs(jobs.map(j => 
         j.id === selectedJob.id ? { ...j, status: newStatus } : j
       ));
+      setSearchResults(results => results && results.map(r =>
+        r.job.id === selectedJob.id ? { ...r, job: { ...r.job, status: newStatus } } : r
+      ));
+      refreshCounts();
     } catch (error) {
       console.error('Error updating job:', error);
     }
@@ -174,6 +301,8 @@ export default function JobsList() {
     try {
       await window.electronAPI.deleteJob(selectedJob.id);
       setJobs(jobs.filter(j => j.id !== selectedJob.id));
+      setSearchResults(results => results && results.filter(r => r.job.id !== selectedJob.id));
+      refreshCounts();
     } catch (error) {
       console.error('Error deleting job:', error);
     }
@@ -183,12 +312,28 @@ export default function JobsList() {
 
   // Email viewing removed since we no longer store raw content
 
-  const filteredJobs = jobs.filter(job => 
+  // Until the search answers (or if it fails), filter the loaded jobs by company and position
+  const filteredJobs = searchResults ? searchResults.map(result => result.job) : jobs.filter(job => 
     (job.company || 'Unknown Company').toLowerCase().includes(searchTerm.toLowerCase()) ||
     (job.position || 'Unknown Position').toLowerCase().includes(searchTerm.toLowerCase())
   );
+  const matchesByJob = new Map((searchResults || []).map(result => [result.job.id, result.matches]));
+
+  const renderSnippet = (match: SearchMatch, index: number) => (
+    <Typography key={index} variant="body2" color="text.secondary" sx={{ mt: 0.5 }}>
+      {match.kind === 'email' && match.subject && (
+        <Typography component="span" variant="caption" sx={{ fontWeight: 500, mr: 1 }}>
+          {match.subject}:
+        </Typography>
+      )}
+      {match.snippet.map((segment, i) => segment.highlight
+        ? <Box key={i} component="mark" sx={{ backgroundColor: accent + '33', color: 'inherit', px: 0.25 }}>{segment.text}</Box>
+        : <React.Fragment key={i}>{segment.text.replace(/\s+/g, ' ')}</React.Fragment>
+      )}
+    </Typography>
+  );
 
-  if (loading) {
+  if (loading && jobs.length === 0) {
     return (
       <Box sx={{ display: 'flex', justifyContent: 'center', p: 3 }}>
         <LoadingSpinner variant="dots" size="medium" />
@@ -220,7 +365,7 @@ export default function JobsList() {
           <TextField
             fullWidth
             size="small"
-            placeholder="Search jobs..."
+            placeholder='Search jobs and emails, e.g. relocation "hiring manager" company:acme status:interview after:2025-01-01'
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
             className="form-input-focus"
@@ -250,6 +395,40 @@ export default function JobsList() {
             }}
           />
 
+          {!searchResults && (
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap', mb: 2 }}>
+              <Chip
+                label={`All (${Object.values(statusCounts).reduce((sum, count) => sum + count, 0)})`}
+                size="small"
+                color={statusGroup === null ? 'primary' : 'default'}
+                variant={statusGroup === null ? 'filled' : 'outlined'}
+                onClick={() => setStatusGroup(null)}
+              />
+              {STATUS_GROUPS.map(group => (
+                <Chip
+                  key={group}
+                  label={`${group} (${statusCounts[group] || 0})`}
+                  size="small"
+                  color={statusGroup === group ? 'primary' : 'default'}
+                  variant={statusGroup === group ? 'filled' : 'outlined'}
+                  onClick={() => setStatusGroup(statusGroup === group ? null : group)}
+                />
+              ))}
+              <TextField
+                select
+                size="small"
+                label="Sort"
+                value={sortOption}
+                onChange={(e) => setSortOption(e.target.value as SortOption)}
+                sx={{ ml: 'auto', minWidth: 170 }}
+              >
+                {SORT_OPTIONS.map(option => (
+                  <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                ))}
+              </TextField>
+            </Box>
+          )}
+
           {error && (
             <Alert 
               severity="error" 
@@ -266,7 +445,9 @@ export default function JobsList() {
 
           {filteredJobs.length === 0 ? (
             <Typography variant="body2" color="text.secondary" align="center">
-              No jobs found. Sync your Gmail to discover job applications!
+              {searchTerm ? 'No jobs match your search.'
+                : statusGroup ? `No jobs with status ${statusGroup}.`
+                : 'No jobs found. Sync your Gmail to discover job applications!'}
             </Typography>
           ) : (
             <List sx={{ py: 0 }}>
@@ -331,9 +512,9 @@ export default function JobsList() {
                             size="small"
                             className="job-status-chip"
                             sx={{
-                              backgroundColor: statusColors[job.status] + '20',
-                              color: statusColors[job.status],
-                              border: `1px solid ${statusColors[job.status]}40`,
+                              backgroundColor: stageColor(job.status) + '20',
+                              color: stageColor(job.status),
+                              border: `1px solid ${stageColor(job.status)}40`,
                               fontWeight: 500,
                               transition: 'all 0.3s cubic-bezier(0.25, 0.46, 0.45, 0.94)',
                             }}
@@ -359,6 +540,7 @@ export default function JobsList() {
                             </Typography>
                           </Box>
                         )}
+                        {(matchesByJob.get(job.id) || []).slice(0, MATCHES_SHOWN).map(renderSnippet)}
                       </Box>
                     }
                   />
@@ -390,6 +572,17 @@ export default function JobsList() {
               ))}
             </List>
           )}
+
+          {!searchResults && nextCursor && (
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 2, mt: 2 }}>
+              <Typography variant="body2" color="text.secondary">
+                Showing {jobs.length} of {total}
+              </Typography>
+              <Button variant="outlined" size="small" onClick={loadMore} disabled={loadingMore}>
+                {loadingMore ? 'Loading...' : 'Load More'}
+              </Button>
+            </Box>
+          )}
         </CardContent>
       </Card>
 
@@ -401,7 +594,7 @@ export default function JobsList() {
         <MenuItem dense disabled>
           <Typography variant="caption">Change Status</Typography>
         </MenuItem>
-        {Object.entries(statusColors).map(([status, color]) => (
+        {stageNames.map(status => (
           <MenuItem
             key={status}
             onClick={() => handleStatusChange(status)}
@@ -411,9 +604,9 @@ export default function JobsList() {
               label={status}
               size="small"
               sx={{
-                backgroundColor: color + '20',
-                color: color,
-                border: `1px solid ${color}40`
+                backgroundColor: stageColor(status) + '20',
+                color: stageColor(status),
+                border: `1px solid ${stageColor(status)}40`
               }}
             />
           </MenuItem>
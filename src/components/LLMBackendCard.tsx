@@ -0,0 +1,198 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  TextField,
+  MenuItem,
+  Button,
+  Alert,
+  CircularProgress,
+} from '@mui/material';
+import { Hub } from '@mui/icons-material';
+
+type BackendType = 'llama-cpp' | 'openai' | 'ollama';
+
+interface BackendSettings {
+  type: BackendType;
+  baseUrl: string;
+  model: string;
+  apiKey: string;
+}
+
+const BACKENDS: { value: BackendType; label: string; description: string; url: string; modelHint: string }[] = [
+  {
+    value: 'llama-cpp',
+    label: 'Built-in (llama.cpp)',
+    description: 'Runs the downloaded model inside OnlyJobs. Needs about 4 GB of memory while classifying.',
+    url: '',
+    modelHint: ''
+  },
+  {
+    value: 'openai',
+    label: 'OpenAI-compatible server',
+    description: 'A server you already run, such as llama-server, vLLM or LM Studio. Answers are constrained with a JSON schema.',
+    url: 'http://127.0.0.1:8080/v1',
+    modelHint: 'Leave empty for llama-server'
+  },
+  {
+    value: 'ollama',
+    label: 'Ollama',
+    description: 'A local Ollama install. The model must be pulled first, e.g. ollama pull llama3.1:8b.',
+    url: 'http://127.0.0.1:11434',
+    modelHint: 'e.g. llama3.1:8b'
+  }
+];
+
+const EMPTY_SETTINGS: BackendSettings = { type: 'llama-cpp', baseUrl: '', model: '', apiKey: '' };
+
+export const LLMBackendCard: React.FC = () => {
+  const [settings, setSettings] = useState<BackendSettings>(EMPTY_SETTINGS);
+  const [saved, setSaved] = useState<BackendSettings>(EMPTY_SETTINGS);
+  const [testing, setTesting] = useState(false);
+  const [result, setResult] = useState<{ ok: boolean; text: string } | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const stored = await window.electronAPI.getSettings();
+        if (stored.llmBackend) {
+          const loaded = { ...EMPTY_SETTINGS, ...stored.llmBackend };
+          setSettings(loaded);
+          setSaved(loaded);
+        }
+      } catch (err) {
+        console.error('Failed to load LLM backend settings:', err);
+      }
+    };
+    load();
+  }, []);
+
+  const backend = BACKENDS.find(option => option.value === settings.type) || BACKENDS[0];
+  const changed = JSON.stringify(settings) !== JSON.stringify(saved);
+
+  const update = (changes: Partial<BackendSettings>) => {
+    setSettings(current => ({ ...current, ...changes }));
+    setResult(null);
+  };
+
+  const handleTypeChange = (type: BackendType) => {
+    const option = BACKENDS.find(candidate => candidate.value === type)!;
+    update({ type, baseUrl: type === saved.type ? saved.baseUrl : option.url, model: type === saved.type ? saved.model : '' });
+  };
+
+  const testConnection = async () => {
+    setTesting(true);
+    setResult(null);
+    try {
+      const health = await window.electronAPI.checkLLMHealth(settings);
+      setResult(health.status === 'healthy'
+        ? { ok: true, text: `Connected. Test prompt answered in ${health.latencyMs ?? '?'} ms.` }
+        : { ok: false, text: health.error || 'The backend did not answer the test prompt.' });
+    } catch (err) {
+      setResult({ ok: false, text: 'Failed to check the backend' });
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const save = async () => {
+    try {
+      setError(null);
+      await window.electronAPI.updateSettings({ llmBackend: settings });
+      setSaved(settings);
+    } catch (err: any) {
+      setError(err?.message || 'Failed to save LLM backend');
+    }
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <Hub sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>LLM Backend</Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {backend.description}
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <TextField
+          select
+          fullWidth
+          size="small"
+          label="Backend"
+          value={settings.type}
+          onChange={(e) => handleTypeChange(e.target.value as BackendType)}
+          sx={{ mb: 2 }}
+        >
+          {BACKENDS.map(option => (
+            <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+          ))}
+        </TextField>
+
+        {settings.type !== 'llama-cpp' && (
+          <>
+            <TextField
+              fullWidth
+              size="small"
+              label="Server URL"
+              value={settings.baseUrl}
+              placeholder={backend.url}
+              onChange={(e) => update({ baseUrl: e.target.value })}
+              sx={{ mb: 2 }}
+            />
+            <TextField
+              fullWidth
+              size="small"
+              label="Model"
+              value={settings.model}
+              helperText={backend.modelHint}
+              onChange={(e) => update({ model: e.target.value })}
+              sx={{ mb: 2 }}
+            />
+            {settings.type === 'openai' && (
+              <TextField
+                fullWidth
+                size="small"
+                type="password"
+                label="API Key (optional)"
+                value={settings.apiKey}
+                onChange={(e) => update({ apiKey: e.target.value })}
+                sx={{ mb: 2 }}
+              />
+            )}
+          </>
+        )}
+
+        {result && (
+          <Alert severity={result.ok ? 'success' : 'error'} sx={{ mb: 2 }}>
+            {result.text}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2 }}>
+          <Button
+            variant="outlined"
+            onClick={testConnection}
+            disabled={testing}
+            startIcon={testing ? <CircularProgress size={16} /> : undefined}
+          >
+            Test Connection
+          </Button>
+          <Button variant="contained" onClick={save} disabled={!changed}>
+            Save
+          </Button>
+        </Box>
+      </CardContent>
+    </Card>
+  );
+};
@@ -19,25 +19,57 @@ import {
   Refresh,
   Memory,
   Storage,
+  Dns,
   ExpandMore,
   ExpandLess,
 } from '@mui/icons-material';
 
 interface LLMHealth {
+  backend: 'llama-cpp' | 'openai' | 'ollama';
   status: 'healthy' | 'unhealthy' | 'error' | 'unknown';
-  modelPath: string;
-  modelExists: boolean;
-  modelSize: number;
-  expectedSize: number;
   canLoad: boolean;
   error: string | null;
   lastChecked: string;
+  latencyMs?: number;
+  modelName?: string | null;
+  modelPath?: string;
+  modelExists?: boolean;
+  modelSize?: number;
+  expectedSize?: number;
+  url?: string;
+  model?: string | null;
+  models?: string[];
 }
 
+interface CacheStats {
+  enabled: boolean;
+  entries: number;
+  hits: number;
+  misses: number;
+  hitRate: number | null;
+}
+
+const BACKEND_LABELS: Record<LLMHealth['backend'], string> = {
+  'llama-cpp': 'Built-in (llama.cpp)',
+  openai: 'OpenAI-compatible server',
+  ollama: 'Ollama'
+};
+
 export const LLMHealthCard: React.FC = () => {
   const [health, setHealth] = useState<LLMHealth | null>(null);
   const [loading, setLoading] = useState(false);
   const [expanded, setExpanded] = useState(false);
+  const [cacheStats, setCacheStats] = useState<CacheStats | null>(null);
+
+  const loadCacheStats = async () => {
+    const result = await window.electronAPI.getLLMCacheStats();
+    setCacheStats(result.success && result.stats ? result.stats : null);
+  };
+
+  const clearCache = async () => {
+    await window.electronAPI.clearLLMCache();
+    await loadCacheStats();
+  };
 
   const checkHealth = async () => {
     setLoading(true);
@@ -47,6 +79,7 @@ export const LLMHealthCard: React.FC = () => {
     } catch (error) {
       console.error('Failed to check LLM health:', error);
       setHealth({
+        backend: 'llama-cpp',
         status: 'error',
         modelPath: '',
         modelExists: false,
@@ -63,6 +96,10 @@ export const LLMHealthCard: React.FC = () => {
 
   useEffect(() => {
     checkHealth();
+    window.electronAPI?.on('llm-backend-changed', checkHealth);
+    return () => {
+      window.electronAPI?.removeAllListeners('llm-backend-changed');
+    };
   }, []);
 
   const formatBytes = (bytes: number) => {
@@ -105,6 +142,10 @@ export const LLMHealthCard: React.FC = () => {
     return null;
   }
 
+  const builtIn = !health?.backend || health.backend === 'llama-cpp';
+  const modelSize = health?.modelSize ?? 0;
+  const expectedSize = health?.expectedSize ?? 0;
+
   return (
     <Card sx={{ mb: 3 }}>
       <CardContent>
@@ -117,9 +158,18 @@ export const LLMHealthCard: React.FC = () => {
               label={health?.status || 'checking'}
               color={getStatusColor() as any}
             />
+            {health?.backend && (
+              <Chip size="small" variant="outlined" label={BACKEND_LABELS[health.backend]} />
+            )}
           </Box>
           <Box sx={{ display: 'flex', gap: 1 }}>
-            <IconButton size="small" onClick={() => setExpanded(!expanded)}>
+            <IconButton
+              size="small"
+              onClick={() => {
+                if (!expanded) loadCacheStats();
+                setExpanded(!expanded);
+              }}
+            >
               {expanded ? <ExpandLess /> : <ExpandMore />}
             </IconButton>
             <IconButton size="small" onClick={checkHealth} disabled={loading}>
@@ -147,62 +197,100 @@ export const LLMHealthCard: React.FC = () => {
         ) : null}
 
         {/* Quick Stats */}
-        <Box sx={{ display: 'flex', gap: 3, mb: 2 }}>
-          <Box>
-            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
-              <Storage fontSize="small" />
-              <Typography variant="body2" color="text.secondary">
-                Model File
+        {!builtIn ? (
+          <Box sx={{ display: 'flex', gap: 3, mb: 2 }}>
+            <Box>
+              <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                <Dns fontSize="small" />
+                <Typography variant="body2" color="text.secondary">
+                  Server
+                </Typography>
+              </Box>
+              <Typography variant="body1">
+                {health?.url || 'Unknown'}
               </Typography>
             </Box>
-            <Typography variant="body1">
-              {health?.modelExists ? 'Present' : 'Missing'}
-            </Typography>
-          </Box>
-          
-          {health?.modelExists && (
+
             <Box>
               <Typography variant="body2" color="text.secondary">
-                File Size
+                Model
               </Typography>
               <Typography variant="body1">
-                {formatBytes(health.modelSize)}
+                {health?.model || 'Server default'}
               </Typography>
             </Box>
-          )}
-          
-          <Box>
-            <Typography variant="body2" color="text.secondary">
-              Can Load
-            </Typography>
-            <Typography variant="body1">
-              {health?.canLoad ? 'Yes' : 'No'}
-            </Typography>
-          </Box>
-        </Box>
 
-        {/* Size Progress Bar (if file exists) */}
-        {health?.modelExists && health.modelSize > 0 && (
-          <Box sx={{ mb: 2 }}>
-            <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
-              <Typography variant="caption" color="text.secondary">
-                Model Integrity
-              </Typography>
-              <Typography variant="caption" color="text.secondary">
-                {Math.round((health.modelSize / health.expectedSize) * 100)}%
-              </Typography>
-            </Box>
-            <LinearProgress
-              variant="determinate"
-              value={Math.min(100, (health.modelSize / health.expectedSize) * 100)}
-              color={health.modelSize === health.expectedSize ? 'success' : 'warning'}
-            />
-            {health.modelSize !== health.expectedSize && (
-              <Typography variant="caption" color="warning.main" sx={{ mt: 0.5 }}>
-                Size mismatch: Expected {formatBytes(health.expectedSize)}, got {formatBytes(health.modelSize)}
-              </Typography>
+            {health?.latencyMs !== undefined && (
+              <Box>
+                <Typography variant="body2" color="text.secondary">
+                  Test Prompt
+                </Typography>
+                <Typography variant="body1">
+                  {health.latencyMs} ms
+                </Typography>
+              </Box>
             )}
           </Box>
+        ) : (
+          <>
+            <Box sx={{ display: 'flex', gap: 3, mb: 2 }}>
+              <Box>
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Storage fontSize="small" />
+                  <Typography variant="body2" color="text.secondary">
+                    Model File
+                  </Typography>
+                </Box>
+                <Typography variant="body1">
+                  {health?.modelExists ? 'Present' : 'Missing'}
+                </Typography>
+              </Box>
+          
+              {health?.modelExists && (
+                <Box>
+                  <Typography variant="body2" color="text.secondary">
+                    File Size
+                  </Typography>
+                  <Typography variant="body1">
+                    {formatBytes(modelSize)}
+                  </Typography>
+                </Box>
+              )}
+          
+              <Box>
+                <Typography variant="body2" color="text.secondary">
+                  Can Load
+                </Typography>
+                <Typography variant="body1">
+                  {health?.canLoad ? 'Yes' : 'No'}
+                </Typography>
+              </Box>
+            </Box>
+
+            {/* Size Progress Bar (if file exists) */}
+            {health?.modelExists && modelSize > 0 && (
+              <Box sx={{ mb: 2 }}>
+                <Box sx={{ display: 'flex', justifyContent: 'space-between', mb: 0.5 }}>
+                  <Typography variant="caption" color="text.secondary">
+                    Model Integrity
+                  </Typography>
+                  <Typography variant="caption" color="text.secondary">
+                    {Math.round((modelSize / expectedSize) * 100)}%
+                  </Typography>
+                </Box>
+                <LinearProgress
+                  variant="determinate"
+                  value={Math.min(100, (modelSize / expectedSize) * 100)}
+                  color={modelSize === expectedSize ? 'success' : 'warning'}
+                />
+                {modelSize !== expectedSize && (
+                  <Typography variant="caption" color="warning.main" sx={{ mt: 0.5 }}>
+                    Size mismatch: Expected {formatBytes(expectedSize)}, got {formatBytes(modelSize)}
+                  </Typography>
+                )}
+              </Box>
+            )}
+          </>
         )}
 
         {/* Expanded Details */}
@@ -212,27 +300,49 @@ export const LLMHealthCard: React.FC = () => {
               Technical Details
             </Typography>
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
-              <Typography variant="body2">
-                <strong>Model Path:</strong> {health?.modelPath || 'Unknown'}
-              </Typography>
-              <Typography variant="body2">
-                <strong>Expected Model:</strong> Mistral-7B-Instruct-v0.2 (Q4_K_M)
-              </Typography>
+              {builtIn ? (
+                <>
+                  <Typography variant="body2">
+                    <strong>Model Path:</strong> {health?.modelPath || 'Unknown'}
+                  </Typography>
+                  <Typography variant="body2">
+                    <strong>Active Model:</strong> {health?.modelName || 'Unknown'}
+                  </Typography>
+                </>
+              ) : (
+                <Typography variant="body2">
+                  <strong>Models on Server:</strong> {health?.models?.length ? health.models.join(', ') : 'None listed'}
+                </Typography>
+              )}
+              {cacheStats && (
+                <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                  <Typography variant="body2">
+                    <strong>Answer Cache:</strong>{' '}
+                    {cacheStats.enabled
+                      ? `${cacheStats.entries} answers, ${cacheStats.hitRate === null ? 'no lookups yet' : `${Math.round(cacheStats.hitRate * 100)}% hit rate (${cacheStats.hits} hits, ${cacheStats.misses} misses)`}`
+                      : 'Off'}
+                  </Typography>
+                  {cacheStats.entries > 0 && (
+                    <Button size="small" onClick={clearCache}>
+                      Clear
+                    </Button>
+                  )}
+                </Box>
+              )}
               <Typography variant="body2">
                 <strong>Last Checked:</strong> {health ? new Date(health.lastChecked).toLocaleString() : 'Never'}
               </Typography>
             </Box>
 
             {/* Fix Instructions */}
-            {health?.status === 'unhealthy' && (
+            {health?.status === 'unhealthy' && builtIn && (
               <Alert severity="info" sx={{ mt: 2 }}>
                 <Typography variant="subtitle2" gutterBottom>
                   How to Fix:
                 </Typography>
                 <ol style={{ margin: '8px 0', paddingLeft: '20px' }}>
-                  <li>Download the Mistral-7B model from HuggingFace</li>
-                  <li>Place it in the models/ directory as "model.gguf"</li>
-                  <li>Ensure the file is exactly {formatBytes(health.expectedSize)}</li>
+                  <li>Download a model, or import a .gguf file, under Models below</li>
+                  <li>Click Use next to it to make it the active model</li>
                   <li>Click refresh to check again</li>
                 </ol>
               </Alert>
@@ -243,15 +353,6 @@ export const LLMHealthCard: React.FC = () => {
         {/* Action Buttons */}
         {health?.status === 'unhealthy' && (
           <Box sx={{ mt: 2, display: 'flex', gap: 2 }}>
-            <Button
-              variant="contained"
-              color="primary"
-              onClick={() => {
-                window.electronAPI.openExternal('https://huggingface.co/TheBloke/Mistral-7B-Instruct-v0.2-GGUF');
-              }}
-            >
-              Download Model
-            </Button>
             <Button
               variant="outlined"
               onClick={checkHealth}
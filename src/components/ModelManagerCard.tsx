@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  Alert,
+  Chip,
+  LinearProgress,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+  IconButton,
+} from '@mui/material';
+import {
+  ModelTraining,
+  Download,
+  Delete,
+  FileOpen,
+  Close,
+  VerifiedUser,
+} from '@mui/icons-material';
+
+interface DownloadProgress {
+  id: string;
+  phase: 'download' | 'verify' | 'done' | 'canceled' | 'error';
+  received: number;
+  total: number | null;
+  error?: string;
+}
+
+interface ManagedModel {
+  id: string;
+  name: string;
+  description: string | null;
+  source: 'bundled' | 'registry' | 'import';
+  installed: boolean;
+  active: boolean;
+  path: string | null;
+  size: number | null;
+  contextSize: number | null;
+  sha256: string | null;
+  verified: boolean;
+  partialBytes?: number;
+  download: DownloadProgress | null;
+}
+
+const formatBytes = (bytes: number | null) => {
+  if (!bytes) return 'Unknown size';
+  const k = 1024;
+  const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+};
+
+export const ModelManagerCard: React.FC = () => {
+  const [models, setModels] = useState<ManagedModel[]>([]);
+  const [progress, setProgress] = useState<Record<string, DownloadProgress>>({});
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadModels = useCallback(async () => {
+    const result = await window.electronAPI.models.list();
+    if (result.success) {
+      setModels(result.models);
+    } else {
+      setError(result.error || 'Failed to load models');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadModels();
+    window.electronAPI?.on('models-updated', loadModels);
+    window.electronAPI?.on('model-download-progress', (update: DownloadProgress) => {
+      setProgress(current => ({ ...current, [update.id]: update }));
+    });
+    return () => {
+      window.electronAPI?.removeAllListeners('models-updated');
+      window.electronAPI?.removeAllListeners('model-download-progress');
+    };
+  }, [loadModels]);
+
+  const run = async (action: () => Promise<{ success: boolean; canceled?: boolean; error?: string }>) => {
+    setError(null);
+    const result = await action();
+    if (!result.success && !result.canceled && result.error) {
+      setError(result.error);
+    }
+    await loadModels();
+  };
+
+  const download = (model: ManagedModel) => {
+    setProgress(current => ({ ...current, [model.id]: { id: model.id, phase: 'download', received: model.partialBytes || 0, total: model.size } }));
+    // Not awaited by the button: the download reports through model-download-progress
+    run(() => window.electronAPI.models.download(model.id));
+  };
+
+  const importModel = async () => {
+    setBusy(true);
+    try {
+      await run(() => window.electronAPI.models.import());
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const deleteModel = async (model: ManagedModel) => {
+    if (!window.confirm(`Delete ${model.name}? ${model.installed ? formatBytes(model.size) : 'The partial download'} will be freed.`)) return;
+    await run(() => window.electronAPI.models.delete(model.id));
+  };
+
+  const renderProgress = (model: ManagedModel) => {
+    const current = progress[model.id];
+    if (!current || !['download', 'verify'].includes(current.phase)) return null;
+    const percent = current.total ? Math.min(100, (current.received / current.total) * 100) : undefined;
+    return (
+      <Box sx={{ mt: 1 }}>
+        <LinearProgress variant={percent === undefined ? 'indeterminate' : 'determinate'} value={percent} />
+        <Typography variant="caption" color="text.secondary">
+          {current.phase === 'verify' ? 'Verifying checksum' : 'Downloading'} {formatBytes(current.received)}
+          {current.total ? ` of ${formatBytes(current.total)}` : ''}
+        </Typography>
+      </Box>
+    );
+  };
+
+  const renderActions = (model: ManagedModel) => {
+    const current = progress[model.id];
+    const downloading = !!model.download || (current && ['download', 'verify'].includes(current.phase));
+    if (downloading) {
+      return (
+        <Button size="small" startIcon={<Close />} onClick={() => run(() => window.electronAPI.models.cancelDownload(model.id))}>
+          Cancel
+        </Button>
+      );
+    }
+    return (
+      <Box sx={{ display: 'flex', gap: 1, alignItems: 'center' }}>
+        {model.installed && !model.active && (
+          <Button size="small" variant="outlined" onClick={() => run(() => window.electronAPI.models.activate(model.id))}>
+            Use
+          </Button>
+        )}
+        {!model.installed && model.source === 'registry' && (
+          <Button size="small" variant="contained" startIcon={<Download />} onClick={() => download(model)}>
+            {model.partialBytes ? 'Resume' : 'Download'}
+          </Button>
+        )}
+        {model.source !== 'bundled' && !model.active && (model.installed || !!model.partialBytes) && (
+          <Tooltip title="Delete">
+            <IconButton size="small" onClick={() => deleteModel(model)}>
+              <Delete fontSize="small" />
+            </IconButton>
+          </Tooltip>
+        )}
+      </Box>
+    );
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <ModelTraining sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6" sx={{ flexGrow: 1 }}>Models</Typography>
+          <Button size="small" startIcon={<FileOpen />} onClick={importModel} disabled={busy}>
+            Import .gguf
+          </Button>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          Models run by the built-in backend. Downloads resume where they stopped and are checked against the published SHA-256.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+
+        <List dense>
+          {models.map(model => (
+            <ListItem
+              key={model.id}
+              divider
+              secondaryAction={renderActions(model)}
+              sx={{ pr: 24 }}
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+                    {model.name}
+                    {model.active && <Chip size="small" color="primary" label="Active" />}
+                    {model.installed && model.verified && (
+                      <Tooltip title={`SHA-256 ${model.sha256}`}>
+                        <VerifiedUser fontSize="small" color="success" />
+                      </Tooltip>
+                    )}
+                  </Box>
+                }
+                secondary={
+                  <>
+                    {[model.description, formatBytes(model.size), model.contextSize ? `${model.contextSize} token context` : null]
+                      .filter(Boolean)
+                      .join(' · ')}
+                    {!model.installed && model.source === 'bundled' && ' · Not present'}
+                    {renderProgress(model)}
+                  </>
+                }
+                secondaryTypographyProps={{ component: 'div' }}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Tooltip,
+  Alert,
+} from '@mui/material';
+import { RateReview, Check, Edit, Block } from '@mui/icons-material';
+import EmailClassificationFeedback, { ClassificationFeedback } from './EmailClassificationFeedback';
+
+interface ClassificationReview {
+  id: number;
+  subject: string | null;
+  from_address: string | null;
+  email_date: string | null;
+  classification: {
+    is_job_related: boolean;
+    company: string | null;
+    position: string | null;
+    status: string | null;
+  };
+  confidence: number | null;
+  reason: 'parse_failed' | 'low_confidence' | 'status_conflict';
+  detail: string | null;
+}
+
+const REASON_LABELS: Record<ClassificationReview['reason'], string> = {
+  parse_failed: 'Unreadable answer',
+  low_confidence: 'Low confidence',
+  status_conflict: 'Status mismatch'
+};
+
+const describe = (review: ClassificationReview) => {
+  const { is_job_related, company, position, status } = review.classification;
+  if (!is_job_related) return 'Not a job email';
+  return [company || 'Unknown company', position, status].filter(Boolean).join(' • ');
+};
+
+// Emails whose classification wasn't trusted; renders nothing while there are none
+export const NeedsReviewPanel: React.FC = () => {
+  const [reviews, setReviews] = useState<ClassificationReview[]>([]);
+  const [editing, setEditing] = useState<ClassificationReview | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  const load = async () => {
+    if (!window.electronAPI?.review) return;
+    try {
+      const result = await window.electronAPI.review.list();
+      if (result.success && result.reviews) {
+        setReviews(result.reviews);
+      }
+    } catch (error) {
+      console.error('Error loading review queue:', error);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    window.electronAPI?.on('review-queue-updated', load);
+    return () => {
+      window.electronAPI?.removeAllListeners('review-queue-updated');
+    };
+  }, []);
+
+  const resolve = async (id: number, decision: 'confirm' | 'correct' | 'not_job', correction?: { company?: string; position?: string; status?: string }) => {
+    setError(null);
+    const result = await window.electronAPI.review.resolve(id, decision, correction);
+    if (!result.success) {
+      setError(result.error || 'Failed to save review');
+    }
+    load();
+  };
+
+  const handleFeedback = (feedback: ClassificationFeedback) => {
+    if (!editing) return;
+    if (!feedback.isJobRelated) {
+      resolve(editing.id, 'not_job');
+      return;
+    }
+    resolve(editing.id, 'correct', {
+      company: feedback.correctedCompany || undefined,
+      position: feedback.correctedPosition || undefined,
+      status: feedback.correctedStatus || undefined
+    });
+  };
+
+  if (reviews.length === 0) return null;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <RateReview color="warning" />
+          <Typography variant="h3" sx={{ fontWeight: 600 }}>
+            Needs Review
+          </Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 1 }}>
+          The AI wasn't sure about these emails, so they haven't been added to your jobs yet.
+        </Typography>
+        {error && (
+          <Alert severity="error" sx={{ mb: 1 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        <List dense disablePadding>
+          {reviews.map((review, index) => (
+            <ListItem
+              key={review.id}
+              divider={index < reviews.length - 1}
+              secondaryAction={
+                <Box>
+                  <Tooltip title={review.classification.is_job_related ? 'Confirm' : 'Confirm not a job email'}>
+                    <IconButton size="small" onClick={() => resolve(review.id, 'confirm')}>
+                      <Check fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Correct">
+                    <IconButton size="small" onClick={() => setEditing(review)}>
+                      <Edit fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Not a job email">
+                    <IconButton size="small" onClick={() => resolve(review.id, 'not_job')}>
+                      <Block fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              }
+            >
+              <ListItemText
+                sx={{ pr: 14 }}
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Tooltip title={review.detail || ''}>
+                      <Chip label={REASON_LABELS[review.reason]} size="small" color="warning" variant="outlined" />
+                    </Tooltip>
+                    <Typography variant="body2">{review.subject || 'No subject'}</Typography>
+                  </Box>
+                }
+                secondary={`${review.from_address || 'Unknown sender'} • ${describe(review)}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </CardContent>
+
+      {editing && (
+        <EmailClassificationFeedback
+          open={!!editing}
+          onClose={() => setEditing(null)}
+          classification={{
+            emailId: String(editing.id),
+            subject: editing.subject || 'No subject',
+            from: editing.from_address || 'Unknown sender',
+            isJobRelated: editing.classification.is_job_related,
+            currentStatus: editing.classification.status,
+            currentCompany: editing.classification.company,
+            currentPosition: editing.classification.position,
+            confidence: editing.confidence,
+            detail: editing.detail
+          }}
+          onSubmitFeedback={handleFeedback}
+        />
+      )}
+    </Card>
+  );
+};
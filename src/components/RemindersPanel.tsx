@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Chip,
+  IconButton,
+  List,
+  ListItem,
+  ListItemText,
+  Menu,
+  MenuItem,
+  Tooltip,
+} from '@mui/material';
+import { NotificationsActive, Snooze, Close } from '@mui/icons-material';
+
+interface Reminder {
+  id: number;
+  job_id: string;
+  kind: 'no_response' | 'interview_follow_up';
+  message: string;
+  due_at: string;
+  status: 'pending' | 'notified' | 'snoozed' | 'dismissed' | 'resolved';
+  snoozed_until: string | null;
+  company: string;
+  position: string;
+  job_status: string;
+}
+
+const SNOOZE_OPTIONS = [1, 3, 7];
+
+const KIND_LABELS: Record<Reminder['kind'], string> = {
+  no_response: 'No response',
+  interview_follow_up: 'Follow up'
+};
+
+// Open follow-up reminders for the dashboard; renders nothing while there are none
+export const RemindersPanel: React.FC = () => {
+  const [reminders, setReminders] = useState<Reminder[]>([]);
+  const [snoozeMenu, setSnoozeMenu] = useState<{ anchor: HTMLElement; id: number } | null>(null);
+
+  const load = async () => {
+    if (!window.electronAPI?.reminders) return;
+    try {
+      const result = await window.electronAPI.reminders.list();
+      if (result.success && result.reminders) {
+        setReminders(result.reminders);
+      }
+    } catch (error) {
+      console.error('Error loading reminders:', error);
+    }
+  };
+
+  useEffect(() => {
+    load();
+    window.electronAPI?.on('reminders-updated', load);
+    return () => {
+      window.electronAPI?.removeAllListeners('reminders-updated');
+    };
+  }, []);
+
+  const handleSnooze = async (days: number) => {
+    if (!snoozeMenu) return;
+    await window.electronAPI.reminders.snooze(snoozeMenu.id, days);
+    setSnoozeMenu(null);
+    load();
+  };
+
+  const handleDismiss = async (id: number) => {
+    await window.electronAPI.reminders.dismiss(id);
+    load();
+  };
+
+  if (reminders.length === 0) return null;
+
+  const now = Date.now();
+  const isDue = (reminder: Reminder) => reminder.status === 'notified' ||
+    new Date(reminder.snoozed_until || reminder.due_at).getTime() <= now;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <NotificationsActive color="warning" />
+          <Typography variant="h3" sx={{ fontWeight: 600 }}>
+            Follow-ups
+          </Typography>
+        </Box>
+        <List dense disablePadding>
+          {reminders.map((reminder, index) => (
+            <ListItem
+              key={reminder.id}
+              divider={index < reminders.length - 1}
+              secondaryAction={
+                <Box>
+                  <Tooltip title="Snooze">
+                    <IconButton size="small" onClick={(e) => setSnoozeMenu({ anchor: e.currentTarget, id: reminder.id })}>
+                      <Snooze fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                  <Tooltip title="Dismiss">
+                    <IconButton size="small" onClick={() => handleDismiss(reminder.id)}>
+                      <Close fontSize="small" />
+                    </IconButton>
+                  </Tooltip>
+                </Box>
+              }
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Chip
+                      label={KIND_LABELS[reminder.kind]}
+                      size="small"
+                      color={isDue(reminder) ? 'warning' : 'default'}
+                      variant={isDue(reminder) ? 'filled' : 'outlined'}
+                    />
+                    <Typography variant="body2">{reminder.message}</Typography>
+                  </Box>
+                }
+                secondary={reminder.status === 'snoozed' && reminder.snoozed_until
+                  ? `Snoozed until ${new Date(reminder.snoozed_until).toLocaleDateString()}`
+                  : `${isDue(reminder) ? 'Due' : 'Due on'} ${new Date(reminder.due_at).toLocaleDateString()}`}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </CardContent>
+
+      <Menu anchorEl={snoozeMenu?.anchor} open={!!snoozeMenu} onClose={() => setSnoozeMenu(null)}>
+        {SNOOZE_OPTIONS.map(days => (
+          <MenuItem key={days} onClick={() => handleSnooze(days)}>
+            {days === 1 ? '1 day' : `${days} days`}
+          </MenuItem>
+        ))}
+      </Menu>
+    </Card>
+  );
+};
@@ -0,0 +1,291 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  Alert,
+  Chip,
+  LinearProgress,
+  TextField,
+  MenuItem,
+  Autocomplete,
+  Checkbox,
+  List,
+  ListItem,
+  ListItemIcon,
+  ListItemText,
+} from '@mui/material';
+import { Replay, Close } from '@mui/icons-material';
+
+interface JobOption {
+  id: string;
+  company: string;
+  position: string;
+  account_email?: string;
+}
+
+interface ReprocessEmailChange {
+  gmailMessageId: string;
+  subject: string | null;
+  before: { isJobRelated: boolean; status: string | null };
+  after: { isJobRelated: boolean; status: string | null };
+  confidence: number | null;
+  failed: boolean;
+  changed: boolean;
+}
+
+interface ReprocessJobChange {
+  jobId: string;
+  before: { company: string; position: string; status: string };
+  after: { company: string; position: string; status: string } | null;
+  removed: boolean;
+  emails: ReprocessEmailChange[];
+}
+
+interface ReprocessPreview {
+  id: string;
+  decisionVersion: string | null;
+  emails: number;
+  classified: number;
+  failed: number;
+  skipped: number;
+  jobs: ReprocessJobChange[];
+}
+
+const FIELDS = ['company', 'position', 'status'] as const;
+
+export const ReprocessCard: React.FC = () => {
+  const [jobs, setJobs] = useState<JobOption[]>([]);
+  const [startDate, setStartDate] = useState('');
+  const [endDate, setEndDate] = useState('');
+  const [accountEmail, setAccountEmail] = useState('');
+  const [selectedJobs, setSelectedJobs] = useState<JobOption[]>([]);
+  const [running, setRunning] = useState(false);
+  const [progress, setProgress] = useState<{ current: number; total: number } | null>(null);
+  const [preview, setPreview] = useState<ReprocessPreview | null>(null);
+  const [accepted, setAccepted] = useState<Set<string>>(new Set());
+  const [message, setMessage] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    const loadJobs = async () => {
+      try {
+        setJobs(await window.electronAPI.getJobs());
+      } catch (err) {
+        console.error('Failed to load jobs:', err);
+      }
+    };
+    loadJobs();
+    window.electronAPI?.on('reprocess-progress', setProgress);
+    return () => {
+      window.electronAPI?.removeAllListeners('reprocess-progress');
+    };
+  }, []);
+
+  const accounts = Array.from(new Set(jobs.map(job => job.account_email).filter(Boolean))) as string[];
+
+  const runPreview = async () => {
+    setError(null);
+    setMessage(null);
+    setPreview(null);
+    setRunning(true);
+    setProgress(null);
+    try {
+      const result = await window.electronAPI.reprocess.preview({
+        startDate: startDate || null,
+        endDate: endDate || null,
+        accountEmail: accountEmail || null,
+        jobIds: selectedJobs.map(job => job.id),
+      });
+      if (result.success && result.preview) {
+        setPreview(result.preview);
+        setAccepted(new Set(result.preview.jobs.map(job => job.jobId)));
+      } else if (!result.canceled) {
+        setError(result.error || 'Reprocessing failed');
+      }
+    } finally {
+      setRunning(false);
+      setProgress(null);
+    }
+  };
+
+  const apply = async () => {
+    if (!preview) return;
+    setError(null);
+    const result = await window.electronAPI.reprocess.apply(preview.id, { jobIds: Array.from(accepted) });
+    if (result.success) {
+      setMessage(`Updated ${result.updatedJobs} jobs, removed ${result.removedJobs} and detached ${result.detachedEmails} emails that are not about a job.`
+        + (result.stale ? ` ${result.stale} emails changed since the preview and were left alone.` : ''));
+      setPreview(null);
+      setJobs(await window.electronAPI.getJobs());
+    } else {
+      setError(result.error || 'Failed to apply changes');
+    }
+  };
+
+  const toggle = (jobId: string) => {
+    setAccepted(current => {
+      const next = new Set(current);
+      if (next.has(jobId)) next.delete(jobId);
+      else next.add(jobId);
+      return next;
+    });
+  };
+
+  const renderJob = (job: ReprocessJobChange) => {
+    const fieldChanges = job.after
+      ? FIELDS.filter(field => job.after![field] !== job.before[field])
+      : [];
+    const emailChanges = job.emails.filter(email => email.changed);
+    return (
+      <ListItem key={job.jobId} divider alignItems="flex-start" onClick={() => toggle(job.jobId)} sx={{ cursor: 'pointer' }}>
+        <ListItemIcon sx={{ minWidth: 36 }}>
+          <Checkbox edge="start" size="small" checked={accepted.has(job.jobId)} tabIndex={-1} disableRipple />
+        </ListItemIcon>
+        <ListItemText
+          primary={
+            <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+              {job.before.company} - {job.before.position}
+              {job.removed && <Chip size="small" color="error" label="Not a job" />}
+            </Box>
+          }
+          secondary={
+            <Box component="span" sx={{ display: 'block' }}>
+              {fieldChanges.map(field => (
+                <Typography key={field} component="span" variant="body2" sx={{ display: 'block' }}>
+                  {field}: {job.before[field]} → <strong>{job.after![field]}</strong>
+                </Typography>
+              ))}
+              {emailChanges.map(email => (
+                <Typography key={email.gmailMessageId} component="span" variant="caption" color="text.secondary" sx={{ display: 'block' }}>
+                  {email.subject || 'No subject'}: {email.before.status} → {email.after.isJobRelated ? email.after.status : 'not job-related'}
+                  {email.confidence !== null ? ` (${Math.round(email.confidence * 100)}%)` : ''}
+                </Typography>
+              ))}
+            </Box>
+          }
+        />
+      </ListItem>
+    );
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1 }}>
+          <Replay sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6">Reprocess Emails</Typography>
+        </Box>
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          Classify stored job emails again with the current prompt and model, and review what would change before saving it.
+          Emails you corrected and job details you edited are kept.
+        </Typography>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+
+        <Box sx={{ display: 'flex', gap: 2, flexWrap: 'wrap', mb: 2 }}>
+          <TextField
+            label="From"
+            type="date"
+            size="small"
+            value={startDate}
+            onChange={(e) => setStartDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            label="To"
+            type="date"
+            size="small"
+            value={endDate}
+            onChange={(e) => setEndDate(e.target.value)}
+            InputLabelProps={{ shrink: true }}
+          />
+          <TextField
+            select
+            label="Account"
+            size="small"
+            value={accountEmail}
+            onChange={(e) => setAccountEmail(e.target.value)}
+            sx={{ minWidth: 200 }}
+          >
+            <MenuItem value="">All accounts</MenuItem>
+            {accounts.map(account => (
+              <MenuItem key={account} value={account}>{account}</MenuItem>
+            ))}
+          </TextField>
+          <Autocomplete
+            multiple
+            size="small"
+            options={jobs}
+            value={selectedJobs}
+            onChange={(_, value) => setSelectedJobs(value)}
+            getOptionLabel={(job) => `${job.company} - ${job.position}`}
+            isOptionEqualToValue={(option, value) => option.id === value.id}
+            renderInput={(params) => <TextField {...params} label="Jobs" placeholder="All jobs" />}
+            sx={{ minWidth: 280, flexGrow: 1 }}
+          />
+        </Box>
+
+        <Box sx={{ display: 'flex', gap: 1, mb: 2 }}>
+          <Button variant="contained" startIcon={<Replay />} onClick={runPreview} disabled={running}>
+            Preview Changes
+          </Button>
+          {running && (
+            <Button startIcon={<Close />} onClick={() => window.electronAPI.reprocess.cancel()}>
+              Cancel
+            </Button>
+          )}
+        </Box>
+
+        {running && (
+          <Box sx={{ mb: 2 }}>
+            <LinearProgress
+              variant={progress && progress.total ? 'determinate' : 'indeterminate'}
+              value={progress && progress.total ? (progress.current / progress.total) * 100 : undefined}
+            />
+            {progress && (
+              <Typography variant="caption" color="text.secondary">
+                Classified {progress.current} of {progress.total} emails
+              </Typography>
+            )}
+          </Box>
+        )}
+
+        {preview && (
+          <Box>
+            <Typography variant="body2" sx={{ mb: 1 }}>
+              {preview.classified} of {preview.emails} emails classified
+              {preview.decisionVersion ? ` with ${preview.decisionVersion}` : ''}
+              {preview.failed ? `, ${preview.failed} failed` : ''}
+              {preview.skipped ? `, ${preview.skipped} skipped (corrected or without stored text)` : ''}.
+              {' '}{preview.jobs.length === 0 ? 'Nothing would change.' : `${preview.jobs.length} jobs would change:`}
+            </Typography>
+            {preview.jobs.length > 0 && (
+              <List dense sx={{ maxHeight: 400, overflow: 'auto' }}>
+                {preview.jobs.map(renderJob)}
+              </List>
+            )}
+            {/* Applying also records the version on emails whose answer didn't change */}
+            <Box sx={{ display: 'flex', gap: 1, mt: 2 }}>
+              <Button variant="contained" onClick={apply} disabled={preview.classified === 0}>
+                {preview.jobs.length > 0 ? `Apply ${accepted.size} Changes` : 'Record Version'}
+              </Button>
+              <Button onClick={() => setPreview(null)}>Discard</Button>
+            </Box>
+          </Box>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
@@ -0,0 +1,227 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  Button,
+  TextField,
+  Alert,
+  Chip,
+} from '@mui/material';
+import { Lock } from '@mui/icons-material';
+
+interface SecretStoreStatus {
+  backend: 'keychain' | 'vault' | null;
+  available: boolean;
+  vaultCreated: boolean;
+  plaintextCredentials: boolean;
+}
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+interface SecretsCardProps {
+  // Called after an unlock, lock or passphrase change, with the new status
+  onStatusChange?: (status: SecretStoreStatus) => void;
+}
+
+export const SecretsCard: React.FC<SecretsCardProps> = ({ onStatusChange }) => {
+  const [status, setStatus] = useState<SecretStoreStatus | null>(null);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [newPassphrase, setNewPassphrase] = useState('');
+  const [changing, setChanging] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [message, setMessage] = useState<string | null>(null);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const result = await window.electronAPI.secrets.getStatus();
+        if (result.success && result.status) {
+          setStatus(result.status);
+        }
+      } catch (err) {
+        console.error('Failed to load credential storage status:', err);
+      }
+    };
+    load();
+  }, []);
+
+  const run = async (action: () => Promise<{ success: boolean; status?: SecretStoreStatus; error?: string }>, done: string) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+    try {
+      const result = await action();
+      if (result.success) {
+        if (result.status) {
+          setStatus(result.status);
+          onStatusChange?.(result.status);
+        }
+        setPassphrase('');
+        setConfirmation('');
+        setNewPassphrase('');
+        setChanging(false);
+        setMessage(done);
+      } else {
+        setError(result.error || 'Something went wrong');
+      }
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Something went wrong');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const creating = status?.backend === 'vault' && !status.vaultCreated;
+  const passphraseError = creating && confirmation.length > 0 && confirmation !== passphrase
+    ? 'The passphrases don\'t match'
+    : null;
+
+  const renderVault = () => {
+    if (!status || status.backend !== 'vault') return null;
+
+    if (!status.available) {
+      return (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+          <TextField
+            type="password"
+            size="small"
+            label="Passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            helperText={creating ? `At least ${MIN_PASSPHRASE_LENGTH} characters. It can't be recovered if you forget it.` : undefined}
+            sx={{ minWidth: 240 }}
+          />
+          {creating && (
+            <TextField
+              type="password"
+              size="small"
+              label="Repeat passphrase"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              error={!!passphraseError}
+              helperText={passphraseError || undefined}
+              sx={{ minWidth: 240 }}
+            />
+          )}
+          <Button
+            variant="contained"
+            disabled={busy || !passphrase || (creating && (passphrase.length < MIN_PASSPHRASE_LENGTH || confirmation !== passphrase))}
+            onClick={() => run(
+              () => window.electronAPI.secrets.unlock(passphrase),
+              creating ? 'Vault created; your credentials are encrypted' : 'Vault unlocked'
+            )}
+          >
+            {creating ? 'Create Vault' : 'Unlock'}
+          </Button>
+        </Box>
+      );
+    }
+
+    if (changing) {
+      return (
+        <Box sx={{ display: 'flex', gap: 2, alignItems: 'flex-start', flexWrap: 'wrap' }}>
+          <TextField
+            type="password"
+            size="small"
+            label="Current passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            sx={{ minWidth: 220 }}
+          />
+          <TextField
+            type="password"
+            size="small"
+            label="New passphrase"
+            value={newPassphrase}
+            onChange={(e) => setNewPassphrase(e.target.value)}
+            helperText={`At least ${MIN_PASSPHRASE_LENGTH} characters`}
+            sx={{ minWidth: 220 }}
+          />
+          <Button
+            variant="contained"
+            disabled={busy || !passphrase || newPassphrase.length < MIN_PASSPHRASE_LENGTH}
+            onClick={() => run(
+              () => window.electronAPI.secrets.changePassphrase(passphrase, newPassphrase),
+              'Passphrase changed'
+            )}
+          >
+            Change
+          </Button>
+          <Button onClick={() => setChanging(false)} disabled={busy}>
+            Cancel
+          </Button>
+        </Box>
+      );
+    }
+
+    return (
+      <Box sx={{ display: 'flex', gap: 2 }}>
+        <Button variant="outlined" onClick={() => setChanging(true)} disabled={busy}>
+          Change Passphrase
+        </Button>
+        <Button onClick={() => run(() => window.electronAPI.secrets.lock(), 'Vault locked')} disabled={busy}>
+          Lock
+        </Button>
+      </Box>
+    );
+  };
+
+  const renderDescription = () => {
+    if (!status || status.backend === null) {
+      return 'Checking where credentials can be stored...';
+    }
+    if (status.backend === 'keychain') {
+      return 'Mail account tokens and passwords are encrypted with a key kept in your system keychain.';
+    }
+    if (!status.vaultCreated) {
+      return 'No system keychain was found. Set a passphrase to encrypt your mail account tokens and passwords; you\'ll enter it each time the app starts.';
+    }
+    return status.available
+      ? 'Mail account tokens and passwords are encrypted with your passphrase.'
+      : 'Enter your passphrase to unlock your mail accounts. Syncing waits until the vault is unlocked.';
+  };
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 2 }}>
+          <Lock sx={{ color: 'text.secondary' }} />
+          <Typography variant="h6">Credential Storage</Typography>
+          {status?.backend && (
+            <Chip size="small" label={status.backend === 'keychain' ? 'system keychain' : 'passphrase vault'} />
+          )}
+          {status?.backend === 'vault' && status.vaultCreated && (
+            <Chip size="small" label={status.available ? 'unlocked' : 'locked'} color={status.available ? 'success' : 'warning'} />
+          )}
+        </Box>
+
+        {error && (
+          <Alert severity="error" sx={{ mb: 2 }} onClose={() => setError(null)}>
+            {error}
+          </Alert>
+        )}
+        {message && (
+          <Alert severity="success" sx={{ mb: 2 }} onClose={() => setMessage(null)}>
+            {message}
+          </Alert>
+        )}
+        {status?.plaintextCredentials && (
+          <Alert severity="warning" sx={{ mb: 2 }}>
+            Your mail account credentials are still stored unencrypted in the app's database.
+            They are moved as soon as the vault has a passphrase.
+          </Alert>
+        )}
+
+        <Typography variant="body2" color="text.secondary" sx={{ mb: 2 }}>
+          {renderDescription()}
+        </Typography>
+
+        {renderVault()}
+      </CardContent>
+    </Card>
+  );
+};
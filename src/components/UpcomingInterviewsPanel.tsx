@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Card,
+  CardContent,
+  Typography,
+  Box,
+  List,
+  ListItem,
+  ListItemText,
+  IconButton,
+  Tooltip,
+  Chip,
+} from '@mui/material';
+import { Event, VideoCall, Warning } from '@mui/icons-material';
+import { formatInterviewTime } from './JobInterviews';
+
+interface Interview {
+  id: number;
+  title: string;
+  start_at: string;
+  end_at: string | null;
+  all_day: boolean;
+  status: 'confirmed' | 'tentative' | 'cancelled';
+  meeting_url: string | null;
+  company: string;
+  position: string;
+  conflicts?: number[];
+}
+
+// Interviews that haven't happened yet; renders nothing while there are none
+export const UpcomingInterviewsPanel: React.FC = () => {
+  const [interviews, setInterviews] = useState<Interview[]>([]);
+
+  useEffect(() => {
+    const load = async () => {
+      if (!window.electronAPI?.interviews) return;
+      try {
+        const result = await window.electronAPI.interviews.list({ upcoming: true });
+        if (result.success && result.interviews) {
+          setInterviews(result.interviews);
+        }
+      } catch (error) {
+        console.error('Error loading upcoming interviews:', error);
+      }
+    };
+    load();
+    window.electronAPI?.on('interviews-updated', load);
+    return () => {
+      window.electronAPI?.removeAllListeners('interviews-updated');
+    };
+  }, []);
+
+  if (interviews.length === 0) return null;
+
+  return (
+    <Card sx={{ mb: 3 }}>
+      <CardContent sx={{ p: 3 }}>
+        <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, mb: 1 }}>
+          <Event color="primary" />
+          <Typography variant="h3" sx={{ fontWeight: 600 }}>
+            Upcoming Interviews
+          </Typography>
+        </Box>
+        <List dense disablePadding>
+          {interviews.map((interview, index) => (
+            <ListItem
+              key={interview.id}
+              divider={index < interviews.length - 1}
+              secondaryAction={interview.meeting_url && (
+                <Tooltip title="Join">
+                  <IconButton size="small" onClick={() => window.electronAPI.openExternal(interview.meeting_url!)}>
+                    <VideoCall fontSize="small" />
+                  </IconButton>
+                </Tooltip>
+              )}
+            >
+              <ListItemText
+                primary={
+                  <Box sx={{ display: 'flex', alignItems: 'center', gap: 1, flexWrap: 'wrap' }}>
+                    <Typography variant="body2" sx={{ fontWeight: 500 }}>
+                      {interview.company} – {interview.position}
+                    </Typography>
+                    {interview.status === 'tentative' && <Chip label="tentative" size="small" variant="outlined" />}
+                    {interview.conflicts && interview.conflicts.length > 0 && (
+                      <Tooltip title="Overlaps with another interview">
+                        <Warning color="warning" sx={{ fontSize: 18 }} />
+                      </Tooltip>
+                    )}
+                  </Box>
+                }
+                secondary={formatInterviewTime(interview)}
+              />
+            </ListItem>
+          ))}
+        </List>
+      </CardContent>
+    </Card>
+  );
+};
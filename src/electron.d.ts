@@ -1,8 +1,468 @@
+interface ResumableSyncJob {
+  id: number;
+  startedAt: string;
+  updatedAt: string;
+  options: { daysToSync?: number; maxEmails?: number; fullSync?: boolean };
+  emailsFetched: number;
+  emailsClassified: number;
+  jobsFound: number;
+  accounts: Array<{
+    email: string;
+    status: 'pending' | 'in_progress' | 'completed' | 'failed';
+    emailsFetched: number;
+    jobsFound: number;
+    lastMessageId: string | null;
+  }>;
+}
+
+interface SyncSchedule {
+  enabled: boolean;
+  intervalMinutes: number;
+  running: boolean;
+  nextRunAt: string | null;
+  lastRunAt: string | null;
+  lastRunStatus: 'success' | 'failed' | 'skipped' | null;
+  lastError: string | null;
+  consecutiveFailures: number;
+}
+
+interface MailAccount {
+  id: string;
+  source_type: 'gmail' | 'imap';
+  email: string;
+  display_name: string | null;
+  config: { host?: string; port?: number; secure?: boolean; username?: string; mailbox?: string };
+  sync_enabled: number;
+  last_sync: string | null;
+  created_at: string;
+}
+
+interface ImapAccountSettings {
+  email: string;
+  displayName?: string;
+  host: string;
+  port?: number;
+  secure?: boolean;
+  username?: string;
+  password: string;
+  mailbox?: string;
+  allowSelfSigned?: boolean;
+}
+
+interface SecretStoreStatus {
+  // null until the app is ready
+  backend: 'keychain' | 'vault' | null;
+  available: boolean;
+  vaultCreated: boolean;
+  // jobs.db still holds tokens or passwords, waiting for the store to be available
+  plaintextCredentials: boolean;
+}
+
+type SecretStoreResult = { success: boolean; status?: SecretStoreStatus; error?: string };
+
+type LLMBackendType = 'llama-cpp' | 'openai' | 'ollama';
+
+interface LLMBackendSettings {
+  type: LLMBackendType;
+  baseUrl?: string;
+  model?: string;
+  apiKey?: string;
+  timeoutMs?: number;
+}
+
+interface LLMHealth {
+  backend: LLMBackendType;
+  status: 'healthy' | 'unhealthy' | 'error' | 'unknown';
+  canLoad: boolean;
+  error: string | null;
+  lastChecked: string;
+  latencyMs?: number;
+  // llama-cpp
+  modelName?: string | null;
+  modelPath?: string;
+  modelExists?: boolean;
+  modelSize?: number;
+  expectedSize?: number;
+  // openai and ollama
+  url?: string;
+  model?: string | null;
+  models?: string[];
+}
+
+interface LLMCacheCounts {
+  entries: number;
+  hits: number;
+  misses: number;
+}
+
+// Cached answers per pipeline step: classify, parse, unified, interview
+interface LLMCacheStats extends LLMCacheCounts {
+  enabled: boolean;
+  hitRate: number | null;
+  steps: Record<string, LLMCacheCounts>;
+  maxEntries: number;
+  ttlHours: number;
+}
+
+interface ModelDownloadProgress {
+  id: string;
+  phase: 'download' | 'verify' | 'done' | 'canceled' | 'error';
+  received: number;
+  total: number | null;
+  error?: string;
+}
+
+interface ManagedModel {
+  id: string;
+  name: string;
+  description: string | null;
+  source: 'bundled' | 'registry' | 'import';
+  installed: boolean;
+  active: boolean;
+  path: string | null;
+  url?: string;
+  size: number | null;
+  contextSize: number | null;
+  sha256: string | null;
+  verified: boolean;
+  // Bytes of an unfinished download that the next download resumes from
+  partialBytes?: number;
+  download: ModelDownloadProgress | null;
+}
+
+interface MailImportResult {
+  success: boolean;
+  canceled?: boolean;
+  alreadyRunning?: boolean;
+  message?: string;
+  error?: string;
+  accountEmail?: string;
+  files?: number;
+  messagesRead?: number;
+  emailsProcessed?: number;
+  emailsSkipped?: number;
+  emailsFiltered?: number;
+  needsReview?: number;
+  jobsFound?: number;
+  parseErrors?: number;
+  failed?: number;
+  durationMs?: number;
+}
+
+interface EmailFilters {
+  enabled: boolean;
+  skipDomains: string[];
+  jobKeywords: string[];
+  skipCategories: string[];
+  skipBulk: boolean;
+}
+
+interface EmailGateDecision {
+  gmail_message_id: string;
+  account_email: string;
+  decision: 'skip' | 'classify';
+  rule: 'disabled' | 'ats_domain' | 'skip_domain' | 'job_keyword' | 'gmail_category' | 'bulk_precedence' | 'mailing_list' | 'no_match';
+  detail: string | null;
+  from_address: string | null;
+  subject: string | null;
+  decided_at: string;
+}
+
+interface EmailGateStats {
+  skipped: number;
+  classified: number;
+  rules: Array<{ decision: 'skip' | 'classify'; rule: string; count: number }>;
+}
+
+interface ClassificationReview {
+  id: number;
+  gmail_message_id: string;
+  account_email: string;
+  thread_id: string | null;
+  subject: string | null;
+  from_address: string | null;
+  email_date: string | null;
+  snippet: string | null;
+  classification: {
+    is_job_related: boolean;
+    company: string | null;
+    position: string | null;
+    status: string | null;
+    confidence: number | null;
+    agreement?: Record<string, number> | null;
+  };
+  confidence: number | null;
+  reason: 'parse_failed' | 'low_confidence' | 'status_conflict';
+  detail: string | null;
+  status: 'pending' | 'resolved';
+  resolution: ReviewDecision | null;
+  correction: ReviewCorrection | null;
+  job_id: string | null;
+  created_at: string;
+  resolved_at: string | null;
+}
+
+type ReviewDecision = 'confirm' | 'correct' | 'not_job';
+
+interface ReviewCorrection {
+  company?: string;
+  position?: string;
+  status?: string;
+}
+
+// Job paging types are global: JobsList and the analytics page build queries with them
+declare global {
+  type JobSortField = 'applied_date' | 'company' | 'position' | 'status' | 'account_email' | 'last_contact_date' | 'created_at' | 'updated_at';
+
+  interface JobSortKey {
+    field: JobSortField;
+    direction?: 'asc' | 'desc';
+  }
+
+  interface JobFilters {
+    status?: string | string[];
+    // Coarse status: Applied, Interviewed, Declined or Offer
+    statusGroup?: string;
+    // Part of the company name
+    company?: string;
+    accountEmail?: string;
+    // Applied month, as 2025-03
+    month?: string;
+    startDate?: string;
+    endDate?: string;
+    // Defaults to applied_date desc, created_at desc; the job id breaks ties
+    sort?: JobSortKey[];
+    limit?: number;
+  }
+
+  interface JobPageQuery extends Omit<JobFilters, 'limit'> {
+    // Up to 500; 0 returns only the total and facets
+    pageSize: number;
+    // nextCursor of the previous page, read with the same sort
+    cursor?: string | null;
+    // false to leave the facet counts out
+    facets?: boolean;
+  }
+
+  interface JobFacetCount {
+    // null for jobs without the value (no account, no applied date)
+    value: string | null;
+    count: number;
+  }
+
+  // Counts for the jobs matching the filters; each facet ignores its own filter
+  interface JobFacets {
+    status: JobFacetCount[];
+    statusGroup: JobFacetCount[];
+    account: JobFacetCount[];
+    // The 20 companies with the most jobs
+    company: JobFacetCount[];
+    month: JobFacetCount[];
+  }
+
+  interface JobPage {
+    success: boolean;
+    jobs?: any[];
+    // null on the last page
+    nextCursor?: string | null;
+    total?: number;
+    facets?: JobFacets | null;
+    error?: string;
+  }
+}
+
+interface SnippetSegment {
+  text: string;
+  highlight: boolean;
+}
+
+interface JobSearchMatch {
+  kind: 'job' | 'email';
+  emailId: number | null;
+  subject: string | null;
+  emailDate: string | null;
+  snippet: SnippetSegment[];
+}
+
+interface JobSearchResult {
+  job: any;
+  // Higher is a better match; null when the query has only filters
+  score: number | null;
+  matches: JobSearchMatch[];
+}
+
+interface JobSearchFilters {
+  company?: string;
+  position?: string;
+  status?: string;
+  account?: string;
+  after?: string;
+  before?: string;
+}
+
+interface ReprocessScope {
+  startDate?: string | null;
+  endDate?: string | null;
+  accountEmail?: string | null;
+  jobIds?: string[];
+}
+
+interface ReprocessEmailChange {
+  gmailMessageId: string;
+  accountEmail: string | null;
+  subject: string | null;
+  emailDate: string | null;
+  before: { isJobRelated: boolean; status: string | null };
+  after: { isJobRelated: boolean; status: string | null };
+  company: string | null;
+  position: string | null;
+  confidence: number | null;
+  decisionVersion: string | null;
+  failed: boolean;
+  changed: boolean;
+}
+
+interface ReprocessJobChange {
+  jobId: string;
+  before: { company: string; position: string; status: string };
+  // null when every email of the job is no longer job-related and the job goes away
+  after: { company: string; position: string; status: string } | null;
+  removed: boolean;
+  emails: ReprocessEmailChange[];
+  changed: boolean;
+}
+
+interface ReprocessPreview {
+  id: string;
+  createdAt: string;
+  scope: ReprocessScope;
+  decisionVersion: string | null;
+  emails: number;
+  classified: number;
+  failed: number;
+  skipped: number;
+  // Only the jobs that would change
+  jobs: ReprocessJobChange[];
+}
+
+interface ReprocessResult {
+  updatedJobs: number;
+  removedJobs: number;
+  updatedEmails: number;
+  detachedEmails: number;
+  stamped: number;
+  stale: number;
+}
+
+interface JobStage {
+  name: string;
+  sort_order: number;
+  coarse_status: 'Applied' | 'Interviewed' | 'Declined' | 'Offer';
+  is_terminal: boolean;
+  color: string | null;
+  description: string | null;
+}
+
+interface JobStageInput {
+  name: string;
+  previousName?: string | null;
+  coarse_status: JobStage['coarse_status'];
+  is_terminal?: boolean;
+  color?: string | null;
+  description?: string | null;
+  sort_order?: number | null;
+}
+
+interface JobStatusEvent {
+  id: number;
+  status: string;
+  previousStatus: string | null;
+  changed: boolean;
+  source: 'automatic' | 'manual' | 'migration';
+  detectedStatus: string | null;
+  confidence: number | null;
+  occurredAt: string;
+  email: { gmailMessageId: string; accountEmail: string | null; subject: string | null; from: string | null } | null;
+}
+
+interface Interview {
+  id: number;
+  job_id: string;
+  uid: string;
+  sequence: number;
+  source: 'calendar' | 'llm' | 'manual';
+  status: 'confirmed' | 'tentative' | 'cancelled';
+  title: string;
+  start_at: string;
+  end_at: string | null;
+  all_day: boolean;
+  timezone: string | null;
+  location: string | null;
+  meeting_url: string | null;
+  interviewer: string | null;
+  organizer_email: string | null;
+  description: string | null;
+  gmail_message_id: string | null;
+  account_email: string | null;
+  company: string;
+  position: string;
+  conflicts?: number[];
+}
+
+interface InterviewInput {
+  id?: number | null;
+  job_id?: string;
+  title: string;
+  start_at: string;
+  end_at?: string | null;
+  all_day?: boolean;
+  location?: string | null;
+  meeting_url?: string | null;
+  interviewer?: string | null;
+  description?: string | null;
+  status?: Interview['status'];
+}
+
+interface InterviewFeed {
+  enabled: boolean;
+  path: string;
+}
+
+interface FollowUpRules {
+  enabled: boolean;
+  noResponseDays: number;
+  noResponseStage: string;
+  interviewFollowUpDays: number;
+}
+
+interface Reminder {
+  id: number;
+  job_id: string;
+  kind: 'no_response' | 'interview_follow_up';
+  source_key: string;
+  message: string;
+  due_at: string;
+  status: 'pending' | 'notified' | 'snoozed' | 'dismissed' | 'resolved';
+  snoozed_until: string | null;
+  notified_at: string | null;
+  created_at: string;
+  updated_at: string;
+  company: string;
+  position: string;
+  job_status: string;
+}
+
 interface ElectronAPI {
   // Database operations
-  getJobs: (filters?: any) => Promise<any>;
+  // With pageSize or cursor, one page with the total and facets; otherwise every matching job
+  getJobs: {
+    (query: JobPageQuery): Promise<JobPage>;
+    (filters?: JobFilters): Promise<any[]>;
+  };
   getJob: (id: string) => Promise<any>;
+  searchJobs: (query: string, options?: { limit?: number }) => Promise<{ success: boolean; jobs?: JobSearchResult[]; total?: number; query?: { terms: string[]; filters: JobSearchFilters }; error?: string }>;
   getJobEmail: (id: string) => Promise<{ success: boolean; emailContent?: string; emailHistory?: any[]; error?: string }>;
+  getJobTimeline: (id: string) => Promise<{ success: boolean; currentStatus?: string; timeline?: JobStatusEvent[]; error?: string }>;
   createJob: (job: any) => Promise<any>;
   updateJob: (id: string, updates: any) => Promise<any>;
   deleteJob: (id: string) => Promise<any>;
@@ -19,16 +479,19 @@ interface ElectronAPI {
   classifyEmail: (input: string | { subject: string; plaintext: string }) => Promise<any>;
   
   // LLM Health Check
-  checkLLMHealth: () => Promise<{
-    status: 'healthy' | 'unhealthy' | 'error' | 'unknown';
-    modelPath: string;
-    modelExists: boolean;
-    modelSize: number;
-    expectedSize: number;
-    canLoad: boolean;
-    error: string | null;
-    lastChecked: string;
-  }>;
+  checkLLMHealth: (backendSettings?: LLMBackendSettings) => Promise<LLMHealth>;
+  getLLMCacheStats: () => Promise<{ success: boolean; stats?: LLMCacheStats; error?: string }>;
+  clearLLMCache: () => Promise<{ success: boolean; removed?: number; error?: string }>;
+  
+  // GGUF models for the built-in backend
+  models: {
+    list: () => Promise<{ success: boolean; models: ManagedModel[]; error?: string }>;
+    download: (id: string) => Promise<{ success: boolean; model?: ManagedModel; canceled?: boolean; error?: string }>;
+    cancelDownload: (id: string) => Promise<{ success: boolean; error?: string }>;
+    import: (filePath?: string) => Promise<{ success: boolean; model?: ManagedModel; canceled?: boolean; error?: string }>;
+    activate: (id: string) => Promise<{ success: boolean; model?: ManagedModel; error?: string }>;
+    delete: (id: string) => Promise<{ success: boolean; error?: string }>;
+  };
   
   // ML Model operations
   getMlStatus: () => Promise<any>;
@@ -84,9 +547,79 @@ interface ElectronAPI {
     getSyncStatus: () => Promise<any>;
     // Multi-account operations
     getAccounts: () => Promise<{ success: boolean; accounts: any[] }>;
-    addAccount: () => Promise<{ success: boolean; account: { email: string } }>;
+    // secretsLocked: the vault needs a passphrase before the OAuth flow can store tokens
+    addAccount: () => Promise<{ success: boolean; account?: { email: string }; secretsLocked?: boolean; status?: SecretStoreStatus; error?: string }>;
     removeAccount: (email: string) => Promise<{ success: boolean }>;
-    syncAll: (options?: { daysToSync?: number; maxEmails?: number }) => Promise<any>;
+    syncAll: (options?: { daysToSync?: number; maxEmails?: number; fullSync?: boolean; resumeJobId?: number }) => Promise<any>;
+    // Interrupted sync runs
+    getResumableSync: () => Promise<{ success: boolean; job?: ResumableSyncJob | null; error?: string }>;
+    discardResumableSync: () => Promise<{ success: boolean; discarded?: number; error?: string }>;
+    // Background sync scheduler
+    getSyncSchedule: () => Promise<{ success: boolean; schedule?: SyncSchedule; error?: string }>;
+  };
+  
+  // Mail accounts of every source type (Gmail and IMAP)
+  mail: {
+    getAccounts: () => Promise<{ success: boolean; accounts?: MailAccount[]; error?: string }>;
+    testImapAccount: (settings: ImapAccountSettings) => Promise<{ success: boolean; mailbox?: string; messages?: number; error?: string }>;
+    addImapAccount: (settings: ImapAccountSettings) => Promise<{ success: boolean; account?: { id: string; email: string }; error?: string }>;
+    removeAccount: (id: string) => Promise<{ success: boolean; error?: string }>;
+    importFile: (options?: { paths?: string[]; accountEmail?: string; maxMessages?: number }) => Promise<MailImportResult>;
+  };
+  
+  // Where credentials are stored: the system keychain, or a passphrase vault
+  secrets: {
+    getStatus: () => Promise<SecretStoreResult>;
+    unlock: (passphrase: string) => Promise<SecretStoreResult>;
+    lock: () => Promise<SecretStoreResult>;
+    changePassphrase: (current: string, next: string) => Promise<SecretStoreResult>;
+  };
+  
+  // Job stage catalogue
+  stages: {
+    list: () => Promise<{ success: boolean; stages?: JobStage[]; error?: string }>;
+    save: (stage: JobStageInput) => Promise<{ success: boolean; stage?: JobStage; stages?: JobStage[]; error?: string }>;
+    delete: (name: string, replacement?: string) => Promise<{ success: boolean; moved?: number; stages?: JobStage[]; error?: string }>;
+    reorder: (names: string[]) => Promise<{ success: boolean; stages?: JobStage[]; error?: string }>;
+  };
+  
+  // Interviews
+  interviews: {
+    list: (filters?: { jobId?: string; upcoming?: boolean; includeCancelled?: boolean }) => Promise<{ success: boolean; interviews?: Interview[]; error?: string }>;
+    save: (interview: InterviewInput) => Promise<{ success: boolean; interview?: Interview; error?: string }>;
+    delete: (id: number) => Promise<{ success: boolean; error?: string }>;
+    exportIcs: (ids?: number[]) => Promise<{ success: boolean; filePath?: string; canceled?: boolean; error?: string }>;
+    getFeed: () => Promise<{ success: boolean; feed?: InterviewFeed; error?: string }>;
+    setFeed: (options: { enabled?: boolean; choosePath?: boolean }) => Promise<{ success: boolean; feed?: InterviewFeed; canceled?: boolean; error?: string }>;
+    showFeed: () => Promise<{ success: boolean; error?: string }>;
+  };
+  
+  // Email gate decisions
+  gate: {
+    list: (options?: { decision?: 'skip' | 'classify'; rule?: string; limit?: number }) => Promise<{ success: boolean; decisions?: EmailGateDecision[]; error?: string }>;
+    stats: () => Promise<{ success: boolean; stats?: EmailGateStats; error?: string }>;
+  };
+  
+  // Review queue
+  review: {
+    list: (options?: { status?: 'pending' | 'resolved'; limit?: number }) => Promise<{ success: boolean; reviews?: ClassificationReview[]; error?: string }>;
+    count: () => Promise<{ success: boolean; count?: number; error?: string }>;
+    resolve: (id: number, decision: ReviewDecision, correction?: ReviewCorrection) => Promise<{ success: boolean; isJobRelated?: boolean; jobId?: string | null; created?: boolean; error?: string }>;
+  };
+  
+  // Reprocess stored emails with the current prompt and model
+  reprocess: {
+    preview: (scope?: ReprocessScope) => Promise<{ success: boolean; preview?: ReprocessPreview; canceled?: boolean; error?: string }>;
+    cancel: () => Promise<{ success: boolean; canceled: boolean }>;
+    apply: (previewId: string, options?: { jobIds?: string[] }) => Promise<{ success: boolean; error?: string } & Partial<ReprocessResult>>;
+  };
+  
+  // Follow-up reminders
+  reminders: {
+    list: (options?: { includeClosed?: boolean }) => Promise<{ success: boolean; reminders?: Reminder[]; error?: string }>;
+    snooze: (id: number, days?: number) => Promise<{ success: boolean; snoozedUntil?: string; error?: string }>;
+    dismiss: (id: number) => Promise<{ success: boolean; error?: string }>;
+    run: () => Promise<{ success: boolean; markedNoResponse?: number; scheduled?: number; resolved?: number; due?: number; error?: string }>;
   };
   
   // Email operations
@@ -121,6 +654,7 @@ interface ElectronAPI {
   onSyncError: (callback: (error: any) => void) => void;
   onMlTrainingComplete: (callback: (result: any) => void) => void;
   onMlTrainingError: (callback: (error: any) => void) => void;
+  onSyncScheduleUpdated: (callback: (schedule: SyncSchedule) => void) => void;
   onSyncNow: (callback: () => void) => void;
   onImportData: (callback: () => void) => void;
   onExportData: (callback: () => void) => void;
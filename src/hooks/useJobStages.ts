@@ -0,0 +1,47 @@
+import { useState, useEffect } from 'react';
+
+export interface JobStage {
+  name: string;
+  sort_order: number;
+  coarse_status: 'Applied' | 'Interviewed' | 'Declined' | 'Offer';
+  is_terminal: boolean;
+  color: string | null;
+  description: string | null;
+}
+
+// Used until the catalogue has loaded, and for stages without a color
+const FALLBACK_COLORS: Record<string, string> = {
+  Applied: '#2196F3',
+  Interviewed: '#FF9800',
+  Offer: '#9C27B0',
+  Declined: '#F44336'
+};
+
+export function useJobStages() {
+  const [stages, setStages] = useState<JobStage[]>([]);
+
+  const reload = async () => {
+    if (!window.electronAPI?.stages) return;
+    try {
+      const result = await window.electronAPI.stages.list();
+      if (result.success && result.stages) {
+        setStages(result.stages);
+      }
+    } catch (error) {
+      console.error('Error loading job stages:', error);
+    }
+  };
+
+  useEffect(() => {
+    reload();
+  }, []);
+
+  const stageColor = (name: string) => {
+    const stage = stages.find(s => s.name === name);
+    return stage?.color || FALLBACK_COLORS[stage?.coarse_status || name] || '#9E9E9E';
+  };
+
+  const stageNames = stages.length > 0 ? stages.map(stage => stage.name) : Object.keys(FALLBACK_COLORS);
+
+  return { stages, stageNames, stageColor, reload };
+}
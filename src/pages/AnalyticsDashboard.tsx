@@ -31,13 +31,20 @@ import TopBar from '../components/layout/TopBar';
 // Import auth context
 import { useAuth as useElectronAuth } from '../contexts/ElectronAuthContext';
 
+// The longest time range shown; older jobs only count towards the totals
+const RECENT_DAYS = 90;
+const PAGE_SIZE = 500;
+
 export default function AnalyticsDashboard() {
   const theme = useTheme();
   const navigate = useNavigate();
   const location = useLocation();
   const authData = useElectronAuth();
   
+  // Jobs applied to in the last RECENT_DAYS, for the trends
   const [jobs, setJobs] = useState<JobApplication[]>([]);
+  // Jobs in each coarse status across all time
+  const [statusCounts, setStatusCounts] = useState<Record<string, number>>({});
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
   const [timeRange, setTimeRange] = useState<'7' | '30' | '90'>('30');
@@ -70,8 +77,33 @@ export default function AnalyticsDashboard() {
         setError(null);
 
         if (window.electronAPI) {
-          // Electron version - get jobs from IPC
-          const jobsData = await window.electronAPI.getJobs();
+          // Electron version - the status facet counts every job, and only recent
+          // jobs are loaded, a page at a time, for the time series
+          const counts = await window.electronAPI.getJobs({ pageSize: 0 });
+          if (!counts.success) {
+            throw new Error(counts.error);
+          }
+          setStatusCounts(Object.fromEntries(
+            (counts.facets?.statusGroup || []).map(facet => [facet.value || 'Applied', facet.count])
+          ));
+
+          const since = new Date();
+          since.setDate(since.getDate() - RECENT_DAYS);
+          const jobsData: any[] = [];
+          let cursor: string | null = null;
+          do {
+            const page: JobPage = await window.electronAPI.getJobs({
+              pageSize: PAGE_SIZE,
+              cursor,
+              startDate: since.toISOString().split('T')[0],
+              facets: false,
+            });
+            if (!page.success) {
+              throw new Error(page.error);
+            }
+            jobsData.push(...(page.jobs || []));
+            cursor = page.nextCursor || null;
+          } while (cursor);
           
           // Transform the data to match JobApplication interface
           const transformedJobs: JobApplication[] = jobsData.map((job: any) => ({
@@ -80,7 +112,7 @@ export default function AnalyticsDashboard() {
             company: job.company || 'Unknown Company',
             jobTitle: job.position || job.jobTitle || 'Unknown Position',
             location: job.location || 'Unknown Location',
-            status: job.status || 'Applied',
+            status: job.status_group || job.status || 'Applied',
             appliedDate: new Date(job.applied_date || job.appliedDate || Date.now()),
             lastUpdated: new Date(job.lastUpdated || job.applied_date || Date.now()),
             source: 'gmail',
@@ -104,11 +136,13 @@ export default function AnalyticsDashboard() {
     loadJobs();
   }, []);
 
+  const totalJobs = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+
   // Update analytics when jobs or time range changes
   useEffect(() => {
-    if (jobs.length > 0) {
+    if (totalJobs > 0) {
       // Calculate job statistics
-      const stats = analyticsService.calculateJobStats(jobs);
+      const stats = analyticsService.calculateStatsFromCounts(statusCounts);
       setJobStats(stats);
 
       // Generate time series data
@@ -117,14 +151,14 @@ export default function AnalyticsDashboard() {
       setTimeSeriesData(timeSeries);
 
       // Generate pipeline data
-      const pipeline = analyticsService.generatePipelineData(jobs);
+      const pipeline = analyticsService.generatePipelineFromStats(stats);
       setPipelineData(pipeline);
 
       // Calculate weekly trend
       const trend = analyticsService.getWeeklyTrend(jobs);
       setWeeklyTrend(trend);
     }
-  }, [jobs, timeRange]);
+  }, [jobs, statusCounts, totalJobs, timeRange]);
 
   const handleTimeRangeChange = (_: React.MouseEvent<HTMLElement>, newTimeRange: string) => {
     if (newTimeRange !== null) {
@@ -243,7 +277,7 @@ export default function AnalyticsDashboard() {
   }
 
   // No data state with layout
-  if (jobs.length === 0) {
+  if (totalJobs === 0) {
     return (
       <ThemeProvider theme={onlyJobsTheme}>
         <Box sx={{ display: "flex", height: "100vh" }}>
@@ -20,6 +20,9 @@ import TopBar from "../components/layout/TopBar";
 import { LookerDashboard } from "../components/LookerDashboard";
 import { GmailMultiAccount } from "../components/GmailMultiAccount";
 import JobsList from "../components/JobsList";
+import { RemindersPanel } from "../components/RemindersPanel";
+import { NeedsReviewPanel } from "../components/NeedsReviewPanel";
+import { UpcomingInterviewsPanel } from "../components/UpcomingInterviewsPanel";
 
 // Import analytics components
 import QuickStats from "../components/analytics/QuickStats";
@@ -73,10 +76,10 @@ export default function Dashboard() {
             company: job.company || 'Unknown Company',
             jobTitle: job.position || job.jobTitle || 'Unknown Position',
             location: job.location || 'Unknown Location',
-            status: job.status || 'Applied',
+            status: job.status_group || job.status || 'Applied',
             appliedDate: new Date(job.applied_date || job.appliedDate || Date.now()),
             lastUpdated: new Date(job.lastUpdated || job.applied_date || Date.now()),
-            source: 'gmail',
+            source: 'gmail' as const,
             emailId: job.emailId,
           }));
           
@@ -171,6 +174,15 @@ export default function Dashboard() {
                   </Box>
                 )}
 
+                {/* Interviews found in job emails */}
+                <UpcomingInterviewsPanel />
+
+                {/* Follow-up reminders */}
+                <RemindersPanel />
+
+                {/* Uncertain classifications */}
+                <NeedsReviewPanel />
+
                 {/* Gmail Account Management */}
                 <Card sx={{ mb: 3 }}>
                   <CardContent sx={{ p: 3 }}>
@@ -28,6 +28,16 @@ import { onlyJobsTheme } from '../theme';
 import Sidebar from '../components/layout/Sidebar';
 import TopBar from '../components/layout/TopBar';
 import { LLMHealthCard } from '../components/LLMHealthCard';
+import { LLMBackendCard } from '../components/LLMBackendCard';
+import { ModelManagerCard } from '../components/ModelManagerCard';
+import { BackgroundSyncCard } from '../components/BackgroundSyncCard';
+import { EmailFiltersCard } from '../components/EmailFiltersCard';
+import { ClassificationConfidenceCard } from '../components/ClassificationConfidenceCard';
+import { ReprocessCard } from '../components/ReprocessCard';
+import { JobStagesCard } from '../components/JobStagesCard';
+import { FollowUpRulesCard } from '../components/FollowUpRulesCard';
+import { InterviewCalendarCard } from '../components/InterviewCalendarCard';
+import { SecretsCard } from '../components/SecretsCard';
 
 // Import auth contexts
 import { useAuth } from "../contexts/ElectronAuthContext";
@@ -168,6 +178,36 @@ export default function Settings() {
             {/* LLM Health Status */}
             <LLMHealthCard />
             
+            {/* Keychain or passphrase vault for account credentials */}
+            {isElectron && <SecretsCard />}
+
+            {/* Built-in model, OpenAI-compatible server or Ollama */}
+            {isElectron && <LLMBackendCard />}
+            
+            {/* Download, import and switch GGUF models */}
+            {isElectron && <ModelManagerCard />}
+            
+            {/* Scheduled Gmail sync */}
+            {isElectron && <BackgroundSyncCard />}
+            
+            {/* Pre-LLM filter for non-job mail */}
+            {isElectron && <EmailFiltersCard />}
+            
+            {/* Confidence threshold and the review queue */}
+            {isElectron && <ClassificationConfidenceCard />}
+            
+            {/* Re-classify stored emails after a prompt or model change */}
+            {isElectron && <ReprocessCard />}
+            
+            {/* Stage catalogue */}
+            {isElectron && <JobStagesCard />}
+            
+            {/* Ghosted detection and follow-up reminders */}
+            {isElectron && <FollowUpRulesCard />}
+            
+            {/* Interview .ics export and feed */}
+            {isElectron && <InterviewCalendarCard />}
+            
             {/* Status Messages */}
             {message && (
               <Alert severity="success" sx={{ mb: 3, borderRadius: 2 }}>
@@ -43,11 +43,23 @@ class AnalyticsService {
    * Calculate overall job application statistics
    */
   calculateJobStats(jobs: JobApplication[]): JobStats {
-    const total = jobs.length;
-    const appliedCount = jobs.filter(job => job.status === 'Applied').length;
-    const interviewedCount = jobs.filter(job => job.status === 'Interviewed').length;
-    const offerCount = jobs.filter(job => job.status === 'Offer').length;
-    const declinedCount = jobs.filter(job => job.status === 'Declined').length;
+    const counts: Record<string, number> = {};
+    jobs.forEach(job => {
+      counts[job.status] = (counts[job.status] || 0) + 1;
+    });
+    return this.calculateStatsFromCounts(counts);
+  }
+
+  /**
+   * Same statistics from the number of jobs in each status, such as the status
+   * facet counts returned with a page of jobs
+   */
+  calculateStatsFromCounts(counts: Record<string, number>): JobStats {
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const appliedCount = counts['Applied'] || 0;
+    const interviewedCount = counts['Interviewed'] || 0;
+    const offerCount = counts['Offer'] || 0;
+    const declinedCount = counts['Declined'] || 0;
 
     const responseRate = total > 0 ? ((interviewedCount + offerCount + declinedCount) / total) * 100 : 0;
     const interviewRate = total > 0 ? (interviewedCount / total) * 100 : 0;
@@ -110,7 +122,10 @@ class AnalyticsService {
    * Generate pipeline visualization data
    */
   generatePipelineData(jobs: JobApplication[]): PipelineData[] {
-    const stats = this.calculateJobStats(jobs);
+    return this.generatePipelineFromStats(this.calculateJobStats(jobs));
+  }
+
+  generatePipelineFromStats(stats: JobStats): PipelineData[] {
     const total = stats.totalApplications;
 
     if (total === 0) {